@@ -0,0 +1,98 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const port = process.env.PORT || 3001;
+const useMockUpstream = process.env.MOCK_UPSTREAM === 'true';
+
+// Central runtime configuration - everything can be overridden with env vars
+const config = {
+  port,
+
+  // Where the API routes read their data from:
+  //   'upstream' - proxy the HackUTD API live (default)
+  //   'sqlite'   - serve from the local SQLite database
+  dataSource: (process.env.DATA_SOURCE || 'upstream').toLowerCase(),
+
+  // MOCK_UPSTREAM=true serves a simulated HackUTD API from this server under
+  // /mock and points the upstream client at it, so no network is needed
+  useMockUpstream,
+  upstreamAPI: process.env.HACKUTD_API
+    || (useMockUpstream ? `http://localhost:${port}/mock` : 'https://hackutd2025.eog.systems'),
+  // Shared upstream client: caching, timeouts and retries
+  upstream: {
+    timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 15 * 1000,
+    retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+    retryBaseMs: 500,
+    infoTtlMs: Number(process.env.UPSTREAM_INFO_TTL_MS) || 5 * 60 * 1000,
+    dataTtlMs: Number(process.env.UPSTREAM_DATA_TTL_MS) || 30 * 1000,
+    // How long past its TTL an entry may still be served while refreshing
+    staleMs: Number(process.env.UPSTREAM_STALE_MS) || 5 * 60 * 1000,
+    maxEntries: 50
+  },
+  mock: {
+    seed: Number(process.env.MOCK_SEED) || 2025,
+    startDate: process.env.MOCK_START_DATE || '2025-10-30T00:00:00Z',
+    days: Number(process.env.MOCK_DAYS) || 7,
+    live: process.env.MOCK_LIVE !== 'false',
+    speed: Number(process.env.MOCK_SPEED) || 1
+  },
+
+  dbPath: process.env.DB_PATH || path.join(__dirname, 'database', 'potionflow.db'),
+
+  // Background upstream -> SQLite sync (on by default when serving from SQLite)
+  syncEnabled: process.env.SYNC_ENABLED
+    ? process.env.SYNC_ENABLED === 'true'
+    : (process.env.DATA_SOURCE || '').toLowerCase() === 'sqlite',
+  syncIntervalMs: Number(process.env.SYNC_INTERVAL_MS) || 60 * 1000,
+
+  // How long fitted fill/drain rate models are reused before new readings are folded in
+  modelRefreshMs: Number(process.env.MODEL_REFRESH_MS) || 5 * 60 * 1000,
+
+  // Alert engine (services/alerting.js): rules run on each batch of new readings,
+  // at most once per minIntervalMs, and alerts go out to the configured sinks
+  alerts: {
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    minIntervalMs: Number(process.env.ALERT_INTERVAL_MS) || 60 * 1000,
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    email: {
+      to: (process.env.ALERT_EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean),
+      from: process.env.ALERT_EMAIL_FROM || 'alerts@potionflow.local',
+      minSeverity: process.env.ALERT_EMAIL_MIN_SEVERITY || 'warning',
+      // Any plain SMTP server - `npm run mock:smtp` starts a local stand-in on 2525
+      smtpHost: process.env.SMTP_HOST || 'localhost',
+      smtpPort: Number(process.env.SMTP_PORT) || 2525
+    }
+  },
+
+  // Route optimizer (services/optimizer.js): jobs run one at a time in a worker
+  // thread and finished results are cached by a hash of their inputs
+  optimizer: {
+    debug: process.env.OPTIMIZER_DEBUG === 'true',
+    cacheSize: Number(process.env.OPTIMIZER_CACHE_SIZE) || 20,
+    timeoutMs: Number(process.env.OPTIMIZER_TIMEOUT_MS) || 2 * 60 * 1000,
+    // Finished jobs stay pollable for this long
+    jobTtlMs: Number(process.env.OPTIMIZER_JOB_TTL_MS) || 60 * 60 * 1000
+  },
+
+  // Rolling re-planning (services/replanning.js): the live plan is made again when
+  // a reading is off its predicted level by more than thresholdPercent of the
+  // cauldron's capacity, at most once per minIntervalMs
+  replanning: {
+    enabled: process.env.REPLAN_ENABLED !== 'false',
+    thresholdPercent: Number(process.env.REPLAN_THRESHOLD_PERCENT) || 10,
+    minIntervalMs: Number(process.env.REPLAN_INTERVAL_MS) || 5 * 60 * 1000,
+    maxRevisions: Number(process.env.REPLAN_MAX_REVISIONS) || 20
+  },
+
+  // How often /api/stream/levels checks for new readings when no sync worker feeds it
+  streamPollMs: Number(process.env.STREAM_POLL_MS) || 15 * 1000
+};
+
+if (!['upstream', 'sqlite'].includes(config.dataSource)) {
+  throw new Error(`Invalid DATA_SOURCE "${config.dataSource}" (expected "upstream" or "sqlite")`);
+}
+
+export default config;
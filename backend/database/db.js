@@ -0,0 +1,189 @@
+import Database from 'better-sqlite3';
+import config from '../config.js';
+
+// Schema for the local store. Mirrors the shapes served by the HackUTD API
+// so the routes can serve from SQLite without changing their responses.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cauldrons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cauldron_id TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    max_volume REAL NOT NULL,
+    fill_rate REAL NOT NULL DEFAULT 0,
+    drain_rate REAL NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS potion_levels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cauldron_id TEXT NOT NULL,
+    timestamp DATETIME NOT NULL,
+    volume REAL NOT NULL,
+    FOREIGN KEY (cauldron_id) REFERENCES cauldrons(cauldron_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS transport_tickets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id TEXT UNIQUE NOT NULL,
+    cauldron_id TEXT NOT NULL,
+    date DATE NOT NULL,
+    volume_collected REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (cauldron_id) REFERENCES cauldrons(cauldron_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS couriers (
+    courier_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    max_carrying_capacity REAL NOT NULL,
+    speed_multiplier REAL,
+    home_base TEXT,
+    available_from TEXT,
+    available_to TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS network_edges (
+    from_node TEXT NOT NULL,
+    to_node TEXT NOT NULL,
+    travel_time_minutes REAL NOT NULL,
+    PRIMARY KEY (from_node, to_node)
+  );
+
+  CREATE TABLE IF NOT EXISTS market (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    description TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    status TEXT NOT NULL,
+    levels_added INTEGER NOT NULL DEFAULT 0,
+    tickets_synced INTEGER NOT NULL DEFAULT 0,
+    synced_until DATETIME,
+    error TEXT
+  );
+
+  -- Fill/drain rates fitted per cauldron over rolling windows (services/rateModel.js)
+  CREATE TABLE IF NOT EXISTS cauldron_rate_windows (
+    cauldron_id TEXT NOT NULL,
+    window_start DATETIME NOT NULL,
+    window_end DATETIME NOT NULL,
+    fill_rate REAL,
+    drain_rate REAL,
+    drain_count INTEGER NOT NULL DEFAULT 0,
+    reading_count INTEGER NOT NULL DEFAULT 0,
+    complete INTEGER NOT NULL DEFAULT 0,
+    fitted_at DATETIME NOT NULL,
+    PRIMARY KEY (cauldron_id, window_start)
+  );
+
+  -- Alert history (services/alerting.js); one open row per alert_key at a time
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule TEXT NOT NULL,
+    alert_key TEXT NOT NULL,
+    cauldron_id TEXT,
+    severity TEXT NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    details TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    first_seen DATETIME NOT NULL,
+    last_seen DATETIME NOT NULL,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    resolved_at DATETIME,
+    acknowledged_at DATETIME,
+    snoozed_until DATETIME,
+    assignee TEXT,
+    held INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER NOT NULL,
+    sink TEXT NOT NULL,
+    event TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    delivered_at DATETIME NOT NULL,
+    FOREIGN KEY (alert_id) REFERENCES alerts(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, alert_key);
+  CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert ON alert_deliveries(alert_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_levels_cauldron_time ON potion_levels(cauldron_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_levels_time ON potion_levels(timestamp);
+  CREATE INDEX IF NOT EXISTS idx_tickets_date ON transport_tickets(date);
+`;
+
+// Columns added after the first release - older database files get them on open
+const MIGRATIONS = [
+  { table: 'transport_tickets', column: 'courier_id', definition: 'TEXT' },
+  { table: 'alerts', column: 'acknowledged_at', definition: 'DATETIME' },
+  { table: 'alerts', column: 'snoozed_until', definition: 'DATETIME' },
+  { table: 'alerts', column: 'assignee', definition: 'TEXT' },
+  { table: 'alerts', column: 'held', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'couriers', column: 'speed_multiplier', definition: 'REAL' },
+  { table: 'couriers', column: 'home_base', definition: 'TEXT' },
+  { table: 'couriers', column: 'available_from', definition: 'TEXT' },
+  { table: 'couriers', column: 'available_to', definition: 'TEXT' }
+];
+
+function applyMigrations(db) {
+  MIGRATIONS.forEach(({ table, column, definition }) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  });
+}
+
+// Databases created by the first init script had a non-unique level index
+function upgradeLevelIndex(db) {
+  const index = db.prepare(`PRAGMA index_list(potion_levels)`).all()
+    .find(i => i.name === 'idx_levels_cauldron_time');
+  if (index && !index.unique) {
+    db.exec(`
+      DELETE FROM potion_levels WHERE id NOT IN (
+        SELECT MAX(id) FROM potion_levels GROUP BY cauldron_id, timestamp
+      );
+      DROP INDEX idx_levels_cauldron_time;
+    `);
+  }
+}
+
+/**
+ * Open a database file and make sure the schema is up to date
+ */
+export function openDatabase(filePath = config.dbPath) {
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  upgradeLevelIndex(db);
+  db.exec(SCHEMA);
+  applyMigrations(db);
+  return db;
+}
+
+let sharedDb = null;
+
+/**
+ * Shared connection used by the API process
+ */
+export function getDb() {
+  if (!sharedDb) {
+    sharedDb = openDatabase();
+  }
+  return sharedDb;
+}
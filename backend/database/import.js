@@ -0,0 +1,19 @@
+import { runSync } from '../services/syncService.js';
+import config from '../config.js';
+
+// One-off sync of the HackUTD API into the local database, so the dashboard
+// can be run with DATA_SOURCE=sqlite against a known dataset. Re-running it
+// only pulls readings newer than the last import.
+
+console.log(`📥 Importing ${config.upstreamAPI} into ${config.dbPath}...`);
+
+try {
+  const result = await runSync();
+  console.log(`✅ Level readings added: ${result.levelsAdded}`);
+  console.log(`✅ Tickets synced: ${result.ticketsSynced}`);
+  console.log(`✅ Data up to: ${result.syncedUntil || 'n/a'}`);
+  console.log('\n🎉 Import complete! Start the API with DATA_SOURCE=sqlite to serve it.\n');
+} catch (error) {
+  console.error('❌ Import failed:', error.message);
+  process.exitCode = 1;
+}
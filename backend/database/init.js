@@ -1,50 +1,9 @@
-import Database from 'better-sqlite3';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { openDatabase } from './db.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const db = new Database(path.join(__dirname, 'potionflow.db'));
+const db = openDatabase();
 
 console.log('🧪 Initializing PotionFlow Database...');
 
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS cauldrons (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    cauldron_id TEXT UNIQUE NOT NULL,
-    name TEXT NOT NULL,
-    latitude REAL NOT NULL,
-    longitude REAL NOT NULL,
-    max_volume REAL NOT NULL,
-    fill_rate REAL NOT NULL,
-    drain_rate REAL NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS potion_levels (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    cauldron_id TEXT NOT NULL,
-    timestamp DATETIME NOT NULL,
-    volume REAL NOT NULL,
-    FOREIGN KEY (cauldron_id) REFERENCES cauldrons(cauldron_id)
-  );
-
-  CREATE TABLE IF NOT EXISTS transport_tickets (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    ticket_id TEXT UNIQUE NOT NULL,
-    cauldron_id TEXT NOT NULL,
-    date DATE NOT NULL,
-    volume_collected REAL NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (cauldron_id) REFERENCES cauldrons(cauldron_id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_levels_cauldron_time ON potion_levels(cauldron_id, timestamp);
-  CREATE INDEX IF NOT EXISTS idx_tickets_date ON transport_tickets(date);
-`);
-
 console.log('✅ Tables created successfully');
 
 // Insert sample cauldrons
@@ -70,9 +29,42 @@ const insertMany = db.transaction((cauldrons) => {
 insertMany(sampleCauldrons);
 console.log('✅ Sample cauldrons inserted');
 
+// Insert market, couriers and the road network connecting them
+db.prepare(`
+  INSERT OR REPLACE INTO market (id, name, latitude, longitude, description)
+  VALUES (?, ?, ?, ?, ?)
+`).run('market_001', 'Enchanted Market', 32.9857, -96.7501, 'Central market where witches unload collected potion');
+
+// [id, name, capacity, speed multiplier, home base, available from, available to]
+const sampleCouriers = [
+  ['courier_witch_01', 'Mystic Mildred', 100, 1, null, null, null],
+  ['courier_witch_02', 'Hazel Broomsworth', 120, 0.9, null, '06:00', '22:00'],
+  ['courier_witch_03', 'Griselda Nightshade', 80, 1.25, null, null, null]
+];
+
+const insertCourier = db.prepare(`
+  INSERT OR REPLACE INTO couriers
+    (courier_id, name, max_carrying_capacity, speed_multiplier, home_base, available_from, available_to)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+db.transaction(() => sampleCouriers.forEach(courier => insertCourier.run(...courier)))();
+
+const insertEdge = db.prepare(`
+  INSERT OR REPLACE INTO network_edges (from_node, to_node, travel_time_minutes)
+  VALUES (?, ?, ?)
+`);
+db.transaction(() => {
+  sampleCauldrons.forEach(([cauldronId], index) => {
+    insertEdge.run('market_001', cauldronId, 30 + index * 10);
+    const next = sampleCauldrons[(index + 1) % sampleCauldrons.length][0];
+    insertEdge.run(cauldronId, next, 25);
+  });
+})();
+console.log('✅ Sample market, couriers and network inserted');
+
 // Insert sample potion levels (last 7 days, hourly data)
 const insertLevel = db.prepare(`
-  INSERT INTO potion_levels (cauldron_id, timestamp, volume)
+  INSERT OR REPLACE INTO potion_levels (cauldron_id, timestamp, volume)
   VALUES (?, ?, ?)
 `);
 
@@ -108,8 +100,8 @@ console.log('✅ Sample potion levels inserted');
 
 // Insert sample transport tickets
 const insertTicket = db.prepare(`
-  INSERT OR REPLACE INTO transport_tickets (ticket_id, cauldron_id, date, volume_collected)
-  VALUES (?, ?, ?, ?)
+  INSERT OR REPLACE INTO transport_tickets (ticket_id, cauldron_id, date, volume_collected, courier_id)
+  VALUES (?, ?, ?, ?, ?)
 `);
 
 const tickets = [];
@@ -122,7 +114,9 @@ sampleCauldrons.forEach(([cauldronId], index) => {
     const ticketId = `T${String(index + 1).padStart(3, '0')}-${dateStr}`;
     const volumeCollected = 600 + Math.random() * 200; // Random volume 600-800
     
-    tickets.push([ticketId, cauldronId, dateStr, volumeCollected]);
+    const courierId = sampleCouriers[index % sampleCouriers.length][0];
+    
+    tickets.push([ticketId, cauldronId, dateStr, volumeCollected, courierId]);
   }
 });
 
@@ -139,11 +133,13 @@ console.log('✅ Sample transport tickets inserted');
 const cauldronCount = db.prepare('SELECT COUNT(*) as count FROM cauldrons').get();
 const levelCount = db.prepare('SELECT COUNT(*) as count FROM potion_levels').get();
 const ticketCount = db.prepare('SELECT COUNT(*) as count FROM transport_tickets').get();
+const edgeCount = db.prepare('SELECT COUNT(*) as count FROM network_edges').get();
 
 console.log('\n📊 Database Summary:');
 console.log(`   Cauldrons: ${cauldronCount.count}`);
 console.log(`   Potion Levels: ${levelCount.count}`);
 console.log(`   Transport Tickets: ${ticketCount.count}`);
+console.log(`   Network Edges: ${edgeCount.count}`);
 console.log('\n🎉 Database initialization complete!\n');
 
 db.close();
@@ -0,0 +1,394 @@
+import { getDb } from './db.js';
+
+// Read/write helpers for the local SQLite store.
+// Reads return the same shapes as the HackUTD API endpoints; writes take
+// records in the canonical schema from services/normalize.js.
+
+const DEFAULT_MARKET = {
+  id: 'market_001',
+  name: 'Enchanted Market',
+  latitude: 32.9857,
+  longitude: -96.7501,
+  description: 'Central market where witches unload collected potion'
+};
+
+// ---------- Reads ----------
+
+export function getCauldrons(db = getDb()) {
+  return db.prepare(`
+    SELECT cauldron_id, name, latitude, longitude, max_volume, fill_rate, drain_rate
+    FROM cauldrons ORDER BY cauldron_id
+  `).all().map(row => {
+    const cauldron = {
+      id: row.cauldron_id,
+      name: row.name,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      max_volume: row.max_volume
+    };
+    // Only the seeded sample data carries configured rates
+    if (row.fill_rate) cauldron.fill_rate = row.fill_rate;
+    if (row.drain_rate) cauldron.drain_rate = row.drain_rate;
+    return cauldron;
+  });
+}
+
+export function getCouriers(db = getDb()) {
+  const rows = db.prepare(`
+    SELECT courier_id, name, max_carrying_capacity, speed_multiplier, home_base, available_from, available_to
+    FROM couriers ORDER BY courier_id
+  `).all();
+  return rows.map(({ speed_multiplier, home_base, available_from, available_to, ...courier }) => {
+    if (speed_multiplier != null) courier.speed_multiplier = speed_multiplier;
+    if (home_base != null) courier.home_base = home_base;
+    if (available_from != null) {
+      courier.available_from = available_from;
+      courier.available_to = available_to;
+    }
+    return courier;
+  });
+}
+
+export function getNetwork(db = getDb()) {
+  const edges = db.prepare(`
+    SELECT from_node AS "from", to_node AS "to", travel_time_minutes
+    FROM network_edges ORDER BY from_node, to_node
+  `).all();
+  const description = db.prepare(`SELECT value FROM meta WHERE key = 'network_description'`).get();
+  return { edges, description: description?.value || '' };
+}
+
+export function getMarket(db = getDb()) {
+  const row = db.prepare(`SELECT id, name, latitude, longitude, description FROM market LIMIT 1`).get();
+  return row || DEFAULT_MARKET;
+}
+
+/**
+ * Level snapshots between two unix timestamps (seconds), grouped the same way
+ * as /api/Data: [{ timestamp, cauldron_levels: { cauldron_001: 640.3, ... } }]
+ */
+export function getLevelSnapshots(startDate = 0, endDate = 2000000000, db = getDb()) {
+  const from = new Date(Number(startDate) * 1000).toISOString();
+  const to = new Date(Number(endDate) * 1000).toISOString();
+
+  const rows = db.prepare(`
+    SELECT cauldron_id, timestamp, volume FROM potion_levels
+    WHERE timestamp >= ? AND timestamp <= ?
+    ORDER BY timestamp, cauldron_id
+  `).all(from, to);
+
+  const snapshots = [];
+  let current = null;
+  rows.forEach(row => {
+    if (!current || current.timestamp !== row.timestamp) {
+      current = { timestamp: row.timestamp, cauldron_levels: {} };
+      snapshots.push(current);
+    }
+    current.cauldron_levels[row.cauldron_id] = row.volume;
+  });
+  return snapshots;
+}
+
+export function getTickets(db = getDb()) {
+  const tickets = db.prepare(`
+    SELECT ticket_id, cauldron_id, volume_collected, courier_id, date
+    FROM transport_tickets ORDER BY date, ticket_id
+  `).all().map(row => ({
+    ticket_id: row.ticket_id,
+    cauldron_id: row.cauldron_id,
+    amount_collected: row.volume_collected,
+    courier_id: row.courier_id,
+    date: row.date
+  }));
+
+  const dates = tickets.map(t => t.date).filter(Boolean);
+  return {
+    metadata: {
+      total_tickets: tickets.length,
+      date_range: {
+        start: dates[0] || null,
+        end: dates[dates.length - 1] || null
+      }
+    },
+    transport_tickets: tickets
+  };
+}
+
+export function getMeta(key, db = getDb()) {
+  return db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+}
+
+export function getLatestLevelTimestamp(db = getDb()) {
+  return db.prepare('SELECT MAX(timestamp) AS ts FROM potion_levels').get()?.ts ?? null;
+}
+
+export function getSyncRuns(limit = 10, db = getDb()) {
+  return db.prepare(`
+    SELECT id, started_at, finished_at, status, levels_added, tickets_synced, synced_until, error
+    FROM sync_runs ORDER BY id DESC LIMIT ?
+  `).all(limit);
+}
+
+export function getLastSuccessfulSync(db = getDb()) {
+  return db.prepare(`
+    SELECT id, started_at, finished_at, levels_added, tickets_synced, synced_until
+    FROM sync_runs WHERE status = 'success' ORDER BY id DESC LIMIT 1
+  `).get() ?? null;
+}
+
+/**
+ * Stored rate windows, oldest first; all cauldrons unless one is given
+ */
+export function getRateWindows(cauldronId = null, db = getDb()) {
+  const rows = cauldronId
+    ? db.prepare(`SELECT * FROM cauldron_rate_windows WHERE cauldron_id = ? ORDER BY window_start`).all(cauldronId)
+    : db.prepare(`SELECT * FROM cauldron_rate_windows ORDER BY cauldron_id, window_start`).all();
+  return rows.map(row => ({ ...row, complete: Boolean(row.complete) }));
+}
+
+function toAlert(row) {
+  return { ...row, details: row.details ? JSON.parse(row.details) : {}, held: Boolean(row.held) };
+}
+
+/**
+ * Alert history, newest first. Filters: status ('active' = not resolved), cauldronId, rule, limit
+ */
+export function getAlerts({ status, cauldronId, rule, limit = 200 } = {}, db = getDb()) {
+  const where = [];
+  const params = [];
+  if (status === 'active') where.push(`status != 'resolved'`);
+  else if (status) { where.push('status = ?'); params.push(status); }
+  if (cauldronId) { where.push('cauldron_id = ?'); params.push(cauldronId); }
+  if (rule) { where.push('rule = ?'); params.push(rule); }
+  return db.prepare(`
+    SELECT * FROM alerts ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY last_seen DESC, id DESC LIMIT ?
+  `).all(...params, limit).map(toAlert);
+}
+
+export function getAlert(id, db = getDb()) {
+  const row = db.prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+  return row ? toAlert(row) : null;
+}
+
+export function getOpenAlerts(db = getDb()) {
+  return db.prepare(`SELECT * FROM alerts WHERE status != 'resolved'`).all().map(toAlert);
+}
+
+/**
+ * Alerts whose condition is still being tracked: the unresolved ones, plus
+ * those an operator resolved while the condition was still holding
+ */
+export function getTrackedAlerts(db = getDb()) {
+  return db.prepare(`SELECT * FROM alerts WHERE status != 'resolved' OR held = 1`).all().map(toAlert);
+}
+
+export function getAlertDeliveries(alertId, db = getDb()) {
+  return db.prepare(`
+    SELECT sink, event, status, error, delivered_at FROM alert_deliveries
+    WHERE alert_id = ? ORDER BY id
+  `).all(alertId);
+}
+
+// ---------- Writes ----------
+
+export function setMeta(key, value, db = getDb()) {
+  db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value == null ? null : String(value));
+}
+
+export function startSyncRun(db = getDb()) {
+  return db.prepare(`
+    INSERT INTO sync_runs (started_at, status) VALUES (?, 'running')
+  `).run(new Date().toISOString()).lastInsertRowid;
+}
+
+export function finishSyncRun(id, { status, levelsAdded = 0, ticketsSynced = 0, syncedUntil = null, error = null }, db = getDb()) {
+  db.prepare(`
+    UPDATE sync_runs
+    SET finished_at = ?, status = ?, levels_added = ?, tickets_synced = ?, synced_until = ?, error = ?
+    WHERE id = ?
+  `).run(new Date().toISOString(), status, levelsAdded, ticketsSynced, syncedUntil, error, id);
+}
+
+export function upsertCauldrons(cauldrons, db = getDb()) {
+  const stmt = db.prepare(`
+    INSERT INTO cauldrons (cauldron_id, name, latitude, longitude, max_volume, fill_rate, drain_rate)
+    VALUES (@cauldron_id, @name, @latitude, @longitude, @max_volume, @fill_rate, @drain_rate)
+    ON CONFLICT(cauldron_id) DO UPDATE SET
+      name = excluded.name,
+      latitude = excluded.latitude,
+      longitude = excluded.longitude,
+      max_volume = excluded.max_volume,
+      fill_rate = excluded.fill_rate,
+      drain_rate = excluded.drain_rate
+  `);
+  const run = db.transaction(items => {
+    items.forEach(c => stmt.run({
+      cauldron_id: c.id,
+      name: c.name,
+      latitude: c.latitude,
+      longitude: c.longitude,
+      max_volume: c.max_volume,
+      fill_rate: c.fill_rate ?? 0,
+      drain_rate: c.drain_rate ?? 0
+    }));
+  });
+  run(cauldrons);
+  return cauldrons.length;
+}
+
+export function replaceCouriers(couriers, db = getDb()) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO couriers
+      (courier_id, name, max_carrying_capacity, speed_multiplier, home_base, available_from, available_to)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  db.transaction(items => {
+    db.prepare('DELETE FROM couriers').run();
+    items.forEach(c => stmt.run(
+      c.courier_id, c.name, c.max_carrying_capacity,
+      c.speed_multiplier ?? null, c.home_base ?? null, c.available_from ?? null, c.available_to ?? null
+    ));
+  })(couriers);
+  return couriers.length;
+}
+
+export function replaceNetwork(network, db = getDb()) {
+  const edges = network?.edges || [];
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO network_edges (from_node, to_node, travel_time_minutes) VALUES (?, ?, ?)
+  `);
+  db.transaction(() => {
+    db.prepare('DELETE FROM network_edges').run();
+    edges.forEach(e => stmt.run(e.from, e.to, e.travel_time_minutes));
+    db.prepare(`INSERT OR REPLACE INTO meta (key, value) VALUES ('network_description', ?)`)
+      .run(network?.description || '');
+  })();
+  return edges.length;
+}
+
+export function saveMarket(market, db = getDb()) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM market').run();
+    db.prepare(`
+      INSERT INTO market (id, name, latitude, longitude, description) VALUES (?, ?, ?, ?, ?)
+    `).run(market.id, market.name, market.latitude, market.longitude, market.description || null);
+  })();
+}
+
+/**
+ * Store canonical level readings; a reading already stored for the same
+ * cauldron and timestamp is replaced
+ */
+export function insertLevelReadings(readings, db = getDb()) {
+  const stmt = db.prepare(`
+    INSERT INTO potion_levels (cauldron_id, timestamp, volume) VALUES (?, ?, ?)
+    ON CONFLICT(cauldron_id, timestamp) DO UPDATE SET volume = excluded.volume
+  `);
+  db.transaction(items => {
+    items.forEach(r => stmt.run(r.cauldron_id, r.timestamp, r.volume));
+  })(readings);
+  return readings.length;
+}
+
+export function upsertTickets(tickets, db = getDb()) {
+  const stmt = db.prepare(`
+    INSERT INTO transport_tickets (ticket_id, cauldron_id, date, volume_collected, courier_id)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(ticket_id) DO UPDATE SET
+      cauldron_id = excluded.cauldron_id,
+      date = excluded.date,
+      volume_collected = excluded.volume_collected,
+      courier_id = excluded.courier_id
+  `);
+  db.transaction(items => {
+    items.forEach(t => stmt.run(t.ticket_id, t.cauldron_id, t.date, t.amount_collected, t.courier_id));
+  })(tickets);
+  return tickets.length;
+}
+
+export function saveRateWindows(windows, db = getDb()) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO cauldron_rate_windows
+      (cauldron_id, window_start, window_end, fill_rate, drain_rate, drain_count, reading_count, complete, fitted_at)
+    VALUES (@cauldron_id, @window_start, @window_end, @fill_rate, @drain_rate, @drain_count, @reading_count, @complete, @fitted_at)
+  `);
+  db.transaction(items => {
+    items.forEach(w => stmt.run({ ...w, complete: w.complete ? 1 : 0 }));
+  })(windows);
+  return windows.length;
+}
+
+export function clearRateWindows(db = getDb()) {
+  return db.prepare('DELETE FROM cauldron_rate_windows').run().changes;
+}
+
+export function insertAlert(alert, db = getDb()) {
+  const id = db.prepare(`
+    INSERT INTO alerts (rule, alert_key, cauldron_id, severity, title, message, details, status, first_seen, last_seen)
+    VALUES (@rule, @alert_key, @cauldron_id, @severity, @title, @message, @details, 'open', @seen, @seen)
+  `).run({ ...alert, cauldron_id: alert.cauldron_id ?? null, details: JSON.stringify(alert.details || {}) }).lastInsertRowid;
+  return getAlert(id, db);
+}
+
+/**
+ * Record that an open alert fired again, with its latest severity and text
+ */
+export function touchAlert(id, { severity, title, message, details, seen }, db = getDb()) {
+  db.prepare(`
+    UPDATE alerts
+    SET severity = ?, title = ?, message = ?, details = ?, last_seen = ?, occurrences = occurrences + 1
+    WHERE id = ?
+  `).run(severity, title, message, JSON.stringify(details || {}), seen, id);
+  return getAlert(id, db);
+}
+
+/**
+ * Close an alert. held marks an operator's resolution while the condition
+ * still holds, so the engine doesn't raise it again until it has cleared.
+ */
+export function resolveAlert(id, resolvedAt = new Date().toISOString(), { held = false } = {}, db = getDb()) {
+  db.prepare(`UPDATE alerts SET status = 'resolved', resolved_at = ?, held = ? WHERE id = ?`).run(resolvedAt, held ? 1 : 0, id);
+  return getAlert(id, db);
+}
+
+// The condition behind an operator-resolved alert has cleared
+export function releaseAlert(id, db = getDb()) {
+  db.prepare('UPDATE alerts SET held = 0 WHERE id = ?').run(id);
+}
+
+/**
+ * Back to open, dropping any acknowledgement, snooze or resolution
+ */
+export function reopenAlert(id, db = getDb()) {
+  db.prepare(`
+    UPDATE alerts
+    SET status = 'open', held = 0, resolved_at = NULL, acknowledged_at = NULL, snoozed_until = NULL
+    WHERE id = ?
+  `).run(id);
+  return getAlert(id, db);
+}
+
+export function acknowledgeAlert(id, acknowledgedAt = new Date().toISOString(), db = getDb()) {
+  db.prepare(`UPDATE alerts SET status = 'acknowledged', acknowledged_at = ? WHERE id = ?`).run(acknowledgedAt, id);
+  return getAlert(id, db);
+}
+
+/**
+ * Hide an alert until `until` (ISO, wall-clock time); null wakes it up
+ */
+export function snoozeAlert(id, until, db = getDb()) {
+  db.prepare('UPDATE alerts SET snoozed_until = ? WHERE id = ?').run(until, id);
+  return getAlert(id, db);
+}
+
+export function assignAlert(id, assignee, db = getDb()) {
+  db.prepare('UPDATE alerts SET assignee = ? WHERE id = ?').run(assignee || null, id);
+  return getAlert(id, db);
+}
+
+export function recordAlertDelivery(alertId, { sink, event, status, error = null }, db = getDb()) {
+  db.prepare(`
+    INSERT INTO alert_deliveries (alert_id, sink, event, status, error, delivered_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(alertId, sink, event, status, error, new Date().toISOString());
+}
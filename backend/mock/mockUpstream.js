@@ -0,0 +1,59 @@
+import express from 'express';
+import { createSimulation } from './simulation.js';
+
+/**
+ * Express router that answers the same endpoints as the HackUTD API from a
+ * seeded simulation. In live mode the simulated clock keeps running from the
+ * end of the generated history, so new readings appear as time passes.
+ */
+export function createMockUpstream(options = {}) {
+  const { live = false, speed = 1, ...simulationOptions } = options;
+  const sim = createSimulation(simulationOptions);
+  const bootMs = Date.now();
+  const historyEndMs = sim.latestMs;
+
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (live) {
+      sim.advanceTo(historyEndMs + (Date.now() - bootMs) * speed);
+    }
+    next();
+  });
+
+  router.get('/api/Information/cauldrons', (req, res) => {
+    res.json(sim.cauldrons);
+  });
+
+  router.get('/api/Information/network', (req, res) => {
+    res.json(sim.network);
+  });
+
+  router.get('/api/Information/couriers', (req, res) => {
+    res.json(sim.couriers);
+  });
+
+  router.get('/api/Information/market', (req, res) => {
+    res.json(sim.market);
+  });
+
+  router.get('/api/Data', (req, res) => {
+    const { start_date, end_date } = req.query;
+    res.json(sim.getData(start_date ?? 0, end_date ?? 2000000000));
+  });
+
+  router.get('/api/Tickets', (req, res) => {
+    res.json(sim.getTickets());
+  });
+
+  // Not part of the real API: what the simulation actually did, for checking detectors
+  router.get('/_truth', (req, res) => {
+    res.json({
+      seed: sim.seed,
+      latestTimestamp: new Date(sim.latestMs).toISOString(),
+      ...sim.getTruth()
+    });
+  });
+
+  return router;
+}
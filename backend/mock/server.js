@@ -0,0 +1,17 @@
+import express from 'express';
+import cors from 'cors';
+import config from '../config.js';
+import { createMockUpstream } from './mockUpstream.js';
+
+// Standalone mock of the HackUTD API. Point the backend at it with
+// HACKUTD_API=http://localhost:3002
+
+const PORT = process.env.MOCK_PORT || 3002;
+
+const app = express();
+app.use(cors());
+app.use(createMockUpstream(config.mock));
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock HackUTD API running on http://localhost:${PORT} (seed ${config.mock.seed})`);
+});
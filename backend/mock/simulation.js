@@ -0,0 +1,263 @@
+// Deterministic simulation of the HackUTD potion network.
+// The same seed always produces the same cauldrons, readings and tickets,
+// including the injected fraud, so the dashboard can be developed offline.
+
+const MINUTE_MS = 60 * 1000;
+const MARKET = { id: 'market_001', latitude: 32.9857, longitude: -96.7501 };
+
+const CAULDRON_NAMES = [
+  'Crimson Brew', 'Azure Mist', 'Emerald Elixir', 'Golden Glow', 'Violet Vapors',
+  'Silver Shimmer', 'Obsidian Ooze', 'Amber Aura', 'Frost Fizz', 'Ember Essence',
+  'Moonlit Marsh', 'Thunder Tonic', 'Wyrm Whisper', 'Sable Sorcery', 'Coral Charm', 'Dusk Draught'
+];
+
+const COURIER_NAMES = [
+  'Mystic Mildred', 'Hazel Broomsworth', 'Griselda Nightshade', 'Morgana Thistle',
+  'Agatha Cinderpot', 'Beatrix Hollowmoon', 'Wanda Wormwood', 'Esmeralda Quill'
+];
+
+// Fixed per-witch fleet details (not drawn from the PRNG, so the generated
+// history doesn't depend on them). home is a cauldron index; no home = the market.
+const COURIER_PROFILES = [
+  { capacity: 100, speed: 1 },
+  { capacity: 120, speed: 0.9, from: '06:00', to: '22:00' },
+  { capacity: 80, speed: 1.25, home: 3 },
+  { capacity: 100, speed: 1.1, from: '18:00', to: '10:00', home: 8 },
+  { capacity: 140, speed: 0.8 }
+];
+
+// Small seeded PRNG (mulberry32) - Math.random would break determinism
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const dateKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Build a simulation. Options:
+ *   seed           - PRNG seed (default 2025)
+ *   cauldronCount  - number of cauldrons (default 12)
+ *   courierCount   - number of witches (default 5)
+ *   startDate      - ISO date the history starts at (default 2025-10-30)
+ *   days           - days of history generated up front (default 7)
+ *   fraudRate      - share of the rogue witch's collections that are falsified (default 0.5)
+ */
+export function createSimulation(options = {}) {
+  const {
+    seed = 2025,
+    cauldronCount = 12,
+    courierCount = 5,
+    startDate = '2025-10-30T00:00:00Z',
+    days = 7,
+    fraudRate = 0.5
+  } = options;
+
+  const rng = createRng(seed);
+  const between = (min, max) => min + rng() * (max - min);
+  const startMs = new Date(startDate).getTime();
+
+  // ---------- Static network ----------
+
+  const cauldrons = [];
+  const hidden = {}; // true simulation parameters, not exposed by the API
+  for (let i = 0; i < cauldronCount; i++) {
+    const id = `cauldron_${String(i + 1).padStart(3, '0')}`;
+    const angle = (i / cauldronCount) * 2 * Math.PI + between(-0.15, 0.15);
+    const radius = between(0.03, 0.08);
+    cauldrons.push({
+      max_volume: Math.round(between(10, 30)) * 50,
+      id,
+      name: `${CAULDRON_NAMES[i % CAULDRON_NAMES.length]} Cauldron`,
+      latitude: round4(MARKET.latitude + Math.sin(angle) * radius),
+      longitude: round4(MARKET.longitude + Math.cos(angle) * radius)
+    });
+    hidden[id] = {
+      fillRate: between(0.1, 0.35),           // L/min
+      drainRate: between(5, 12),              // L/min while a witch is collecting
+      triggerPct: between(0.55, 0.8),         // fill level that calls a witch
+      noise: between(0.1, 0.4)                // sensor noise amplitude (L)
+    };
+  }
+
+  const couriers = [];
+  for (let i = 0; i < courierCount; i++) {
+    const profile = COURIER_PROFILES[i % COURIER_PROFILES.length];
+    const courier = {
+      courier_id: `courier_witch_${String(i + 1).padStart(2, '0')}`,
+      name: COURIER_NAMES[i % COURIER_NAMES.length],
+      max_carrying_capacity: profile.capacity,
+      speed_multiplier: profile.speed
+    };
+    if (profile.home !== undefined) courier.home_base = cauldrons[profile.home % cauldrons.length].id;
+    if (profile.from) {
+      courier.available_from = profile.from;
+      courier.available_to = profile.to;
+    }
+    couriers.push(courier);
+  }
+  const rogueCourier = couriers[Math.floor(rng() * couriers.length)].courier_id;
+
+  const edges = [];
+  cauldrons.forEach((cauldron, i) => {
+    edges.push({ from: MARKET.id, to: cauldron.id, travel_time_minutes: Math.round(between(15, 60)) });
+    const next = cauldrons[(i + 1) % cauldrons.length];
+    edges.push({ from: cauldron.id, to: next.id, travel_time_minutes: Math.round(between(10, 40)) });
+  });
+  const network = {
+    edges,
+    description: 'Simulated potion network: every cauldron connects to the market and its ring neighbours'
+  };
+
+  // ---------- Dynamic state ----------
+
+  const state = {};
+  cauldrons.forEach(c => {
+    state[c.id] = {
+      level: c.max_volume * between(0.1, 0.5),
+      waitUntil: null,     // minute a called witch arrives
+      drain: null          // active drain { courierId, target, collected, startMs }
+    };
+  });
+
+  const snapshots = [];
+  const tickets = [];
+  const fraud = [];       // ground truth of injected fraud, for testing detectors
+  const drains = [];      // ground truth of every collection
+  const ticketCounters = {};
+  let minute = 0;         // minutes simulated since startMs
+
+  function nextTicketId(ms) {
+    const key = dateKey(ms);
+    ticketCounters[key] = (ticketCounters[key] || 0) + 1;
+    return `TT_${key.replace(/-/g, '')}_${String(ticketCounters[key]).padStart(3, '0')}`;
+  }
+
+  function issueTicket(cauldronId, drain, endMs) {
+    const date = dateKey(drain.startMs);
+    const actual = round2(drain.collected);
+    drains.push({ cauldron_id: cauldronId, courier_id: drain.courierId, start: new Date(drain.startMs).toISOString(), end: new Date(endMs).toISOString(), volume: actual });
+
+    let reported = actual;
+    if (drain.courierId === rogueCourier && rng() < fraudRate) {
+      if (rng() < 0.25) {
+        fraud.push({ type: 'missing_ticket', cauldron_id: cauldronId, courier_id: drain.courierId, date, actual, reported: 0 });
+        return;
+      }
+      reported = round2(actual * between(0.55, 0.85));
+      const ticketId = nextTicketId(drain.startMs);
+      fraud.push({ type: 'under_reported', ticket_id: ticketId, cauldron_id: cauldronId, courier_id: drain.courierId, date, actual, reported });
+      tickets.push({ ticket_id: ticketId, cauldron_id: cauldronId, amount_collected: reported, courier_id: drain.courierId, date });
+      return;
+    }
+
+    tickets.push({ ticket_id: nextTicketId(drain.startMs), cauldron_id: cauldronId, amount_collected: reported, courier_id: drain.courierId, date });
+  }
+
+  function stepMinute() {
+    const ms = startMs + minute * MINUTE_MS;
+    const reading = {};
+
+    cauldrons.forEach(c => {
+      const s = state[c.id];
+      const h = hidden[c.id];
+      s.level += h.fillRate;
+
+      if (s.drain) {
+        const take = Math.min(h.drainRate, s.drain.target - s.drain.collected, s.level);
+        s.level -= take;
+        s.drain.collected += take;
+        if (s.drain.collected >= s.drain.target - 0.01 || s.level <= 1) {
+          issueTicket(c.id, s.drain, ms);
+          s.drain = null;
+        }
+      } else if (s.waitUntil !== null && minute >= s.waitUntil) {
+        const courier = couriers[Math.floor(rng() * couriers.length)];
+        s.drain = {
+          courierId: courier.courier_id,
+          target: courier.max_carrying_capacity * between(0.8, 1),
+          collected: 0,
+          startMs: ms
+        };
+        s.waitUntil = null;
+      } else if (s.waitUntil === null && s.level >= c.max_volume * h.triggerPct) {
+        // Witch is called - travel and scheduling delay before she arrives
+        s.waitUntil = minute + Math.round(between(5, 90));
+      }
+
+      s.level = Math.min(s.level, c.max_volume);
+      reading[c.id] = round2(Math.max(0, s.level + (rng() - 0.5) * 2 * h.noise));
+    });
+
+    // Occasionally the rogue witch files a ticket for a collection that never happened
+    if (minute % 1440 === 720 && rng() < 0.3) {
+      const cauldron = cauldrons[Math.floor(rng() * cauldrons.length)];
+      const amount = round2(between(40, 95));
+      const ticketId = nextTicketId(ms);
+      fraud.push({ type: 'phantom_ticket', ticket_id: ticketId, cauldron_id: cauldron.id, courier_id: rogueCourier, date: dateKey(ms), actual: 0, reported: amount });
+      tickets.push({ ticket_id: ticketId, cauldron_id: cauldron.id, amount_collected: amount, courier_id: rogueCourier, date: dateKey(ms) });
+    }
+
+    snapshots.push({ timestamp: new Date(ms).toISOString(), cauldron_levels: reading });
+    minute++;
+  }
+
+  /**
+   * Simulate up to (and including) the given time
+   */
+  function advanceTo(ms) {
+    const target = Math.floor((ms - startMs) / MINUTE_MS);
+    while (minute <= target) {
+      stepMinute();
+    }
+  }
+
+  advanceTo(startMs + days * 24 * 60 * MINUTE_MS - MINUTE_MS);
+
+  /**
+   * Snapshots between two unix timestamps (seconds), inclusive
+   */
+  function getData(startDate = 0, endDate = 2000000000) {
+    const fromMs = Number(startDate) * 1000;
+    const toMs = Number(endDate) * 1000;
+    const first = Math.max(0, Math.ceil((fromMs - startMs) / MINUTE_MS));
+    const last = Math.min(snapshots.length - 1, Math.floor((toMs - startMs) / MINUTE_MS));
+    return last >= first ? snapshots.slice(first, last + 1) : [];
+  }
+
+  function getTickets() {
+    const dates = tickets.map(t => t.date).sort();
+    return {
+      metadata: {
+        total_tickets: tickets.length,
+        date_range: { start: dates[0] || null, end: dates[dates.length - 1] || null }
+      },
+      transport_tickets: tickets
+    };
+  }
+
+  return {
+    seed,
+    startMs,
+    market: { ...MARKET, name: 'Enchanted Market', description: 'Central market where witches unload collected potion' },
+    cauldrons,
+    couriers,
+    network,
+    advanceTo,
+    getData,
+    getTickets,
+    get latestMs() {
+      return startMs + (minute - 1) * MINUTE_MS;
+    },
+    // Ground truth for tests and demos - never served by the real API
+    getTruth: () => ({ rogueCourier, parameters: hidden, fraud, drains })
+  };
+}
@@ -0,0 +1,53 @@
+import net from 'net';
+
+// Stand-in SMTP server for the email alert sink. Accepts every message and
+// prints it instead of delivering it. Run alongside the backend with
+// ALERT_EMAIL_TO=you@example.com (SMTP_PORT defaults to the same 2525).
+
+const PORT = process.env.MOCK_SMTP_PORT || 2525;
+
+const server = net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+  let message = [];
+  const envelope = { from: null, to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 potionflow-mock-smtp ready');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString();
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`📧 Mail from ${envelope.from} to ${envelope.to.join(', ')}\n${message.join('\n')}\n`);
+          message = [];
+          envelope.to = [];
+          reply('250 OK: queued');
+        } else {
+          message.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250 potionflow-mock-smtp');
+      else if (command === 'MAIL') { envelope.from = line.match(/<(.*)>/)?.[1]; reply('250 OK'); }
+      else if (command === 'RCPT') { envelope.to.push(line.match(/<(.*)>/)?.[1]); reply('250 OK'); }
+      else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else if (command === 'RSET' || command === 'NOOP') reply('250 OK');
+      else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`📧 Mock SMTP server listening on localhost:${PORT}`);
+});
@@ -0,0 +1,159 @@
+import express from 'express';
+import * as store from '../database/store.js';
+import { RULES, RULE_DEFAULTS, SEVERITIES } from '../services/alertRules.js';
+import { getSinks, subscribeToAlerts } from '../services/alertSinks.js';
+import { evaluateAlerts, syncAlerts, applyAlertAction, ALERT_ACTIONS } from '../services/alerting.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+const STATUSES = ['open', 'acknowledged', 'resolved', 'active'];
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// GET /api/alerts - Alert history, most recently seen first
+// Optional ?status=open|acknowledged|resolved|active (not resolved)&cauldron_id=&rule=&limit=
+router.get('/', (req, res) => {
+  try {
+    const { status, cauldron_id, rule } = req.query;
+    const limit = req.query.limit === undefined ? 200 : Number(req.query.limit);
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+
+    res.json(store.getAlerts({ status, cauldronId: cauldron_id, rule, limit }));
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/alerts/rules - Rules, their default thresholds and the configured sinks
+router.get('/rules', (req, res) => {
+  res.json({
+    rules: RULES.map(({ id, description }) => ({ id, description })),
+    settings: RULE_DEFAULTS,
+    sinks: getSinks()
+  });
+});
+
+// GET /api/alerts/stream - Server-Sent Events feed of the in-app sink
+//   event: alert - { event: 'opened' | 'escalated' | 'resolved' | 'updated', alert }
+router.get('/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeToAlerts(data => {
+    res.write(`event: alert\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// POST /api/alerts/evaluate - Run the rules now instead of waiting for new readings
+router.post('/evaluate', async (req, res) => {
+  try {
+    const { changes, ...result } = await evaluateAlerts();
+    res.json({ ...result, alerts: [...changes.opened, ...changes.escalated, ...changes.resolved] });
+  } catch (error) {
+    console.error('Alert evaluation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Problem with a POST /sync body, or null when it is usable
+function syncError(rules, alerts) {
+  if (!Array.isArray(rules) || !Array.isArray(alerts)) return 'rules and alerts must be arrays';
+  if (rules.some(rule => typeof rule !== 'string' || !rule)) return 'rules must be non-empty strings';
+  const engineRule = rules.find(rule => RULES.some(r => r.id === rule));
+  if (engineRule) return `${engineRule} is evaluated by the alert engine and can't be synced`;
+  const bad = alerts.find(a => !a || typeof a.key !== 'string' || !rules.includes(a.rule) ||
+    !SEVERITIES.includes(a.severity) || typeof a.title !== 'string' || typeof a.message !== 'string');
+  if (bad) return 'Each alert needs a key, one of the listed rules, a severity, a title and a message';
+  return null;
+}
+
+// POST /api/alerts/sync - Alerts derived by the dashboard from the data it has loaded
+// Body: { rules: [...], alerts: [{ key, rule, cauldron_id?, severity, title, message, details? }], as_of? }
+// Open alerts of the listed rules that are not in `alerts` are resolved.
+router.post('/sync', async (req, res) => {
+  try {
+    const { rules, alerts, as_of } = req.body || {};
+
+    const invalid = syncError(rules, alerts);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (as_of !== undefined && Number.isNaN(Date.parse(as_of))) {
+      return res.status(400).json({ error: 'as_of must be an ISO timestamp' });
+    }
+
+    const { changes, ...result } = await syncAlerts({ rules, alerts, asOf: as_of });
+    res.json(result);
+  } catch (error) {
+    console.error('Alert sync error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/alerts/:id/acknowledge
+// POST /api/alerts/:id/snooze  - Body: { minutes } (0 wakes it up)
+// POST /api/alerts/:id/assign  - Body: { assignee } (null unassigns)
+// POST /api/alerts/:id/resolve
+router.post('/:id/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { minutes, assignee } = req.body || {};
+
+    if (!ALERT_ACTIONS.includes(action)) {
+      return res.status(404).json({ error: `Unknown action ${action}` });
+    }
+    if (action === 'snooze' && !(Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_SNOOZE_MINUTES)) {
+      return res.status(400).json({ error: `minutes must be an integer between 0 and ${MAX_SNOOZE_MINUTES}` });
+    }
+    if (action === 'assign' && assignee != null && (typeof assignee !== 'string' || assignee.length > 100)) {
+      return res.status(400).json({ error: 'assignee must be a name of at most 100 characters, or null' });
+    }
+
+    const alert = store.getAlert(Number(req.params.id));
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (alert.status === 'resolved' && action !== 'assign') {
+      return res.status(409).json({ error: 'Alert is already resolved' });
+    }
+
+    res.json(await applyAlertAction(alert.id, action, { minutes, assignee: assignee?.trim() }));
+  } catch (error) {
+    console.error('Alert action error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/alerts/:id - One alert with its delivery log
+router.get('/:id', (req, res) => {
+  try {
+    const alert = store.getAlert(Number(req.params.id));
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ ...alert, deliveries: store.getAlertDeliveries(alert.id) });
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
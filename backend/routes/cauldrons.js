@@ -1,16 +1,40 @@
 import express from 'express';
+import dataSource from '../services/dataSource.js';
+import { getModels, getModel, refreshModels } from '../services/rateModel.js';
+import { getForecast, getForecasts, Z_SCORES } from '../services/forecast.js';
+
+const MAX_FORECAST_HOURS = 7 * 24;
+
+// Forecast options from the query string, or { error } when one is invalid
+function forecastOptions(query) {
+  const options = {};
+  if (query.hours !== undefined) {
+    options.hours = Number(query.hours);
+    if (!(options.hours >= 1 && options.hours <= MAX_FORECAST_HOURS)) {
+      return { error: `hours must be between 1 and ${MAX_FORECAST_HOURS}` };
+    }
+  }
+  if (query.step !== undefined) {
+    options.stepMinutes = Number(query.step);
+    if (!Number.isInteger(options.stepMinutes) || options.stepMinutes < 1 || options.stepMinutes > 120) {
+      return { error: 'step must be a whole number of minutes between 1 and 120' };
+    }
+  }
+  if (query.confidence !== undefined) {
+    options.confidence = Number(query.confidence);
+    if (!Z_SCORES[options.confidence]) {
+      return { error: `confidence must be one of ${Object.keys(Z_SCORES).join(', ')}` };
+    }
+  }
+  return { options };
+}
 
 const router = express.Router();
-const HACKUTD_API = 'https://hackutd2025.eog.systems';
 
 // GET all cauldrons from HackUTD API
 router.get('/', async (req, res) => {
   try {
-    const response = await fetch(`${HACKUTD_API}/api/Information/cauldrons`);
-    if (!response.ok) {
-      throw new Error(`HackUTD API error: ${response.status}`);
-    }
-    const cauldrons = await response.json();
+    const cauldrons = await dataSource.getCauldrons();
     res.json(cauldrons);
   } catch (error) {
     console.error('Error fetching cauldrons:', error);
@@ -18,15 +42,83 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/cauldrons/models - Fitted fill/drain rates for every cauldron (without history)
+router.get('/models', async (req, res) => {
+  try {
+    const models = await getModels();
+    res.json(models.map(({ history, ...model }) => model));
+  } catch (error) {
+    console.error('Error fitting cauldron models:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/cauldrons/models/refresh - Fold in new readings now
+// Body: { rebuild: true } refits every window from scratch
+router.post('/models/refresh', async (req, res) => {
+  try {
+    const windowsFitted = await refreshModels({ force: true, rebuild: Boolean(req.body?.rebuild) });
+    res.json({ windowsFitted });
+  } catch (error) {
+    console.error('Error refreshing cauldron models:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/cauldrons/forecast - Time to overflow for every cauldron, soonest first (no level points)
+// Query: hours, step (minutes), confidence
+router.get('/forecast', async (req, res) => {
+  try {
+    const { options, error } = forecastOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const forecasts = await getForecasts(options);
+    res.json(forecasts.map(({ points, ...forecast }) => forecast));
+  } catch (error) {
+    console.error('Error forecasting cauldrons:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/cauldrons/:id/forecast - Projected levels with a confidence band and time to overflow
+// Query: hours (default 24), step (minutes, default 10), confidence (default 0.9)
+router.get('/:id/forecast', async (req, res) => {
+  try {
+    const { options, error } = forecastOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const forecast = await getForecast(req.params.id, options);
+    if (!forecast) {
+      return res.status(404).json({ error: 'No readings for this cauldron' });
+    }
+    res.json(forecast);
+  } catch (error) {
+    console.error('Error forecasting cauldron:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/cauldrons/:id/model - Fitted rates, drift and per-day history for one cauldron
+router.get('/:id/model', async (req, res) => {
+  try {
+    const model = await getModel(req.params.id);
+    if (!model) {
+      return res.status(404).json({ error: 'Cauldron not found' });
+    }
+    res.json(model);
+  } catch (error) {
+    console.error('Error fitting cauldron model:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET single cauldron by ID
 router.get('/:id', async (req, res) => {
   try {
-    const response = await fetch(`${HACKUTD_API}/api/Information/cauldrons`);
-    if (!response.ok) {
-      throw new Error(`HackUTD API error: ${response.status}`);
-    }
-    const cauldrons = await response.json();
-    const cauldron = cauldrons.find(c => c.id === req.params.id || c.cauldronId === req.params.id);
+    const cauldrons = await dataSource.getCauldrons();
+    const cauldron = cauldrons.find(c => c.id === req.params.id);
     
     if (!cauldron) {
       return res.status(404).json({ error: 'Cauldron not found' });
@@ -1,54 +1,31 @@
 import express from 'express';
+import dataSource from '../services/dataSource.js';
+import { RESOLUTIONS, aggregateReadings, lttb } from '../services/levelAggregation.js';
 
 const router = express.Router();
-const HACKUTD_API = 'https://hackutd2025.eog.systems';
 
 // GET potion levels/data from HackUTD API with optional filtering
 router.get('/', async (req, res) => {
   try {
     const { cauldron_id, start_date, end_date, start_time, end_time, limit } = req.query;
-    
-    // Use provided dates or default to last 7 days
+
+    // Use provided dates or default to everything
     const startDate = start_date || start_time || '0';
     const endDate = end_date || end_time || '2000000000'; // Far future timestamp
-    
-    const response = await fetch(`${HACKUTD_API}/api/Data?start_date=${startDate}&end_date=${endDate}`);
-    if (!response.ok) {
-      throw new Error(`HackUTD API error: ${response.status}`);
-    }
-    const data = await response.json();
-    
-    // Transform nested cauldron_levels into flat array
-    let transformedData = [];
-    data.forEach(record => {
-      if (record.cauldron_levels) {
-        // New format: {timestamp: "...", cauldron_levels: {cauldron_001: 640.35, ...}}
-        Object.entries(record.cauldron_levels).forEach(([cauldronId, volume]) => {
-          transformedData.push({
-            cauldronId: cauldronId,
-            volume: volume,
-            timestamp: record.timestamp
-          });
-        });
-      } else {
-        // Old format or already flat
-        transformedData.push(record);
-      }
-    });
-    
+
+    let readings = await dataSource.getLevelReadings(startDate, endDate);
+
     // Filter by cauldron_id if provided
     if (cauldron_id) {
-      transformedData = transformedData.filter(d => 
-        d.cauldronId === cauldron_id || d.cauldron_id === cauldron_id
-      );
+      readings = readings.filter(r => r.cauldron_id === cauldron_id);
     }
-    
+
     // Apply limit if provided
     if (limit) {
-      transformedData = transformedData.slice(0, parseInt(limit));
+      readings = readings.slice(0, parseInt(limit));
     }
-    
-    res.json(transformedData);
+
+    res.json(readings);
   } catch (error) {
     console.error('Error fetching levels:', error);
     res.status(500).json({ error: error.message });
@@ -58,38 +35,62 @@ router.get('/', async (req, res) => {
 // GET latest level for each cauldron
 router.get('/latest', async (req, res) => {
   try {
-    // Get recent data
-    const response = await fetch(`${HACKUTD_API}/api/Data?start_date=0&end_date=2000000000`);
-    if (!response.ok) {
-      throw new Error(`HackUTD API error: ${response.status}`);
+    res.json(await dataSource.getLatestReadings());
+  } catch (error) {
+    console.error('Error fetching latest levels:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/levels/aggregate - Per-cauldron min/max/avg/first/last buckets
+// Query: resolution (1m, 15m, 1h, 1d; default 1h), start_date, end_date, cauldron_id
+router.get('/aggregate', async (req, res) => {
+  try {
+    const { cauldron_id, start_date, end_date, resolution = '1h' } = req.query;
+
+    if (!RESOLUTIONS[resolution]) {
+      return res.status(400).json({
+        error: `Invalid resolution "${resolution}" (expected one of ${Object.keys(RESOLUTIONS).join(', ')})`
+      });
+    }
+
+    let readings = await dataSource.getLevelReadings(start_date || '0', end_date || '2000000000');
+    if (cauldron_id) {
+      readings = readings.filter(r => r.cauldron_id === cauldron_id);
     }
-    const allData = await response.json();
-    
-    // Find the most recent record
-    let latestRecord = null;
-    let latestTimestamp = 0;
-    
-    allData.forEach(record => {
-      const timestamp = new Date(record.timestamp || record.date).getTime();
-      if (timestamp > latestTimestamp) {
-        latestTimestamp = timestamp;
-        latestRecord = record;
-      }
+
+    res.json({
+      resolution,
+      start: readings[0]?.timestamp || null,
+      end: readings[readings.length - 1]?.timestamp || null,
+      cauldrons: aggregateReadings(readings, RESOLUTIONS[resolution])
     });
-    
-    // Transform the cauldron_levels object into an array of individual records
-    if (latestRecord && latestRecord.cauldron_levels) {
-      const result = Object.entries(latestRecord.cauldron_levels).map(([cauldronId, volume]) => ({
-        cauldronId: cauldronId,
-        volume: volume,
-        timestamp: latestRecord.timestamp
-      }));
-      res.json(result);
-    } else {
-      res.json([]);
+  } catch (error) {
+    console.error('Error aggregating levels:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/levels/downsample - One cauldron's readings reduced to at most
+// `points` readings with LTTB, in the same shape as /api/levels
+router.get('/downsample', async (req, res) => {
+  try {
+    const { cauldron_id, start_date, end_date } = req.query;
+    const points = parseInt(req.query.points || '500', 10);
+
+    if (!cauldron_id) {
+      return res.status(400).json({ error: 'cauldron_id parameter is required' });
+    }
+    if (!Number.isFinite(points) || points < 3) {
+      return res.status(400).json({ error: 'points must be a number of at least 3' });
     }
+
+    const readings = (await dataSource.getLevelReadings(start_date || '0', end_date || '2000000000'))
+      .filter(r => r.cauldron_id === cauldron_id);
+
+    res.json(lttb(readings, points));
   } catch (error) {
-    console.error('Error fetching latest levels:', error);
+    console.error('Error downsampling levels:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -98,26 +99,18 @@ router.get('/latest', async (req, res) => {
 router.get('/:cauldron_id', async (req, res) => {
   try {
     const { start_time, end_time, start_date, end_date, limit } = req.query;
-    
+
     const startParam = start_date || start_time || '0';
     const endParam = end_date || end_time || '2000000000';
-    
-    const response = await fetch(`${HACKUTD_API}/api/Data?start_date=${startParam}&end_date=${endParam}`);
-    if (!response.ok) {
-      throw new Error(`HackUTD API error: ${response.status}`);
-    }
-    const data = await response.json();
-    
-    let filteredData = data.filter(d => 
-      d.cauldronId === req.params.cauldron_id || 
-      d.cauldron_id === req.params.cauldron_id ||
-      d.tankId === req.params.cauldron_id
-    );
-    
+
+    const readings = await dataSource.getLevelReadings(startParam, endParam);
+
+    let filteredData = readings.filter(r => r.cauldron_id === req.params.cauldron_id);
+
     if (limit) {
       filteredData = filteredData.slice(0, parseInt(limit));
     }
-    
+
     res.json(filteredData);
   } catch (error) {
     console.error('Error fetching cauldron levels:', error);
@@ -0,0 +1,280 @@
+import express from 'express';
+import { startOptimization, getJob, describeJob, OptimizationInputError } from '../services/optimizer.js';
+import { SOLVERS } from '../services/routeOptimizer.js';
+import { diffPlans } from '../services/planDiff.js';
+
+const MAX_HORIZON_HOURS = 7 * 24;
+const MAX_CAPACITY = 10000;
+const MAX_TIME_BUDGET_MS = 30 * 1000;
+const MAX_BREAK_MINUTES = 4 * 60;
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_SLOWDOWN_PERCENT = 1000;
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Speed, home base and availability window are optional; the window needs both ends
+const isCourier = (c) => c && typeof c.courier_id === 'string' && c.courier_id &&
+  isPositive(c.max_carrying_capacity) &&
+  (c.speed_multiplier === undefined || isPositive(c.speed_multiplier)) &&
+  (c.home_base === undefined || (typeof c.home_base === 'string' && c.home_base)) &&
+  ((c.available_from === undefined && c.available_to === undefined) ||
+    [c.available_from, c.available_to].every(time => typeof time === 'string' && CLOCK_TIME.test(time)));
+
+// Shift rule overrides (see services/shiftRules.js), or { error } when one is invalid
+function shiftRuleOverrides(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'shift_rules must be an object' };
+  }
+  const rules = {};
+  const { max_shift_hours, break_after_hours, break_minutes, max_consecutive_trips, start_earliest, start_latest } = body;
+
+  if (max_shift_hours !== undefined) {
+    if (!isPositive(max_shift_hours) || max_shift_hours > 24) {
+      return { error: 'shift_rules.max_shift_hours must be between 0 and 24' };
+    }
+    rules.maxShiftMinutes = max_shift_hours * 60;
+  }
+  if (break_after_hours !== undefined) {
+    if (!isPositive(break_after_hours) || break_after_hours > 24) {
+      return { error: 'shift_rules.break_after_hours must be between 0 and 24' };
+    }
+    rules.breakAfterMinutes = break_after_hours * 60;
+  }
+  if (break_minutes !== undefined) {
+    if (typeof break_minutes !== 'number' || !Number.isFinite(break_minutes) || break_minutes < 0 || break_minutes > MAX_BREAK_MINUTES) {
+      return { error: `shift_rules.break_minutes must be between 0 and ${MAX_BREAK_MINUTES}` };
+    }
+    rules.breakMinutes = break_minutes;
+  }
+  if (max_consecutive_trips !== undefined) {
+    if (!Number.isInteger(max_consecutive_trips) || max_consecutive_trips < 1) {
+      return { error: 'shift_rules.max_consecutive_trips must be a whole number of at least 1' };
+    }
+    rules.maxConsecutiveTrips = max_consecutive_trips;
+  }
+  if (start_earliest !== undefined || start_latest !== undefined) {
+    if (![start_earliest, start_latest].every(time => typeof time === 'string' && CLOCK_TIME.test(time))) {
+      return { error: 'shift_rules.start_earliest and start_latest must both be HH:MM times (UTC)' };
+    }
+    rules.startEarliest = start_earliest;
+    rules.startLatest = start_latest;
+  }
+  return { rules };
+}
+
+// Service window overrides (see services/timeWindows.js), or { error } when one is invalid
+function timeWindowOverrides(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'time_windows must be an object' };
+  }
+  const windows = {};
+  const { safety_margin_minutes, earliest_fill, max_wait_minutes } = body;
+  const isMinutes = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_WINDOW_MINUTES;
+
+  if (safety_margin_minutes !== undefined) {
+    if (!isMinutes(safety_margin_minutes)) {
+      return { error: `time_windows.safety_margin_minutes must be between 0 and ${MAX_WINDOW_MINUTES}` };
+    }
+    windows.safetyMarginMinutes = safety_margin_minutes;
+  }
+  if (earliest_fill !== undefined) {
+    if (typeof earliest_fill !== 'number' || !(earliest_fill >= 0 && earliest_fill <= 1)) {
+      return { error: 'time_windows.earliest_fill must be a share of capacity between 0 and 1' };
+    }
+    windows.earliestFill = earliest_fill;
+  }
+  if (max_wait_minutes !== undefined) {
+    if (!isMinutes(max_wait_minutes)) {
+      return { error: `time_windows.max_wait_minutes must be between 0 and ${MAX_WINDOW_MINUTES}` };
+    }
+    windows.maxWaitMinutes = max_wait_minutes;
+  }
+  return { windows };
+}
+
+const isEdge = (e) => e && typeof e.from === 'string' && e.from && typeof e.to === 'string' && e.to;
+
+// Network disruptions for a what-if plan, or { error } when one is invalid
+function disruptionOverrides(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'disruptions must be an object' };
+  }
+  const { closed_edges = [], slowed_edges = [], offline_cauldrons = [] } = body;
+
+  if (!Array.isArray(closed_edges) || !closed_edges.every(isEdge)) {
+    return { error: 'disruptions.closed_edges must be an array of { from, to }' };
+  }
+  if (!Array.isArray(slowed_edges) || !slowed_edges.every(e => isEdge(e) &&
+    isPositive(e.percent) && e.percent <= MAX_SLOWDOWN_PERCENT)) {
+    return { error: `disruptions.slowed_edges must be an array of { from, to, percent } with percent between 0 and ${MAX_SLOWDOWN_PERCENT}` };
+  }
+  if (!Array.isArray(offline_cauldrons) || !offline_cauldrons.every(id => typeof id === 'string' && id)) {
+    return { error: 'disruptions.offline_cauldrons must be an array of cauldron ids' };
+  }
+  return {
+    disruptions: {
+      closedEdges: closed_edges.map(({ from, to }) => ({ from, to })),
+      slowedEdges: slowed_edges.map(({ from, to, percent }) => ({ from, to, percent })),
+      offlineCauldrons: [...new Set(offline_cauldrons)]
+    }
+  };
+}
+
+// Overrides from the request body, or { error } when one is invalid
+function optimizeOverrides(body) {
+  const overrides = {};
+  const { couriers, capacity, horizon_hours, start_time, time_budget_ms, solver, shift_rules, time_windows, disruptions } = body;
+
+  if (couriers !== undefined) {
+    if (!Array.isArray(couriers) || couriers.length === 0 || !couriers.every(isCourier)) {
+      return {
+        error: 'couriers must be a non-empty array of { courier_id, name?, max_carrying_capacity, ' +
+          'speed_multiplier?, home_base?, available_from? and available_to? (HH:MM) }'
+      };
+    }
+    overrides.couriers = couriers.map(c => ({
+      courier_id: c.courier_id,
+      name: typeof c.name === 'string' && c.name ? c.name : c.courier_id,
+      max_carrying_capacity: c.max_carrying_capacity,
+      ...(c.speed_multiplier !== undefined && { speed_multiplier: c.speed_multiplier }),
+      ...(c.home_base !== undefined && { home_base: c.home_base }),
+      ...(c.available_from !== undefined && { available_from: c.available_from, available_to: c.available_to })
+    }));
+  }
+  if (capacity !== undefined) {
+    if (!isPositive(capacity) || capacity > MAX_CAPACITY) {
+      return { error: `capacity must be a number of litres between 0 and ${MAX_CAPACITY}` };
+    }
+    overrides.capacity = capacity;
+  }
+  if (horizon_hours !== undefined) {
+    if (!isPositive(horizon_hours) || horizon_hours > MAX_HORIZON_HOURS) {
+      return { error: `horizon_hours must be between 0 and ${MAX_HORIZON_HOURS}` };
+    }
+    overrides.horizonHours = horizon_hours;
+  }
+  if (start_time !== undefined) {
+    if (typeof start_time !== 'string' || Number.isNaN(Date.parse(start_time))) {
+      return { error: 'start_time must be an ISO timestamp' };
+    }
+    overrides.startTime = start_time;
+  }
+  if (time_budget_ms !== undefined) {
+    if (!Number.isInteger(time_budget_ms) || time_budget_ms < 0 || time_budget_ms > MAX_TIME_BUDGET_MS) {
+      return { error: `time_budget_ms must be a whole number between 0 and ${MAX_TIME_BUDGET_MS}` };
+    }
+    overrides.timeBudgetMs = time_budget_ms;
+  }
+  if (solver !== undefined) {
+    if (!SOLVERS.includes(solver)) {
+      return { error: `solver must be one of ${SOLVERS.join(', ')}` };
+    }
+    overrides.solver = solver;
+  }
+  if (shift_rules !== undefined) {
+    const { rules, error } = shiftRuleOverrides(shift_rules);
+    if (error) return { error };
+    overrides.shiftRules = rules;
+  }
+  if (time_windows !== undefined) {
+    const { windows, error } = timeWindowOverrides(time_windows);
+    if (error) return { error };
+    overrides.timeWindows = windows;
+  }
+  if (disruptions !== undefined) {
+    const { disruptions: parsed, error } = disruptionOverrides(disruptions);
+    if (error) return { error };
+    overrides.disruptions = parsed;
+  }
+  return { overrides };
+}
+
+const router = express.Router();
+
+// POST /api/optimize - Optimize pickup routes for the current data
+// Body (all optional): { couriers: [{ courier_id, name, max_carrying_capacity,
+//   speed_multiplier, home_base, available_from, available_to }],
+//   capacity (L per trip for every courier), horizon_hours, start_time (ISO, default: newest reading),
+//   time_budget_ms (local search after the greedy pass, 0 skips it),
+//   solver ('heuristic' or 'exact' - also pack a cycle into trips of at most 2 stops),
+//   shift_rules: { max_shift_hours, break_after_hours, break_minutes,
+//     max_consecutive_trips, start_earliest, start_latest (HH:MM UTC) },
+//   time_windows: { safety_margin_minutes, earliest_fill (0-1), max_wait_minutes },
+//   disruptions: { closed_edges: [{ from, to }], slowed_edges: [{ from, to, percent }],
+//     offline_cauldrons: [cauldron id] } }
+// Identical inputs share one job and finished results are cached, so this
+// answers 200 with the result right away on a cache hit and 202 with a job to
+// poll otherwise. ?wait=true holds the response until the job finishes.
+router.post('/', async (req, res) => {
+  try {
+    const { overrides, error } = optimizeOverrides(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let job = await startOptimization(overrides);
+    if (req.query.wait === 'true') {
+      job = await job.done;
+    }
+
+    const finished = job.status === 'done' || job.status === 'failed';
+    res.status(finished ? 200 : 202)
+      .location(`/api/optimize/${job.id}`)
+      .json(describeJob(job, { includeResult: finished }));
+  } catch (error) {
+    if (error instanceof OptimizationInputError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Optimization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/optimize/what-if - Plan for a disrupted network and compare it with the current plan
+// Body: the same fields as POST /api/optimize, with the disruptions to try. The
+// current plan uses the same fields without them (usually a cache hit); the
+// optimizer is deterministic, so the diff shows only what the disruptions
+// change. Waits for both jobs and answers with both, their results and the diff.
+router.post('/what-if', async (req, res) => {
+  try {
+    const { overrides, error } = optimizeOverrides(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!overrides.disruptions) {
+      return res.status(400).json({ error: 'disruptions are required for a what-if plan' });
+    }
+
+    const { disruptions, ...current } = overrides;
+    const [baseline, scenario] = await Promise.all([startOptimization(current), startOptimization(overrides)]);
+    await Promise.all([baseline.done, scenario.done]);
+
+    const diff = baseline.status === 'done' && scenario.status === 'done'
+      ? diffPlans(baseline.result, scenario.result, scenario.settings.horizon_hours * 60)
+      : null;
+    res.json({
+      baseline: describeJob(baseline),
+      scenario: describeJob(scenario),
+      diff
+    });
+  } catch (error) {
+    if (error instanceof OptimizationInputError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('What-if optimization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/optimize/:id - Job status and progress, with the result once done
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Optimization job not found' });
+  }
+  res.json(describeJob(job));
+});
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getQualityReport } from '../services/normalize.js';
+
+const router = express.Router();
+
+// GET /api/quality - Records rejected by the last validation pass, per record type
+router.get('/', (req, res) => {
+  res.json(getQualityReport());
+});
+
+export default router;
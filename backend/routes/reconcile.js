@@ -1,132 +1,106 @@
 import express from 'express';
+import dataSource from '../services/dataSource.js';
+import { reconcileDay, reconcilePeriod, reconcileRange } from '../services/reconciliation.js';
+import { scoreCouriers } from '../services/courierAttribution.js';
+import { loadReconcileInput } from '../services/reconcileInput.js';
 
 const router = express.Router();
-const HACKUTD_API = 'https://hackutd2025.eog.systems';
 
-// POST /api/reconcile - Detect drains and match tickets
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 93;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+// Days from start to end, counting both (dates as YYYY-MM-DD)
+const spanDays = (start, end) => (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS + 1;
+
+// POST /api/reconcile - Detect drains and match tickets for one day (UTC)
+// Body: { date: 'YYYY-MM-DD' }
 router.post('/', async (req, res) => {
   try {
     const { date } = req.body;
-    
+
     if (!date) {
       return res.status(400).json({ error: 'Date parameter is required' });
     }
-    
-    // Fetch data from HackUTD API
-    const [cauldronRes, ticketRes, dataRes] = await Promise.all([
-      fetch(`${HACKUTD_API}/api/Information/cauldrons`),
-      fetch(`${HACKUTD_API}/api/Tickets`),
-      fetch(`${HACKUTD_API}/api/Data?start_date=0&end_date=2000000000`)
-    ]);
-    
-    if (!cauldronRes.ok || !ticketRes.ok || !dataRes.ok) {
-      throw new Error('Failed to fetch data from HackUTD API');
+    if (!isDate(date)) {
+      return res.status(400).json({ error: 'Date must be formatted as YYYY-MM-DD' });
     }
-    
-    const cauldrons = await cauldronRes.json();
-    const allTickets = await ticketRes.json();
-    const allData = await dataRes.json();
-    
-    // Filter tickets for this date
-    const tickets = allTickets.filter(t => {
-      const ticketDate = new Date(t.date || t.timestamp).toISOString().split('T')[0];
-      return ticketDate === date;
-    });
-    
-    const results = [];
-    
-    for (const cauldron of cauldrons) {
-      const cauldronId = cauldron.id || cauldron.cauldronId || cauldron.cauldron_id;
-      const cauldronName = cauldron.name || cauldron.cauldronName || cauldronId;
-      
-      // Get levels for this cauldron on this date
-      const startOfDay = new Date(`${date}T00:00:00`).getTime();
-      const endOfDay = new Date(`${date}T23:59:59`).getTime();
-      
-      const levels = allData
-        .filter(d => {
-          const dCauldronId = d.cauldronId || d.cauldron_id || d.tankId;
-          const dTimestamp = new Date(d.timestamp || d.date).getTime();
-          return dCauldronId === cauldronId && dTimestamp >= startOfDay && dTimestamp <= endOfDay;
-        })
-        .sort((a, b) => new Date(a.timestamp || a.date) - new Date(b.timestamp || b.date));
-      
-      if (levels.length < 2) {
-        continue;
-      }
-      
-      // Detect drains (significant volume decreases)
-      const drains = [];
-      for (let i = 1; i < levels.length; i++) {
-        const prevLevel = levels[i - 1];
-        const currLevel = levels[i];
-        
-        const prevVolume = prevLevel.volume || prevLevel.level || 0;
-        const currVolume = currLevel.volume || currLevel.level || 0;
-        const volumeChange = currVolume - prevVolume;
-        
-        // If volume decreased significantly (more than expected fill rate would add)
-        if (volumeChange < -10) {
-          const timeDiff = (new Date(currLevel.timestamp || currLevel.date) - 
-                           new Date(prevLevel.timestamp || prevLevel.date)) / (1000 * 60); // minutes
-          
-          const fillRate = cauldron.fillRate || cauldron.fill_rate || 2.0; // Default 2 L/min
-          const expectedIncrease = fillRate * timeDiff;
-          const actualDrain = Math.abs(volumeChange) + expectedIncrease;
-          
-          drains.push({
-            timestamp: currLevel.timestamp || currLevel.date,
-            volumeDrained: actualDrain,
-            levelBefore: prevVolume,
-            levelAfter: currVolume
-          });
-        }
+
+    const { cauldrons, couriers, tickets, readings } = await loadReconcileInput(date, date);
+    res.json(reconcileDay({ date, cauldrons, couriers, tickets, readings }));
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Problem with a requested date range, or null when it is usable
+function rangeError(start_date, end_date) {
+  if (!start_date || !end_date) return 'start_date and end_date parameters are required';
+  if (!isDate(start_date) || !isDate(end_date)) return 'Dates must be formatted as YYYY-MM-DD';
+  if (start_date > end_date) return 'start_date must not be after end_date';
+  // Counted before any dates are listed, so a huge range costs nothing
+  if (spanDays(start_date, end_date) > MAX_RANGE_DAYS) return `Range is limited to ${MAX_RANGE_DAYS} days`;
+  return null;
+}
+
+// POST /api/reconcile/range - Per-day, per-cauldron discrepancy matrix with cumulative totals
+// Body: { start_date: 'YYYY-MM-DD', end_date: 'YYYY-MM-DD' } (inclusive, UTC),
+// include_tickets: true to also return every annotated ticket in the range
+router.post('/range', async (req, res) => {
+  try {
+    const { start_date, end_date, include_tickets = false } = req.body;
+
+    const invalid = rangeError(start_date, end_date);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (typeof include_tickets !== 'boolean') {
+      return res.status(400).json({ error: 'include_tickets must be true or false' });
+    }
+
+    const input = await loadReconcileInput(start_date, end_date);
+    res.json(reconcileRange({ ...input, includeTickets: include_tickets }));
+  } catch (error) {
+    console.error('Range reconciliation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/reconcile/couriers - Discrepancies attributed to couriers, with a
+// running suspicion score per witch (highest first)
+// Body: { start_date, end_date } - optional, defaults to the dates that have tickets
+router.post('/couriers', async (req, res) => {
+  try {
+    let { start_date, end_date } = req.body || {};
+
+    if (!start_date || !end_date) {
+      const dates = (await dataSource.getTickets()).map(t => t.date);
+      if (!dates.length) {
+        return res.json({ start_date: null, end_date: null, couriers: [] });
       }
-      
-      // Find tickets for this cauldron on this date
-      const cauldronTickets = tickets.filter(t => {
-        const tCauldronId = t.cauldronId || t.cauldron_id;
-        return tCauldronId === cauldronId;
-      });
-      
-      // Calculate totals
-      const totalDrained = drains.reduce((sum, d) => sum + d.volumeDrained, 0);
-      const totalTicketed = cauldronTickets.reduce((sum, t) => 
-        sum + (t.volume || t.volumeCollected || t.volume_collected || 0), 0
-      );
-      const discrepancy = totalDrained - totalTicketed;
-      
-      results.push({
-        cauldron_id: cauldronId,
-        cauldron_name: cauldronName,
-        date: date,
-        drains: drains,
-        tickets: cauldronTickets,
-        totalDrained: totalDrained,
-        totalTicketed: totalTicketed,
-        discrepancy: discrepancy,
-        status: Math.abs(discrepancy) < 10 ? 'OK' : 'SUSPICIOUS',
-        message: Math.abs(discrepancy) < 10 
-          ? 'Volumes match within tolerance' 
-          : discrepancy > 0 
-            ? `Missing tickets: ${discrepancy.toFixed(2)} units unaccounted` 
-            : `Excess tickets: ${Math.abs(discrepancy).toFixed(2)} units over-reported`
-      });
+      end_date = end_date || dates[dates.length - 1];
+      // Stay within the range limit, keeping the most recent days
+      const earliest = isDate(end_date)
+        ? new Date(Date.parse(`${end_date}T00:00:00Z`) - (MAX_RANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10)
+        : dates[0];
+      start_date = start_date || (dates[0] > earliest ? dates[0] : earliest);
     }
-    
+
+    const invalid = rangeError(start_date, end_date);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const input = await loadReconcileInput(start_date, end_date);
     res.json({
-      date: date,
-      summary: {
-        totalCauldrons: cauldrons.length,
-        cauldronsMismatched: results.filter(r => r.status === 'SUSPICIOUS').length,
-        totalDrains: results.reduce((sum, r) => sum + r.drains.length, 0),
-        totalTickets: tickets.length
-      },
-      details: results
+      start_date,
+      end_date,
+      couriers: scoreCouriers(reconcilePeriod(input), input.couriers)
     });
-    
   } catch (error) {
-    console.error('Reconciliation error:', error);
+    console.error('Courier attribution error:', error);
     res.status(500).json({ error: error.message });
   }
 });
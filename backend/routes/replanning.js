@@ -0,0 +1,81 @@
+import express from 'express';
+import {
+  describeRevision,
+  getCurrentRevision,
+  getReplanningStatus,
+  getRevision,
+  getRevisions,
+  requestReplan,
+  subscribeToRevisions
+} from '../services/replanning.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// GET /api/replanning - Whether re-planning runs, and the current revision (without its plan)
+router.get('/', (req, res) => {
+  const current = getCurrentRevision();
+  res.json({
+    ...getReplanningStatus(),
+    current: current ? describeRevision(current, { includeResult: false }) : null
+  });
+});
+
+// GET /api/replanning/revisions - Kept revisions, newest first, without their plans
+router.get('/revisions', (req, res) => {
+  res.json(getRevisions().map(revision => describeRevision(revision, { includeResult: false })));
+});
+
+// GET /api/replanning/revisions/current - The live plan
+router.get('/revisions/current', (req, res) => {
+  const current = getCurrentRevision();
+  if (!current) {
+    return res.status(404).json({ error: 'No plan revision yet' });
+  }
+  res.json(describeRevision(current));
+});
+
+// GET /api/replanning/revisions/:number - One revision with its plan
+router.get('/revisions/:number', (req, res) => {
+  const revision = getRevision(req.params.number);
+  if (!revision) {
+    return res.status(404).json({ error: `Revision ${req.params.number} not found` });
+  }
+  res.json(describeRevision(revision));
+});
+
+// GET /api/replanning/stream - Server-Sent Events feed of new revisions
+//   event: revision - the revision without its plan
+router.get('/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeToRevisions(revision => {
+    res.write(`event: revision\ndata: ${JSON.stringify(revision)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// POST /api/replanning/replan - Plan the rest of the day again now, keeping trips under way
+router.post('/replan', async (req, res) => {
+  try {
+    const revision = await requestReplan();
+    res.json(describeRevision(revision, { includeResult: false }));
+  } catch (error) {
+    console.error('Re-planning error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
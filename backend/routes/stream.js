@@ -0,0 +1,56 @@
+import express from 'express';
+import dataSource from '../services/dataSource.js';
+import { subscribeToReadings, getStreamStatus } from '../services/levelStream.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// GET /api/stream/levels - Server-Sent Events feed of level readings
+//   event: snapshot  - latest reading per cauldron, sent once on connect
+//   event: readings  - new readings as they arrive
+// Optional ?cauldron_id= limits both to one cauldron.
+router.get('/levels', async (req, res) => {
+  const { cauldron_id } = req.query;
+  const only = (readings) => cauldron_id
+    ? readings.filter(r => r.cauldron_id === cauldron_id)
+    : readings;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before loading the snapshot so nothing published in between is lost
+  const unsubscribe = subscribeToReadings(readings => {
+    const matching = only(readings);
+    if (matching.length) send('readings', matching);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    send('snapshot', only(await dataSource.getLatestReadings()));
+  } catch (error) {
+    console.error('Error loading stream snapshot:', error);
+    send('stream-error', { error: error.message });
+  }
+});
+
+// GET /api/stream/status - Connected clients and the last published reading
+router.get('/status', (req, res) => {
+  res.json(getStreamStatus());
+});
+
+export default router;
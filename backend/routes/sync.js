@@ -0,0 +1,27 @@
+import express from 'express';
+import { runSync, getSyncStatus } from '../services/syncService.js';
+
+const router = express.Router();
+
+// GET /api/sync/status - Last sync runs, errors and how fresh the local data is
+router.get('/status', (req, res) => {
+  try {
+    res.json(getSyncStatus());
+  } catch (error) {
+    console.error('Error reading sync status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/sync/run - Trigger a sync pass now
+router.post('/run', async (req, res) => {
+  try {
+    const result = await runSync();
+    res.json(result);
+  } catch (error) {
+    console.error('Manual sync failed:', error);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+export default router;
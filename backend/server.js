@@ -1,8 +1,9 @@
 import express from 'express';
 import cors from 'cors';
+import config from './config.js';
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
 // Middleware
 app.use(cors());
@@ -15,6 +16,22 @@ import levelRoutes from './routes/levels.js';
 import reconcileRoutes from './routes/reconcile.js';
 import informationRoutes from './routes/information.js';
 import levelDetailRoutes from './routes/levelDetail.js';
+import syncRoutes from './routes/sync.js';
+import qualityRoutes from './routes/quality.js';
+import streamRoutes from './routes/stream.js';
+import alertRoutes from './routes/alerts.js';
+import optimizeRoutes from './routes/optimize.js';
+import replanningRoutes from './routes/replanning.js';
+import { startSyncWorker, getSyncStatus } from './services/syncService.js';
+import { startAlertEngine, setScheduleProvider } from './services/alerting.js';
+import { getPlannedVisits } from './services/optimizer.js';
+import { startReplanning, getLivePlannedVisits } from './services/replanning.js';
+import { createMockUpstream } from './mock/mockUpstream.js';
+import { getUpstreamStats } from './services/upstreamClient.js';
+
+if (config.useMockUpstream) {
+  app.use('/mock', createMockUpstream(config.mock));
+}
 
 app.use('/api/cauldrons', cauldronRoutes);
 app.use('/api/tickets', ticketRoutes);
@@ -22,18 +39,51 @@ app.use('/api/levels', levelRoutes);
 app.use('/api/reconcile', reconcileRoutes);
 app.use('/api/information', informationRoutes);
 app.use('/api/level', levelDetailRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/quality', qualityRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/optimize', optimizeRoutes);
+app.use('/api/replanning', replanningRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
+  let freshness = null;
+  if (config.dataSource === 'sqlite') {
+    const { latestReading, dataAgeSeconds, lastSuccessAt, lastError } = getSyncStatus();
+    freshness = { latestReading, dataAgeSeconds, lastSyncAt: lastSuccessAt, lastSyncError: lastError };
+  }
+
   res.json({ 
     status: 'ok', 
     message: 'PotionFlow API is running',
-    upstreamAPI: 'https://hackutd2025.eog.systems'
+    dataSource: config.dataSource,
+    upstreamAPI: config.upstreamAPI,
+    upstreamCache: getUpstreamStats(),
+    freshness
   });
 });
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🧙‍♀️ PotionFlow API running on http://localhost:${PORT}`);
-  console.log(`📡 Proxying HackUTD API: https://hackutd2025.eog.systems`);
+  if (config.dataSource === 'sqlite') {
+    console.log(`💾 Serving data from SQLite: ${config.dbPath}`);
+  } else {
+    console.log(`📡 Proxying HackUTD API: ${config.upstreamAPI}`);
+  }
+  if (config.useMockUpstream) {
+    console.log(`🧪 Mock HackUTD API mounted at /mock (seed ${config.mock.seed})`);
+  }
+  if (config.syncEnabled) {
+    startSyncWorker();
+  }
+  if (config.replanning.enabled) {
+    startReplanning();
+  }
+  if (config.alerts.enabled) {
+    // Cauldrons with a witch due soon don't raise level alerts
+    setScheduleProvider(config.replanning.enabled ? getLivePlannedVisits : getPlannedVisits);
+    startAlertEngine();
+  }
 });
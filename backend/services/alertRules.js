@@ -0,0 +1,117 @@
+// Alert rules. Each rule looks at the evaluation context built by
+// services/alerting.js and returns the alerts that currently hold:
+//   { key, cauldron_id?, severity, title, message, details }
+// The key identifies the condition, so an alert that keeps holding is one
+// alert, not a new one per evaluation. When an open alert's key stops being
+// returned it is resolved - as long as the rule still covers it (inScope).
+
+export const RULE_DEFAULTS = {
+  highLevelPct: 0.9,            // share of max_volume that counts as nearly full
+  criticalLevelPct: 0.98,
+  visitWindowMinutes: 30,       // a witch scheduled this soon takes care of a full cauldron
+  overflowWithinMinutes: 60,    // earliest forecast overflow that raises an alert
+  discrepancyLitres: 20,        // daily drained-vs-ticketed gap per cauldron
+  discrepancyDays: 2            // completed days checked for discrepancies
+};
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+const MINUTE_MS = 60 * 1000;
+const pct = (value) => `${Math.round(value * 100)}%`;
+
+// Whether a witch is scheduled at the cauldron between now and `until`
+function visitScheduled(context, cauldronId, until) {
+  const now = new Date(context.now).getTime();
+  return context.visits.some(v => {
+    if (v.cauldron_id !== cauldronId) return false;
+    const arrival = new Date(v.arrival).getTime();
+    return arrival >= now && arrival <= until;
+  });
+}
+
+export const RULES = [
+  {
+    id: 'high_level',
+    description: 'Cauldron above the high-level threshold with no witch draining it or scheduled soon',
+    evaluate(context, settings) {
+      const now = new Date(context.now).getTime();
+      return context.forecasts
+        .filter(f => !f.draining)
+        .map(f => ({ forecast: f, fill: f.current_level / f.max_volume }))
+        .filter(({ forecast, fill }) => fill >= settings.highLevelPct &&
+          !visitScheduled(context, forecast.cauldron_id, now + settings.visitWindowMinutes * MINUTE_MS))
+        .map(({ forecast, fill }) => ({
+          key: `high_level:${forecast.cauldron_id}`,
+          cauldron_id: forecast.cauldron_id,
+          severity: fill >= settings.criticalLevelPct ? 'critical' : 'warning',
+          title: `${context.names[forecast.cauldron_id]} is ${pct(fill)} full`,
+          message: `${context.names[forecast.cauldron_id]} holds ${forecast.current_level.toFixed(1)} of ${forecast.max_volume} L and no witch is scheduled within ${settings.visitWindowMinutes} min`,
+          details: { level: forecast.current_level, max_volume: forecast.max_volume, fill: Math.round(fill * 1000) / 1000 }
+        }));
+    }
+  },
+  {
+    id: 'overflow_soon',
+    description: 'Forecast says the cauldron may overflow before any scheduled visit',
+    evaluate(context, settings) {
+      return context.forecasts
+        .filter(f => !f.draining && f.overflow.minutes.earliest != null)
+        .filter(f => f.overflow.minutes.earliest <= settings.overflowWithinMinutes)
+        .filter(f => !visitScheduled(context, f.cauldron_id, new Date(f.overflow.earliest_at).getTime()))
+        .map(f => ({
+          key: `overflow_soon:${f.cauldron_id}`,
+          cauldron_id: f.cauldron_id,
+          severity: 'critical',
+          title: `${context.names[f.cauldron_id]} may overflow within ${f.overflow.minutes.earliest} min`,
+          message: `${context.names[f.cauldron_id]} is forecast to overflow between ${f.overflow.earliest_at} and ${f.overflow.latest_at ?? 'later'} (expected ${f.overflow.expected_at}) with no witch scheduled before then`,
+          details: { overflow: f.overflow, level: f.current_level, max_volume: f.max_volume }
+        }));
+    }
+  },
+  {
+    id: 'daily_discrepancy',
+    description: 'Drained and ticketed volumes of a completed day differ by more than the threshold',
+    evaluate(context, settings) {
+      return context.days.flatMap(day => day.details
+        .filter(d => d.status === 'SUSPICIOUS' && Math.abs(d.discrepancy) > settings.discrepancyLitres)
+        .map(d => ({
+          key: `daily_discrepancy:${d.cauldron_id}:${day.date}`,
+          cauldron_id: d.cauldron_id,
+          severity: Math.abs(d.discrepancy) > 3 * settings.discrepancyLitres ? 'critical' : 'warning',
+          title: `${d.cauldron_name}: ${Math.abs(d.discrepancy).toFixed(1)} L ${d.discrepancy > 0 ? 'unaccounted' : 'over-ticketed'} on ${day.date}`,
+          message: d.message,
+          details: {
+            date: day.date,
+            discrepancy: d.discrepancy,
+            totalDrained: d.totalDrained,
+            totalTicketed: d.totalTicketed,
+            unmatchedDrains: d.unmatchedDrains.length,
+            unmatchedTickets: d.unmatchedTickets.length
+          }
+        })));
+    },
+    // Days drop out of the checked window; that doesn't make them balance
+    inScope: (alert, context) => context.days.some(day => day.date === alert.details.date)
+  },
+  {
+    id: 'rate_drift',
+    description: "Cauldron's fitted fill or drain rate moved away from its earlier days",
+    evaluate(context) {
+      return context.models
+        .filter(m => m.drift.drifting)
+        .map(m => {
+          const changes = ['fill_rate', 'drain_rate']
+            .filter(field => m.drift[field])
+            .map(field => `${field.replace('_', ' ')} ${m.drift[field].change_pct > 0 ? '+' : ''}${m.drift[field].change_pct}%`);
+          return {
+            key: `rate_drift:${m.cauldron_id}`,
+            cauldron_id: m.cauldron_id,
+            severity: 'info',
+            title: `${context.names[m.cauldron_id]} rates drifting`,
+            message: `Compared with earlier days: ${changes.join(', ')}. Check the cauldron or its sensor.`,
+            details: { drift: m.drift }
+          };
+        });
+    }
+  }
+];
@@ -0,0 +1,153 @@
+import net from 'net';
+import { EventEmitter } from 'events';
+import config from '../config.js';
+import { SEVERITIES } from './alertRules.js';
+
+// Where alerts go. A sink is { name, events, minSeverity?, enabled(), deliver(event, alert) }
+// where event is 'opened', 'escalated', 'resolved' or 'updated' (an operator
+// acknowledged, snoozed or assigned it). The in-app feed is always on; the
+// webhook and email sinks switch on when configured, and more can be added
+// with registerSink.
+
+const feed = new EventEmitter();
+feed.setMaxListeners(0);
+
+const WEBHOOK_TIMEOUT_MS = 5 * 1000;
+const SMTP_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Receive every alert event on the in-app feed; returns an unsubscribe function
+ */
+export function subscribeToAlerts(listener) {
+  feed.on('alert', listener);
+  return () => feed.off('alert', listener);
+}
+
+const inAppSink = {
+  name: 'in_app',
+  events: ['opened', 'escalated', 'resolved', 'updated'],
+  enabled: () => true,
+  deliver: async (event, alert) => {
+    feed.emit('alert', { event, alert });
+  }
+};
+
+const webhookSink = {
+  name: 'webhook',
+  events: ['opened', 'escalated', 'resolved'],
+  enabled: () => Boolean(config.alerts.webhookUrl),
+  deliver: async (event, alert) => {
+    const response = await fetch(config.alerts.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ event: `alert.${event}`, alert }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status}`);
+    }
+  }
+};
+
+/**
+ * Send a plain-text mail over unauthenticated SMTP (a local relay or the
+ * mock in mock/smtpServer.js). Resolves once the server accepted it.
+ */
+export function sendMail({ host, port, from, to, subject, text }) {
+  const body = text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+  const message = [
+    `From: PotionFlow Alerts <${from}>`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body,
+    '.'
+  ].join('\r\n');
+  // Sent one at a time, each after the server's reply to the previous one
+  const commands = ['EHLO potionflow', `MAIL FROM:<${from}>`, ...to.map(r => `RCPT TO:<${r}>`), 'DATA', message, 'QUIT'];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let next = 0;
+
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('error', reject);
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (line[3] === '-') continue; // multi-line reply continues
+        if (Number(line.slice(0, 3)) >= 400) {
+          socket.destroy();
+          reject(new Error(`SMTP error: ${line}`));
+          return;
+        }
+        if (next < commands.length) {
+          socket.write(`${commands[next++]}\r\n`);
+        } else {
+          socket.end();
+          resolve();
+        }
+      }
+    });
+  });
+}
+
+const emailSink = {
+  name: 'email',
+  events: ['opened', 'escalated'],
+  minSeverity: config.alerts.email.minSeverity,
+  enabled: () => config.alerts.email.to.length > 0,
+  deliver: (event, alert) => {
+    const { smtpHost, smtpPort, from, to } = config.alerts.email;
+    return sendMail({
+      host: smtpHost,
+      port: smtpPort,
+      from,
+      to,
+      subject: `[PotionFlow ${alert.severity.toUpperCase()}] ${alert.title}`,
+      text: [
+        alert.message,
+        '',
+        `Rule: ${alert.rule}`,
+        `Cauldron: ${alert.cauldron_id ?? '-'}`,
+        `First seen: ${alert.first_seen}`,
+        `Status: ${event === 'escalated' ? 'escalated to ' + alert.severity : 'new alert'}`
+      ].join('\n')
+    });
+  }
+};
+
+const sinks = [inAppSink, webhookSink, emailSink];
+
+export function registerSink(sink) {
+  sinks.push(sink);
+}
+
+export function getSinks() {
+  return sinks.map(s => ({ name: s.name, enabled: s.enabled(), events: s.events, minSeverity: s.minSeverity || 'info' }));
+}
+
+/**
+ * Hand an alert event to every enabled sink that wants it.
+ * Returns [{ sink, status, error }]; one failing sink doesn't stop the others.
+ */
+export async function deliverAlert(event, alert) {
+  const wanted = sinks.filter(s => s.enabled() && s.events.includes(event) &&
+    SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(s.minSeverity || 'info'));
+
+  return Promise.all(wanted.map(async sink => {
+    try {
+      await sink.deliver(event, alert);
+      return { sink: sink.name, status: 'delivered', error: null };
+    } catch (error) {
+      console.error(`Alert sink ${sink.name} failed:`, error.message);
+      return { sink: sink.name, status: 'failed', error: error.message };
+    }
+  }));
+}
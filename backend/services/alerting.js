@@ -0,0 +1,260 @@
+import config from '../config.js';
+import dataSource from './dataSource.js';
+import * as store from '../database/store.js';
+import { RULES, RULE_DEFAULTS, SEVERITIES } from './alertRules.js';
+import { deliverAlert } from './alertSinks.js';
+import { getForecasts } from './forecast.js';
+import { getModels } from './rateModel.js';
+import { reconcilePeriod } from './reconciliation.js';
+import { loadReconcileInput } from './reconcileInput.js';
+import { subscribeToReadings } from './levelStream.js';
+
+// Alert engine. Each evaluation builds one snapshot of the network (forecasts,
+// rate models, reconciliation of the last completed days, scheduled visits),
+// runs every rule in alertRules.js against it and reconciles the result with
+// the open alerts in the database: new keys open alerts, keys that hold again
+// bump the existing alert, and keys that are gone resolve it. Every open,
+// escalation and resolution is handed to the sinks in alertSinks.js.
+// Operators acknowledge, snooze, assign and resolve alerts from the dashboard;
+// an alert that gets worse is reopened whatever was done with it.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Forecast horizon the rules look at - only the near term raises alerts
+const FORECAST_HOURS = 2;
+
+let currentEvaluation = null;
+let pendingTimer = null;
+let lastEvaluatedAt = 0;
+let unsubscribe = null;
+
+// Planned witch visits [{ cauldron_id, arrival }]; the route planner plugs in here
+let scheduleProvider = async () => [];
+
+/**
+ * Tell the rules which cauldrons already have a witch on the way.
+ * provider() resolves to [{ cauldron_id, arrival (ISO) }].
+ */
+export function setScheduleProvider(provider) {
+  scheduleProvider = provider;
+}
+
+const dateKey = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+/**
+ * The last `count` days that are over at `now`, oldest first, ending with yesterday
+ */
+export function completedDays(now, count) {
+  const today = new Date(`${dateKey(now)}T00:00:00Z`).getTime();
+  return Array.from({ length: count }, (_, idx) => dateKey(today - (count - idx) * DAY_MS));
+}
+
+async function buildContext(settings) {
+  const [cauldrons, forecasts, models, visits] = await Promise.all([
+    dataSource.getCauldrons(),
+    getForecasts({ hours: FORECAST_HOURS }),
+    getModels(),
+    scheduleProvider()
+  ]);
+
+  // "Now" is the newest reading, not the wall clock - the data can lag behind
+  const now = forecasts.length
+    ? forecasts.map(f => f.as_of).sort().pop()
+    : new Date().toISOString();
+
+  let days = [];
+  if (settings.discrepancyDays > 0) {
+    const dates = completedDays(now, settings.discrepancyDays);
+    days = reconcilePeriod(await loadReconcileInput(dates[0], dates[dates.length - 1]));
+  }
+
+  return {
+    now,
+    names: Object.fromEntries(cauldrons.map(c => [c.id, c.name])),
+    forecasts,
+    models,
+    days,
+    visits: visits || []
+  };
+}
+
+async function notify(event, alert) {
+  const results = await deliverAlert(event, alert);
+  results.forEach(result => store.recordAlertDelivery(alert.id, { event, ...result }));
+}
+
+// Everything that writes alerts runs one at a time, so two passes can't open the same key twice
+let queue = Promise.resolve();
+function exclusive(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Reconcile one rule's current candidates with the alerts tracked for it
+ * (a Map of alert_key -> alert; the keys handled here are removed from it).
+ */
+async function applyRule(ruleId, candidates, tracked, { seen, inScope }, changes) {
+  for (const candidate of candidates) {
+    const existing = tracked.get(candidate.key);
+    tracked.delete(candidate.key);
+
+    if (!existing) {
+      const alert = store.insertAlert({ ...candidate, rule: ruleId, alert_key: candidate.key, seen });
+      changes.opened.push(alert);
+      await notify('opened', alert);
+      continue;
+    }
+
+    store.touchAlert(existing.id, { ...candidate, seen });
+    // Getting worse undoes whatever an operator did with it
+    if (SEVERITIES.indexOf(candidate.severity) > SEVERITIES.indexOf(existing.severity)) {
+      const alert = store.reopenAlert(existing.id);
+      changes.escalated.push(alert);
+      await notify('escalated', alert);
+    }
+  }
+
+  // Whatever is still tracked for this rule no longer holds
+  for (const [key, alert] of tracked) {
+    if (alert.rule !== ruleId) continue;
+    tracked.delete(key);
+    if (alert.status === 'resolved') {
+      store.releaseAlert(alert.id);
+      continue;
+    }
+    if (inScope && !inScope(alert)) continue;
+    const resolved = store.resolveAlert(alert.id, seen);
+    changes.resolved.push(resolved);
+    await notify('resolved', resolved);
+  }
+}
+
+const summarize = (seen, changes) => ({
+  evaluatedAt: seen,
+  opened: changes.opened.length,
+  escalated: changes.escalated.length,
+  resolved: changes.resolved.length,
+  open: store.getOpenAlerts().length,
+  changes
+});
+
+async function doEvaluate(options) {
+  const settings = { ...RULE_DEFAULTS, ...options };
+  const context = await buildContext(settings);
+  const seen = context.now;
+
+  return exclusive(async () => {
+    const tracked = new Map(store.getTrackedAlerts().map(a => [a.alert_key, a]));
+    const changes = { opened: [], escalated: [], resolved: [] };
+
+    for (const rule of RULES) {
+      let candidates;
+      try {
+        candidates = rule.evaluate(context, settings);
+      } catch (error) {
+        // A broken rule shouldn't resolve its alerts or stop the others
+        console.error(`Alert rule ${rule.id} failed:`, error);
+        continue;
+      }
+      const inScope = rule.inScope && ((alert) => rule.inScope(alert, context));
+      await applyRule(rule.id, candidates, tracked, { seen, inScope }, changes);
+    }
+
+    lastEvaluatedAt = Date.now();
+    return summarize(seen, changes);
+  });
+}
+
+/**
+ * Run every rule once. Concurrent callers share the evaluation in progress.
+ * options override RULE_DEFAULTS.
+ */
+export function evaluateAlerts(options = {}) {
+  if (!currentEvaluation) {
+    currentEvaluation = doEvaluate(options).finally(() => {
+      currentEvaluation = null;
+    });
+  }
+  return currentEvaluation;
+}
+
+/**
+ * Alerts worked out elsewhere (the dashboard derives its own from what it
+ * has loaded). Each listed rule is reconciled like an engine rule: alerts
+ * are { key, rule, cauldron_id?, severity, title, message, details } and
+ * open alerts of those rules that are missing get resolved. asOf is the
+ * data time the alerts were derived at.
+ */
+export function syncAlerts({ rules, alerts, asOf }) {
+  return exclusive(async () => {
+    const seen = asOf || new Date().toISOString();
+    const tracked = new Map(store.getTrackedAlerts().map(a => [a.alert_key, a]));
+    const changes = { opened: [], escalated: [], resolved: [] };
+    for (const rule of rules) {
+      await applyRule(rule, alerts.filter(a => a.rule === rule), tracked, { seen }, changes);
+    }
+    return summarize(seen, changes);
+  });
+}
+
+// Operator workflow. Timestamps here are wall-clock time.
+const ACTIONS = {
+  acknowledge: (alert) => store.acknowledgeAlert(alert.id),
+  snooze: (alert, { minutes }) => store.snoozeAlert(alert.id, minutes > 0 ? new Date(Date.now() + minutes * MINUTE_MS).toISOString() : null),
+  assign: (alert, { assignee }) => store.assignAlert(alert.id, assignee),
+  // Held until the condition clears, so it isn't raised again straight away
+  resolve: (alert) => store.resolveAlert(alert.id, new Date().toISOString(), { held: true })
+};
+
+export const ALERT_ACTIONS = Object.keys(ACTIONS);
+
+/**
+ * Apply an operator action ('acknowledge', 'snooze' { minutes },
+ * 'assign' { assignee }, 'resolve') and tell the in-app feed.
+ * Returns the updated alert, or null when it doesn't exist.
+ */
+export function applyAlertAction(id, action, params = {}) {
+  return exclusive(async () => {
+    const alert = store.getAlert(id);
+    if (!alert) return null;
+    const updated = ACTIONS[action](alert, params);
+    await notify(action === 'resolve' ? 'resolved' : 'updated', updated);
+    return updated;
+  });
+}
+
+// Evaluate soon after new data, but not more than once per minIntervalMs
+function scheduleEvaluation() {
+  if (pendingTimer) return;
+  const wait = Math.max(0, lastEvaluatedAt + config.alerts.minIntervalMs - Date.now());
+  pendingTimer = setTimeout(async () => {
+    pendingTimer = null;
+    try {
+      const result = await evaluateAlerts();
+      if (result.opened || result.escalated || result.resolved) {
+        console.log(`🚨 Alerts: ${result.opened} opened, ${result.escalated} escalated, ${result.resolved} resolved (${result.open} open)`);
+      }
+    } catch (error) {
+      console.error('Alert evaluation failed:', error.message);
+    }
+  }, wait);
+}
+
+/**
+ * Evaluate the rules now and again whenever new readings come in
+ */
+export function startAlertEngine() {
+  if (unsubscribe) return;
+  console.log(`🚨 Alert engine on (${RULES.length} rules, at most every ${Math.round(config.alerts.minIntervalMs / 1000)}s)`);
+  unsubscribe = subscribeToReadings(scheduleEvaluation);
+  scheduleEvaluation();
+}
+
+export function stopAlertEngine() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  clearTimeout(pendingTimer);
+  pendingTimer = null;
+}
@@ -0,0 +1,105 @@
+// Minimum-cost assignment (Hungarian algorithm, O(n^3)).
+
+/**
+ * Solve the assignment problem for a cost matrix with rows.length <= columns.
+ * Returns an array mapping each row index to its column index.
+ * Use Infinity for pairs that must never be chosen.
+ */
+export function solveAssignment(cost) {
+  const n = cost.length;
+  if (n === 0) return [];
+  const m = cost[0].length;
+  if (m < n) throw new Error('solveAssignment needs at least as many columns as rows');
+
+  // Potentials and matching use 1-based indices; column 0 is a sentinel
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);   // p[j] = row matched to column j
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = -1;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      if (j1 === -1 || delta === Infinity) {
+        throw new Error('solveAssignment: no feasible assignment');
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    // Walk the augmenting path back
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const result = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (p[j]) result[p[j] - 1] = j - 1;
+  }
+  return result;
+}
+
+/**
+ * Optimal partial matching between two lists. pairCost(a, b) returns a cost,
+ * or Infinity when the pair is not allowed. Leaving an item unmatched costs
+ * unmatchedCost, so a pair is only used when it is cheaper than leaving both
+ * sides unmatched. Returns [[aIndex, bIndex], ...].
+ */
+export function matchOptimally(as, bs, pairCost, unmatchedCost) {
+  const n = as.length + bs.length;
+  if (!as.length || !bs.length) return [];
+
+  // Square matrix: rows are as + one dummy per b, columns are bs + one dummy per a.
+  // A real item paired with a dummy is left unmatched; dummy-dummy pairs are free.
+  const cost = [];
+  for (let i = 0; i < n; i++) {
+    const row = new Array(n);
+    for (let j = 0; j < n; j++) {
+      const realRow = i < as.length;
+      const realColumn = j < bs.length;
+      if (realRow && realColumn) {
+        row[j] = pairCost(as[i], bs[j], i, j);
+      } else if (realRow || realColumn) {
+        row[j] = unmatchedCost;
+      } else {
+        row[j] = 0;
+      }
+    }
+    cost.push(row);
+  }
+
+  return solveAssignment(cost)
+    .slice(0, as.length)
+    .map((j, i) => [i, j])
+    .filter(([, j]) => j < bs.length);
+}
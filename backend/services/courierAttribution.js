@@ -0,0 +1,157 @@
+// Courier attribution: turns reconciliation results into per-witch evidence.
+// Every unexplained litre is charged to the witch who filed the ticket or, for
+// drains nobody ticketed, shared by the witches on duty around that time.
+// A running score per witch tracks how much of their work doesn't add up.
+
+export const ATTRIBUTION_DEFAULTS = {
+  onDutyWindowMinutes: 180, // witches with a collection this close to an unticketed drain were on duty
+  smoothing: 0.3            // weight of each new day in the running score (exponential moving average)
+};
+
+const MINUTE_MS = 60 * 1000;
+const round2 = (value) => Math.round(value * 100) / 100;
+const UNKNOWN_COURIER = 'unknown';
+
+/**
+ * Couriers to blame for an unticketed drain: those with a ticketed drain within
+ * the on-duty window, else everyone who filed a ticket that day, else everyone.
+ */
+function onDutyCouriers(drain, collections, dayCouriers, allCouriers, options) {
+  const start = new Date(drain.start).getTime();
+  const window = options.onDutyWindowMinutes * MINUTE_MS;
+  const nearby = new Set(collections
+    .filter(c => Math.abs(c.ts - start) <= window)
+    .map(c => c.courier_id));
+
+  if (nearby.size) return [...nearby];
+  if (dayCouriers.size) return [...dayCouriers];
+  return allCouriers;
+}
+
+/**
+ * Incidents for one reconciled day (a result of reconcileDay):
+ * [{ date, cauldron_id, type, courier_id, litres, share, ticket_id?, drain_start? }]
+ * litres is positive for potion that went missing and negative for potion
+ * that was ticketed but never drained; share is the courier's part of it.
+ */
+export function attributeDay(day, couriers, options = {}) {
+  const opts = { ...ATTRIBUTION_DEFAULTS, ...options };
+  const allCouriers = couriers.map(c => c.courier_id);
+  const incidents = [];
+
+  // Who collected where and when, from the tickets that matched a drain
+  const collections = [];
+  const dayCouriers = new Set();
+  day.details.forEach(d => d.tickets.forEach(t => {
+    if (t.courier_id) dayCouriers.add(t.courier_id);
+    if (t.matchedDrain && t.courier_id) {
+      collections.push({ courier_id: t.courier_id, ts: new Date(t.matchedDrain).getTime() });
+    }
+  }));
+
+  day.details.forEach(d => {
+    const drainsByTicket = new Map(d.drains.filter(dr => dr.ticketId).map(dr => [dr.ticketId, dr]));
+    const base = { date: day.date, cauldron_id: d.cauldron_id };
+
+    d.tickets.forEach(t => {
+      const courierId = t.courier_id || UNKNOWN_COURIER;
+      if (!t.matchedDrain) {
+        incidents.push({ ...base, type: 'phantom_ticket', courier_id: courierId, ticket_id: t.ticket_id, litres: -t.amount_collected, share: 1 });
+        return;
+      }
+      if (!t.flags.some(f => f.code === 'volume_mismatch')) return;
+      const litres = round2(drainsByTicket.get(t.ticket_id).volumeDrained - t.amount_collected);
+      incidents.push({
+        ...base,
+        type: litres > 0 ? 'under_reported' : 'over_reported',
+        courier_id: courierId,
+        ticket_id: t.ticket_id,
+        drain_start: t.matchedDrain,
+        litres,
+        share: 1
+      });
+    });
+
+    d.unmatchedDrains.forEach(drain => {
+      const suspects = onDutyCouriers(drain, collections, dayCouriers, allCouriers, opts);
+      suspects.forEach(courierId => incidents.push({
+        ...base,
+        type: 'unticketed_drain',
+        courier_id: courierId,
+        drain_start: drain.start,
+        litres: drain.volumeDrained,
+        share: round2(1 / suspects.length)
+      }));
+    });
+  });
+
+  return incidents;
+}
+
+/**
+ * Per-courier suspicion across reconciled days (results of reconcileDay, in
+ * date order). Each day a witch is active scores 0-100: the share of their
+ * attributed volume that is unexplained. The running score smooths those
+ * days so a witch who is a little off every day climbs steadily.
+ */
+export function scoreCouriers(days, couriers, options = {}) {
+  const opts = { ...ATTRIBUTION_DEFAULTS, ...options };
+  const byId = new Map();
+  const entry = (courierId) => {
+    if (!byId.has(courierId)) {
+      const courier = couriers.find(c => c.courier_id === courierId);
+      byId.set(courierId, {
+        courier_id: courierId,
+        name: courier?.name || courierId,
+        score: 0,
+        ticketsFiled: 0,
+        litresTicketed: 0,
+        unexplainedLitres: 0,
+        incidentCounts: { under_reported: 0, over_reported: 0, phantom_ticket: 0, unticketed_drain: 0 },
+        daily: [],
+        incidents: []
+      });
+    }
+    return byId.get(courierId);
+  };
+  couriers.forEach(c => entry(c.courier_id));
+
+  days.forEach(day => {
+    const handled = new Map();   // courier -> litres ticketed today
+    const evidence = new Map();  // courier -> unexplained litres attributed today
+
+    day.details.forEach(d => d.tickets.forEach(t => {
+      const e = entry(t.courier_id || UNKNOWN_COURIER);
+      e.ticketsFiled++;
+      e.litresTicketed += t.amount_collected;
+      handled.set(e.courier_id, (handled.get(e.courier_id) || 0) + t.amount_collected);
+    }));
+
+    attributeDay(day, couriers, opts).forEach(incident => {
+      const e = entry(incident.courier_id);
+      const litres = Math.abs(incident.litres) * incident.share;
+      e.unexplainedLitres += litres;
+      e.incidentCounts[incident.type]++;
+      e.incidents.push(incident);
+      evidence.set(e.courier_id, (evidence.get(e.courier_id) || 0) + litres);
+    });
+
+    byId.forEach(e => {
+      const h = handled.get(e.courier_id) || 0;
+      const x = evidence.get(e.courier_id) || 0;
+      if (h === 0 && x === 0) return; // not working today - score carries over
+      const dayScore = 100 * x / (h + x);
+      e.score = e.daily.length ? opts.smoothing * dayScore + (1 - opts.smoothing) * e.score : dayScore;
+      e.daily.push({ date: day.date, litresTicketed: round2(h), unexplainedLitres: round2(x), dayScore: round2(dayScore), score: round2(e.score) });
+    });
+  });
+
+  return [...byId.values()]
+    .map(e => ({
+      ...e,
+      score: round2(e.score),
+      litresTicketed: round2(e.litresTicketed),
+      unexplainedLitres: round2(e.unexplainedLitres)
+    }))
+    .sort((a, b) => b.score - a.score);
+}
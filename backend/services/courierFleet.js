@@ -0,0 +1,201 @@
+/**
+ * Courier Fleet
+ *
+ * Turns the couriers from /api/Information/couriers into the witches the
+ * optimizer plans for. Each keeps her own:
+ *   - capacity: max_carrying_capacity, unless a capacity override applies to everyone
+ *   - speed: network travel times are divided by speed_multiplier
+ *   - home base: she travels home -> market before her first trip and back after the last
+ *   - availability: a daily available_from - available_to window (UTC) her
+ *     day, commute included, has to fit in
+ *
+ * A courier already on shift when the plan starts (commitments, from a
+ * re-plan) is free once the trip she is on is back at the market, and her
+ * shift keeps counting from her first trip.
+ *
+ * Couriers are ordered by capacity x speed, so the greedy pass hands its first
+ * trips to the most productive witches. When the fleet runs out the optimizer
+ * adds unstaffed witches at speed 1 with the smallest courier's capacity, so a
+ * plan still comes out and the shortfall shows in the result.
+ */
+
+export const FLEET_DEFAULTS = {
+  capacity: 100,  // L per trip for unstaffed witches when nothing else is known
+  speed: 1
+};
+
+const DAY_MINUTES = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const clockMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Availability as { open, length } in minutes from startTime: open is the
+ * opening of the window that is current (open <= 0) or next. It repeats every
+ * day. null when the courier is always available.
+ */
+export function availabilityWindow(courier, startTime) {
+  if (!courier.available_from || !courier.available_to) return null;
+  const from = clockMinutes(courier.available_from);
+  const to = clockMinutes(courier.available_to);
+  const length = to > from ? to - from : to + DAY_MINUTES - from;
+  if (length >= DAY_MINUTES || from === to) return null;
+
+  const start = new Date(startTime);
+  const nowMinutes = start.getUTCHours() * 60 + start.getUTCMinutes() + start.getUTCSeconds() / 60;
+  let open = from - nowMinutes;
+  if (open > 0) open -= DAY_MINUTES;           // most recent opening
+  if (open + length <= 0) open += DAY_MINUTES; // that window is over - the next one
+  return { open, length };
+}
+
+/**
+ * Whether [from, to] (minutes from the start) fits in one of the daily
+ * windows, shrunk by `margin` at both ends
+ */
+export function fitsWindow(window, from, to, margin = 0) {
+  if (!window) return true;
+  const day = Math.floor((from - window.open - margin) / DAY_MINUTES);
+  const open = window.open + day * DAY_MINUTES + margin;
+  return from >= open - 1e-6 && to <= open + window.length - 2 * margin + 1e-6;
+}
+
+/**
+ * Witch profiles for the couriers.
+ * context: { capacity (override), startTime (ms), horizonMinutes, commute(homeBase, speed) -> minutes or null,
+ *            maxShiftMinutes, startFrom(minute) -> first minute a shift may start from then,
+ *            commitments: { courierId: { trips: [{ start, end }] } } - trips already made or under way,
+ *            in minutes from startTime }
+ * Returns { witches, excluded } - excluded couriers can't work this plan ({ courierId, name, reason }).
+ */
+export function buildFleet(couriers, context) {
+  const {
+    capacity, startTime, horizonMinutes, commute, maxShiftMinutes = Infinity, startFrom = minute => minute, commitments = {}
+  } = context;
+  const witches = [];
+  const excluded = [];
+
+  couriers.forEach(courier => {
+    const speed = courier.speed_multiplier ?? FLEET_DEFAULTS.speed;
+    const commuteMinutes = commute(courier.home_base, speed);
+    if (commuteMinutes === null) {
+      excluded.push({ courierId: courier.courier_id, name: courier.name, reason: `Home base ${courier.home_base} isn't connected to the market` });
+      return;
+    }
+
+    // The first trip leaves once she is available, has reached the market and
+    // shifts may start - or, on shift already, once she is back from her trip
+    const committedTrips = commitments[courier.courier_id]?.trips || [];
+    const onShiftSince = committedTrips.length ? committedTrips[0].start : null;
+    const window = availabilityWindow(courier, startTime);
+    const dayStart = window ? Math.max(0, window.open) : 0;
+    const dayEnd = window ? window.open + window.length : horizonMinutes;
+    const startOffset = onShiftSince === null
+      ? startFrom(dayStart + commuteMinutes)
+      : Math.max(0, committedTrips[committedTrips.length - 1].end);
+    const availableMinutes = Math.min(horizonMinutes, dayEnd - commuteMinutes - startOffset);
+    const shiftMinutes = Math.min(availableMinutes,
+      onShiftSince === null ? maxShiftMinutes : maxShiftMinutes - (startOffset - onShiftSince));
+    if (shiftMinutes <= 0) {
+      excluded.push({
+        courierId: courier.courier_id,
+        name: courier.name,
+        reason: onShiftSince === null
+          ? 'Her availability leaves no time for a shift after the commute and the shift start window'
+          : 'Her shift is used up by the trips she has already made'
+      });
+      return;
+    }
+
+    witches.push({
+      witchId: courier.courier_id,
+      courierId: courier.courier_id,
+      name: courier.name,
+      capacity: capacity ?? courier.max_carrying_capacity,
+      speed,
+      homeBase: courier.home_base ?? null,
+      commuteMinutes: round1(commuteMinutes),
+      availableFrom: courier.available_from ?? null,
+      availableTo: courier.available_to ?? null,
+      window,
+      startOffset,
+      availableMinutes,
+      shiftMinutes,
+      onShiftSince,
+      committedTrips,
+      unstaffed: false
+    });
+  });
+
+  // Most productive first; the sort is stable, so ties keep the API order
+  witches.sort((a, b) => b.capacity * b.speed - a.capacity * a.speed);
+  return { witches, excluded };
+}
+
+/**
+ * Stand-in witch for when the fleet is too small (number counts from 1)
+ */
+export function unstaffedWitch(number, name, { capacity, horizonMinutes, maxShiftMinutes = Infinity, startOffset = 0 }) {
+  return {
+    witchId: `unstaffed_${number}`,
+    courierId: null,
+    name,
+    capacity,
+    speed: FLEET_DEFAULTS.speed,
+    homeBase: null,
+    commuteMinutes: 0,
+    availableFrom: null,
+    availableTo: null,
+    window: null,
+    startOffset,
+    availableMinutes: horizonMinutes - startOffset,
+    shiftMinutes: Math.min(horizonMinutes - startOffset, maxShiftMinutes),
+    onShiftSince: null,
+    committedTrips: [],
+    unstaffed: true
+  };
+}
+
+/**
+ * Per-courier utilization of a plan.
+ * plan: trips per witch, aligned with `witches`
+ */
+export function fleetUtilization(witches, plan, excluded, startTime) {
+  const couriers = witches.map((witch, slot) => {
+    const trips = plan[slot] || [];
+    const workMinutes = trips.reduce((sum, trip) => sum + trip.totalTime, 0);
+    const volume = trips.reduce((sum, trip) => sum + trip.totalVolume, 0);
+    return {
+      witchId: witch.witchId,
+      courierId: witch.courierId,
+      name: witch.name,
+      unstaffed: witch.unstaffed,
+      capacity: witch.capacity,
+      speedMultiplier: witch.speed,
+      homeBase: witch.homeBase,
+      commuteMinutes: witch.commuteMinutes,
+      availableFrom: witch.availableFrom,
+      availableTo: witch.availableTo,
+      firstDeparture: new Date(startTime + Math.max(witch.startOffset, trips[0]?.notBefore ?? 0) * MINUTE_MS).toISOString(),
+      shiftMinutes: round1(witch.shiftMinutes),
+      assigned: trips.length > 0,
+      trips: trips.length,
+      volume: round1(volume),
+      workMinutes: round1(workMinutes),
+      timeUtilization: witch.shiftMinutes > 0 ? Math.round(workMinutes / witch.shiftMinutes * 1000) / 1000 : 0,
+      capacityUtilization: trips.length ? Math.round(volume / (trips.length * witch.capacity) * 1000) / 1000 : 0
+    };
+  });
+
+  return {
+    couriers,
+    excluded,
+    staffed: couriers.filter(c => c.assigned && !c.unstaffed).length,
+    unstaffedWitches: couriers.filter(c => c.assigned && c.unstaffed).length
+  };
+}
@@ -0,0 +1,72 @@
+import config from '../config.js';
+import * as store from '../database/store.js';
+import { getUpstream } from './upstreamClient.js';
+import {
+  normalizeCauldrons,
+  normalizeCouriers,
+  normalizeNetwork,
+  normalizeMarket,
+  normalizeLevelSnapshots,
+  normalizeTickets
+} from './normalize.js';
+
+// Single entry point the routes use to read data. Depending on
+// config.dataSource it either proxies the HackUTD API or reads SQLite.
+// The raw sources return HackUTD API shapes; the default export converts
+// them to the canonical schema documented in normalize.js.
+
+// The upstream API has no market endpoint we rely on - it is a fixed node in the network
+const UPSTREAM_MARKET = {
+  id: 'market_001',
+  name: 'Enchanted Market',
+  type: 'market',
+  latitude: 32.9857,
+  longitude: -96.7501,
+  unload_time_min: 15
+};
+
+const upstreamSource = {
+  name: 'upstream',
+  getCauldrons: () => getUpstream('/api/Information/cauldrons'),
+  getNetwork: () => getUpstream('/api/Information/network'),
+  getCouriers: () => getUpstream('/api/Information/couriers'),
+  getMarket: async () => UPSTREAM_MARKET,
+  getLevelData: (startDate = 0, endDate = 2000000000, options) =>
+    getUpstream(`/api/Data?start_date=${startDate}&end_date=${endDate}`, options),
+  getTickets: () => getUpstream('/api/Tickets')
+};
+
+const sqliteSource = {
+  name: 'sqlite',
+  getCauldrons: async () => store.getCauldrons(),
+  getNetwork: async () => store.getNetwork(),
+  getCouriers: async () => store.getCouriers(),
+  getMarket: async () => ({ type: 'market', unload_time_min: 15, ...store.getMarket() }),
+  getLevelData: async (startDate = 0, endDate = 2000000000) => store.getLevelSnapshots(startDate, endDate),
+  getTickets: async () => store.getTickets()
+};
+
+const rawSource = config.dataSource === 'sqlite' ? sqliteSource : upstreamSource;
+
+// Normalized results may be shared between requests - treat them as read-only
+const dataSource = {
+  name: rawSource.name,
+  getCauldrons: async () => normalizeCauldrons(await rawSource.getCauldrons()),
+  getNetwork: async () => normalizeNetwork(await rawSource.getNetwork()),
+  getCouriers: async () => normalizeCouriers(await rawSource.getCouriers()),
+  getMarket: async () => normalizeMarket(await rawSource.getMarket()),
+  // Flat LevelReadings between two unix timestamps (seconds), sorted by time.
+  // Pass { cache: false } for one-off upstream windows (e.g. polling for new data)
+  getLevelReadings: async (startDate = 0, endDate = 2000000000, options) =>
+    normalizeLevelSnapshots(await rawSource.getLevelData(startDate, endDate, options)),
+  // Most recent reading per cauldron
+  getLatestReadings: async () => {
+    const latest = new Map();
+    (await dataSource.getLevelReadings()).forEach(r => latest.set(r.cauldron_id, r));
+    return [...latest.values()];
+  },
+  getTickets: async () => normalizeTickets(await rawSource.getTickets())
+};
+
+export { upstreamSource, sqliteSource };
+export default dataSource;
@@ -0,0 +1,204 @@
+// Drain event detection on one cauldron's level series.
+//
+// 1. A rolling median smooths sensor noise and single-sample spikes.
+// 2. The fill trend and noise level come from robust statistics (median and
+//    MAD) of the per-minute changes, so the drains themselves don't skew them.
+// 3. Steps falling well below the trend are grouped into candidate drains,
+//    tolerating a few noisy samples inside one drain.
+// 4. Each start and end is moved to the changepoint where the mean slope
+//    shifts most, using the raw readings.
+// 5. The fill rate is estimated locally around each drain and used to
+//    extrapolate the level before and after it.
+
+export const DETECTION_DEFAULTS = {
+  minDrop: 5,              // L - smaller drains are ignored
+  smoothingWindow: 5,      // samples in the rolling median
+  noiseThreshold: 4,       // how many noise sigmas below the fill trend a step must fall
+  maxGapSamples: 2,        // non-falling steps tolerated inside one drain
+  boundarySearch: 3,       // samples searched either side when refining start and end
+  localWindowMinutes: 60,  // readings either side of a drain used for its fill rate
+  fillRate: null           // L/min used when a drain has too few readings around it (default: the series trend)
+};
+
+const MINUTE_MS = 60 * 1000;
+const MAD_TO_SIGMA = 1.4826;
+const LEVEL_SAMPLES = 5;   // samples used to pin the level before and after a drain
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Centered rolling median; the window shrinks at the edges
+ */
+export function rollingMedian(values, window) {
+  const half = Math.floor(window / 2);
+  return values.map((_, i) => median(values.slice(Math.max(0, i - half), i + half + 1)));
+}
+
+/**
+ * Robust trend and spread of a list of rates: { trend, sigma }
+ */
+export function robustSpread(rates) {
+  const trend = median(rates);
+  const sigma = MAD_TO_SIGMA * median(rates.map(r => Math.abs(r - trend)));
+  return { trend, sigma };
+}
+
+// Per-minute rate of step i (from sample i-1 to i); index 0 is unused
+function stepRates(series, volumes) {
+  const rates = [0];
+  for (let i = 1; i < series.length; i++) {
+    const minutes = Math.max((series[i].ts - series[i - 1].ts) / MINUTE_MS, 1e-9);
+    rates.push((volumes[i] - volumes[i - 1]) / minutes);
+  }
+  return rates;
+}
+
+// Runs of flagged steps, allowing up to maxGap unflagged steps inside a run.
+// Returns [{ first, last }] step indices.
+function groupRuns(flagged, maxGap) {
+  const runs = [];
+  let current = null;
+  for (let i = 1; i < flagged.length; i++) {
+    if (!flagged[i]) continue;
+    if (current && i - current.last - 1 <= maxGap) {
+      current.last = i;
+    } else {
+      current = { first: i, last: i };
+      runs.push(current);
+    }
+  }
+  return runs;
+}
+
+// Mean of rates over steps [from, to], clamped to the series
+function meanRate(rates, from, to) {
+  const slice = rates.slice(Math.max(1, from), Math.min(rates.length - 1, to) + 1);
+  return slice.length ? mean(slice) : null;
+}
+
+/**
+ * Move a drain boundary to the sample where the mean slope shifts most.
+ * direction = 1 for a start (rising before, falling after), -1 for an end.
+ */
+function refineBoundary(rates, guess, search, direction, lo, hi) {
+  let best = guess;
+  let bestShift = -Infinity;
+  for (let i = Math.max(lo, guess - search); i <= Math.min(hi, guess + search); i++) {
+    const before = meanRate(rates, i - 2, i);
+    const after = meanRate(rates, i + 1, i + 3);
+    if (before === null || after === null) continue;
+    const shift = direction * (before - after);
+    if (shift > bestShift) {
+      bestShift = shift;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect drains in a time-sorted series [{ ts, volume }].
+ * Returns [{ startIndex, endIndex, startTs, endTs, levelBefore, levelAfter,
+ *            drop, fillRate, volume, confidence }]
+ * where volume adds back what the cauldron filled during the drain and
+ * confidence (0-1) reflects how clearly the drain stands out from the noise.
+ */
+export function detectDrains(series, options = {}) {
+  const opts = { ...DETECTION_DEFAULTS, ...options };
+  if (series.length < 3) return [];
+
+  const raw = series.map(p => p.volume);
+  const rawRates = stepRates(series, raw);
+  const smoothRates = stepRates(series, rollingMedian(raw, opts.smoothingWindow));
+
+  const { trend, sigma: rawSigma } = robustSpread(rawRates.slice(1));
+  const { sigma: smoothSigma } = robustSpread(smoothRates.slice(1));
+  // A small floor keeps perfectly clean data from flagging every wobble
+  const threshold = trend - Math.max(opts.noiseThreshold * smoothSigma, 0.1);
+  const flagged = smoothRates.map((rate, i) => i > 0 && rate < threshold);
+
+  const runs = groupRuns(flagged, opts.maxGapSamples);
+  const draining = new Set();
+  runs.forEach(run => {
+    for (let i = run.first; i <= run.last; i++) draining.add(i);
+  });
+
+  const levelNoise = Math.max(rawSigma / Math.SQRT2, 0.01);
+  const last = series.length - 1;
+  const events = [];
+
+  runs.forEach((run, r) => {
+    // Keep refined boundaries between the neighbouring drains
+    const lo = r > 0 ? runs[r - 1].last : 0;
+    const hi = r < runs.length - 1 ? runs[r + 1].first - 1 : last;
+    const start = refineBoundary(rawRates, run.first - 1, opts.boundarySearch, 1, lo, hi);
+    const end = refineBoundary(rawRates, run.last, opts.boundarySearch, -1, start + 1, hi);
+    if (end <= start) return;
+
+    const startTs = series[start].ts;
+    const endTs = series[end].ts;
+    const window = opts.localWindowMinutes * MINUTE_MS;
+
+    // Local fill rate from the quiet steps either side
+    const around = [];
+    let preCount = 0;
+    let postCount = 0;
+    for (let i = 1; i <= last; i++) {
+      if (draining.has(i)) continue;
+      if (i <= start && series[i].ts >= startTs - window) {
+        around.push(rawRates[i]);
+        preCount++;
+      } else if (i > end && series[i].ts <= endTs + window) {
+        around.push(rawRates[i]);
+        postCount++;
+      }
+    }
+    const fillRate = Math.max(0, around.length >= 3 ? median(around) : (opts.fillRate ?? trend));
+
+    // Extrapolate the fill line on each side to the drain boundary
+    const before = [];
+    for (let i = start; i >= Math.max(0, start - LEVEL_SAMPLES + 1); i--) {
+      before.push(raw[i] + fillRate * (startTs - series[i].ts) / MINUTE_MS);
+    }
+    const after = [];
+    for (let i = end; i <= Math.min(last, end + LEVEL_SAMPLES - 1); i++) {
+      after.push(raw[i] - fillRate * (series[i].ts - endTs) / MINUTE_MS);
+    }
+    const levelBefore = median(before);
+    const levelAfter = median(after);
+    const drop = levelBefore - levelAfter;
+    if (drop < opts.minDrop) return;
+
+    const minutes = (endTs - startTs) / MINUTE_MS;
+
+    // Confidence: size against noise, how consistently the level fell, and
+    // whether we saw the cauldron filling on both sides
+    const strength = 1 - Math.exp(-drop / levelNoise / 20);
+    const steps = rawRates.slice(start + 1, end + 1);
+    const consistency = steps.filter(rate => rate < fillRate).length / steps.length;
+    const context = Math.min(1, Math.min(preCount, postCount) / 3);
+    const confidence = strength * consistency * (0.5 + 0.5 * context);
+
+    events.push({
+      startIndex: start,
+      endIndex: end,
+      startTs,
+      endTs,
+      levelBefore: Math.round(levelBefore * 100) / 100,
+      levelAfter: Math.round(levelAfter * 100) / 100,
+      drop,
+      fillRate,
+      volume: drop + fillRate * minutes,
+      confidence: Math.round(confidence * 100) / 100
+    });
+  });
+
+  return events;
+}
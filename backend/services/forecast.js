@@ -0,0 +1,176 @@
+import dataSource from './dataSource.js';
+import { getModel, getModels } from './rateModel.js';
+import { detectDrains, robustSpread } from './drainDetection.js';
+import { toSeries } from './reconciliation.js';
+
+// Level forecasts: where each cauldron is heading if nobody collects from it.
+// The level grows at the fitted fill rate from a robust estimate of the
+// current level. Uncertainty combines the sensor noise around that estimate
+// with how much the fill rate varied from day to day, so the bands widen
+// the further out the forecast goes.
+
+export const FORECAST_DEFAULTS = {
+  hours: 24,
+  stepMinutes: 10,
+  confidence: 0.9,
+  lookbackMinutes: 60   // readings used to pin the current level
+};
+
+// Two-sided normal quantiles for the supported confidence levels
+export const Z_SCORES = { 0.5: 0.6745, 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+const MINUTE_MS = 60 * 1000;
+// Share of the fill rate assumed as its spread when there are too few days to measure it
+const DEFAULT_RATE_SPREAD = 0.1;
+const MIN_RATE_SPREAD = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Spread of the fill rate (L/min, one sigma) from the model's daily history.
+ * Drift widens it to at least the distance from the earlier baseline.
+ */
+function fillRateSigma(model, fillRate) {
+  const daily = model.history.filter(w => w.complete && w.fill_rate != null).map(w => w.fill_rate);
+  let sigma = stdDev(daily) ?? DEFAULT_RATE_SPREAD * fillRate;
+  if (model.drift.drifting && model.drift.fill_rate) {
+    sigma = Math.max(sigma, Math.abs(model.drift.fill_rate.current - model.drift.fill_rate.baseline));
+  }
+  return Math.max(sigma, MIN_RATE_SPREAD * fillRate);
+}
+
+/**
+ * Current level and its noise from the readings since the last drain:
+ * each reading is projected forward to the newest one along the fill rate.
+ */
+function currentLevel(series, fillRate, lookbackMinutes) {
+  const latest = series[series.length - 1];
+  const drains = detectDrains(series);
+  const lastDrain = drains[drains.length - 1];
+  const firstIndex = lastDrain ? lastDrain.endIndex : 0;
+
+  const projected = series
+    .slice(firstIndex)
+    .filter(p => latest.ts - p.ts <= lookbackMinutes * MINUTE_MS)
+    .map(p => p.volume + fillRate * (latest.ts - p.ts) / MINUTE_MS);
+  const { trend, sigma } = robustSpread(projected);
+
+  return {
+    level: trend,
+    sigma: Math.max(sigma, 0.01),
+    draining: Boolean(lastDrain && lastDrain.endIndex === series.length - 1)
+  };
+}
+
+// Minutes until mu(t) + k * sigma(t) reaches max, solving along the fill line
+function minutesToReach(headroom, rate, levelOffset) {
+  if (headroom - levelOffset <= 0) return 0;
+  return rate > 0 ? (headroom - levelOffset) / rate : Infinity;
+}
+
+/**
+ * Forecast one cauldron from its recent readings and rate model.
+ * Returns the projected levels with a confidence band, and when the cauldron
+ * is expected to overflow (earliest and latest at the same confidence).
+ */
+export function forecastCauldron({ cauldron, series, model, options = {} }) {
+  const opts = { ...FORECAST_DEFAULTS, ...options };
+  const z = Z_SCORES[opts.confidence];
+  const fillRate = model?.fill_rate ?? cauldron.fill_rate ?? 0;
+  const rateSigma = model ? fillRateSigma(model, fillRate) : DEFAULT_RATE_SPREAD * fillRate;
+  const now = currentLevel(series, fillRate, opts.lookbackMinutes);
+  const asOf = series[series.length - 1].ts;
+  const max = cauldron.max_volume;
+
+  const points = [];
+  for (let minutes = 0; minutes <= opts.hours * 60; minutes += opts.stepMinutes) {
+    const level = now.level + fillRate * minutes;
+    const spread = z * Math.sqrt(now.sigma ** 2 + (rateSigma * minutes) ** 2);
+    points.push({
+      timestamp: new Date(asOf + minutes * MINUTE_MS).toISOString(),
+      // A cauldron can't hold more than its capacity - the rest spills
+      level: round2(Math.min(max, level)),
+      lower: round2(Math.min(max, Math.max(0, level - spread))),
+      upper: round2(Math.min(max, level + spread))
+    });
+  }
+
+  // Earliest: fast fill from a high start; latest: slow fill from a low start
+  const headroom = max - now.level;
+  const expected = minutesToReach(headroom, fillRate, 0);
+  const earliest = minutesToReach(headroom, fillRate + z * rateSigma, z * now.sigma);
+  const latest = minutesToReach(headroom, fillRate - z * rateSigma, -z * now.sigma);
+  const at = (minutes) => (Number.isFinite(minutes) ? new Date(asOf + minutes * MINUTE_MS).toISOString() : null);
+  const round = (minutes) => (Number.isFinite(minutes) ? Math.round(minutes) : null);
+
+  return {
+    cauldron_id: cauldron.id,
+    as_of: new Date(asOf).toISOString(),
+    hours: opts.hours,
+    step_minutes: opts.stepMinutes,
+    confidence: opts.confidence,
+    max_volume: max,
+    current_level: round2(now.level),
+    level_sigma: round2(now.sigma),
+    fill_rate: round4(fillRate),
+    fill_rate_sigma: round4(rateSigma),
+    draining: now.draining,
+    overflow: {
+      expected_at: at(expected),
+      earliest_at: at(earliest),
+      latest_at: at(latest),
+      minutes: { expected: round(expected), earliest: round(earliest), latest: round(latest) }
+    },
+    points
+  };
+}
+
+// Recent readings of every cauldron, up to the newest reading
+async function recentSeries(lookbackMinutes) {
+  const latest = await dataSource.getLatestReadings();
+  if (!latest.length) return {};
+  const newest = Math.max(...latest.map(r => new Date(r.timestamp).getTime()));
+  // Extra history so a drain just before the lookback window is still seen whole
+  const from = Math.floor((newest - (lookbackMinutes + 180) * MINUTE_MS) / 1000);
+  return toSeries(await dataSource.getLevelReadings(from, Math.ceil(newest / 1000)));
+}
+
+/**
+ * Forecast for one cauldron; null when it doesn't exist or has no readings
+ */
+export async function getForecast(cauldronId, options = {}) {
+  const opts = { ...FORECAST_DEFAULTS, ...options };
+  const [cauldrons, seriesById, model] = await Promise.all([
+    dataSource.getCauldrons(),
+    recentSeries(opts.lookbackMinutes),
+    getModel(cauldronId)
+  ]);
+  const cauldron = cauldrons.find(c => c.id === cauldronId);
+  const series = seriesById[cauldronId];
+  if (!cauldron || !series?.length) return null;
+  return forecastCauldron({ cauldron, series, model, options: opts });
+}
+
+/**
+ * Forecasts for every cauldron with readings, soonest expected overflow first
+ */
+export async function getForecasts(options = {}) {
+  const opts = { ...FORECAST_DEFAULTS, ...options };
+  const [cauldrons, seriesById, models] = await Promise.all([
+    dataSource.getCauldrons(),
+    recentSeries(opts.lookbackMinutes),
+    getModels()
+  ]);
+  const modelsById = new Map(models.map(m => [m.cauldron_id, m]));
+  return cauldrons
+    .filter(c => seriesById[c.id]?.length)
+    .map(c => forecastCauldron({ cauldron: c, series: seriesById[c.id], model: modelsById.get(c.id), options: opts }))
+    .sort((a, b) => (a.overflow.minutes.expected ?? Infinity) - (b.overflow.minutes.expected ?? Infinity));
+}
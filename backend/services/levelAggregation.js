@@ -0,0 +1,113 @@
+// Server-side reduction of minute-level readings for charts and summaries.
+
+export const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Group readings (sorted by time) into fixed UTC buckets per cauldron.
+ * Returns { cauldron_id: [{ timestamp, min, max, avg, first, last, count }] }
+ * where timestamp is the bucket start.
+ */
+export function aggregateReadings(readings, resolutionMs) {
+  const result = {};
+  const open = {}; // cauldron_id -> bucket being filled
+
+  const close = (cauldronId) => {
+    const bucket = open[cauldronId];
+    if (!bucket) return;
+    result[cauldronId].push({
+      timestamp: new Date(bucket.start).toISOString(),
+      min: bucket.min,
+      max: bucket.max,
+      avg: round2(bucket.sum / bucket.count),
+      first: bucket.first,
+      last: bucket.last,
+      count: bucket.count
+    });
+  };
+
+  readings.forEach(r => {
+    const start = Math.floor(new Date(r.timestamp).getTime() / resolutionMs) * resolutionMs;
+    if (!result[r.cauldron_id]) result[r.cauldron_id] = [];
+
+    const bucket = open[r.cauldron_id];
+    if (bucket && bucket.start === start) {
+      bucket.min = Math.min(bucket.min, r.volume);
+      bucket.max = Math.max(bucket.max, r.volume);
+      bucket.sum += r.volume;
+      bucket.last = r.volume;
+      bucket.count++;
+      return;
+    }
+
+    close(r.cauldron_id);
+    open[r.cauldron_id] = {
+      start,
+      min: r.volume,
+      max: r.volume,
+      sum: r.volume,
+      first: r.volume,
+      last: r.volume,
+      count: 1
+    };
+  });
+
+  Object.keys(open).forEach(close);
+  return result;
+}
+
+/**
+ * Largest-Triangle-Three-Buckets downsampling of one cauldron's readings.
+ * Keeps the first and last point and, per bucket, the point that forms the
+ * largest triangle with its neighbours - so spikes and drains survive.
+ */
+export function lttb(readings, threshold) {
+  if (threshold >= readings.length || threshold < 3) return readings;
+
+  const x = readings.map(r => new Date(r.timestamp).getTime());
+  const sampled = [readings[0]];
+  const bucketSize = (readings.length - 2) / (threshold - 2);
+  let a = 0; // index of the previously selected point
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket is the third triangle vertex
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, readings.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += x[j];
+      avgY += readings[j].volume;
+    }
+    const nextCount = Math.max(1, nextEnd - nextStart);
+    avgX /= nextCount;
+    avgY /= nextCount;
+
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (x[a] - avgX) * (readings[j].volume - readings[a].volume) -
+        (x[a] - x[j]) * (avgY - readings[a].volume)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+
+    sampled.push(readings[chosen]);
+    a = chosen;
+  }
+
+  sampled.push(readings[readings.length - 1]);
+  return sampled;
+}
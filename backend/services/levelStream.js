@@ -0,0 +1,84 @@
+import { EventEmitter } from 'events';
+import config from '../config.js';
+import dataSource from './dataSource.js';
+
+// Fan-out of new level readings to live clients (see routes/stream.js).
+// With the sync worker running, it publishes whatever it ingests. Otherwise
+// the data source is polled for readings newer than the last one published,
+// but only while someone is listening.
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let cursor = null;       // ISO timestamp of the newest reading published
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Publish canonical readings (sorted by time). Anything at or before the
+ * cursor has already gone out and is skipped.
+ */
+export function publishReadings(readings) {
+  if (!readings.length) return;
+  const newest = readings[readings.length - 1].timestamp;
+
+  // First batch after startup: only the current state is news, not the backlog
+  const fresh = cursor
+    ? readings.filter(r => r.timestamp > cursor)
+    : readings.filter(r => r.timestamp === newest);
+
+  if (!cursor || newest > cursor) cursor = newest;
+  if (fresh.length) emitter.emit('readings', fresh);
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    if (!cursor) {
+      const latest = await dataSource.getLatestReadings();
+      latest.forEach(r => {
+        if (!cursor || r.timestamp > cursor) cursor = r.timestamp;
+      });
+      return;
+    }
+    const since = Math.floor(new Date(cursor).getTime() / 1000) + 1;
+    publishReadings(await dataSource.getLevelReadings(since, undefined, { cache: false }));
+  } catch (error) {
+    console.error('Level stream poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+function startPolling() {
+  if (pollTimer || config.syncEnabled) return;
+  poll();
+  pollTimer = setInterval(poll, config.streamPollMs);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Receive every batch of new readings; returns an unsubscribe function
+ */
+export function subscribeToReadings(listener) {
+  emitter.on('readings', listener);
+  startPolling();
+
+  return () => {
+    emitter.off('readings', listener);
+    if (emitter.listenerCount('readings') === 0) stopPolling();
+  };
+}
+
+export function getStreamStatus() {
+  return {
+    clients: emitter.listenerCount('readings'),
+    mode: config.syncEnabled ? 'sync' : 'poll',
+    latestPublished: cursor
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Small LP / ILP Solver
+ *
+ * Two-phase simplex on a dense tableau, and depth-first branch-and-bound on
+ * top of it for integer variables. Sized for the few hundred variables of the
+ * witch-count model in witchBounds.js - not a general-purpose solver.
+ *
+ * A problem is { objective: [c_j] (minimized), constraints: [{ coefficients, type, rhs }] }
+ * with coefficients a sparse { [j]: a_ij } object, type '<=', '>=' or '=', and
+ * every variable >= 0.
+ */
+
+const EPS = 1e-9;
+
+function pivot(tableau, row, col) {
+  const pivotRow = tableau[row];
+  const value = pivotRow[col];
+  for (let j = 0; j < pivotRow.length; j++) pivotRow[j] /= value;
+  for (let i = 0; i < tableau.length; i++) {
+    if (i === row) continue;
+    const factor = tableau[i][col];
+    if (Math.abs(factor) < EPS) continue;
+    const target = tableau[i];
+    for (let j = 0; j < target.length; j++) target[j] -= factor * pivotRow[j];
+  }
+}
+
+// Pivot until no allowed column improves the cost row (the last row); false when unbounded
+function iterate(tableau, basis, allowed, maxIterations) {
+  const costRow = tableau[tableau.length - 1];
+  const rhs = costRow.length - 1;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let col = -1;
+    let best = -EPS;
+    for (let j = 0; j < rhs; j++) {
+      if (allowed[j] && costRow[j] < best) {
+        best = costRow[j];
+        col = j;
+      }
+    }
+    if (col < 0) return true;
+
+    let row = -1;
+    let ratio = Infinity;
+    for (let i = 0; i < tableau.length - 1; i++) {
+      const a = tableau[i][col];
+      if (a <= EPS) continue;
+      const r = tableau[i][rhs] / a;
+      if (r < ratio - EPS || (Math.abs(r - ratio) <= EPS && basis[i] < basis[row])) {
+        ratio = r;
+        row = i;
+      }
+    }
+    if (row < 0) return false;
+    pivot(tableau, row, col);
+    basis[row] = col;
+  }
+  throw new Error('Simplex did not converge');
+}
+
+/**
+ * Solve an LP. Returns { status: 'optimal' | 'infeasible' | 'unbounded', value, x }.
+ */
+export function solveLP({ objective, constraints }) {
+  const n = objective.length;
+  const rows = constraints.map(({ coefficients, type, rhs }) => {
+    // Keep every right-hand side non-negative
+    const flip = rhs < 0;
+    const flipped = { '<=': '>=', '>=': '<=', '=': '=' };
+    return {
+      coefficients: Object.entries(coefficients).map(([j, a]) => [Number(j), flip ? -a : a]),
+      type: flip ? flipped[type] : type,
+      rhs: flip ? -rhs : rhs
+    };
+  });
+  const m = rows.length;
+
+  // Columns: original variables, then a slack/surplus per inequality, then artificials
+  const slackCount = rows.filter(r => r.type !== '=').length;
+  const artificialCount = rows.filter(r => r.type !== '<=').length;
+  const width = n + slackCount + artificialCount + 1;
+  const rhs = width - 1;
+  const tableau = Array.from({ length: m + 1 }, () => new Float64Array(width));
+  const basis = new Array(m);
+  const artificial = new Array(width - 1).fill(false);
+
+  let slack = n;
+  let art = n + slackCount;
+  rows.forEach((row, i) => {
+    row.coefficients.forEach(([j, a]) => { tableau[i][j] += a; });
+    tableau[i][rhs] = row.rhs;
+    if (row.type === '<=') {
+      tableau[i][slack] = 1;
+      basis[i] = slack++;
+    } else {
+      if (row.type === '>=') tableau[i][slack++] = -1;
+      tableau[i][art] = 1;
+      artificial[art] = true;
+      basis[i] = art++;
+    }
+  });
+
+  const maxIterations = 50 * (m + width);
+  const cost = tableau[m];
+
+  // Phase 1: drive the artificials to zero
+  if (artificialCount > 0) {
+    cost.fill(0);
+    for (let j = 0; j < rhs; j++) if (artificial[j]) cost[j] = 1;
+    basis.forEach((b, i) => {
+      if (artificial[b]) for (let j = 0; j < width; j++) cost[j] -= tableau[i][j];
+    });
+    iterate(tableau, basis, new Array(rhs).fill(true), maxIterations);
+    if (-cost[rhs] > 1e-7) return { status: 'infeasible', value: null, x: null };
+
+    // Move artificials still basic (at zero) out of the basis where possible
+    basis.forEach((b, i) => {
+      if (!artificial[b]) return;
+      for (let j = 0; j < rhs; j++) {
+        if (!artificial[j] && Math.abs(tableau[i][j]) > EPS) {
+          pivot(tableau, i, j);
+          basis[i] = j;
+          return;
+        }
+      }
+    });
+  }
+
+  // Phase 2: the real objective, artificials barred from entering
+  cost.fill(0);
+  objective.forEach((c, j) => { cost[j] = c; });
+  basis.forEach((b, i) => {
+    const c = b < n ? objective[b] : 0;
+    if (c !== 0) for (let j = 0; j < width; j++) cost[j] -= c * tableau[i][j];
+  });
+  const allowed = artificial.map(a => !a);
+  if (!iterate(tableau, basis, allowed, maxIterations)) {
+    return { status: 'unbounded', value: null, x: null };
+  }
+
+  const x = new Array(n).fill(0);
+  basis.forEach((b, i) => { if (b < n) x[b] = tableau[i][rhs]; });
+  return { status: 'optimal', value: -cost[rhs], x };
+}
+
+/**
+ * Branch-and-bound over solveLP.
+ * options:
+ *   integers     - indices of the integer variables
+ *   rank(value)  - what is actually being minimized, as a function of the LP
+ *                  value (e.g. witches = ceil(work / day)); nodes whose bound
+ *                  can't beat the incumbent's rank are pruned. Default: the value.
+ *   nodeLimit / timeLimitMs
+ * Returns { status: 'optimal' | 'limit' | 'infeasible', value, x, bound, nodes }
+ * where bound is the best rank any solution can have.
+ */
+export function solveILP(problem, { integers, rank = v => v, nodeLimit = 2000, timeLimitMs = 10000 } = {}) {
+  const startedAt = Date.now();
+  const stack = [[]];
+  let incumbent = null;
+  let rootBound = null;
+  let nodes = 0;
+  let exhausted = true;
+
+  while (stack.length > 0) {
+    if (nodes >= nodeLimit || Date.now() - startedAt > timeLimitMs) {
+      exhausted = false;
+      break;
+    }
+    const bounds = stack.pop();
+    nodes++;
+
+    const lp = solveLP({ ...problem, constraints: problem.constraints.concat(bounds) });
+    if (lp.status !== 'optimal') continue;
+    const nodeRank = rank(lp.value);
+    if (rootBound === null) rootBound = nodeRank;
+    if (incumbent && nodeRank >= incumbent.rank) continue;
+
+    // Branch on the most fractional integer variable
+    let branchOn = -1;
+    let fraction = 1e-6;
+    integers.forEach(j => {
+      const f = Math.abs(lp.x[j] - Math.round(lp.x[j]));
+      if (f > fraction) {
+        fraction = f;
+        branchOn = j;
+      }
+    });
+
+    if (branchOn < 0) {
+      incumbent = { ...lp, rank: nodeRank };
+      if (nodeRank <= rootBound) break; // Can't do better than the root relaxation
+      continue;
+    }
+
+    const value = lp.x[branchOn];
+    // Rounding up is explored first - it is usually feasible for covering problems
+    stack.push(bounds.concat({ coefficients: { [branchOn]: 1 }, type: '<=', rhs: Math.floor(value) }));
+    stack.push(bounds.concat({ coefficients: { [branchOn]: 1 }, type: '>=', rhs: Math.ceil(value) }));
+  }
+
+  if (!incumbent) {
+    return { status: exhausted ? 'infeasible' : 'limit', value: null, x: null, bound: rootBound, nodes };
+  }
+  const proven = exhausted || incumbent.rank <= rootBound;
+  return {
+    status: proven ? 'optimal' : 'limit',
+    value: incumbent.value,
+    x: incumbent.x,
+    bound: proven ? incumbent.rank : rootBound,
+    nodes
+  };
+}
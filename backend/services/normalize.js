@@ -0,0 +1,257 @@
+// Canonical data schema. Everything the API returns goes through these
+// normalizers, so consumers can rely on one set of field names:
+//
+//   Cauldron     { id, name, latitude, longitude, max_volume, fill_rate?, drain_rate? }
+//   LevelReading { cauldron_id, timestamp, volume }          timestamp: ISO 8601 UTC
+//   Ticket       { ticket_id, cauldron_id, amount_collected, courier_id, date }   date: YYYY-MM-DD
+//   Courier      { courier_id, name, max_carrying_capacity, speed_multiplier?, home_base?,
+//                  available_from?, available_to? }       available_*: daily 'HH:MM' UTC
+//   NetworkEdge  { from, to, travel_time_minutes }
+//   Market       { id, name, latitude, longitude, description, unload_time_min }
+//
+// Volumes are litres, rates are litres per minute. Records that fail
+// validation are dropped and reported via getQualityReport() instead of
+// being coerced to defaults.
+
+const MAX_REPORTED_REJECTIONS = 20;
+
+const qualityReport = {};
+// Normalized results keyed by the raw payload, so cached upstream responses
+// are only validated once
+const memo = new WeakMap();
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toIsoTimestamp(value) {
+  if (value == null || value === '') return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// ---------- Per-record normalizers: return { value } or { errors } ----------
+
+function normalizeCauldron(raw) {
+  const errors = [];
+  if (!isNonEmptyString(raw?.id)) errors.push('id must be a non-empty string');
+  if (!isFiniteNumber(raw?.latitude) || Math.abs(raw.latitude) > 90) errors.push('latitude must be a number in [-90, 90]');
+  if (!isFiniteNumber(raw?.longitude) || Math.abs(raw.longitude) > 180) errors.push('longitude must be a number in [-180, 180]');
+  if (!isFiniteNumber(raw?.max_volume) || raw.max_volume <= 0) errors.push('max_volume must be a positive number');
+  ['fill_rate', 'drain_rate'].forEach(field => {
+    if (raw?.[field] != null && (!isFiniteNumber(raw[field]) || raw[field] < 0)) {
+      errors.push(`${field} must be a non-negative number when present`);
+    }
+  });
+  if (errors.length) return { errors };
+
+  const value = {
+    id: raw.id,
+    name: isNonEmptyString(raw.name) ? raw.name : raw.id,
+    latitude: raw.latitude,
+    longitude: raw.longitude,
+    max_volume: raw.max_volume
+  };
+  if (raw.fill_rate != null) value.fill_rate = raw.fill_rate;
+  if (raw.drain_rate != null) value.drain_rate = raw.drain_rate;
+  return { value };
+}
+
+function normalizeReading(raw) {
+  const errors = [];
+  const timestamp = toIsoTimestamp(raw?.timestamp);
+  if (!isNonEmptyString(raw?.cauldron_id)) errors.push('cauldron_id must be a non-empty string');
+  if (!timestamp) errors.push('timestamp must be a valid date');
+  if (!isFiniteNumber(raw?.volume) || raw.volume < 0) errors.push('volume must be a non-negative number');
+  if (errors.length) return { errors };
+  return { value: { cauldron_id: raw.cauldron_id, timestamp, volume: raw.volume } };
+}
+
+function normalizeTicket(raw) {
+  const errors = [];
+  const timestamp = toIsoTimestamp(raw?.date);
+  if (!isNonEmptyString(raw?.ticket_id)) errors.push('ticket_id must be a non-empty string');
+  if (!isNonEmptyString(raw?.cauldron_id)) errors.push('cauldron_id must be a non-empty string');
+  if (!isFiniteNumber(raw?.amount_collected) || raw.amount_collected < 0) errors.push('amount_collected must be a non-negative number');
+  if (!timestamp) errors.push('date must be a valid date');
+  if (raw?.courier_id != null && !isNonEmptyString(raw.courier_id)) errors.push('courier_id must be a string when present');
+  if (errors.length) return { errors };
+  return {
+    value: {
+      ticket_id: raw.ticket_id,
+      cauldron_id: raw.cauldron_id,
+      amount_collected: raw.amount_collected,
+      courier_id: raw.courier_id ?? null,
+      date: timestamp.slice(0, 10)
+    }
+  };
+}
+
+function normalizeCourier(raw) {
+  const errors = [];
+  if (!isNonEmptyString(raw?.courier_id)) errors.push('courier_id must be a non-empty string');
+  if (!isFiniteNumber(raw?.max_carrying_capacity) || raw.max_carrying_capacity <= 0) {
+    errors.push('max_carrying_capacity must be a positive number');
+  }
+  if (raw?.speed_multiplier != null && (!isFiniteNumber(raw.speed_multiplier) || raw.speed_multiplier <= 0)) {
+    errors.push('speed_multiplier must be a positive number when present');
+  }
+  if (raw?.home_base != null && !isNonEmptyString(raw.home_base)) errors.push('home_base must be a node id when present');
+  const window = [raw?.available_from, raw?.available_to];
+  if (window.some(time => time != null)) {
+    if (!window.every(time => typeof time === 'string' && CLOCK_TIME.test(time))) {
+      errors.push('available_from and available_to must both be HH:MM times');
+    }
+  }
+  if (errors.length) return { errors };
+
+  const value = {
+    courier_id: raw.courier_id,
+    name: isNonEmptyString(raw.name) ? raw.name : raw.courier_id,
+    max_carrying_capacity: raw.max_carrying_capacity
+  };
+  if (raw.speed_multiplier != null) value.speed_multiplier = raw.speed_multiplier;
+  if (raw.home_base != null) value.home_base = raw.home_base;
+  if (raw.available_from != null) {
+    value.available_from = raw.available_from;
+    value.available_to = raw.available_to;
+  }
+  return { value };
+}
+
+function normalizeEdge(raw) {
+  const errors = [];
+  if (!isNonEmptyString(raw?.from)) errors.push('from must be a non-empty string');
+  if (!isNonEmptyString(raw?.to)) errors.push('to must be a non-empty string');
+  if (!isFiniteNumber(raw?.travel_time_minutes) || raw.travel_time_minutes < 0) {
+    errors.push('travel_time_minutes must be a non-negative number');
+  }
+  if (errors.length) return { errors };
+  return { value: { from: raw.from, to: raw.to, travel_time_minutes: raw.travel_time_minutes } };
+}
+
+// ---------- Batch helpers ----------
+
+// records is null when asArray() has already reported a malformed payload
+function normalizeBatch(kind, records, normalizeRecord) {
+  if (records === null) return [];
+  const items = [];
+  const rejected = [];
+  records.forEach((record, index) => {
+    const { value, errors } = normalizeRecord(record);
+    if (value) items.push(value);
+    else rejected.push({ index, record, errors });
+  });
+
+  qualityReport[kind] = {
+    checkedAt: new Date().toISOString(),
+    received: records.length,
+    accepted: items.length,
+    rejected: rejected.length,
+    samples: rejected.slice(0, MAX_REPORTED_REJECTIONS)
+  };
+  if (rejected.length) {
+    console.warn(`⚠️  Rejected ${rejected.length}/${records.length} ${kind} records: ${rejected[0].errors.join(', ')}`);
+  }
+  return items;
+}
+
+function memoized(raw, normalizeFn) {
+  if (raw === null || typeof raw !== 'object') return normalizeFn(raw);
+  if (!memo.has(raw)) memo.set(raw, normalizeFn(raw));
+  return memo.get(raw);
+}
+
+function asArray(kind, raw) {
+  if (Array.isArray(raw)) return raw;
+  qualityReport[kind] = {
+    checkedAt: new Date().toISOString(),
+    received: 0,
+    accepted: 0,
+    rejected: 0,
+    error: `expected an array, got ${raw === null ? 'null' : typeof raw}`
+  };
+  console.warn(`⚠️  Ignoring malformed ${kind} payload (${qualityReport[kind].error})`);
+  return null;
+}
+
+export function normalizeCauldrons(raw) {
+  return memoized(raw, data => normalizeBatch('cauldrons', asArray('cauldrons', data), normalizeCauldron));
+}
+
+export function normalizeCouriers(raw) {
+  return memoized(raw, data => normalizeBatch('couriers', asArray('couriers', data), normalizeCourier));
+}
+
+export function normalizeNetwork(raw) {
+  return memoized(raw, data => ({
+    edges: normalizeBatch('network_edges', asArray('network_edges', data?.edges), normalizeEdge),
+    description: typeof data?.description === 'string' ? data.description : ''
+  }));
+}
+
+/**
+ * /api/Tickets returns { metadata, transport_tickets: [...] }
+ */
+export function normalizeTickets(raw) {
+  return memoized(raw, data => {
+    const list = Array.isArray(data) ? data : data?.transport_tickets;
+    return normalizeBatch('tickets', asArray('tickets', list), normalizeTicket)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.ticket_id.localeCompare(b.ticket_id));
+  });
+}
+
+/**
+ * Flatten /api/Data snapshots ({ timestamp, cauldron_levels: { id: volume } })
+ * into LevelReadings sorted by time, then cauldron.
+ */
+export function normalizeLevelSnapshots(raw) {
+  return memoized(raw, data => {
+    const snapshots = asArray('levels', data);
+    if (!snapshots) return [];
+    const flat = [];
+    snapshots.forEach(snapshot => {
+      if (!snapshot?.cauldron_levels || typeof snapshot.cauldron_levels !== 'object') {
+        // Keep the malformed snapshot so the batch reports it
+        flat.push({ cauldron_id: null, timestamp: snapshot?.timestamp, volume: null });
+        return;
+      }
+      Object.entries(snapshot.cauldron_levels).forEach(([cauldronId, volume]) => {
+        flat.push({ cauldron_id: cauldronId, timestamp: snapshot.timestamp, volume });
+      });
+    });
+    return normalizeBatch('levels', flat, normalizeReading)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.cauldron_id.localeCompare(b.cauldron_id));
+  });
+}
+
+export function normalizeMarket(raw) {
+  const errors = [];
+  if (!isNonEmptyString(raw?.id)) errors.push('id must be a non-empty string');
+  if (!isFiniteNumber(raw?.latitude) || !isFiniteNumber(raw?.longitude)) errors.push('latitude/longitude must be numbers');
+  qualityReport.market = {
+    checkedAt: new Date().toISOString(),
+    received: 1,
+    accepted: errors.length ? 0 : 1,
+    rejected: errors.length ? 1 : 0,
+    samples: errors.length ? [{ index: 0, record: raw, errors }] : []
+  };
+  if (errors.length) {
+    throw new Error(`Invalid market record: ${errors.join(', ')}`);
+  }
+  return {
+    id: raw.id,
+    name: isNonEmptyString(raw.name) ? raw.name : raw.id,
+    latitude: raw.latitude,
+    longitude: raw.longitude,
+    description: raw.description || '',
+    unload_time_min: isFiniteNumber(raw.unload_time_min) ? raw.unload_time_min : 15
+  };
+}
+
+/**
+ * Result of the most recent validation pass per record type
+ */
+export function getQualityReport() {
+  return qualityReport;
+}
@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import { Worker } from 'worker_threads';
+import config from '../config.js';
+import dataSource from './dataSource.js';
+import { getCalibratedCauldrons } from './rateModel.js';
+import { OPTIMIZER_DEFAULTS } from './routeOptimizer.js';
+
+// Route optimization jobs. A request assembles the optimizer's input (fitted
+// rates, levels projected to the start time, market, network, couriers and any
+// overrides), hashes it and either answers from the result cache, joins the job
+// already computing the same input, or queues a new job. Jobs run one at a time
+// in a worker thread (optimizerWorker.js) so the API stays responsive, and can
+// be polled for progress by id.
+
+const MINUTE_MS = 60 * 1000;
+
+let nextJobId = 1;
+const jobs = new Map();      // job id -> job
+const inFlight = new Map();  // input hash -> queued or running job
+const results = new Map();   // input hash -> result, oldest first
+const queue = [];
+let running = null;
+
+export class OptimizationInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptimizationInputError';
+  }
+}
+
+/**
+ * Level per cauldron at startTime: the latest reading plus what the
+ * cauldron fills in between, capped at its capacity
+ */
+function projectLevels(cauldrons, readings, startTime) {
+  const byId = new Map(readings.map(r => [r.cauldron_id, r]));
+  return cauldrons
+    .filter(c => byId.has(c.id))
+    .map(c => {
+      const reading = byId.get(c.id);
+      const minutes = (startTime - Date.parse(reading.timestamp)) / MINUTE_MS;
+      return {
+        cauldron_id: c.id,
+        timestamp: new Date(startTime).toISOString(),
+        volume: Math.min(c.max_volume, reading.volume + (c.fill_rate ?? 0) * minutes)
+      };
+    });
+}
+
+const edgeKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Network edges with disruptions applied: closed edges are removed and slowed
+ * ones take `percent` longer. Edges are undirected, so either end order matches.
+ * disruptions: { closedEdges: [{ from, to }], slowedEdges: [{ from, to, percent }], offlineCauldrons }
+ */
+function disruptNetwork(edges, disruptions = {}) {
+  const known = new Set(edges.map(e => edgeKey(e.from, e.to)));
+  const closed = new Set();
+  const slowed = new Map();
+  for (const { from, to } of disruptions.closedEdges || []) {
+    if (!known.has(edgeKey(from, to))) throw new OptimizationInputError(`No edge between ${from} and ${to} to close`);
+    closed.add(edgeKey(from, to));
+  }
+  for (const { from, to, percent } of disruptions.slowedEdges || []) {
+    if (!known.has(edgeKey(from, to))) throw new OptimizationInputError(`No edge between ${from} and ${to} to slow`);
+    slowed.set(edgeKey(from, to), 1 + percent / 100);
+  }
+
+  return edges
+    .filter(e => !closed.has(edgeKey(e.from, e.to)))
+    .map(e => slowed.has(edgeKey(e.from, e.to))
+      ? { ...e, travel_time_minutes: e.travel_time_minutes * slowed.get(edgeKey(e.from, e.to)) }
+      : e);
+}
+
+/**
+ * Everything one optimization run depends on.
+ * overrides: { couriers, capacity (L per trip), horizonHours, startTime (ISO), timeBudgetMs, solver, shiftRules,
+ *   timeWindows, disruptions } - all optional;
+ * startTime defaults to the newest reading and may not be earlier than it.
+ */
+export async function loadOptimizationInput(overrides = {}) {
+  const [cauldrons, readings, market, network, couriers] = await Promise.all([
+    getCalibratedCauldrons(),
+    dataSource.getLatestReadings(),
+    dataSource.getMarket(),
+    dataSource.getNetwork(),
+    dataSource.getCouriers()
+  ]);
+
+  // "Now" is the newest reading, not the wall clock - the data can lag behind
+  const asOf = readings.length
+    ? Math.max(...readings.map(r => Date.parse(r.timestamp)))
+    : Date.now();
+  const startTime = overrides.startTime ? Date.parse(overrides.startTime) : asOf;
+  if (startTime < asOf) {
+    throw new OptimizationInputError(`start_time can't be before the latest reading (${new Date(asOf).toISOString()})`);
+  }
+  const offlineCauldrons = overrides.disruptions?.offlineCauldrons || [];
+  const unknown = offlineCauldrons.find(id => !cauldrons.some(c => c.id === id));
+  if (unknown) {
+    throw new OptimizationInputError(`Unknown cauldron ${unknown} can't be taken offline`);
+  }
+
+  return {
+    cauldrons,
+    levels: projectLevels(cauldrons, readings, startTime),
+    market,
+    network: { edges: disruptNetwork(network.edges, overrides.disruptions) },
+    couriers: overrides.couriers || couriers,
+    options: {
+      capacity: overrides.capacity,
+      horizonMinutes: overrides.horizonHours ? overrides.horizonHours * 60 : OPTIMIZER_DEFAULTS.horizonMinutes,
+      timeBudgetMs: overrides.timeBudgetMs ?? OPTIMIZER_DEFAULTS.timeBudgetMs,
+      solver: overrides.solver || OPTIMIZER_DEFAULTS.solver,
+      shiftRules: { ...OPTIMIZER_DEFAULTS.shiftRules, ...overrides.shiftRules },
+      timeWindows: { ...OPTIMIZER_DEFAULTS.timeWindows, ...overrides.timeWindows },
+      offlineCauldrons,
+      startTime
+    }
+  };
+}
+
+const hashInput = (input) => crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+
+function cacheResult(hash, result) {
+  results.delete(hash);
+  results.set(hash, result);
+  while (results.size > config.optimizer.cacheSize) {
+    results.delete(results.keys().next().value);
+  }
+}
+
+// Forget finished jobs nobody has polled for a while
+function pruneJobs() {
+  const cutoff = Date.now() - config.optimizer.jobTtlMs;
+  for (const [id, job] of jobs) {
+    if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+  }
+}
+
+// Shift rules as the API takes them
+const shiftRuleSettings = (rules) => ({
+  max_shift_hours: rules.maxShiftMinutes / 60,
+  break_after_hours: rules.breakAfterMinutes / 60,
+  break_minutes: rules.breakMinutes,
+  max_consecutive_trips: rules.maxConsecutiveTrips,
+  start_earliest: rules.startEarliest,
+  start_latest: rules.startLatest
+});
+
+// Service window settings as the API takes them
+const timeWindowSettings = (windows) => ({
+  safety_margin_minutes: windows.safetyMarginMinutes,
+  earliest_fill: windows.earliestFill,
+  max_wait_minutes: windows.maxWaitMinutes
+});
+
+// Disruptions as the API takes them, or null when there are none
+const disruptionSettings = (disruptions) => (disruptions ? {
+  closed_edges: disruptions.closedEdges || [],
+  slowed_edges: disruptions.slowedEdges || [],
+  offline_cauldrons: disruptions.offlineCauldrons || []
+} : null);
+
+function createJob(hash, input, overrides) {
+  const job = {
+    id: String(nextJobId++),
+    status: 'queued',
+    progress: { phase: 'queued', percent: 0, message: 'Waiting for a worker' },
+    input_hash: hash,
+    cached: false,
+    settings: {
+      start_time: new Date(input.options.startTime).toISOString(),
+      horizon_hours: input.options.horizonMinutes / 60,
+      capacity: input.options.capacity ?? null,
+      couriers: input.couriers.length,
+      time_budget_ms: input.options.timeBudgetMs,
+      solver: input.options.solver,
+      shift_rules: shiftRuleSettings(input.options.shiftRules),
+      time_windows: timeWindowSettings(input.options.timeWindows),
+      disruptions: disruptionSettings(overrides.disruptions)
+    },
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    error: null,
+    result: null
+  };
+  job.done = new Promise(resolve => { job.settle = resolve; });
+  jobs.set(job.id, job);
+  return job;
+}
+
+function finish(job, result, error = null) {
+  if (job.finished_at) return;
+  job.finished_at = new Date().toISOString();
+  job.input = null;
+  inFlight.delete(job.input_hash);
+
+  if (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`❌ Optimization job ${job.id} failed:`, error.message);
+  } else {
+    job.status = 'done';
+    job.progress = { phase: 'done', percent: 100, message: 'Done' };
+    job.result = result;
+    cacheResult(job.input_hash, result);
+    if (!job.cached) {
+      console.log(`🧭 Optimization job ${job.id} done: ${result.minWitches} witches, ${result.totalTrips} trips`);
+    }
+  }
+  job.settle(job);
+
+  if (running === job) {
+    running = null;
+    runNext();
+  }
+}
+
+function runNext() {
+  if (running || queue.length === 0) return;
+  const job = queue.shift();
+  running = job;
+  job.status = 'running';
+  job.progress = { phase: 'starting', percent: 0, message: 'Starting the optimizer' };
+  job.started_at = new Date().toISOString();
+
+  const worker = new Worker(new URL('./optimizerWorker.js', import.meta.url), { workerData: job.input });
+  const timer = setTimeout(() => {
+    worker.terminate();
+    finish(job, null, new Error(`Optimization timed out after ${config.optimizer.timeoutMs / 1000}s`));
+  }, config.optimizer.timeoutMs);
+
+  worker.on('message', message => {
+    if (message.type === 'progress') {
+      job.progress = message.progress;
+    } else if (message.type === 'done') {
+      clearTimeout(timer);
+      if (message.result) finish(job, message.result);
+      else finish(job, null, new Error('No cauldrons are reachable from the market'));
+    }
+  });
+  worker.on('error', error => {
+    clearTimeout(timer);
+    finish(job, null, error);
+  });
+  worker.on('exit', code => {
+    clearTimeout(timer);
+    finish(job, null, new Error(`Optimizer worker exited with code ${code}`));
+  });
+}
+
+/**
+ * Start (or reuse) an optimization for the current data plus overrides.
+ * Resolves to the job as soon as it is queued - finished right away when the
+ * same input was optimized before.
+ */
+export async function startOptimization(overrides = {}) {
+  return submitOptimization(await loadOptimizationInput(overrides), overrides);
+}
+
+/**
+ * Queue (or reuse) a job for an input from loadOptimizationInput(overrides),
+ * for callers that adjust the input first
+ */
+export function submitOptimization(input, overrides = {}) {
+  pruneJobs();
+  const hash = hashInput(input);
+
+  if (inFlight.has(hash)) {
+    return inFlight.get(hash);
+  }
+
+  const job = createJob(hash, input, overrides);
+  if (results.has(hash)) {
+    job.cached = true;
+    finish(job, results.get(hash));
+    return job;
+  }
+
+  job.input = input;
+  inFlight.set(hash, job);
+  queue.push(job);
+  runNext();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(String(id)) || null;
+}
+
+/**
+ * API view of a job; the result is left out unless asked for
+ */
+export function describeJob(job, { includeResult = true } = {}) {
+  const { done, settle, input, result, ...rest } = job;
+  return includeResult ? { ...rest, result } : rest;
+}
+
+/**
+ * Planned cauldron visits [{ cauldron_id, arrival (ISO) }] in an optimization result:
+ * the repeating schedule when it is sustainable and needs no more witches than
+ * the route plan, otherwise the route plan. Only couriers' visits count; nobody
+ * makes an unstaffed witch's.
+ */
+export function plannedVisits(result) {
+  const periodic = result?.periodicSchedule;
+  if (periodic?.verification?.sustainable && periodic.witches <= result.minWitches) {
+    return periodic.shifts.filter(shift => shift.courierId).flatMap(shift => shift.trips.flatMap(trip => trip.stops.map(stop => ({
+      cauldron_id: stop.cauldronId,
+      arrival: stop.arrival.time
+    }))));
+  }
+  return (result?.dailySchedule?.schedule || []).filter(entry => entry.courierId).flatMap(entry => {
+    const tripStart = Date.parse(entry.startTime);
+    return entry.route.stops
+      .filter(stop => !stop.isMarket)
+      .map(stop => ({
+        cauldron_id: stop.cauldronId,
+        arrival: new Date(tripStart + stop.arrivalTime * MINUTE_MS).toISOString()
+      }));
+  });
+}
+
+/**
+ * Visits in the plan for the current data with default settings, optimizing
+ * it first if needed (cached while the data doesn't change)
+ */
+export async function getPlannedVisits() {
+  const job = await (await startOptimization()).done;
+  return job.status === 'done' ? plannedVisits(job.result) : [];
+}
@@ -0,0 +1,14 @@
+import { parentPort, workerData } from 'worker_threads';
+import { optimizeRoutes } from './routeOptimizer.js';
+
+// Worker thread for services/optimizer.js: runs one optimization and reports
+// back with { type: 'progress', progress } messages and a final { type: 'done', result }.
+
+const { cauldrons, levels, market, network, couriers, options } = workerData;
+
+const result = optimizeRoutes(cauldrons, levels, market, network, couriers, {
+  ...options,
+  onProgress: progress => parentPort.postMessage({ type: 'progress', progress })
+});
+
+parentPort.postMessage({ type: 'done', result });
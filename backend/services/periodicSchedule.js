@@ -0,0 +1,387 @@
+/**
+ * Periodic Schedule
+ *
+ * A cycle of cycleMinutes (24h by default) that the witches repeat forever.
+ * Each cauldron gets visitsPerCycle evenly spaced visits, enough that:
+ *   - the potion it makes between two visits fits in the litres set aside for
+ *     it on the trip (its allowance)
+ *   - the allowance stays below maxFill of its capacity
+ * Every visit arrives within `tolerance` of its ideal time, so no two visits
+ * (also across the end of the cycle) are further apart than maxGapMinutes, and
+ * a witch drains what has built up, at most the allowance.
+ *
+ * Visits are built into trips earliest deadline first: a trip starts with the
+ * most urgent visit left, gives it to the witch who can make it with the least
+ * waiting, and picks up visits nearby whose windows allow it. A witch's trips
+ * fit in one cycle from her first departure, so her day repeats without
+ * overlapping. The smallest witch count that fits is used, starting from the
+ * lower bound.
+ *
+ * Witches are the couriers (see courierFleet.js) in fleet order, each at her own
+ * speed and inside her availability window; allowances are sized for the
+ * smallest capacity so any witch can take any visit. Couriers with a window only
+ * work cycles of whole days, where the window repeats along with the cycle.
+ * Shifts follow the labor rules (see shiftRules.js): each is at most
+ * maxShiftMinutes long, starts in the start window, and a witch rests at the
+ * market when a break is due.
+ *
+ * verifyPeriodic() then simulates verifyCycles consecutive cycles from the
+ * current levels, and a schedule is sustainable when nothing overflows and no
+ * cauldron ends the last cycle fuller than the one before.
+ */
+
+import { fitsWindow } from './courierFleet.js';
+import { SHIFT_DEFAULTS, shiftViolations } from './shiftRules.js';
+
+export const PERIODIC_DEFAULTS = {
+  cycleMinutes: 24 * 60,
+  slack: 0.3,            // Allowance is 1 + slack times the potion made per interval
+  maxFill: 0.9,          // Allowance cap as a share of a cauldron's capacity
+  maxWaitMinutes: 30,    // Longest a witch waits for the next stop's window on a trip
+  unloadMinutes: 15,
+  minDrainMinutes: 5,
+  verifyCycles: 3,
+  maxExtraWitches: 20    // Witches tried above the lower bound before giving up
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Time of day for a minute of the cycle: { minute, time (ISO, first cycle), clock ('HH:MM' UTC), day }.
+ * day counts calendar days from the cycle start, starting at 1.
+ */
+function clockAt(startTime, minute) {
+  const at = new Date(startTime + minute * MINUTE_MS);
+  const day = Math.floor(at.getTime() / (DAY_MINUTES * MINUTE_MS)) - Math.floor(startTime / (DAY_MINUTES * MINUTE_MS)) + 1;
+  return {
+    minute: round1(minute),
+    time: at.toISOString(),
+    clock: `${String(at.getUTCHours()).padStart(2, '0')}:${String(at.getUTCMinutes()).padStart(2, '0')}`,
+    day
+  };
+}
+
+/**
+ * Visits per cycle and allowance per cauldron.
+ * cauldrons: optimizer states [{ id, name, fillRate, drainRate, maxVolume, timeUntilOverflow }]
+ */
+export function visitFrequencies(cauldrons, { capacity, cycleMinutes, ...options }) {
+  const settings = { ...PERIODIC_DEFAULTS, ...options };
+  return cauldrons
+    .filter(c => c.fillRate > 0)
+    .map(c => {
+      const production = c.fillRate * cycleMinutes;
+      const perVisit = Math.min(capacity, c.maxVolume * settings.maxFill);
+      const visitsPerCycle = Math.max(1, Math.ceil(production * (1 + settings.slack) / perVisit - 1e-9));
+      const intervalMinutes = cycleMinutes / visitsPerCycle;
+      const tolerance = intervalMinutes * settings.slack / 2;
+      const allowance = c.fillRate * (intervalMinutes + 2 * tolerance);
+      const effectiveRate = c.drainRate - c.fillRate;
+      return {
+        cauldron: c,
+        visitsPerCycle,
+        intervalMinutes,
+        tolerance,
+        maxGapMinutes: intervalMinutes + 2 * tolerance,
+        allowance,
+        drainTime: effectiveRate > 0
+          ? Math.max(settings.minDrainMinutes, allowance / effectiveRate)
+          : null,
+        productionPerCycle: production
+      };
+    });
+}
+
+// Ideal visit times, spread over the first interval so the witches' work is
+// spread over the cycle, and early enough that full cauldrons are reached in time
+function visitTasks(frequencies, marketId, travelTime) {
+  const tasks = [];
+  frequencies.forEach((f, idx) => {
+    const { cauldron, intervalMinutes, tolerance } = f;
+    const earliestPhase = Math.max(tolerance, travelTime(marketId, cauldron.id));
+    const latestPhase = intervalMinutes - tolerance;
+    const stagger = earliestPhase + (latestPhase - earliestPhase) * (idx + 0.5) / frequencies.length;
+    const phase = Math.max(earliestPhase, Math.min(stagger, cauldron.timeUntilOverflow - tolerance));
+    for (let visit = 0; visit < f.visitsPerCycle; visit++) {
+      const ideal = phase + visit * intervalMinutes;
+      tasks.push({ frequency: f, visit, ideal, earliest: ideal - tolerance, latest: ideal + tolerance });
+    }
+  });
+  return tasks;
+}
+
+/**
+ * Trips per witch for a witch count, or null when the visits don't fit.
+ * witchAt(slot) is the courier profile for the slot'th witch.
+ */
+function packWitches(tasks, witchCount, { marketId, travelTime, witchAt, startFrom, cycleMinutes, rules, settings }) {
+  const pending = [...tasks].sort((a, b) => a.latest - b.latest);
+  const witches = [];
+  const unopened = Array.from({ length: witchCount }, (_, slot) => witchAt(slot))
+    .filter(profile => !profile.window || cycleMinutes % DAY_MINUTES === 0);
+  const travel = (profile, from, to) => travelTime(from, to) / profile.speed;
+  const tripEnd = (profile, node, time) => time + travel(profile, node, marketId) + settings.unloadMinutes;
+  // A trip fits the witch's shift and, commute included, her availability window
+  const shiftMinutes = Math.min(cycleMinutes, rules.maxShiftMinutes);
+  const fits = (profile, start, depart, end) => end <= start + shiftMinutes &&
+    fitsWindow(profile.window, depart, end, profile.commuteMinutes);
+  // Whether the witch has to rest before a trip of `minutes`
+  const dueForBreak = (witch, minutes) => witch.trips.length > 0 &&
+    (witch.inRow >= rules.maxConsecutiveTrips || witch.worked + minutes > rules.breakAfterMinutes);
+
+  while (pending.length > 0) {
+    const first = pending[0];
+    const cauldronId = first.frequency.cauldron.id;
+    const { drainTime } = first.frequency;
+
+    // The witch who reaches the visit with the least idle time; a new one if nobody can
+    let chosen = null;
+    witches.forEach(witch => {
+      const outbound = travel(witch.profile, marketId, cauldronId);
+      const single = tripEnd(witch.profile, cauldronId, outbound + drainTime);
+      const ready = witch.free + (dueForBreak(witch, single) ? rules.breakMinutes : 0);
+      const arrival = Math.max(ready + outbound, first.earliest);
+      const end = tripEnd(witch.profile, cauldronId, arrival + drainTime);
+      if (arrival > first.latest || !fits(witch.profile, witch.start, arrival - outbound, end)) return;
+      const idle = arrival - (witch.free + outbound);
+      // Waiting at the market long enough counts as a break
+      const rested = arrival - outbound - witch.free >= rules.breakMinutes;
+      if (!chosen || idle < chosen.idle) chosen = { witch, arrival, idle, rested };
+    });
+    if (!chosen) {
+      // A new witch's shift starts when the start window allows
+      const opening = (profile) => {
+        const outbound = travel(profile, marketId, cauldronId);
+        const depart = startFrom(Math.max(0, first.earliest - outbound));
+        return { depart, arrival: depart + outbound };
+      };
+      const profile = unopened.find(candidate => {
+        const { depart, arrival } = opening(candidate);
+        return arrival <= first.latest &&
+          fits(candidate, depart, depart, tripEnd(candidate, cauldronId, arrival + drainTime));
+      });
+      if (!profile) return null;
+      unopened.splice(unopened.indexOf(profile), 1);
+      const { depart, arrival } = opening(profile);
+      const witch = { profile, start: depart, free: depart, trips: [], worked: 0, inRow: 0 };
+      witches.push(witch);
+      chosen = { witch, arrival, rested: true };
+    }
+
+    const { witch } = chosen;
+    const { profile } = witch;
+    const worked = chosen.rested ? 0 : witch.worked;
+    const trip = { depart: chosen.arrival - travel(profile, marketId, cauldronId), stops: [], load: 0 };
+    const addStop = (task, arrival) => {
+      trip.stops.push({ task, arrival });
+      trip.load += task.frequency.allowance;
+      pending.splice(pending.indexOf(task), 1);
+    };
+    addStop(first, chosen.arrival);
+
+    // Visits nearby that fit the load, their window and the witch's day
+    for (;;) {
+      const last = trip.stops[trip.stops.length - 1];
+      const node = last.task.frequency.cauldron.id;
+      const ready = last.arrival + last.task.frequency.drainTime;
+      let next = null;
+      pending.forEach(task => {
+        const id = task.frequency.cauldron.id;
+        if (trip.load + task.frequency.allowance > profile.capacity) return;
+        if (trip.stops.some(stop => stop.task.frequency === task.frequency)) return;
+        const reach = ready + travel(profile, node, id);
+        const arrival = Math.max(reach, task.earliest);
+        if (arrival > task.latest || arrival - reach > settings.maxWaitMinutes) return;
+        const end = tripEnd(profile, id, arrival + task.frequency.drainTime);
+        if (!fits(profile, witch.start, trip.depart, end) || worked + end - trip.depart > rules.breakAfterMinutes) return;
+        // Only worth it when cheaper than a trip of its own
+        const detour = travel(profile, node, id) + travel(profile, id, marketId) - travel(profile, node, marketId);
+        if (detour >= 2 * travel(profile, marketId, id) + settings.unloadMinutes) return;
+        if (!next || arrival < next.arrival) next = { task, arrival };
+      });
+      if (!next) break;
+      addStop(next.task, next.arrival);
+    }
+
+    const last = trip.stops[trip.stops.length - 1];
+    trip.end = tripEnd(profile, last.task.frequency.cauldron.id, last.arrival + last.task.frequency.drainTime);
+    witch.free = trip.end;
+    witch.worked = worked + trip.end - trip.depart;
+    witch.inRow = (chosen.rested ? 0 : witch.inRow) + 1;
+    witch.trips.push(trip);
+  }
+  return witches;
+}
+
+/**
+ * Simulate `cycles` repetitions of the visits from the starting levels.
+ * visits: [{ cauldronId, minute, drainTime, allowance }]
+ * Returns { cycles, sustainable, steady, overflowIssues, cauldrons }.
+ */
+export function verifyPeriodic(cauldrons, visits, { cycleMinutes, startTime, cycles = PERIODIC_DEFAULTS.verifyCycles }) {
+  const overflowIssues = [];
+  const report = cauldrons.filter(c => c.fillRate > 0).map(c => {
+    const own = visits.filter(v => v.cauldronId === c.id).sort((a, b) => a.minute - b.minute);
+    let level = c.currentLevel;
+    let time = 0;
+    const peaks = [];
+    const endLevels = [];
+
+    for (let cycle = 0; cycle < cycles; cycle++) {
+      let peak = level;
+      const fillTo = (until) => {
+        level += c.fillRate * (until - time);
+        time = until;
+        peak = Math.max(peak, level);
+      };
+      const overflow = (minute) => {
+        if (level <= c.maxVolume + 1e-6) return;
+        overflowIssues.push({
+          cauldronId: c.id,
+          cycle: cycle + 1,
+          ...clockAt(startTime, minute),
+          level: round1(level),
+          maxVolume: c.maxVolume,
+          message: `Overflows by ${(level - c.maxVolume).toFixed(1)}L in cycle ${cycle + 1}`
+        });
+        level = c.maxVolume;
+      };
+
+      own.forEach(visit => {
+        const arrival = cycle * cycleMinutes + visit.minute;
+        fillTo(arrival);
+        overflow(arrival);
+        // The witch drains what is there, up to the allowance, while it keeps filling
+        const drained = Math.min(level + c.fillRate * visit.drainTime, visit.allowance);
+        level += c.fillRate * visit.drainTime - drained;
+        time = arrival + visit.drainTime;
+      });
+      fillTo((cycle + 1) * cycleMinutes);
+      overflow((cycle + 1) * cycleMinutes);
+      peaks.push(round1(peak));
+      endLevels.push(round1(level));
+    }
+
+    const growing = cycles > 1 && endLevels[cycles - 1] > endLevels[cycles - 2] + 0.5;
+    return {
+      cauldronId: c.id,
+      visitsPerCycle: own.length,
+      peakLevels: peaks,
+      endLevels,
+      peakPercent: round1(peaks[cycles - 1] / c.maxVolume * 100),
+      growing
+    };
+  });
+
+  const steady = report.every(c => !c.growing);
+  return {
+    cycles,
+    sustainable: overflowIssues.length === 0 && steady,
+    steady,
+    overflowIssues,
+    cauldrons: report
+  };
+}
+
+/**
+ * Repeating schedule for the reachable cauldrons.
+ * context: { marketId, travelTime(from, to) at speed 1, witchAt(slot) -> courier profile,
+ *            startFrom(minute) -> first minute a shift may start from then, minWitches }
+ * options: { capacity (smallest in the fleet), cycleMinutes, startTime (ms), shiftRules, ...PERIODIC_DEFAULTS }
+ * Returns { status: 'ok' | 'infeasible', reason?, cycleMinutes, witches, trips,
+ *           frequencies, shifts, verification }.
+ */
+export function buildPeriodicSchedule(cauldrons, context, { capacity, cycleMinutes, startTime, shiftRules, ...options }) {
+  const settings = { ...PERIODIC_DEFAULTS, ...options };
+  const rules = { ...SHIFT_DEFAULTS, ...shiftRules };
+  const { marketId, travelTime, witchAt, startFrom = minute => minute, minWitches = 1 } = context;
+  const frequencies = visitFrequencies(cauldrons, { capacity, cycleMinutes, ...options });
+
+  const frequencySummary = frequencies.map(f => ({
+    cauldronId: f.cauldron.id,
+    cauldronName: f.cauldron.name,
+    visitsPerCycle: f.visitsPerCycle,
+    intervalMinutes: round1(f.intervalMinutes),
+    maxGapMinutes: round1(f.maxGapMinutes),
+    allowance: round1(f.allowance),
+    productionPerCycle: round1(f.productionPerCycle)
+  }));
+  const infeasible = (reason) => ({ status: 'infeasible', reason, cycleMinutes, witches: null, trips: 0, frequencies: frequencySummary, shifts: [], verification: null });
+
+  const undrainable = frequencies.filter(f => f.drainTime === null).map(f => f.cauldron.id);
+  if (undrainable.length > 0) {
+    return infeasible(`No drain rate keeps up with ${undrainable.join(', ')}`);
+  }
+
+  const tasks = visitTasks(frequencies, marketId, travelTime);
+  const packing = { marketId, travelTime, witchAt, startFrom, cycleMinutes, rules, settings };
+  let witches = null;
+  const maxWitches = Math.max(1, minWitches) + settings.maxExtraWitches;
+  for (let count = Math.max(1, minWitches); count <= maxWitches && !witches; count++) {
+    witches = packWitches(tasks, count, packing);
+  }
+  if (!witches) {
+    return infeasible(`The visits don't fit ${maxWitches} witches`);
+  }
+
+  const visits = witches.flatMap(witch => witch.trips.flatMap(trip => trip.stops.map(stop => ({
+    cauldronId: stop.task.frequency.cauldron.id,
+    minute: stop.arrival,
+    drainTime: stop.task.frequency.drainTime,
+    allowance: stop.task.frequency.allowance
+  }))));
+  const verification = verifyPeriodic(cauldrons, visits, { cycleMinutes, startTime, cycles: settings.verifyCycles });
+  verification.shiftViolations = witches.flatMap(witch => shiftViolations(
+    witch.trips.map(trip => ({ start: trip.depart, end: trip.end })),
+    rules,
+    { startTime }
+  ).map(violation => ({ witchId: witch.profile.witchId, witchName: witch.profile.name, ...violation })));
+
+  const shifts = witches
+    .sort((a, b) => a.start - b.start)
+    .map(witch => ({
+      witchId: witch.profile.witchId,
+      witchName: witch.profile.name,
+      courierId: witch.profile.courierId,
+      capacity: witch.profile.capacity,
+      speedMultiplier: witch.profile.speed,
+      start: clockAt(startTime, witch.start),
+      end: clockAt(startTime, witch.free),
+      workMinutes: round1(witch.trips.reduce((sum, trip) => sum + trip.end - trip.depart, 0)),
+      // Time at the market long enough to count as a break
+      breaks: witch.trips.slice(1)
+        .map((trip, idx) => ({ start: witch.trips[idx].end, end: trip.depart }))
+        .filter(rest => rest.end - rest.start >= rules.breakMinutes)
+        .map(rest => ({ start: clockAt(startTime, rest.start), end: clockAt(startTime, rest.end) })),
+      trips: witch.trips.map((trip, tripIdx) => ({
+        tripNumber: tripIdx + 1,
+        depart: clockAt(startTime, trip.depart),
+        return: clockAt(startTime, trip.end),
+        allowance: round1(trip.load),
+        stops: trip.stops.map(({ task, arrival }) => ({
+          cauldronId: task.frequency.cauldron.id,
+          cauldronName: task.frequency.cauldron.name,
+          visit: task.visit + 1,
+          arrival: clockAt(startTime, arrival),
+          departure: clockAt(startTime, arrival + task.frequency.drainTime),
+          window: { earliest: clockAt(startTime, task.earliest).clock, latest: clockAt(startTime, task.latest).clock },
+          drainTime: round1(task.frequency.drainTime),
+          allowance: round1(task.frequency.allowance)
+        }))
+      }))
+    }));
+
+  return {
+    status: 'ok',
+    cycleMinutes,
+    cycleStart: new Date(startTime).toISOString(),
+    witches: shifts.length,
+    trips: shifts.reduce((sum, shift) => sum + shift.trips.length, 0),
+    frequencies: frequencySummary,
+    shifts,
+    verification
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Plan Diff
+ *
+ * Compares two optimization results for the same cauldrons - the current plan
+ * and a what-if plan for a disrupted network (closed or slowed edges, offline
+ * cauldrons):
+ *   - totals: witches, stand-ins, trips, travel, collected share of production
+ *   - affected stops: cauldrons whose visits change in number, witch or time
+ *   - overflow risk: cauldrons the plan leaves to overflow, can't reach (or
+ *     may not visit), or visits outside their service window
+ */
+
+import { planVisits } from './timeWindows.js';
+
+const RETIME_MINUTES = 5; // A visit moved by less than this counts as unchanged
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const change = (before, after) => ({
+  before,
+  after,
+  change: before === null || after === null ? null : Math.round((after - before) * 1000) / 1000
+});
+
+const travelMinutes = (result) => round1(result.routes.reduce((sum, route) => sum + route.trips.reduce(
+  (tripSum, trip) => tripSum + trip.stops.reduce((stopSum, stop) => stopSum + (stop.travelTime || 0), 0), 0), 0));
+
+// cauldronId -> [{ witchName, time }] in time order
+function visitsByCauldron(result) {
+  const visits = new Map();
+  planVisits(result.routes)
+    .sort((a, b) => a.time - b.time)
+    .forEach(({ cauldronId, witchName, time }) => {
+      if (!visits.has(cauldronId)) visits.set(cauldronId, []);
+      visits.get(cauldronId).push({ witchName, time: round1(time) });
+    });
+  return visits;
+}
+
+// cauldronId -> reasons it is at risk in a plan
+function risksByCauldron(result, horizonMinutes) {
+  const risks = new Map();
+  const add = (cauldronId, reason) => {
+    if (!risks.has(cauldronId)) risks.set(cauldronId, new Set());
+    risks.get(cauldronId).add(reason);
+  };
+  (result.excludedCauldrons || []).forEach(c => {
+    // Never-filling cauldrons come back with timeUntilOverflow null
+    if (c.timeUntilOverflow !== null && c.timeUntilOverflow < horizonMinutes) add(c.cauldronId, c.reason);
+  });
+  result.verification.overflowIssues.forEach(issue => add(issue.cauldronId, 'overflow'));
+  (result.windowViolations || []).forEach(violation => add(violation.cauldronId, `window_${violation.type}`));
+  return risks;
+}
+
+/**
+ * What changes from `baseline` to `scenario` (both optimizeRoutes results over
+ * a horizon of horizonMinutes).
+ * Returns { witches, unstaffedWitches, trips, travelMinutes, coverage, overflowIssues,
+ *   windowViolations (each { before, after, change }), affectedStops, overflowRisk }.
+ */
+export function diffPlans(baseline, scenario, horizonMinutes) {
+  const before = visitsByCauldron(baseline);
+  const after = visitsByCauldron(scenario);
+  const cauldronIds = [...new Set([...before.keys(), ...after.keys()])];
+
+  const affectedStops = cauldronIds.map(cauldronId => {
+    const was = before.get(cauldronId) || [];
+    const now = after.get(cauldronId) || [];
+    const changes = [];
+    if (was.length !== now.length) changes.push('visits');
+    const witchesOf = (visits) => [...new Set(visits.map(v => v.witchName))].sort();
+    if (witchesOf(was).join() !== witchesOf(now).join()) changes.push('witches');
+    if (was.length === now.length && was.some((visit, idx) => Math.abs(visit.time - now[idx].time) >= RETIME_MINUTES)) {
+      changes.push('times');
+    }
+    return {
+      cauldronId,
+      changes,
+      before: { visits: was.length, witches: witchesOf(was), firstVisit: was[0]?.time ?? null },
+      after: { visits: now.length, witches: witchesOf(now), firstVisit: now[0]?.time ?? null }
+    };
+  }).filter(stop => stop.changes.length > 0);
+
+  const risksBefore = risksByCauldron(baseline, horizonMinutes);
+  const risksAfter = risksByCauldron(scenario, horizonMinutes);
+  const atRisk = [...risksAfter].map(([cauldronId, reasons]) => ({
+    cauldronId,
+    reasons: [...reasons],
+    new: !risksBefore.has(cauldronId)
+  }));
+
+  return {
+    witches: change(baseline.minWitches, scenario.minWitches),
+    unstaffedWitches: change(baseline.fleet.unstaffedWitches, scenario.fleet.unstaffedWitches),
+    trips: change(baseline.totalTrips, scenario.totalTrips),
+    travelMinutes: change(travelMinutes(baseline), travelMinutes(scenario)),
+    coverage: change(baseline.bounds.coverage, scenario.bounds.coverage),
+    overflowIssues: change(baseline.verification.overflowIssues.length, scenario.verification.overflowIssues.length),
+    windowViolations: change(baseline.windowViolations.length, scenario.windowViolations.length),
+    affectedStops,
+    overflowRisk: {
+      before: risksBefore.size,
+      after: risksAfter.size,
+      cauldrons: atRisk,
+      // At risk in the current plan but not in the what-if one
+      relieved: [...risksBefore.keys()].filter(cauldronId => !risksAfter.has(cauldronId))
+    }
+  };
+}
@@ -0,0 +1,237 @@
+import config from '../config.js';
+import dataSource from './dataSource.js';
+import * as store from '../database/store.js';
+import { detectDrains, robustSpread } from './drainDetection.js';
+import { toSeries } from './reconciliation.js';
+
+// Calibrated fill and drain rates per cauldron. Rates are fitted per UTC day
+// from the level readings and stored in SQLite; finished days are never
+// refitted, the current day is refreshed as readings arrive. The model is
+// the recent windows pooled together, and drift compares it to the older ones.
+
+export const MODEL_DEFAULTS = {
+  recentWindows: 3,     // days pooled into the current model
+  driftThreshold: 0.2   // relative change against the older days that counts as drift
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Readings before a window, so drains and fill trends at its start are seen whole
+const CONTEXT_MS = 6 * 60 * MINUTE_MS;
+const SPAN_SAMPLES = 30;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const dayStart = (ms) => Math.floor(ms / DAY_MS) * DAY_MS;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function weightedMean(items, value, weight) {
+  const usable = items.filter(item => item[value] != null && weight(item) > 0);
+  const total = usable.reduce((sum, item) => sum + weight(item), 0);
+  return total ? usable.reduce((sum, item) => sum + item[value] * weight(item), 0) / total : null;
+}
+
+/**
+ * Fit one window [from, to) of a cauldron's series, given the drains detected
+ * over the whole series. The fill rate is the median slope over spans of
+ * SPAN_SAMPLES readings with no drain in them - long enough that readings
+ * rounded to 0.01 L don't quantize it. The drain rate is the median gross
+ * rate of the drains that started in the window (fill included).
+ */
+function fitWindow(series, drains, from, to) {
+  // drainingBefore[i] = number of draining steps among steps 1..i
+  const drainingBefore = new Array(series.length).fill(0);
+  const draining = new Set();
+  drains.forEach(d => {
+    for (let i = d.startIndex + 1; i <= d.endIndex; i++) draining.add(i);
+  });
+  for (let i = 1; i < series.length; i++) {
+    drainingBefore[i] = drainingBefore[i - 1] + (draining.has(i) ? 1 : 0);
+  }
+
+  let readingCount = 0;
+  const quietRates = [];
+  series.forEach((point, i) => {
+    if (point.ts < from || point.ts >= to) return;
+    readingCount++;
+    const j = i - SPAN_SAMPLES;
+    if (j < 0 || drainingBefore[i] !== drainingBefore[j]) return;
+    const minutes = (point.ts - series[j].ts) / MINUTE_MS;
+    if (minutes > 0) quietRates.push((point.volume - series[j].volume) / minutes);
+  });
+
+  const windowDrains = drains.filter(d => d.startTs >= from && d.startTs < to && d.endTs > d.startTs);
+  const drainRates = windowDrains.map(d => d.volume / ((d.endTs - d.startTs) / MINUTE_MS));
+
+  return {
+    fill_rate: quietRates.length ? round4(Math.max(0, robustSpread(quietRates).trend)) : null,
+    drain_rate: drainRates.length ? round4(median(drainRates)) : null,
+    drain_count: windowDrains.length,
+    reading_count: readingCount
+  };
+}
+
+async function doRefresh(rebuild) {
+  if (rebuild) store.clearRateWindows();
+
+  // Each cauldron resumes after its last finished window
+  const resumeAt = new Map();
+  store.getRateWindows().forEach(w => {
+    if (w.complete) resumeAt.set(w.cauldron_id, new Date(w.window_end).getTime());
+  });
+  const cauldrons = await dataSource.getCauldrons();
+  const resumes = cauldrons.map(c => resumeAt.get(c.id) ?? 0);
+  const from = resumes.length ? Math.min(...resumes) : 0;
+
+  const startSeconds = Math.max(0, Math.floor((from - CONTEXT_MS) / 1000));
+  const seriesById = toSeries(await dataSource.getLevelReadings(startSeconds));
+  const fittedAt = new Date().toISOString();
+  const windows = [];
+
+  cauldrons.forEach(cauldron => {
+    const series = seriesById[cauldron.id] || [];
+    if (!series.length) return;
+    const drains = detectDrains(series);
+    const latest = series[series.length - 1].ts;
+    const resume = resumeAt.get(cauldron.id) ?? 0;
+
+    for (let start = dayStart(Math.max(resume, series[0].ts)); start <= latest; start += DAY_MS) {
+      const end = start + DAY_MS;
+      windows.push({
+        cauldron_id: cauldron.id,
+        window_start: new Date(start).toISOString(),
+        window_end: new Date(end).toISOString(),
+        ...fitWindow(series, drains, start, end),
+        // The last window stays open until readings past its end arrive
+        complete: latest >= end,
+        fitted_at: fittedAt
+      });
+    }
+  });
+
+  store.saveRateWindows(windows);
+  return windows.length;
+}
+
+let lastRefreshAt = 0;
+let currentRefresh = null;
+
+/**
+ * Fold new readings into the stored windows. Calls within
+ * config.modelRefreshMs of the last refresh reuse it unless forced;
+ * rebuild discards every stored window and refits from scratch.
+ * Concurrent callers share the refresh in progress.
+ */
+export function refreshModels({ force = false, rebuild = false } = {}) {
+  if (currentRefresh) return currentRefresh;
+  if (!force && !rebuild && Date.now() - lastRefreshAt < config.modelRefreshMs) {
+    return Promise.resolve(0);
+  }
+  currentRefresh = doRefresh(rebuild)
+    .then(count => {
+      lastRefreshAt = Date.now();
+      return count;
+    })
+    .finally(() => {
+      currentRefresh = null;
+    });
+  return currentRefresh;
+}
+
+function compareRates(baseline, current) {
+  if (baseline == null || current == null || baseline === 0) return null;
+  return {
+    baseline: round4(baseline),
+    current: round4(current),
+    change_pct: Math.round(((current - baseline) / baseline) * 1000) / 10
+  };
+}
+
+/**
+ * Current model for one cauldron from its stored windows (oldest first)
+ */
+export function buildModel(cauldronId, windows, options = {}) {
+  const opts = { ...MODEL_DEFAULTS, ...options };
+  const withData = windows.filter(w => w.reading_count > 0);
+  const recent = withData.slice(-opts.recentWindows);
+  const older = withData.slice(0, -opts.recentWindows);
+
+  const fillRate = weightedMean(recent, 'fill_rate', w => w.reading_count);
+  // Fall back to older windows when nothing was drained lately
+  const drainRate = weightedMean(recent, 'drain_rate', w => w.drain_count)
+    ?? weightedMean(withData, 'drain_rate', w => w.drain_count);
+
+  const fillDrift = compareRates(median(older.map(w => w.fill_rate).filter(r => r != null)), fillRate);
+  const drainDrift = compareRates(median(older.map(w => w.drain_rate).filter(r => r != null)), drainRate);
+  const limit = opts.driftThreshold * 100;
+
+  return {
+    cauldron_id: cauldronId,
+    fill_rate: fillRate == null ? null : round4(fillRate),
+    drain_rate: drainRate == null ? null : round4(drainRate),
+    drains_observed: recent.reduce((sum, w) => sum + w.drain_count, 0),
+    window: recent.length
+      ? { start: recent[0].window_start, end: recent[recent.length - 1].window_end }
+      : null,
+    fitted_at: withData.reduce((latest, w) => (w.fitted_at > latest ? w.fitted_at : latest), '') || null,
+    drift: {
+      fill_rate: fillDrift,
+      drain_rate: drainDrift,
+      drifting: [fillDrift, drainDrift].some(d => d && Math.abs(d.change_pct) > limit)
+    },
+    history: windows.map(w => ({
+      window_start: w.window_start,
+      window_end: w.window_end,
+      fill_rate: w.fill_rate,
+      drain_rate: w.drain_rate,
+      drain_count: w.drain_count,
+      reading_count: w.reading_count,
+      complete: w.complete
+    }))
+  };
+}
+
+/**
+ * Models for every known cauldron, refreshed if they are stale
+ */
+export async function getModels(options) {
+  await refreshModels();
+  const byId = {};
+  store.getRateWindows().forEach(w => {
+    if (!byId[w.cauldron_id]) byId[w.cauldron_id] = [];
+    byId[w.cauldron_id].push(w);
+  });
+  const cauldrons = await dataSource.getCauldrons();
+  return cauldrons.map(c => buildModel(c.id, byId[c.id] || [], options));
+}
+
+/**
+ * Model for one cauldron, or null when the cauldron doesn't exist
+ */
+export async function getModel(cauldronId, options) {
+  const cauldrons = await dataSource.getCauldrons();
+  if (!cauldrons.some(c => c.id === cauldronId)) return null;
+  await refreshModels();
+  return buildModel(cauldronId, store.getRateWindows(cauldronId), options);
+}
+
+/**
+ * Cauldrons with their fill_rate and drain_rate replaced by the fitted ones
+ * where the model has them
+ */
+export async function getCalibratedCauldrons() {
+  const [cauldrons, models] = await Promise.all([dataSource.getCauldrons(), getModels()]);
+  const byId = new Map(models.map(m => [m.cauldron_id, m]));
+  return cauldrons.map(c => {
+    const model = byId.get(c.id);
+    const calibrated = { ...c };
+    if (model?.fill_rate != null) calibrated.fill_rate = model.fill_rate;
+    if (model?.drain_rate != null) calibrated.drain_rate = model.drain_rate;
+    return calibrated;
+  });
+}
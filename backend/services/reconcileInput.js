@@ -0,0 +1,19 @@
+import dataSource from './dataSource.js';
+import { readingWindow } from './reconciliation.js';
+import { getCalibratedCauldrons } from './rateModel.js';
+
+/**
+ * Everything the reconciliation engine needs for startDate..endDate
+ * (inclusive, UTC): cauldrons with their fitted rates, couriers, tickets and
+ * the level readings padded for drains that cross midnight
+ */
+export async function loadReconcileInput(startDate, endDate) {
+  const window = readingWindow(startDate, endDate);
+  const [cauldrons, couriers, tickets, readings] = await Promise.all([
+    getCalibratedCauldrons(),
+    dataSource.getCouriers(),
+    dataSource.getTickets(),
+    dataSource.getLevelReadings(window.start, window.end)
+  ]);
+  return { startDate, endDate, cauldrons, couriers, tickets, readings };
+}
@@ -0,0 +1,433 @@
+// Reconciliation engine: detects drain events in the level readings and
+// checks them against the transport tickets. This is the only place the
+// rules live - /api/reconcile, the Reconciliation panel and the ticket
+// table all show its results.
+
+import { matchOptimally } from './assignment.js';
+import { detectDrains } from './drainDetection.js';
+
+export const RECONCILE_DEFAULTS = {
+  minDrop: 5,             // L - smaller dips are sensor noise
+  detection: {},          // overrides for DETECTION_DEFAULTS in drainDetection.js
+  tolerancePct: 0.15,     // allowed ticket/drain mismatch, as a share of the larger volume
+  minTolerance: 1,        // L - never flag differences below this
+  lowVolume: 5,           // L - tickets below this are reported as unusually small
+  nearOverflowPct: 0.8,   // share of max_volume that counts as a near-overflow collection
+  courierCapacity: 100,   // L - used when a ticket's courier is unknown
+  maxMatchDiff: 0.6,      // tickets and drains further apart than this share are never paired
+  crossMidnightMinutes: 30, // drains this close to a day boundary may pair with tickets on either side
+  crossDayPenalty: 0.1    // matching cost added when a ticket is dated differently from its drain's start
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Readings are fetched for a whole day either side of the period: drains that
+// cross midnight at its edges are seen whole, and the neighbouring days'
+// tickets can find their own drains instead of claiming boundary ones
+export const READING_PAD_MS = DAY_MS;
+const dateKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+const dayStart = (date) => new Date(`${date}T00:00:00Z`).getTime();
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Split canonical readings into time-sorted series per cauldron:
+ * { cauldron_id: [{ ts, volume }] }
+ */
+export function toSeries(readings) {
+  const byId = {};
+  readings.forEach(r => {
+    if (!byId[r.cauldron_id]) byId[r.cauldron_id] = [];
+    byId[r.cauldron_id].push({ ts: new Date(r.timestamp).getTime(), volume: r.volume });
+  });
+  Object.values(byId).forEach(series => series.sort((a, b) => a.ts - b.ts));
+  return byId;
+}
+
+function tolerance(a, b, options) {
+  return Math.max(options.minTolerance, options.tolerancePct * Math.max(a, b));
+}
+
+const relativeDiff = (a, b) => Math.abs(a - b) / Math.max(a, b, Number.EPSILON);
+
+/**
+ * Pair one day's tickets with unclaimed drains one-to-one at minimum total
+ * cost (relative volume difference). Drains near midnight are candidates for
+ * either day. Returns [[ticket index, drain index], ...].
+ */
+function matchTickets(date, tickets, drains, options) {
+  const margin = options.crossMidnightMinutes * MINUTE_MS;
+  const from = dayStart(date) - margin;
+  const to = dayStart(date) + DAY_MS + margin;
+  const candidates = drains
+    .map((drain, index) => ({ drain, index }))
+    .filter(({ drain }) => !drain.ticketId && drain.startTs < to && drain.endTs >= from);
+
+  const pairs = matchOptimally(tickets, candidates, (ticket, { drain }, ti, ci) => {
+    const diff = relativeDiff(ticket.amount_collected, drain.volumeDrained);
+    if (diff > options.maxMatchDiff) return Infinity;
+    const crossDay = dateKey(drain.startTs) !== date ? options.crossDayPenalty : 0;
+    // Tiny tie-breaker: equal volumes pair up in chronological order
+    return diff + crossDay + Math.abs(ti - ci) * 1e-6;
+  }, options.maxMatchDiff);
+
+  return pairs.map(([ti, ci]) => [ti, candidates[ci].index]);
+}
+
+/**
+ * Per-ticket findings: [{ code, type: 'error' | 'warning' | 'info', message }]
+ */
+function ticketFlags(ticket, cauldron, courier, drain, options) {
+  const flags = [];
+  const volume = ticket.amount_collected;
+  const capacity = courier?.max_carrying_capacity ?? options.courierCapacity;
+
+  if (volume <= 0) {
+    flags.push({ code: 'invalid_volume', type: 'error', message: 'Invalid volume (≤0)' });
+  } else if (volume < options.lowVolume) {
+    flags.push({ code: 'low_volume', type: 'info', message: `Low volume (${volume.toFixed(1)}L)` });
+  }
+  if (volume > capacity) {
+    flags.push({ code: 'over_courier_capacity', type: 'warning', message: `Exceeds witch capacity (${volume.toFixed(1)}L > ${capacity}L)` });
+  }
+  if (volume > cauldron.max_volume) {
+    flags.push({ code: 'over_cauldron_capacity', type: 'error', message: `Exceeds cauldron capacity (${volume.toFixed(1)}L > ${cauldron.max_volume}L)` });
+  } else if (volume > cauldron.max_volume * options.nearOverflowPct) {
+    flags.push({ code: 'near_overflow', type: 'warning', message: `Near-overflow collection (>${Math.round(options.nearOverflowPct * 100)}%)` });
+  }
+
+  if (!drain) {
+    flags.push({ code: 'no_drain', type: 'error', message: 'No matching drain event detected' });
+  } else {
+    const diff = Math.abs(drain.volumeDrained - volume);
+    if (diff > tolerance(volume, drain.volumeDrained, options)) {
+      const pct = Math.round((diff / Math.max(volume, drain.volumeDrained)) * 100);
+      flags.push({
+        code: 'volume_mismatch',
+        type: 'warning',
+        message: `Volume mismatch: ticket ${volume.toFixed(1)}L vs drain ${drain.volumeDrained.toFixed(1)}L (${pct}% diff)`
+      });
+    }
+  }
+
+  return flags;
+}
+
+function describe(status, discrepancy) {
+  if (status === 'NO_DATA') return 'Not enough level readings to reconcile';
+  if (status === 'OK') return 'Volumes match within tolerance';
+  return discrepancy > 0
+    ? `Missing tickets: ${discrepancy.toFixed(2)} units unaccounted`
+    : `Excess tickets: ${Math.abs(discrepancy).toFixed(2)} units over-reported`;
+}
+
+function summarizeCauldronDay(cauldron, date, drains, tickets, readingCount, options) {
+  const totalDrained = round2(drains.reduce((sum, d) => sum + d.volumeDrained, 0));
+  const totalTicketed = round2(tickets.reduce((sum, t) => sum + t.amount_collected, 0));
+  const discrepancy = round2(totalDrained - totalTicketed);
+  const unmatchedDrains = drains.filter(d => !d.ticketId);
+  const unmatchedTickets = tickets.filter(t => !t.matchedDrain);
+
+  // A cauldron is suspicious when the day doesn't add up, or when any single
+  // ticket or drain doesn't - offsetting errors shouldn't hide each other
+  const mismatchedTickets = tickets.filter(t => t.flags.some(f => f.code === 'volume_mismatch')).length;
+  let status = 'OK';
+  if (readingCount < 2) {
+    status = 'NO_DATA';
+  } else if (
+    Math.abs(discrepancy) > tolerance(totalDrained, totalTicketed, options) ||
+    unmatchedDrains.length > 0 ||
+    unmatchedTickets.length > 0 ||
+    mismatchedTickets > 0
+  ) {
+    status = 'SUSPICIOUS';
+  }
+
+  return {
+    cauldron_id: cauldron.id,
+    cauldron_name: cauldron.name,
+    date,
+    drains,
+    tickets,
+    unmatchedDrains,
+    unmatchedTickets,
+    totalDrained,
+    totalTicketed,
+    discrepancy,
+    status,
+    message: describe(status, discrepancy)
+  };
+}
+
+/**
+ * Reconcile one cauldron over a list of days. readings should cover the days
+ * (plus READING_PAD_MS either side); tickets may cover any range - tickets from
+ * the neighbouring days claim their own cross-midnight drains first.
+ * Returns { fillRate, days: { date: detail } }.
+ */
+export function reconcileCauldron({ cauldron, readings, tickets, dates, couriers = [], options = {} }) {
+  const opts = { ...RECONCILE_DEFAULTS, ...options };
+  const series = toSeries(readings)[cauldron.id] || [];
+  // Each drain uses the fill rate measured around it; the cauldron's fitted
+  // rate covers drains with too few readings nearby
+  const events = detectDrains(series, { minDrop: opts.minDrop, fillRate: cauldron.fill_rate, ...opts.detection });
+  const fillRate = cauldron.fill_rate ?? (events.length ? median(events.map(e => e.fillRate)) : 0);
+
+  const drains = events.map(e => ({
+    startTs: e.startTs,
+    endTs: e.endTs,
+    levelBefore: e.levelBefore,
+    levelAfter: e.levelAfter,
+    drop: round2(e.drop),
+    // Includes what the cauldron filled while it was drained
+    volumeDrained: round2(e.volume),
+    fillRate: round2(e.fillRate),
+    confidence: e.confidence,
+    ticketId: null
+  }));
+
+  // Match day by day in date order, so each drain goes to at most one ticket
+  const first = dateKey(dayStart(dates[0]) - DAY_MS);
+  const last = dateKey(dayStart(dates[dates.length - 1]) + DAY_MS);
+  const ticketsByDate = {};
+  tickets
+    .filter(t => t.date >= first && t.date <= last)
+    .forEach(t => {
+      if (!ticketsByDate[t.date]) ticketsByDate[t.date] = [];
+      ticketsByDate[t.date].push(t);
+    });
+
+  const drainFor = new Map(); // ticket_id -> drain
+  Object.keys(ticketsByDate).sort().forEach(date => {
+    const dayTickets = ticketsByDate[date].sort((a, b) => a.ticket_id.localeCompare(b.ticket_id));
+    matchTickets(date, dayTickets, drains, opts).forEach(([ti, di]) => {
+      drains[di].ticketId = dayTickets[ti].ticket_id;
+      drains[di].ticketDate = date;
+      drainFor.set(dayTickets[ti].ticket_id, drains[di]);
+    });
+  });
+
+  const couriersById = new Map(couriers.map(c => [c.courier_id, c]));
+  const toOutput = (drain) => ({
+    start: new Date(drain.startTs).toISOString(),
+    end: new Date(drain.endTs).toISOString(),
+    levelBefore: drain.levelBefore,
+    levelAfter: drain.levelAfter,
+    drop: drain.drop,
+    volumeDrained: drain.volumeDrained,
+    fillRate: drain.fillRate,
+    confidence: drain.confidence,
+    ticketId: drain.ticketId,
+    crossMidnight: dateKey(drain.startTs) !== dateKey(drain.endTs) ||
+      (drain.ticketDate != null && drain.ticketDate !== dateKey(drain.startTs))
+  });
+
+  const days = {};
+  dates.forEach(date => {
+    // A matched drain counts on its ticket's day, an unmatched one on the day it started
+    const dayDrains = drains
+      .filter(d => (d.ticketDate ?? dateKey(d.startTs)) === date)
+      .map(toOutput);
+
+    const dayTickets = (ticketsByDate[date] || []).map(ticket => {
+      const drain = drainFor.get(ticket.ticket_id);
+      return {
+        ...ticket,
+        matchedDrain: drain ? new Date(drain.startTs).toISOString() : null,
+        estimatedCollectionTime: drain ? new Date((drain.startTs + drain.endTs) / 2).toISOString() : null,
+        flags: ticketFlags(ticket, cauldron, couriersById.get(ticket.courier_id), drain, opts)
+      };
+    });
+    // Chronological by collection time; unmatched tickets last
+    dayTickets.sort((a, b) => {
+      if (a.estimatedCollectionTime === b.estimatedCollectionTime) return a.ticket_id.localeCompare(b.ticket_id);
+      if (!a.estimatedCollectionTime) return 1;
+      if (!b.estimatedCollectionTime) return -1;
+      return a.estimatedCollectionTime.localeCompare(b.estimatedCollectionTime);
+    });
+
+    const from = dayStart(date);
+    const readingCount = series.filter(p => p.ts >= from && p.ts < from + DAY_MS).length;
+    days[date] = {
+      ...summarizeCauldronDay(cauldron, date, dayDrains, dayTickets, readingCount, opts),
+      fillRate: round2(fillRate)
+    };
+  });
+
+  return { fillRate: round2(fillRate), days };
+}
+
+/**
+ * Reconcile each day from startDate to endDate (YYYY-MM-DD, UTC) across all
+ * cauldrons. Returns one { date, summary, details, orphanTickets } per day.
+ */
+export function reconcilePeriod({ startDate, endDate, cauldrons, readings, tickets, couriers = [], options = {} }) {
+  const dates = datesBetween(startDate, endDate);
+  const known = new Set(cauldrons.map(c => c.id));
+  const readingsById = {};
+  readings.forEach(r => {
+    if (!readingsById[r.cauldron_id]) readingsById[r.cauldron_id] = [];
+    readingsById[r.cauldron_id].push(r);
+  });
+
+  const perCauldron = cauldrons.map(cauldron => reconcileCauldron({
+    cauldron,
+    readings: readingsById[cauldron.id] || [],
+    tickets: tickets.filter(t => t.cauldron_id === cauldron.id),
+    dates,
+    couriers,
+    options
+  }));
+
+  return dates.map(date => {
+    const dayTickets = tickets.filter(t => t.date === date);
+    const details = perCauldron.map(result => result.days[date]);
+
+    // Tickets for cauldrons we know nothing about can't be matched at all
+    const orphanTickets = dayTickets
+      .filter(t => !known.has(t.cauldron_id))
+      .map(t => ({
+        ...t,
+        matchedDrain: null,
+        estimatedCollectionTime: null,
+        flags: [{ code: 'unknown_cauldron', type: 'error', message: 'Cauldron not found in system' }]
+      }));
+
+    const totalDrained = round2(details.reduce((sum, d) => sum + d.totalDrained, 0));
+    const totalTicketed = round2(dayTickets.reduce((sum, t) => sum + t.amount_collected, 0));
+
+    return {
+      date,
+      summary: {
+        totalCauldrons: cauldrons.length,
+        cauldronsMismatched: details.filter(d => d.status === 'SUSPICIOUS').length,
+        totalDrains: details.reduce((sum, d) => sum + d.drains.length, 0),
+        totalTickets: dayTickets.length,
+        totalDrained,
+        totalTicketed,
+        discrepancy: round2(totalDrained - totalTicketed),
+        unmatchedDrains: details.reduce((sum, d) => sum + d.unmatchedDrains.length, 0),
+        unmatchedTickets: details.reduce((sum, d) => sum + d.unmatchedTickets.length, 0) + orphanTickets.length,
+        flaggedTickets: details.reduce((sum, d) => sum + d.tickets.filter(t => t.flags.length).length, 0) + orphanTickets.length
+      },
+      details,
+      orphanTickets
+    };
+  });
+}
+
+/**
+ * Reconcile one day (YYYY-MM-DD, UTC) across all cauldrons.
+ * readings should cover that day plus READING_PAD_MS either side.
+ */
+export function reconcileDay({ date, ...rest }) {
+  return reconcilePeriod({ startDate: date, endDate: date, ...rest })[0];
+}
+
+/**
+ * Unix-second window of readings needed to reconcile startDate..endDate
+ */
+export function readingWindow(startDate, endDate) {
+  return {
+    start: Math.floor((dayStart(startDate) - READING_PAD_MS) / 1000),
+    end: Math.floor((dayStart(endDate) + DAY_MS + READING_PAD_MS) / 1000) - 1
+  };
+}
+
+/**
+ * Inclusive list of YYYY-MM-DD dates (UTC) from start to end
+ */
+export function datesBetween(startDate, endDate) {
+  const dates = [];
+  const end = dayStart(endDate);
+  for (let ms = dayStart(startDate); ms <= end; ms += DAY_MS) {
+    dates.push(dateKey(ms));
+  }
+  return dates;
+}
+
+/**
+ * Reconcile every day from startDate to endDate and lay the results out as a
+ * cauldron x day matrix with cumulative totals, so a cauldron that is short
+ * a little every day stands out even when no single day looks alarming.
+ * With includeTickets, the annotated tickets of every day come along too.
+ */
+export function reconcileRange({ startDate, endDate, cauldrons, readings, tickets, couriers = [], options = {}, includeTickets = false }) {
+  const opts = { ...RECONCILE_DEFAULTS, ...options };
+  const dates = datesBetween(startDate, endDate);
+
+  const days = reconcilePeriod({ startDate, endDate, cauldrons, readings, tickets, couriers, options });
+
+  const matrix = cauldrons.map((cauldron, ci) => {
+    const cells = days.map(day => {
+      const d = day.details[ci];
+      return {
+        date: day.date,
+        totalDrained: d.totalDrained,
+        totalTicketed: d.totalTicketed,
+        discrepancy: d.discrepancy,
+        status: d.status
+      };
+    });
+    const reconciledDays = cells.filter(c => c.status !== 'NO_DATA');
+    const totalDrained = round2(reconciledDays.reduce((sum, c) => sum + c.totalDrained, 0));
+    const totalTicketed = round2(reconciledDays.reduce((sum, c) => sum + c.totalTicketed, 0));
+    const discrepancy = round2(totalDrained - totalTicketed);
+    const short = c => c.discrepancy > tolerance(c.totalDrained, c.totalTicketed, opts);
+    const over = c => -c.discrepancy > tolerance(c.totalDrained, c.totalTicketed, opts);
+    const suspiciousDays = reconciledDays.filter(c => c.status === 'SUSPICIOUS').length;
+
+    return {
+      cauldron_id: cauldron.id,
+      cauldron_name: cauldron.name,
+      days: cells,
+      totals: {
+        daysReconciled: reconciledDays.length,
+        suspiciousDays,
+        underTicketedDays: reconciledDays.filter(short).length,
+        overTicketedDays: reconciledDays.filter(over).length,
+        totalDrained,
+        totalTicketed,
+        discrepancy,
+        // Days that are off in opposite directions can cancel out in the totals
+        status: suspiciousDays > 0 || Math.abs(discrepancy) > tolerance(totalDrained, totalTicketed, opts)
+          ? 'SUSPICIOUS'
+          : 'OK'
+      }
+    };
+  });
+
+  // Worst cumulative shortfall first
+  matrix.sort((a, b) => b.totals.discrepancy - a.totals.discrepancy);
+
+  const totalDrained = round2(days.reduce((sum, d) => sum + d.summary.totalDrained, 0));
+  const totalTicketed = round2(days.reduce((sum, d) => sum + d.summary.totalTicketed, 0));
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    dates,
+    summary: {
+      totalCauldrons: cauldrons.length,
+      days: dates.length,
+      totalDrains: days.reduce((sum, d) => sum + d.summary.totalDrains, 0),
+      totalTickets: days.reduce((sum, d) => sum + d.summary.totalTickets, 0),
+      totalDrained,
+      totalTicketed,
+      discrepancy: round2(totalDrained - totalTicketed),
+      cauldronsMismatched: matrix.filter(m => m.totals.status === 'SUSPICIOUS').length
+    },
+    daily: days.map(d => ({ date: d.date, ...d.summary })),
+    matrix,
+    ...(includeTickets && {
+      tickets: days.flatMap(d => [...d.details.flatMap(detail => detail.tickets), ...d.orphanTickets])
+    })
+  };
+}
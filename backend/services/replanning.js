@@ -0,0 +1,386 @@
+import { EventEmitter } from 'events';
+import config from '../config.js';
+import { loadOptimizationInput, submitOptimization, plannedVisits, getPlannedVisits } from './optimizer.js';
+import { predictCauldronLevels } from './routeOptimizer.js';
+import { planVisits } from './timeWindows.js';
+import { subscribeToReadings } from './levelStream.js';
+
+// Rolling re-planning. The live plan is a series of revisions, each planned
+// from the newest reading with the default settings. Every batch of new
+// readings is compared with the levels the current revision predicted for
+// that time (predictCauldronLevels); when a cauldron is off by more than
+// thresholdPercent of its capacity, the rest of the plan is made again.
+// Trips under way at that point are kept as they are: their couriers are busy
+// until they are back at the market, their shift keeps counting, and the
+// stops they still have to make come off the levels the new plan starts from.
+// Stops already made stay fixed in the revision they were planned in. Each
+// revision carries a change log against the one before and goes out to
+// subscribers (see routes/replanning.js). The optimizer is deterministic, so
+// the log shows what the readings and the later start change, not search noise.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const RETIME_MINUTES = 5; // A visit moved by less than this isn't a change
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const revisions = [];   // oldest first, at most config.replanning.maxRevisions
+let current = null;     // the newest revision
+let replanning = null;  // the re-plan in progress
+let lastPlannedAt = 0;  // wall clock of the last re-plan
+let lastError = null;
+let unsubscribe = null;
+
+const iso = (ms) => new Date(ms).toISOString();
+const clock = (ms) => iso(ms).slice(11, 16);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Every trip of a revision, kept ones included, with times in ms
+function tripsOf(revision) {
+  const planned = revision.result.routes.flatMap(route => route.trips.map((trip, idx) => {
+    const start = revision.start + route.shift.tripStarts[idx] * MINUTE_MS;
+    return {
+      witchId: route.witchId,
+      witchName: route.witchName,
+      courierId: route.courierId,
+      tripNumber: idx + 1,
+      start,
+      end: start + trip.totalTime * MINUTE_MS,
+      trip
+    };
+  }));
+  return [...revision.underway, ...planned];
+}
+
+// Cauldron stops of trips, with arrival and finish in ms
+const stopsOf = (trips) => trips.flatMap(trip => trip.trip.stops
+  .filter(stop => !stop.isMarket)
+  .map(stop => ({
+    cauldronId: stop.cauldronId,
+    witchName: trip.witchName,
+    arrival: trip.start + stop.arrivalTime * MINUTE_MS,
+    done: trip.start + (stop.arrivalTime + stop.drainTime) * MINUTE_MS,
+    volumeCollected: stop.volumeCollected
+  })));
+
+/**
+ * Couriers on shift at `start` and the trips of that shift so far, as
+ * commitments for the optimizer (minutes from start). A shift lasts the day
+ * it started.
+ */
+function commitmentsAt(previous, trips, start) {
+  const shifts = new Map(previous ? previous.shifts : []);
+  trips
+    .filter(trip => trip.courierId && trip.start <= start)
+    .forEach(trip => {
+      const shift = (shifts.get(trip.courierId) || []).filter(t => t.start !== trip.start);
+      shifts.set(trip.courierId, [...shift, { start: trip.start, end: trip.end }].sort((a, b) => a.start - b.start));
+    });
+  for (const [courierId, shift] of shifts) {
+    if (start - shift[0].start >= DAY_MS) shifts.delete(courierId);
+  }
+
+  const commitments = {};
+  shifts.forEach((shift, courierId) => {
+    commitments[courierId] = {
+      trips: shift.map(t => ({ start: (t.start - start) / MINUTE_MS, end: (t.end - start) / MINUTE_MS }))
+    };
+  });
+  return { shifts, commitments };
+}
+
+/**
+ * Changes from revision `before` to revision `after` to the visits still to
+ * come at `at` (ms): visits to each cauldron are paired in time order, and the
+ * unpaired ones are added or removed
+ */
+export function changeLog(before, after, at) {
+  const upcoming = (revision) => stopsOf(tripsOf(revision)).filter(stop => stop.done > at);
+  const changes = [];
+  const byCauldron = (stops) => stops.reduce((map, stop) => {
+    if (!map.has(stop.cauldronId)) map.set(stop.cauldronId, []);
+    map.get(stop.cauldronId).push(stop);
+    return map;
+  }, new Map());
+  const was = byCauldron(upcoming(before).sort((a, b) => a.arrival - b.arrival));
+  const now = byCauldron(upcoming(after).sort((a, b) => a.arrival - b.arrival));
+
+  new Set([...was.keys(), ...now.keys()]).forEach(cauldronId => {
+    const previous = was.get(cauldronId) || [];
+    const next = now.get(cauldronId) || [];
+    for (let idx = 0; idx < Math.max(previous.length, next.length); idx++) {
+      const old = previous[idx];
+      const visit = next[idx];
+      const entry = { cauldron_id: cauldronId };
+      if (!old) {
+        changes.push({ ...entry, type: 'added', witch_name: visit.witchName, arrival: iso(visit.arrival),
+          message: `New visit by ${visit.witchName} at ${clock(visit.arrival)}` });
+      } else if (!visit) {
+        changes.push({ ...entry, type: 'removed', previous_witch_name: old.witchName, previous_arrival: iso(old.arrival),
+          message: `${old.witchName}'s visit at ${clock(old.arrival)} is dropped` });
+      } else {
+        const retimed = Math.abs(visit.arrival - old.arrival) >= RETIME_MINUTES * MINUTE_MS;
+        if (old.witchName === visit.witchName && !retimed) continue;
+        changes.push({
+          ...entry,
+          type: old.witchName === visit.witchName ? 'retimed' : 'reassigned',
+          witch_name: visit.witchName,
+          arrival: iso(visit.arrival),
+          previous_witch_name: old.witchName,
+          previous_arrival: iso(old.arrival),
+          message: old.witchName === visit.witchName
+            ? `${visit.witchName} comes at ${clock(visit.arrival)} instead of ${clock(old.arrival)}`
+            : `${visit.witchName} at ${clock(visit.arrival)} instead of ${old.witchName} at ${clock(old.arrival)}`
+        });
+      }
+    }
+  });
+  return changes.sort((a, b) => (a.arrival ?? a.previous_arrival).localeCompare(b.arrival ?? b.previous_arrival));
+}
+
+const describeTrip = (trip, at) => ({
+  witch_id: trip.witchId,
+  witch_name: trip.witchName,
+  courier_id: trip.courierId,
+  trip_number: trip.tripNumber,
+  start: iso(trip.start),
+  end: iso(trip.end),
+  stops: stopsOf([trip]).map(stop => ({ cauldron_id: stop.cauldronId, arrival: iso(stop.arrival), done: stop.done <= at }))
+});
+
+async function replan(reason, deviations) {
+  lastPlannedAt = Date.now();
+  const input = await loadOptimizationInput();
+  const start = input.options.startTime;
+  const previous = current;
+  // Readings can reach the stream before the data source serves them
+  if (previous && start <= previous.start) return previous;
+
+  // What the previous revision has under way now, and what it has done since it started
+  const trips = previous ? tripsOf(previous) : [];
+  const underway = trips.filter(trip => trip.start <= start && trip.end > start);
+  const completed = stopsOf(trips).filter(stop => stop.done <= start && stop.done > previous.start);
+  const remaining = stopsOf(underway).filter(stop => stop.done > start);
+
+  // The new plan starts once the kept trips have collected what they are on their way to
+  const observed = input.levels;
+  input.levels = observed.map(level => ({
+    ...level,
+    volume: Math.max(0, remaining
+      .filter(stop => stop.cauldronId === level.cauldron_id)
+      .reduce((volume, stop) => volume - stop.volumeCollected, level.volume))
+  }));
+  const { shifts, commitments } = commitmentsAt(previous, trips, start);
+  input.options.commitments = commitments;
+
+  const job = await submitOptimization(input).done;
+  if (job.status !== 'done') throw new Error(job.error);
+  const { result } = job;
+
+  const revision = {
+    revision: (previous?.revision ?? 0) + 1,
+    created_at: new Date().toISOString(),
+    as_of: iso(start),
+    reason,
+    deviations,
+    job_id: job.id,
+    in_progress: underway.map(trip => describeTrip(trip, start)),
+    completed_stops: completed.map(stop => ({
+      cauldron_id: stop.cauldronId,
+      witch_name: stop.witchName,
+      arrival: iso(stop.arrival),
+      volume_collected: round1(stop.volumeCollected)
+    })),
+    changes: [],
+    summary: {
+      witches: result.minWitches,
+      trips: result.totalTrips,
+      kept_trips: underway.length,
+      overflow_issues: result.verification.overflowIssues.length,
+      window_violations: result.windowViolations.length
+    },
+    // Kept out of the API: what the plan and its predictions are built from
+    start,
+    levels: observed,
+    cauldrons: input.cauldrons,
+    horizonMinutes: input.options.horizonMinutes,
+    underway,
+    shifts,
+    result,
+    predictions: null
+  };
+  if (previous) revision.changes = changeLog(previous, revision, start);
+
+  current = revision;
+  revisions.push(revision);
+  while (revisions.length > config.replanning.maxRevisions) revisions.shift();
+  lastError = null;
+
+  console.log(`🔄 Plan revision ${revision.revision} (${reason}): ${result.minWitches} witches, ` +
+    `${underway.length} trips kept, ${revision.changes.length} changes`);
+  emitter.emit('revision', describeRevision(revision, { includeResult: false }));
+  return revision;
+}
+
+function startReplan(reason, deviations = []) {
+  if (!replanning) {
+    replanning = replan(reason, deviations)
+      .catch(error => {
+        lastError = error.message;
+        throw error;
+      })
+      .finally(() => {
+        replanning = null;
+      });
+  }
+  return replanning;
+}
+
+/**
+ * Level the revision predicted for a cauldron `minutes` after its start, or
+ * null when the cauldron isn't in it or the time is past its horizon
+ */
+function predictedLevel(revision, cauldronId, minutes) {
+  if (!revision.predictions) {
+    // Kept trips still drain what they are on their way to
+    const kept = revision.underway.map(trip => ({
+      witchName: trip.witchName,
+      startOffset: (trip.start - revision.start) / MINUTE_MS,
+      trips: [{ ...trip.trip, stops: trip.trip.stops.filter(stop =>
+        trip.start + (stop.arrivalTime + stop.drainTime) * MINUTE_MS > revision.start) }]
+    }));
+    revision.predictions = predictCauldronLevels(revision.cauldrons, revision.levels,
+      [...kept, ...revision.result.routes], revision.horizonMinutes / 60);
+  }
+  const snapshots = revision.predictions;
+  const step = snapshots[1].time - snapshots[0].time;
+  const idx = Math.floor(minutes / step);
+  if (minutes < 0 || idx + 1 >= snapshots.length) return null;
+
+  const from = snapshots[idx].levels[cauldronId];
+  const to = snapshots[idx + 1].levels[cauldronId];
+  if (!from) return null;
+  return from.level + (to.level - from.level) * (minutes - snapshots[idx].time) / step;
+}
+
+// Re-plan when the newest reading of a cauldron is off its predicted level,
+// or the readings have run past the plan's horizon
+function checkReadings(readings) {
+  if (!current || replanning) return;
+  if (Date.now() - lastPlannedAt < config.replanning.minIntervalMs) return;
+
+  const newest = new Map();
+  readings.forEach(r => {
+    if (!newest.has(r.cauldron_id) || r.timestamp > newest.get(r.cauldron_id).timestamp) newest.set(r.cauldron_id, r);
+  });
+
+  let expired = false;
+  const deviations = [];
+  newest.forEach(reading => {
+    const cauldron = current.cauldrons.find(c => c.id === reading.cauldron_id);
+    if (!cauldron) return;
+    const minutes = (Date.parse(reading.timestamp) - current.start) / MINUTE_MS;
+    if (minutes > current.horizonMinutes) {
+      expired = true;
+      return;
+    }
+    const predicted = predictedLevel(current, cauldron.id, minutes);
+    if (predicted === null) return;
+    const difference = reading.volume - predicted;
+    if (Math.abs(difference) > config.replanning.thresholdPercent / 100 * cauldron.max_volume) {
+      deviations.push({
+        cauldron_id: cauldron.id,
+        timestamp: reading.timestamp,
+        observed: round1(reading.volume),
+        predicted: round1(predicted),
+        difference: round1(difference)
+      });
+    }
+  });
+
+  if (deviations.length === 0 && !expired) return;
+  startReplan(deviations.length ? 'deviation' : 'horizon', deviations).catch(error => {
+    console.error('Re-planning failed:', error.message);
+  });
+}
+
+/**
+ * API view of a revision; the plan itself is left out unless asked for
+ */
+export function describeRevision(revision, { includeResult = true } = {}) {
+  const { start, levels, cauldrons, horizonMinutes, underway, shifts, result, predictions, ...rest } = revision;
+  return includeResult ? { ...rest, result } : rest;
+}
+
+/**
+ * Plan again now. Resolves to the new revision (the current one when no newer
+ * reading has come in); concurrent callers share it.
+ */
+export function requestReplan() {
+  return startReplan(current ? 'manual' : 'initial');
+}
+
+export function getRevisions() {
+  return [...revisions].reverse();
+}
+
+export function getRevision(number) {
+  return revisions.find(r => r.revision === Number(number)) || null;
+}
+
+export function getCurrentRevision() {
+  return current;
+}
+
+export function getReplanningStatus() {
+  return {
+    running: Boolean(unsubscribe),
+    replanning: Boolean(replanning),
+    revision: current?.revision ?? null,
+    as_of: current?.as_of ?? null,
+    last_planned_at: lastPlannedAt ? iso(lastPlannedAt) : null,
+    last_error: lastError,
+    threshold_percent: config.replanning.thresholdPercent,
+    min_interval_ms: config.replanning.minIntervalMs
+  };
+}
+
+/**
+ * Receive every new revision (without its plan); returns an unsubscribe function
+ */
+export function subscribeToRevisions(listener) {
+  emitter.on('revision', listener);
+  return () => emitter.off('revision', listener);
+}
+
+/**
+ * Couriers' visits [{ cauldron_id, arrival (ISO) }] in the live plan: the rest
+ * of the kept trips and the current revision's plan. Before the first revision, the
+ * plan for the current data.
+ */
+export async function getLivePlannedVisits() {
+  if (!current) return getPlannedVisits();
+  const kept = stopsOf(current.underway.filter(trip => trip.courierId))
+    .filter(stop => stop.done > current.start)
+    .map(stop => ({ cauldron_id: stop.cauldronId, arrival: iso(stop.arrival) }));
+  return [...kept, ...plannedVisits(current.result)];
+}
+
+/**
+ * Make the first revision and re-plan as new readings come in
+ */
+export function startReplanning() {
+  if (unsubscribe) return;
+  console.log(`🔄 Re-planning on (${config.replanning.thresholdPercent}% off the forecast, ` +
+    `at most every ${Math.round(config.replanning.minIntervalMs / 1000)}s)`);
+  unsubscribe = subscribeToReadings(checkReadings);
+  startReplan('initial').catch(error => {
+    console.error('Initial plan failed:', error.message);
+  });
+}
+
+export function stopReplanning() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+}
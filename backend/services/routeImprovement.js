@@ -0,0 +1,264 @@
+/**
+ * Route Improvement
+ *
+ * Local search run after the greedy construction in routeOptimizer.js.
+ * Simulated annealing over six moves:
+ *   - 2-opt: reverse part of a trip
+ *   - relocate: move a stop into another trip (or elsewhere in its own)
+ *   - swap: exchange two stops between trips
+ *   - move trip: hand a trip to another witch, or move it within a witch's day
+ *   - merge: fold a witch's whole day into the other witches
+ *   - hand over: swap two witches' whole days, e.g. to give an unstaffed
+ *     witch's day to an idle courier
+ *
+ * Plans are compared on overflow issues and missed service windows first, then
+ * unstaffed witches, witch count, overtime and travel time, so a move that makes
+ * the overflow or window check worse is never kept. Stops keep the volume, wait
+ * and drain time the greedy pass gave them, and trips keep their earliest
+ * departure (see timeWindows.js). A plan has one slot per witch (see
+ * courierFleet.js); a trip is rebuilt with its witch's speed when it changes
+ * hands, must fit her capacity, and her day, breaks included, must fit her
+ * shift (see shiftRules.js).
+ */
+
+export const IMPROVEMENT_DEFAULTS = {
+  // The search always runs maxIterations; the time budget only cuts it short
+  // on a slow machine, and then the plan depends on timing
+  timeBudgetMs: 10000,
+  maxIterations: 20000,
+  seed: 2025,
+  // Starting temperature in minutes of travel; cools to 1% of it by the last iteration
+  startTemperature: 30
+};
+
+const ISSUE_COST = 1e6;
+const UNSTAFFED_COST = 1e5;
+const WITCH_COST = 1e4;
+const OVERTIME_COST = 100; // Per minute past a witch's shift
+
+// Small seeded PRNG (mulberry32) so the same input gives the same plan
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const tripVolume = (trip) => trip.totalVolume;
+const shiftMinutes = (trips) => trips.reduce((sum, trip) => sum + trip.totalTime, 0);
+const visitsOf = (trip) => trip.stops
+  .filter(stop => !stop.isMarket)
+  .map(({ cauldronId, cauldronName, waitTime, drainTime, volumeCollected }) => ({ cauldronId, cauldronName, waitTime, drainTime, volumeCollected }));
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const longestTrip = (trips) => Math.max(0, ...trips.map(trip => trip.totalTime));
+
+/**
+ * Witch count, trips, travel, overtime, overflow issues and missed windows of a plan (witch slots -> trips)
+ */
+function measure(plan, verification, { dayLimit, unstaffed, shiftLength }) {
+  const trips = plan.flat();
+  const working = plan.map((witchTrips, witch) => witch).filter(witch => plan[witch].length > 0);
+  return {
+    witches: working.length,
+    unstaffedWitches: working.filter(unstaffed).length,
+    trips: trips.length,
+    travelMinutes: round1(trips.reduce((sum, trip) => sum + trip.totalDistance, 0)),
+    longestShiftMinutes: round1(Math.max(0, ...plan.map((trips, witch) => shiftLength(witch, trips)))),
+    overtimeMinutes: round1(working.reduce((sum, witch) => sum + Math.max(0, shiftLength(witch, plan[witch]) - dayLimit(witch, plan[witch])), 0)),
+    overflowIssues: verification.overflowIssues.length,
+    windowViolations: verification.windowViolations?.length ?? 0
+  };
+}
+
+const costOf = (stats) => (stats.overflowIssues + stats.windowViolations) * ISSUE_COST + stats.unstaffedWitches * UNSTAFFED_COST +
+  stats.witches * WITCH_COST + stats.overtimeMinutes * OVERTIME_COST + stats.travelMinutes;
+
+// Copy of the plan with empty trips dropped (witch slots stay, possibly empty)
+const compact = (plan) => plan.map(trips => trips.filter(trip => trip.stops.length > 0));
+
+const pick = (rng, list) => list[Math.floor(rng() * list.length)];
+
+// A random trip of a witch who has any
+function randomTripRef(rng, plan) {
+  const witch = pick(rng, plan.map((trips, idx) => idx).filter(idx => plan[idx].length > 0));
+  return { witch, trip: Math.floor(rng() * plan[witch].length) };
+}
+
+/**
+ * Improve a plan: trips per witch slot, as built by optimizeRoutes.
+ *
+ * context:
+ *   buildTrip(visits, witch, notBefore) - witch's trip for visits [{ cauldronId, cauldronName, waitTime, drainTime, volumeCollected }]
+ *   verify(routes)            - verifyNoOverflows result for assembled routes, plus windowViolations
+ *   assemble(plan)            - routes for a plan
+ *   capacityOf(witch)         - litres per trip
+ *   dayLimit(witch, trips)    - longest day she may be given for these trips
+ *   unstaffed(witch)          - true for stand-ins beyond the courier fleet
+ *   shiftLength(witch, trips) - first departure to last return, breaks included (default: work time)
+ *   maxTripMinutes            - longest trip a move may build (default: no limit)
+ *
+ * Returns { plan, routes, before, after, iterations, accepted, timedOut, elapsedMs }.
+ */
+export function improveRoutes(initialPlan, context, options = {}) {
+  const settings = { ...IMPROVEMENT_DEFAULTS, ...options };
+  const { buildTrip, verify, assemble, capacityOf, dayLimit, maxTripMinutes = Infinity } = context;
+  const shiftLength = context.shiftLength ?? ((witch, trips) => shiftMinutes(trips));
+  const rng = createRng(settings.seed);
+  const startedAt = Date.now();
+
+  const evaluate = (plan) => {
+    const stats = measure(plan, verify(assemble(plan)), { ...context, shiftLength });
+    return { plan, stats, cost: costOf(stats) };
+  };
+
+  // A witch's changed day may not get longer than her limit, nor her longest trip
+  // longer than allowed (unless it already was)
+  const fitsDay = (trips, previous, witch) =>
+    shiftLength(witch, trips) <= Math.max(dayLimit(witch, trips), shiftLength(witch, previous)) &&
+    longestTrip(trips) <= Math.max(maxTripMinutes, longestTrip(previous));
+
+  // Each move returns a changed copy of the plan, or null when it doesn't apply
+  const moves = {
+    twoOpt(plan) {
+      const ref = randomTripRef(rng, plan);
+      const visits = visitsOf(plan[ref.witch][ref.trip]);
+      if (visits.length < 2) return null;
+      const i = Math.floor(rng() * (visits.length - 1));
+      const j = i + 1 + Math.floor(rng() * (visits.length - i - 1));
+      const reversed = [...visits.slice(0, i), ...visits.slice(i, j + 1).reverse(), ...visits.slice(j + 1)];
+      const next = plan.map(trips => [...trips]);
+      next[ref.witch][ref.trip] = buildTrip(reversed, ref.witch, plan[ref.witch][ref.trip].notBefore);
+      return fitsDay(next[ref.witch], plan[ref.witch], ref.witch) ? next : null;
+    },
+
+    relocate(plan) {
+      const from = randomTripRef(rng, plan);
+      const to = randomTripRef(rng, plan);
+      const source = visitsOf(plan[from.witch][from.trip]);
+      const index = Math.floor(rng() * source.length);
+      const [visit] = source.splice(index, 1);
+      const sameTrip = from.witch === to.witch && from.trip === to.trip;
+      const target = sameTrip ? source : visitsOf(plan[to.witch][to.trip]);
+      if (!sameTrip && tripVolume(plan[to.witch][to.trip]) + visit.volumeCollected > capacityOf(to.witch)) return null;
+      target.splice(Math.floor(rng() * (target.length + 1)), 0, visit);
+
+      const next = plan.map(trips => [...trips]);
+      next[to.witch][to.trip] = buildTrip(target, to.witch, plan[to.witch][to.trip].notBefore);
+      if (!sameTrip) next[from.witch][from.trip] = buildTrip(source, from.witch, plan[from.witch][from.trip].notBefore);
+      if (!fitsDay(next[to.witch], plan[to.witch], to.witch)) return null;
+      return compact(next);
+    },
+
+    swap(plan) {
+      const a = randomTripRef(rng, plan);
+      const b = randomTripRef(rng, plan);
+      if (a.witch === b.witch && a.trip === b.trip) return null;
+      const first = visitsOf(plan[a.witch][a.trip]);
+      const second = visitsOf(plan[b.witch][b.trip]);
+      const i = Math.floor(rng() * first.length);
+      const j = Math.floor(rng() * second.length);
+      const difference = second[j].volumeCollected - first[i].volumeCollected;
+      if (tripVolume(plan[a.witch][a.trip]) + difference > capacityOf(a.witch) ||
+          tripVolume(plan[b.witch][b.trip]) - difference > capacityOf(b.witch)) return null;
+      [first[i], second[j]] = [second[j], first[i]];
+
+      const next = plan.map(trips => [...trips]);
+      next[a.witch][a.trip] = buildTrip(first, a.witch, plan[a.witch][a.trip].notBefore);
+      next[b.witch][b.trip] = buildTrip(second, b.witch, plan[b.witch][b.trip].notBefore);
+      if (!fitsDay(next[a.witch], plan[a.witch], a.witch) ||
+          !fitsDay(next[b.witch], plan[b.witch], b.witch)) return null;
+      return next;
+    },
+
+    // Any witch, including one without trips yet
+    moveTrip(plan) {
+      const from = randomTripRef(rng, plan);
+      const to = Math.floor(rng() * plan.length);
+      const next = plan.map(trips => [...trips]);
+      let [trip] = next[from.witch].splice(from.trip, 1);
+      if (to !== from.witch) {
+        if (tripVolume(trip) > capacityOf(to)) return null;
+        trip = buildTrip(visitsOf(trip), to, trip.notBefore);
+      }
+      next[to].splice(Math.floor(rng() * (next[to].length + 1)), 0, trip);
+      if (to !== from.witch && !fitsDay(next[to], plan[to], to)) return null;
+      return next;
+    },
+
+    merge(plan) {
+      const working = plan.map((trips, idx) => idx).filter(idx => plan[idx].length > 0);
+      if (working.length < 2) return null;
+      const witch = pick(rng, working);
+      const next = plan.map((trips, idx) => (idx === witch ? [] : [...trips]));
+      const others = working.filter(idx => idx !== witch);
+      // Hand each trip to whoever has the shortest day so far
+      for (const trip of plan[witch]) {
+        const target = others.reduce((best, idx) => (shiftLength(idx, next[idx]) < shiftLength(best, next[best]) ? idx : best));
+        if (tripVolume(trip) > capacityOf(target)) return null;
+        next[target].push(buildTrip(visitsOf(trip), target, trip.notBefore));
+        if (!fitsDay(next[target], [], target)) return null;
+      }
+      return next;
+    },
+
+    handOver(plan) {
+      const a = randomTripRef(rng, plan).witch;
+      const b = Math.floor(rng() * plan.length);
+      if (a === b) return null;
+      const next = plan.map(trips => [...trips]);
+      const rebuild = (trips, witch) => trips.map(trip => buildTrip(visitsOf(trip), witch, trip.notBefore));
+      if (plan[a].some(trip => tripVolume(trip) > capacityOf(b)) ||
+          plan[b].some(trip => tripVolume(trip) > capacityOf(a))) return null;
+      next[a] = rebuild(plan[b], a);
+      next[b] = rebuild(plan[a], b);
+      if (!fitsDay(next[a], [], a) || !fitsDay(next[b], [], b)) return null;
+      return next;
+    }
+  };
+  const moveNames = Object.keys(moves);
+
+  const initial = evaluate(initialPlan);
+  let current = initial;
+  let best = initial;
+  let iterations = 0;
+  let accepted = 0;
+
+  let timedOut = false;
+
+  while (iterations < settings.maxIterations) {
+    if (Date.now() - startedAt >= settings.timeBudgetMs) {
+      timedOut = true;
+      break;
+    }
+    iterations++;
+
+    const next = moves[pick(rng, moveNames)](current.plan);
+    if (!next || next.every(trips => trips.length === 0)) continue;
+    const candidate = evaluate(next);
+
+    const temperature = settings.startTemperature * Math.pow(0.01, iterations / settings.maxIterations);
+    const delta = candidate.cost - current.cost;
+    if (delta <= 0 || rng() < Math.exp(-delta / temperature)) {
+      current = candidate;
+      accepted++;
+      if (current.cost < best.cost) best = current;
+    }
+  }
+
+  return {
+    plan: best.plan,
+    routes: assemble(best.plan),
+    before: initial.stats,
+    after: best.stats,
+    iterations,
+    accepted,
+    timedOut,
+    elapsedMs: Date.now() - startedAt
+  };
+}
@@ -0,0 +1,1595 @@
+/**
+ * Route Optimization
+ * 
+ * Calculates the minimum number of witches needed to maintain operations indefinitely
+ * and generates optimal daily pickup schedules that prevent any cauldron from overflowing.
+ * 
+ * IMPORTANT: Only uses connections defined in the network graph with their actual travel times.
+ * 
+ * Runs in a worker thread (services/optimizerWorker.js) - the trace logging is
+ * only printed with OPTIMIZER_DEBUG=true.
+ */
+
+import config from '../config.js';
+import { improveRoutes, IMPROVEMENT_DEFAULTS } from './routeImprovement.js';
+import { lowerBound, exactMinimum } from './witchBounds.js';
+import { buildPeriodicSchedule } from './periodicSchedule.js';
+import { buildFleet, unstaffedWitch, fleetUtilization } from './courierFleet.js';
+import { SHIFT_DEFAULTS, earliestStart, layoutShift, shiftViolations, workSinceBreak } from './shiftRules.js';
+import { TIME_WINDOW_DEFAULTS, levelAt, serviceWindow, planVisits, visitWindows, checkWindows } from './timeWindows.js';
+
+const silent = { log() {}, warn() {}, error() {} };
+const logger = config.optimizer.debug ? console : silent;
+
+const MINUTE_MS = 60 * 1000;
+const UNLOAD_MINUTES = 15; // Time to unload at the market after each trip
+const MAX_ROUTE_MINUTES = 120; // A trip heads back to the market after this long
+const MIN_TRIP_MINUTES = 30; // Shift time a witch needs left to start another trip
+
+export const OPTIMIZER_DEFAULTS = {
+  capacity: 100,           // L per trip when no courier reports one
+  horizonMinutes: 24 * 60, // Unserviced cauldrons must last this long
+  // Longest the local search after the greedy pass may run (0 skips it)
+  timeBudgetMs: IMPROVEMENT_DEFAULTS.timeBudgetMs,
+  // 'exact' also packs a cycle into trips of at most 2 stops (services/witchBounds.js)
+  solver: 'heuristic',
+  // Labor rules for every witch's shift (services/shiftRules.js)
+  shiftRules: SHIFT_DEFAULTS,
+  // Service windows from each cauldron's overflow forecast (services/timeWindows.js)
+  timeWindows: TIME_WINDOW_DEFAULTS
+};
+
+export const SOLVERS = ['heuristic', 'exact'];
+
+/**
+ * Witch letter for a 0-based index: A, B, C... Z, AA, AB, etc.
+ */
+function witchLetter(idx) {
+  return idx < 26
+    ? String.fromCharCode(65 + idx)
+    : String.fromCharCode(65 + Math.floor(idx / 26) - 1) + String.fromCharCode(65 + (idx % 26));
+}
+
+/**
+ * Drain rate for each cauldron from the fitted rate models
+ * (getCalibratedCauldrons in services/rateModel.js)
+ */
+function getDrainRates(cauldrons) {
+  const drainRates = {};
+  cauldrons.forEach(cauldron => {
+    drainRates[cauldron.id] = cauldron.drain_rate || 50;
+    if (!cauldron.drain_rate) {
+      logger.log(`   ⚠️ ${cauldron.id}: no fitted drain rate, using default 50 L/min`);
+    }
+  });
+  return drainRates;
+}
+
+
+
+/**
+ * Build adjacency map from network edges for fast lookups
+ * Uses travel_time_minutes directly from API (same as MapView)
+ */
+function buildAdjacencyMap(network) {
+  const adjacency = new Map();
+  
+  if (!network?.edges || !Array.isArray(network.edges)) {
+    logger.warn('⚠️ No network edges found!');
+    return adjacency;
+  }
+  
+  logger.log(`📊 Building adjacency map from ${network.edges.length} edges`);
+  
+  network.edges.forEach((edge, idx) => {
+    const from = edge.from;
+    const to = edge.to;
+    const cost = edge.travel_time_minutes; // Use same field as MapView
+    
+    // Log a few edges to verify costs
+    if (idx < 5) {
+      logger.log(`  Edge ${idx}: ${from} → ${to}, travel_time_minutes: ${cost}`);
+    }
+    
+    // Add both directions (assuming undirected graph)
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    if (!adjacency.has(to)) adjacency.set(to, []);
+    
+    adjacency.get(from).push({ node: to, cost: parseFloat(cost) });
+    adjacency.get(to).push({ node: from, cost: parseFloat(cost) });
+  });
+  
+  logger.log(`✓ Adjacency map built with ${adjacency.size} nodes`);
+  
+  return adjacency;
+}
+
+/**
+ * Adjacency map with travel times for a witch moving `speed` times as fast as the network's times
+ */
+function scaleAdjacency(adjacency, speed) {
+  const scaled = new Map();
+  adjacency.forEach((neighbors, node) => {
+    scaled.set(node, neighbors.map(n => ({ node: n.node, cost: n.cost / speed })));
+  });
+  return scaled;
+}
+
+/**
+ * Dijkstra's algorithm to find shortest path in the network graph
+ */
+function dijkstra(adjacency, startNode, endNode) {
+  const distances = new Map();
+  const previous = new Map();
+  const unvisited = new Set();
+  
+  // Initialize
+  for (const node of adjacency.keys()) {
+    distances.set(node, Infinity);
+    unvisited.add(node);
+  }
+  distances.set(startNode, 0);
+  
+  while (unvisited.size > 0) {
+    // Find unvisited node with minimum distance
+    let currentNode = null;
+    let minDist = Infinity;
+    for (const node of unvisited) {
+      const dist = distances.get(node);
+      if (dist < minDist) {
+        minDist = dist;
+        currentNode = node;
+      }
+    }
+    
+    if (currentNode === null || minDist === Infinity) break;
+    if (currentNode === endNode) break;
+    
+    unvisited.delete(currentNode);
+    
+    // Update neighbors
+    const neighbors = adjacency.get(currentNode) || [];
+    for (const { node: neighbor, cost } of neighbors) {
+      if (!unvisited.has(neighbor)) continue;
+      
+      const altDistance = distances.get(currentNode) + cost;
+      if (altDistance < distances.get(neighbor)) {
+        distances.set(neighbor, altDistance);
+        previous.set(neighbor, currentNode);
+      }
+    }
+  }
+  
+  // Reconstruct path
+  const path = [];
+  let current = endNode;
+  while (current !== undefined) {
+    path.unshift(current);
+    current = previous.get(current);
+  }
+  
+  return {
+    distance: distances.get(endNode),
+    path: path.length > 1 ? path : null
+  };
+}
+
+/**
+ * Get travel time between two nodes using network graph (Dijkstra)
+ */
+export function getTravelTime(fromId, toId, network, adjacency = null) {
+  if (fromId === toId) return 0;
+  
+  if (!adjacency) {
+    adjacency = buildAdjacencyMap(network);
+  }
+  
+  // Check for direct connection first
+  const neighbors = adjacency.get(fromId) || [];
+  const directConnection = neighbors.find(n => n.node === toId);
+  if (directConnection) {
+    return directConnection.cost;
+  }
+  
+  // Use Dijkstra for shortest path
+  const result = dijkstra(adjacency, fromId, toId);
+  return result.distance === Infinity ? null : result.distance;
+}
+
+/**
+ * Verify that no cauldrons will overflow given the scheduled routes
+ * Simulates cauldron levels over time with fills and drains
+ * Returns { sustainable, overflowIssues, criticalWarnings }
+ * Event times are minutes from the start of the schedule
+ */
+function verifyNoOverflows(routes, cauldronStates, horizonMinutes = OPTIMIZER_DEFAULTS.horizonMinutes, log = logger) {
+  log.log(`\n🔍 Starting overflow verification...`);
+  log.log(`Using ACTUAL current levels from API data (as of simulation start time)`);
+  
+  // Create a timeline of all service events
+  const events = []; // {time, cauldronId, action: 'drain', volumeDrained}
+  
+  // Each witch makes her trips from her first departure with her breaks in
+  // between, as in the daily schedule
+  routes.forEach((witchRoute, witchIdx) => {
+    let tripStart = witchRoute.startOffset ?? 0;
+    witchRoute.trips.forEach((trip, tripIdx) => {
+      tripStart = witchRoute.shift?.tripStarts[tripIdx] ?? tripStart;
+      trip.stops.forEach((stop, stopIdx) => {
+        if (!stop.isMarket && stop.cauldronId) {
+          events.push({
+            time: tripStart + stop.arrivalTime,
+            cauldronId: stop.cauldronId,
+            action: 'drain',
+            volumeDrained: stop.volumeCollected,
+            drainDuration: stop.drainTime,
+            witchName: witchRoute.witchName,
+            tripNum: tripIdx + 1,
+            stopNum: stopIdx + 1
+          });
+        }
+      });
+      tripStart += trip.totalTime;
+    });
+  });
+  
+  // Sort events by time
+  events.sort((a, b) => a.time - b.time);
+  
+  log.log(`  Found ${events.length} drain events across all routes`);
+  
+  // Simulate each cauldron's level over time
+  const overflowIssues = [];
+  const criticalWarnings = [];
+  
+  log.log(`\n📊 Simulating each cauldron over time:`);
+  
+  cauldronStates.forEach((cauldron) => {
+    const cauldronId = cauldron.id;
+    const maxVolume = cauldron.maxVolume;
+    const fillRate = cauldron.fillRate; // L/min
+    let currentLevel = cauldron.currentLevel; // Using ACTUAL current level from API
+    const startLevel = currentLevel;
+    let currentTime = 0;
+    
+    // Get all events for this cauldron
+    const cauldronEvents = events.filter(e => e.cauldronId === cauldronId);
+    
+    if (cauldronEvents.length === 0) {
+      log.warn(`  ⚠️ ${cauldronId}: No service events scheduled!`);
+      // Check if it will overflow without any service
+      const timeToOverflow = (maxVolume - currentLevel) / fillRate;
+      if (timeToOverflow < horizonMinutes) {
+        overflowIssues.push({
+          cauldronId,
+          time: timeToOverflow,
+          level: maxVolume,
+          maxVolume,
+          overflow: 0,
+          message: `NO SERVICE SCHEDULED - will overflow in ${(timeToOverflow / 60).toFixed(1)} hours`
+        });
+      }
+      return;
+    }
+    
+    log.log(`\n  ${cauldronId} (${cauldron.name}):`);
+    log.log(`    Start: ${startLevel.toFixed(1)}L / ${maxVolume}L (${((startLevel/maxVolume)*100).toFixed(1)}%)`);
+    log.log(`    Fill rate: ${fillRate.toFixed(2)} L/min`);
+    log.log(`    Scheduled visits: ${cauldronEvents.length}`);
+    
+    // Simulate through each event
+    cauldronEvents.forEach((event, idx) => {
+      // Fill from current time to event time
+      const timePassed = event.time - currentTime;
+      const volumeFilled = fillRate * timePassed;
+      currentLevel += volumeFilled;
+      
+      // Check for overflow BEFORE drain
+      if (currentLevel > maxVolume) {
+        const overflowAmount = currentLevel - maxVolume;
+        overflowIssues.push({
+          cauldronId,
+          time: event.time,
+          level: currentLevel,
+          maxVolume,
+          overflow: overflowAmount,
+          message: `Overflows by ${overflowAmount.toFixed(1)}L at t=${(event.time/60).toFixed(1)}h (before ${event.witchName} arrives)`
+        });
+        log.error(`    ❌ Visit ${idx + 1}: OVERFLOW at t=${(event.time/60).toFixed(1)}h - level ${currentLevel.toFixed(1)}L > max ${maxVolume}L`);
+      } else {
+        const percentBefore = (currentLevel / maxVolume) * 100;
+        if (percentBefore > 95) {
+          criticalWarnings.push({
+            cauldronId,
+            time: event.time,
+            level: currentLevel,
+            percentFull: percentBefore
+          });
+          log.warn(`    ⚠️ Visit ${idx + 1}: CRITICAL at t=${(event.time/60).toFixed(1)}h - level ${currentLevel.toFixed(1)}L (${percentBefore.toFixed(1)}%)`);
+        } else {
+          log.log(`    ✓ Visit ${idx + 1}: ${event.witchName} arrives at t=${(event.time/60).toFixed(1)}h - level ${currentLevel.toFixed(1)}L (${percentBefore.toFixed(1)}%)`);
+        }
+      }
+      
+      // Apply drain
+      currentLevel -= event.volumeDrained;
+      currentTime = event.time + event.drainDuration;
+      
+      const percentAfter = (currentLevel / maxVolume) * 100;
+      log.log(`      Drains ${event.volumeDrained.toFixed(1)}L → ${currentLevel.toFixed(1)}L (${percentAfter.toFixed(1)}%)`);
+      
+      // Check if this is the last event - project forward
+      if (idx === cauldronEvents.length - 1) {
+        const timeToOverflow = (maxVolume - currentLevel) / fillRate;
+        log.log(`      After last visit: ${currentLevel.toFixed(1)}L, will overflow in ${(timeToOverflow / 60).toFixed(1)} hours`);
+        
+        if (timeToOverflow < 120) { // Less than 2 hours
+          log.warn(`      ⚠️ Only ${(timeToOverflow / 60).toFixed(1)} hours until overflow after last service!`);
+        }
+        
+        // CRITICAL: Check if schedule is sustainable (will the next cycle start before overflow?)
+        // The next cycle would start at the same time as this cycle (periodic schedule)
+        const cycleTime = event.time + event.drainDuration; // Time when this visit ends
+        const timeSinceStart = cycleTime; // Assuming we start next cycle immediately
+        
+        // If the cauldron fills faster than we're servicing it, it's unsustainable
+        if (timeToOverflow < cycleTime) {
+          overflowIssues.push({
+            cauldronId,
+            time: currentTime + timeToOverflow,
+            level: maxVolume,
+            maxVolume,
+            overflow: 0,
+            message: `UNSUSTAINABLE: Will overflow ${(timeToOverflow / 60).toFixed(1)}h after last service, but cycle takes ${(cycleTime / 60).toFixed(1)}h`
+          });
+          log.error(`      ❌ UNSUSTAINABLE SCHEDULE: Needs service every ${(timeToOverflow / 60).toFixed(1)}h but cycle takes ${(cycleTime / 60).toFixed(1)}h`);
+        }
+      }
+    });
+  });
+  
+  // Report results
+  log.log(`\n${'='.repeat(80)}`);
+  if (overflowIssues.length > 0) {
+    log.error(`\n❌ OVERFLOW ISSUES DETECTED (${overflowIssues.length} cases):`);
+    overflowIssues.forEach(issue => {
+      log.error(`  ${issue.cauldronId}: ${issue.message}`);
+    });
+    log.error(`\n⚠️ THE SCHEDULE WILL RESULT IN OVERFLOWS!`);
+    log.error(`   This schedule is NOT sustainable long-term.`);
+    log.error(`   Need more frequent visits, more witches, or faster drain rates.`);
+  } else if (criticalWarnings.length > 0) {
+    log.warn(`\n⚠️ ${criticalWarnings.length} CRITICAL WARNINGS (>95% full before service):`);
+    criticalWarnings.forEach(warn => {
+      log.warn(`  ${warn.cauldronId}: ${warn.percentFull.toFixed(1)}% full at t=${(warn.time/60).toFixed(1)}h`);
+    });
+    log.log(`\n✅ NO OVERFLOWS - but some cauldrons get very full. Consider more frequent visits.`);
+    log.log(`✅ Schedule appears SUSTAINABLE for repeated cycles.`);
+  } else {
+    log.log(`\n✅ NO OVERFLOWS DETECTED - All cauldrons serviced safely!`);
+    log.log(`✅ Schedule is SUSTAINABLE - can repeat indefinitely without overflows.`);
+  }
+  log.log(`${'='.repeat(80)}\n`);
+  
+  return { sustainable: overflowIssues.length === 0, overflowIssues, criticalWarnings };
+}
+
+/**
+ * Calculate when each cauldron will overflow based on current level and fill rate
+ * Now includes calculated drain rates
+ */
+export function calculateOverflowTimes(cauldrons, levels, drainRates = {}) {
+  return cauldrons.map(cauldron => {
+    const cauldronId = cauldron.id;
+    const levelData = levels.find(l => l.cauldron_id === cauldronId);
+    
+    const currentLevel = levelData?.volume ?? 0;
+    const maxVolume = cauldron.max_volume;
+    const fillRate = cauldron.fill_rate ?? 0;
+    const drainRate = drainRates[cauldronId] || 50; // Use calculated drain rate or default
+    
+    // Time until overflow in minutes
+    const timeUntilOverflow = fillRate > 0 
+      ? (maxVolume - currentLevel) / fillRate 
+      : Infinity;
+    
+    return {
+      id: cauldronId,
+      name: cauldron.name,
+      currentLevel,
+      maxVolume,
+      fillRate,
+      drainRate, // Include the calculated drain rate
+      timeUntilOverflow,
+      location: {
+        lat: cauldron.latitude,
+        lon: cauldron.longitude
+      }
+    };
+  });
+}
+
+/**
+ * Calculate how long it takes to drain a cauldron
+ * Uses the cauldron's calculated drain rate from historical data
+ * We drain what we can carry (up to 100L), not necessarily to a target level
+ */
+export function calculateDrainTime(cauldron, currentLevel) {
+  // Use the cauldron's specific drain rate (calculated from historical data)
+  const drainRate = cauldron.drainRate || 50; // Should have been set by calculateOverflowTimes
+  
+  // Account for fill rate during drain
+  // While we're draining, potion is still being added at the fill rate
+  const effectiveDrainRate = drainRate - cauldron.fillRate;
+  
+  if (effectiveDrainRate <= 0) {
+    // Filling faster than we can drain - still try but cap the time
+    logger.warn(`⚠️ Cauldron ${cauldron.id} fills at ${cauldron.fillRate.toFixed(2)} L/min (faster than drain rate ${drainRate.toFixed(2)} L/min!)`);
+    return 30; // 30 minutes, still service it
+  }
+  
+  // Calculate how much we should drain to bring cauldron to a safe level
+  // Target: drain to 30% of max capacity
+  const targetLevel = cauldron.maxVolume * 0.30;
+  const volumeNeeded = Math.max(0, currentLevel - targetLevel);
+  
+  // CRITICAL FIX: Don't assume we're draining 100L if cauldron doesn't have that much!
+  // Respect witch capacity limit (100L max) BUT also respect what's actually available
+  const actualVolumeToDrain = Math.min(
+    volumeNeeded,      // What we need to drain to reach 30%
+    100,               // Witch capacity limit (full 100L)
+    currentLevel * 0.7 // Don't drain more than 70% of current level (keep some minimum)
+  );
+  
+  // Calculate actual drain time based on realistic volume (no artificial cap)
+  // Witches can stay as long as needed to drain properly
+  const drainTime = actualVolumeToDrain / effectiveDrainRate;
+  const finalDrainTime = Math.max(5, drainTime); // At least 5 minutes
+  
+  // Log when using calculated (non-default) drain rate
+  if (cauldron.drainRate !== undefined && cauldron.drainRate !== 50) {
+    logger.log(`    ✓ ${cauldron.id}: drain rate ${drainRate.toFixed(2)} L/min (eff: ${effectiveDrainRate.toFixed(2)}) → ${finalDrainTime.toFixed(1)} min for ${actualVolumeToDrain.toFixed(1)}L`);
+  } else {
+    logger.log(`    ⚠️ ${cauldron.id}: using DEFAULT drain rate 50 L/min → drain time ${finalDrainTime.toFixed(1)} min`);
+  }
+  
+  return finalDrainTime;
+}
+
+/**
+ * Calculate volume that will be collected from a cauldron
+ * CRITICAL: Must use the SAME logic as calculateDrainTime to avoid circular calculation
+ */
+export function calculateDrainVolume(cauldron, currentLevel, drainTime, maxCapacity = 100) {
+  // Use the SAME logic as calculateDrainTime to determine actual volume
+  // (Don't recalculate from time - that creates circular logic!)
+  
+  const targetLevel = cauldron.maxVolume * 0.30;
+  const volumeNeeded = Math.max(0, currentLevel - targetLevel);
+  
+  // Available to drain: Don't drain more than 70% of current level (keep 30% minimum)
+  const availableToDrain = Math.max(0, currentLevel * 0.7);
+  
+  // CRITICAL FIX: Use the EXACT SAME calculation as calculateDrainTime
+  // The witch can carry the full maxCapacity (100L)
+  const witchCapacityLimit = maxCapacity; // Full 100L capacity
+  
+  // Take the minimum of what we need, what's available, and what witch can carry
+  const volumeCollected = Math.min(
+    volumeNeeded,           // What we need to drain to reach 30% target
+    availableToDrain,       // What's safely available (70% of current)
+    witchCapacityLimit      // Witch capacity limit (100L)
+  );
+  
+  // At least 10L to make the trip worthwhile
+  const result = Math.max(10, volumeCollected);
+  
+  // Debug logging
+  if (Math.random() < 0.05) { // Log 5% of calculations
+    logger.log(`    📊 calculateDrainVolume for ${cauldron.id}:`);
+    logger.log(`       currentLevel: ${currentLevel.toFixed(1)}L, maxVolume: ${cauldron.maxVolume.toFixed(1)}L`);
+    logger.log(`       targetLevel: ${targetLevel.toFixed(1)}L, volumeNeeded: ${volumeNeeded.toFixed(1)}L`);
+    logger.log(`       availableToDrain: ${availableToDrain.toFixed(1)}L, witchLimit: ${witchCapacityLimit.toFixed(1)}L`);
+    logger.log(`       volumeCollected: ${volumeCollected.toFixed(1)}L, RESULT: ${result.toFixed(1)}L`);
+  }
+  
+  return result;
+}
+
+/**
+ * Find all cauldrons reachable from current node via network connections
+ */
+function getReachableCauldrons(currentNodeId, unvisited, adjacency) {
+  const reachable = [];
+  
+  for (const cauldron of unvisited) {
+    const result = dijkstra(adjacency, currentNodeId, cauldron.id);
+    if (result.distance !== Infinity && result.path) {
+      reachable.push({
+        ...cauldron,
+        pathDistance: result.distance,
+        path: result.path
+      });
+    }
+  }
+  
+  return reachable;
+}
+
+/**
+ * Find the best next cauldron considering urgency, reachability, and constraints
+ * Service windows are hard: a cauldron whose window has closed by the time we
+ * get there is never picked, and we wait at most maxWaitMinutes for one to open.
+ * timing: { departure (trip start, minutes from the plan start), windows (settings),
+ *           maxRouteTime (a stop must be drained by then) }
+ */
+function findNextCriticalCauldron(
+  currentNodeId, 
+  unvisited, 
+  currentTime,
+  adjacency,
+  currentCapacity,
+  maxCapacity,
+  isFirstStop = false,
+  timing = { departure: 0, windows: TIME_WINDOW_DEFAULTS }
+) {
+  const reachable = getReachableCauldrons(currentNodeId, unvisited, adjacency);
+  
+  logger.log(`      🔎 Searching from ${currentNodeId}: ${reachable.length} reachable out of ${unvisited.length} unvisited`);
+  
+  if (reachable.length === 0) {
+    return null; // No reachable cauldrons
+  }
+  
+  let best = null;
+  let bestScore = -Infinity;
+  let rejected = [];
+  
+  for (const cauldron of reachable) {
+    const travelTime = cauldron.pathDistance;
+    const window = serviceWindow(cauldron, cauldron.currentLevel, cauldron.levelTime ?? 0, timing.windows);
+    const reachedAt = timing.departure + currentTime + travelTime;
+    
+    // Hard window: never late, and only a short wait when early
+    if (reachedAt > window.latest) {
+      rejected.push({id: cauldron.id, reason: 'window closed', late: (reachedAt - window.latest).toFixed(1)});
+      continue;
+    }
+    const waitTime = Math.max(0, window.earliest - reachedAt);
+    if (waitTime > timing.windows.maxWaitMinutes) {
+      rejected.push({id: cauldron.id, reason: 'window not open', wait: waitTime.toFixed(1)});
+      continue;
+    }
+    const arrivalTime = currentTime + travelTime + waitTime;
+    
+    // Level when we start draining, from the forecast
+    const level = levelAt(cauldron, cauldron.currentLevel, cauldron.levelTime ?? 0, timing.departure + arrivalTime);
+    
+    // Debug: Check drain rate before calling calculateDrainTime
+    if (reachable.indexOf(cauldron) < 2) { // Only log first 2 to avoid spam
+      logger.log(`      🔬 ${cauldron.id} before calculateDrainTime: drainRate = ${cauldron.drainRate?.toFixed(2) || 'UNDEFINED'}`);
+    }
+    
+    const drainTime = calculateDrainTime(cauldron, level);
+    const volumeToCollect = calculateDrainVolume(cauldron, level, drainTime, maxCapacity);
+    if (arrivalTime + drainTime > (timing.maxRouteTime ?? Infinity)) {
+      rejected.push({id: cauldron.id, reason: 'trip too long', until: (arrivalTime + drainTime).toFixed(1)});
+      continue;
+    }
+    
+    // Debug: Log volume calculation for first few
+    if (reachable.indexOf(cauldron) < 2) {
+      logger.log(`      📦 ${cauldron.id} volume calc: level=${level.toFixed(1)}L, maxVol=${cauldron.maxVolume.toFixed(1)}L → collecting ${volumeToCollect.toFixed(1)}L`);
+    }
+    
+    // Time left before the window closes
+    const timeBuffer = window.latest - (timing.departure + arrivalTime);
+    
+    if (!isFirstStop) {
+      // Check capacity - use full capacity (100L)
+      if (currentCapacity + volumeToCollect > maxCapacity) {
+        rejected.push({id: cauldron.id, reason: 'capacity', would: (currentCapacity + volumeToCollect).toFixed(1), max: maxCapacity});
+        continue;
+      }
+    } else {
+      // Even on first stop, don't exceed capacity
+      if (volumeToCollect > maxCapacity) {
+        rejected.push({id: cauldron.id, reason: 'too large', volume: volumeToCollect.toFixed(1)});
+        continue;
+      }
+    }
+    
+    // Scoring: closing windows first, then what's close and worth the trip
+    const urgencyScore = Math.max(0, 10000 / Math.max(1, timeBuffer));
+    const efficiencyScore = volumeToCollect / Math.max(1, travelTime + waitTime + drainTime);
+    const proximityScore = 1000 / Math.max(1, travelTime + waitTime);
+    
+    // If this cauldron fits comfortably in capacity, bonus
+    const fitsWell = currentCapacity + volumeToCollect <= maxCapacity;
+    const capacityBonus = fitsWell ? 2000 : 0;
+    
+    const score = urgencyScore + proximityScore + (efficiencyScore * 0.5) + capacityBonus;
+    
+    if (score > bestScore) {
+      bestScore = score;
+      best = {
+        ...cauldron,
+        travelTime,
+        waitTime,
+        arrivalTime,
+        drainTime,
+        level,
+        volumeToCollect,
+        window,
+        path: cauldron.path
+      };
+    }
+  }
+  
+  if (!best && rejected.length > 0) {
+    logger.log(`      ⚠️ All ${reachable.length} reachable cauldrons rejected:`, rejected.slice(0, 3));
+  }
+  
+  return best;
+}
+
+/**
+ * Build a single witch's route starting from the market
+ * Returns the route and which cauldrons were FULLY serviced (not just visited)
+ * CRITICAL: Respects 100L capacity limit, allows partial drains
+ * Cauldron levels are updated as of the end of each drain (levelTime), so the
+ * next trip's windows follow on from this one
+ */
+function buildSingleRoute(
+  marketId, 
+  unvisited, 
+  adjacency,
+  courierCapacity,
+  startTime = 0,
+  maxRouteTime = MAX_ROUTE_MINUTES,
+  timing = { departure: 0, windows: TIME_WINDOW_DEFAULTS }
+) {
+  const route = {
+    stops: [],
+    totalTime: 0,
+    totalVolume: 0,
+    totalDistance: 0
+  };
+  
+  const fullyServiced = []; // Only cauldrons that are now SAFE (<70% full)
+  let currentNode = marketId;
+  let currentTime = startTime;
+  let currentCapacity = 0;
+  let isFirstStop = true;
+  
+  // Make a working copy so we don't mutate the original
+  const remainingCauldrons = [...unvisited];
+  
+  logger.log(`  🔍 Building ONE TRIP with ${remainingCauldrons.length} available cauldrons`);
+  
+  let iterations = 0;
+  const MAX_ITERATIONS = 10; // Fewer stops per trip with 100L capacity
+  
+  while (remainingCauldrons.length > 0 && iterations < MAX_ITERATIONS) {
+    iterations++;
+    logger.log(`    Iteration ${iterations}: ${remainingCauldrons.length} remaining, capacity: ${currentCapacity.toFixed(1)}/${courierCapacity}`);
+    
+    const nextCauldron = findNextCriticalCauldron(
+      currentNode,
+      remainingCauldrons,
+      currentTime,
+      adjacency,
+      currentCapacity,
+      courierCapacity,
+      isFirstStop,
+      { ...timing, maxRouteTime }
+    );
+    
+    if (!nextCauldron) {
+      logger.log(`    ⛔ No more cauldrons reachable/feasible from ${currentNode}`);
+      break;
+    }
+    
+    isFirstStop = false;
+    
+    logger.log(`    ✓ Adding ${nextCauldron.id} (collecting ${nextCauldron.volumeToCollect.toFixed(1)}L)`);
+    logger.log(`       Travel: ${nextCauldron.travelTime.toFixed(1)} min from ${currentNode} to ${nextCauldron.id}`);
+    logger.log(`       Arrival: ${nextCauldron.arrivalTime.toFixed(1)} min (waited ${nextCauldron.waitTime.toFixed(1)}), Drain: ${nextCauldron.drainTime.toFixed(1)} min`);
+    
+    // Add this cauldron to the route
+    route.stops.push({
+      cauldronId: nextCauldron.id,
+      cauldronName: nextCauldron.name,
+      arrivalTime: nextCauldron.arrivalTime,
+      waitTime: nextCauldron.waitTime,
+      drainTime: nextCauldron.drainTime,
+      volumeCollected: nextCauldron.volumeToCollect,
+      travelTime: nextCauldron.travelTime,
+      path: nextCauldron.path
+    });
+    
+    // Check if this cauldron is now safe (below 70% full)
+    const cauldronData = remainingCauldrons.find(c => c.id === nextCauldron.id);
+    if (cauldronData) {
+      const percentFull = (cauldronData.currentLevel / cauldronData.maxVolume) * 100;
+      
+      // After draining, estimate new level (it keeps filling while we drain)
+      const drainedAt = timing.departure + nextCauldron.arrivalTime + nextCauldron.drainTime;
+      const afterDrainLevel = Math.max(0, nextCauldron.level + cauldronData.fillRate * nextCauldron.drainTime - nextCauldron.volumeToCollect);
+      const percentFullAfter = (afterDrainLevel / cauldronData.maxVolume) * 100;
+      
+      // Update the cauldron's level for future calculations
+      cauldronData.currentLevel = afterDrainLevel;
+      cauldronData.levelTime = drainedAt;
+      
+      // With low drain rates, cauldrons need frequent visits
+      // Only consider it "fully serviced" if it's well below 50%
+      // This will keep it in rotation for more frequent visits
+      if (percentFullAfter < 50) {
+        logger.log(`      ✅ ${nextCauldron.id} now at ${percentFullAfter.toFixed(1)}% - SERVICED FOR NOW`);
+        fullyServiced.push(nextCauldron.id);
+        
+        // Remove from working list for THIS trip
+        const index = remainingCauldrons.findIndex(c => c.id === nextCauldron.id);
+        if (index >= 0) {
+          remainingCauldrons.splice(index, 1);
+        }
+      } else {
+        logger.log(`      ⚠️ ${nextCauldron.id} at ${percentFullAfter.toFixed(1)}% after drain - needs more visits`);
+        // Keep in list - it will be visited again soon
+      }
+    }
+    
+    currentCapacity += nextCauldron.volumeToCollect;
+    currentTime = nextCauldron.arrivalTime + nextCauldron.drainTime;
+    currentNode = nextCauldron.id;
+    route.totalDistance += nextCauldron.travelTime;
+    
+    // CRITICAL: Stop at full capacity (100L max!)
+    if (currentCapacity >= courierCapacity) {
+      logger.log(`    🛑 Trip ending: capacity full (${currentCapacity.toFixed(1)}/${courierCapacity}L)`);
+      break;
+    }
+    
+    // Or if trip is getting long
+    if (currentTime >= maxRouteTime) {
+      logger.log(`    🛑 Trip ending: time limit (${currentTime.toFixed(1)} min)`);
+      break;
+    }
+  }
+  
+  logger.log(`  📊 Trip complete: fully serviced ${fullyServiced.length} cauldrons`);
+  logger.log(`     Fully serviced: ${fullyServiced.join(', ') || 'none'}`);
+  
+  // Return to market
+  if (route.stops.length > 0) {
+    const returnResult = dijkstra(adjacency, currentNode, marketId);
+    const returnTime = returnResult.distance !== Infinity ? returnResult.distance : 0;
+    const unloadTime = UNLOAD_MINUTES;
+    
+    logger.log(`  🏪 Returning to market: ${returnTime.toFixed(1)} min travel from ${currentNode}`);
+    
+    route.stops.push({
+      cauldronId: marketId,
+      cauldronName: 'Market',
+      arrivalTime: currentTime + returnTime,
+      drainTime: unloadTime,
+      volumeCollected: 0,
+      travelTime: returnTime,
+      isMarket: true,
+      path: returnResult.path
+    });
+    
+    route.totalTime = currentTime + returnTime + unloadTime;
+    route.totalVolume = currentCapacity;
+    route.totalDistance += returnTime;
+  }
+  
+  return { route, visited: fullyServiced }; // Return ONLY fully serviced cauldrons
+}
+
+/**
+ * Build a trip from the market through the given visits and back
+ * visits: [{ cauldronId, cauldronName, waitTime?, drainTime, volumeCollected }]
+ * shortestPath(from, to) -> { distance, path }
+ * notBefore: earliest departure, in minutes from the plan start (see layoutShift)
+ */
+function buildTrip(visits, marketId, shortestPath, notBefore) {
+  const route = { stops: [], totalTime: 0, totalVolume: 0, totalDistance: 0 };
+  if (notBefore !== undefined) route.notBefore = notBefore;
+  if (visits.length === 0) return route;
+
+  let currentNode = marketId;
+  let currentTime = 0;
+  visits.forEach(visit => {
+    const leg = shortestPath(currentNode, visit.cauldronId);
+    const waitTime = visit.waitTime ?? 0;
+    route.stops.push({
+      ...visit,
+      arrivalTime: currentTime + leg.distance + waitTime,
+      travelTime: leg.distance,
+      path: leg.path
+    });
+    currentTime += leg.distance + waitTime + visit.drainTime;
+    currentNode = visit.cauldronId;
+    route.totalVolume += visit.volumeCollected;
+    route.totalDistance += leg.distance;
+  });
+
+  const back = shortestPath(currentNode, marketId);
+  route.stops.push({
+    cauldronId: marketId,
+    cauldronName: 'Market',
+    arrivalTime: currentTime + back.distance,
+    drainTime: UNLOAD_MINUTES,
+    volumeCollected: 0,
+    travelTime: back.distance,
+    isMarket: true,
+    path: back.path
+  });
+  route.totalTime = currentTime + back.distance + UNLOAD_MINUTES;
+  route.totalDistance += back.distance;
+  return route;
+}
+
+/**
+ * Calculate the maximum time between pickups for sustainable operations
+ */
+export function calculateMaxCycleTime(cauldrons) {
+  let minTimeToFill = Infinity;
+  
+  for (const cauldron of cauldrons) {
+    if (cauldron.fillRate > 0) {
+      // Time to fill from 20% (after drain) to 90% (safety threshold)
+      const timeToFill = (cauldron.maxVolume * 0.70) / cauldron.fillRate;
+      minTimeToFill = Math.min(minTimeToFill, timeToFill);
+    }
+  }
+  
+  // Add safety margin (70% of theoretical max to ensure we always arrive in time)
+  return minTimeToFill * 0.70;
+}
+
+/**
+ * Generate optimal routes for minimum number of witches
+ * This is the main optimization function
+ * 
+ * options: { capacity, horizonMinutes, startTime (ms), timeBudgetMs (local search),
+ *            solver ('heuristic' | 'exact'), shiftRules (overrides of SHIFT_DEFAULTS),
+ *            timeWindows (overrides of TIME_WINDOW_DEFAULTS), offlineCauldrons (ids to leave out),
+ *            commitments (trips couriers have made or are on, see buildFleet), onProgress({ phase, percent, message }) }
+ */
+export function optimizeRoutes(cauldrons, levels, market, network, couriers, options = {}) {
+  const {
+    horizonMinutes,
+    timeBudgetMs,
+    solver,
+    startTime = Date.now(),
+    onProgress = () => {}
+  } = { ...OPTIMIZER_DEFAULTS, ...options };
+  const rules = { ...SHIFT_DEFAULTS, ...options.shiftRules };
+  const shiftStart = (minute) => earliestStart(minute, rules, startTime);
+  const windowSettings = { ...TIME_WINDOW_DEFAULTS, ...options.timeWindows };
+
+  logger.log('🚀 Starting route optimization...');
+  logger.log('Input:', { 
+    cauldrons: cauldrons.length, 
+    levels: levels.length, 
+    market: market?.id,
+    networkEdges: network?.edges?.length,
+    couriers: couriers.length
+  });
+  
+  // Fitted drain rates per cauldron
+  const drainRates = getDrainRates(cauldrons);
+  
+  // Build adjacency map from network
+  const adjacency = buildAdjacencyMap(network);
+  logger.log('📊 Network adjacency map built, nodes:', adjacency.size);
+  
+  // Validate market is in network
+  const marketId = market.id;
+  if (!adjacency.has(marketId)) {
+    logger.error('❌ Market not found in network graph!');
+    return null;
+  }
+  
+  // Calculate current state with calculated drain rates
+  const cauldronStates = calculateOverflowTimes(cauldrons, levels, drainRates);
+  logger.log('⏰ Cauldron states calculated:', cauldronStates.length);
+  
+  // Debug: Check if drain rates are in the cauldron states
+  logger.log('🔍 Sample cauldron states with drain rates:');
+  cauldronStates.slice(0, 3).forEach(c => {
+    logger.log(`   ${c.id}: drainRate = ${c.drainRate?.toFixed(2) || 'UNDEFINED'} L/min, fillRate = ${c.fillRate?.toFixed(2)} L/min`);
+  });
+  
+  // Filter out offline cauldrons and those not in network or unreachable from market
+  // (copies - routing drains them, verification needs the starting levels;
+  // levelTime is the minute currentLevel is as of)
+  const offline = new Set(options.offlineCauldrons || []);
+  const excludedCauldrons = [];
+  const exclude = (c, reason) => {
+    excludedCauldrons.push({ cauldronId: c.id, reason, timeUntilOverflow: Math.round(c.timeUntilOverflow * 10) / 10 });
+    return false;
+  };
+  const reachableCauldrons = cauldronStates.filter(c => {
+    if (offline.has(c.id)) {
+      logger.warn(`⛔ Cauldron ${c.id} is offline`);
+      return exclude(c, 'offline');
+    }
+    if (!adjacency.has(c.id)) {
+      logger.warn(`⚠️ Cauldron ${c.id} not in network graph`);
+      return exclude(c, 'not_in_network');
+    }
+    const result = dijkstra(adjacency, marketId, c.id);
+    if (result.distance === Infinity) {
+      logger.warn(`⚠️ Cauldron ${c.id} unreachable from market`);
+      return exclude(c, 'unreachable');
+    }
+    return true;
+  }).map(c => ({ ...c, levelTime: 0 }));
+  
+  logger.log('✅ Reachable cauldrons:', reachableCauldrons.length);
+  
+  if (reachableCauldrons.length === 0) {
+    logger.error('❌ No cauldrons reachable from market!');
+    return null;
+  }
+  
+  // Sort by urgency
+  reachableCauldrons.sort((a, b) => a.timeUntilOverflow - b.timeUntilOverflow);
+  
+  logger.log('🔥 Most urgent cauldrons:');
+  reachableCauldrons.slice(0, 5).forEach(c => {
+    logger.log(`  - ${c.id}: ${c.timeUntilOverflow.toFixed(1)} min until overflow`);
+  });
+  
+  // Calculate maximum cycle time
+  const maxCycleTime = calculateMaxCycleTime(reachableCauldrons);
+  logger.log(`⏱️ Max cycle time: ${maxCycleTime.toFixed(1)} minutes`);
+  
+  const unvisited = [...reachableCauldrons];
+  const visitCount = {}; // Track how many times each cauldron has been visited
+  
+  // Initialize visit counters
+  reachableCauldrons.forEach(c => {
+    visitCount[c.id] = 0;
+  });
+  
+  // FLEET: one witch per courier, with her own capacity, speed, home base and hours
+  const adjacencies = new Map([[1, adjacency]]);
+  const adjacencyFor = (speed) => {
+    if (!adjacencies.has(speed)) adjacencies.set(speed, scaleAdjacency(adjacency, speed));
+    return adjacencies.get(speed);
+  };
+  const fleet = buildFleet(couriers, {
+    capacity: options.capacity,
+    startTime,
+    horizonMinutes,
+    commute: (homeBase, speed) => {
+      if (!homeBase || homeBase === marketId) return 0;
+      const distance = adjacency.has(homeBase) ? dijkstra(adjacency, homeBase, marketId).distance : Infinity;
+      return distance === Infinity ? null : distance / speed;
+    },
+    maxShiftMinutes: rules.maxShiftMinutes,
+    startFrom: shiftStart,
+    commitments: options.commitments
+  });
+  // Couriers already on shift carry on from the work since their last break
+  fleet.witches.forEach(witch => {
+    witch.sinceBreak = workSinceBreak(witch.committedTrips, rules, witch.startOffset);
+  });
+  const witches = [...fleet.witches];
+  // Stand-ins carry what the smallest courier carries, so any courier can take over their day
+  const standInCapacity = options.capacity ??
+    (witches.length ? Math.min(...witches.map(w => w.capacity)) : OPTIMIZER_DEFAULTS.capacity);
+  const standIn = (number) => unstaffedWitch(number, `Unstaffed ${witchLetter(number - 1)}`, {
+    capacity: standInCapacity,
+    horizonMinutes,
+    maxShiftMinutes: rules.maxShiftMinutes,
+    startOffset: shiftStart(0)
+  });
+  // Witch for a slot, adding unstaffed ones when the fleet runs out
+  const witchAt = (slot) => {
+    while (witches.length <= slot) {
+      witches.push(standIn(witches.length - fleet.witches.length + 1));
+    }
+    return witches[slot];
+  };
+  logger.log(`👜 Fleet: ${fleet.witches.map(w => `${w.name} (${w.capacity}L, x${w.speed})`).join(', ') || 'no couriers'}`);
+  fleet.excluded.forEach(c => logger.warn(`⚠️ ${c.name} left out: ${c.reason}`));
+
+  // Shortest paths per witch speed, shared by the greedy pass, the local search and the bounds
+  const paths = new Map();
+  const shortestPath = (from, to, speed = 1) => {
+    const key = `${speed}|${from}>${to}`;
+    if (!paths.has(key)) {
+      const result = from === to ? { distance: 0, path: [from] } : dijkstra(adjacencyFor(speed), from, to);
+      paths.set(key, result);
+    }
+    return paths.get(key);
+  };
+  const tripFor = (visits, slot, notBefore) =>
+    buildTrip(visits, marketId, (from, to) => shortestPath(from, to, witches[slot].speed), notBefore);
+  const shiftOf = (witch, trips) => layoutShift(trips, witch.startOffset, rules, witch.sinceBreak);
+  const assemble = (plan) => plan.flatMap((trips, slot) => {
+    if (trips.length === 0) return [];
+    const witch = witches[slot];
+    return [{
+      witchId: witch.witchId,
+      witchName: witch.name,
+      courierId: witch.courierId,
+      capacity: witch.capacity,
+      speedMultiplier: witch.speed,
+      startOffset: witch.startOffset,
+      availableMinutes: witch.availableMinutes,
+      shiftMinutes: witch.shiftMinutes,
+      unstaffed: witch.unstaffed,
+      shift: shiftOf(witch, trips),
+      trips
+    }];
+  });
+  const shiftLength = (slot, trips) => {
+    const { start, end } = shiftOf(witches[slot], trips);
+    return end - start;
+  };
+
+  // WINDOWS: trips are built in time order, so each cauldron's next window
+  // follows on from its last visit. A cauldron leaves the list once its window
+  // can't open before the horizon (nothing to collect), or closes before
+  // anyone could get there.
+  const windowOf = (c) => serviceWindow(c, c.currentLevel, c.levelTime, windowSettings);
+  const fastest = Math.max(1, ...fleet.witches.map(w => w.speed));
+  const unserved = []; // Cauldrons whose window closed before anyone could get there
+  let clock = 0; // Departure of the latest trip - nobody leaves before it
+  const settle = () => {
+    for (let idx = unvisited.length - 1; idx >= 0; idx--) {
+      const cauldron = unvisited[idx];
+      const window = windowOf(cauldron);
+      if (window.earliest >= horizonMinutes) {
+        logger.log(`  ✅ ${cauldron.id} won't be worth a visit before the horizon`);
+        unvisited.splice(idx, 1);
+      } else if (window.latest < clock + shortestPath(marketId, cauldron.id, fastest).distance) {
+        logger.error(`  ❌ ${cauldron.id}: window closes at minute ${window.latest.toFixed(1)}, no witch can get there in time`);
+        unserved.push(cauldron.id);
+        unvisited.splice(idx, 1);
+      }
+    }
+  };
+
+  // When a witch's next trip can leave (not before `from`) and how long it may
+  // run before heading back, so that her shift and her stretch of work before
+  // a break stay within the rules
+  const returnMinutes = new Map();
+  const nextTrip = (slot, from = clock) => {
+    const witch = witchAt(slot);
+    if (!returnMinutes.has(witch.speed)) {
+      const longest = Math.max(...reachableCauldrons.map(c => shortestPath(c.id, marketId, witch.speed).distance));
+      returnMinutes.set(witch.speed, longest + UNLOAD_MINUTES);
+    }
+    const back = returnMinutes.get(witch.speed);
+    const trips = plan[slot] || [];
+    let departure;
+    let worked = 0;
+    if (trips.length === 0 && witch.onShiftSince === null) {
+      departure = shiftStart(Math.max(witch.startOffset, from));
+    } else {
+      // On shift already, she is back at the market with her earlier work behind her
+      const shift = trips.length ? shiftOf(witch, trips) : { end: witch.startOffset, sinceBreak: witch.sinceBreak };
+      departure = Math.max(shift.end, from);
+      // A break is due unless she waits long enough to take it anyway
+      if (departure - shift.end < rules.breakMinutes &&
+          (shift.sinceBreak.trips >= rules.maxConsecutiveTrips ||
+            shift.sinceBreak.minutes + MIN_TRIP_MINUTES + back > rules.breakAfterMinutes)) {
+        departure = shift.end + rules.breakMinutes;
+      } else if (departure - shift.end < rules.breakMinutes) {
+        worked = shift.sinceBreak.minutes;
+      }
+    }
+    const first = witch.onShiftSince ?? (trips.length ? shiftOf(witch, trips).start : departure);
+    const end = first + Math.min(rules.maxShiftMinutes, witch.startOffset + witch.availableMinutes - first);
+    return {
+      slot,
+      departure,
+      budget: Math.min(MAX_ROUTE_MINUTES, end - departure - back, rules.breakAfterMinutes - worked - back)
+    };
+  };
+  const reach = (trip, cauldron) => trip.departure + shortestPath(marketId, cauldron.id, witchAt(trip.slot).speed).distance;
+
+  let plan = []; // Trips per witch slot
+  logger.log(`📋 STRATEGY: Each witch makes MULTIPLE trips per day (not just one!)`);
+  
+  // Build routes - each witch makes multiple trips
+  logger.log('\n🧙‍♀️ Assigning witches with multiple trips per day...');
+  
+  const MAX_WITCHES = 50; // Try to minimize witch count
+  const MAX_TRIPS = 200;
+  
+  // Every courier is on shift from her own start; stand-ins join as needed
+  let witchIndex = Math.max(0, fleet.witches.length - 1);
+  let totalTrips = 0;
+  const finished = new Set(); // Witches with no room for another trip
+  
+  // Track total work time per witch (in minutes) - for informational purposes
+  const witchWorkTime = {}; // { witchId: totalMinutes }
+  
+  settle();
+  
+  // Keep making trips until all cauldrons are serviced
+  while (unvisited.length > 0 && totalTrips < MAX_TRIPS && witchIndex < MAX_WITCHES) {
+    onProgress({
+      phase: 'routing',
+      percent: Math.round(90 * Math.max(totalTrips / MAX_TRIPS, 1 - unvisited.length / reachableCauldrons.length)),
+      message: `Trip ${totalTrips + 1}: ${unvisited.length} cauldrons left to service`
+    });
+
+    // The witch on shift who can leave soonest takes the next trip. A new
+    // witch joins (in fleet order) every few trips, when nobody on shift has
+    // room, or when a window would close before anyone on shift could get there
+    const onShift = [];
+    for (let slot = 0; slot <= witchIndex; slot++) {
+      if (finished.has(slot)) continue;
+      const trip = nextTrip(slot);
+      if (trip.budget >= MIN_TRIP_MINUTES) onShift.push(trip);
+      else finished.add(slot);
+    }
+    let next = onShift.reduce((best, trip) => (!best || trip.departure < best.departure ? trip : best), null);
+    const missed = (trip) => unvisited.filter(c => windowOf(c).latest < reach(trip, c));
+    if (!next || missed(next).length > 0) {
+      const fresh = nextTrip(witchIndex + 1);
+      const rescues = fresh.budget >= MIN_TRIP_MINUTES && missed(fresh).length < (next ? missed(next).length : Infinity);
+      if (!next || rescues) {
+        // Stand-ins all keep the same hours, so if this one can't work nobody else can
+        if (fresh.budget < MIN_TRIP_MINUTES) {
+          logger.error(`❌ Nobody can start another trip before the horizon`);
+          break;
+        }
+        witchIndex++;
+        logger.log(`📈 ${witchAt(witchIndex).name} joins at minute ${fresh.departure.toFixed(0)} (${unvisited.length} cauldrons still need visits)`);
+        next = fresh;
+      }
+    }
+    const witchForThisTrip = next.slot;
+    const witch = witchAt(witchForThisTrip);
+    const build = (trip) => buildSingleRoute(
+      marketId,
+      unvisited,
+      adjacencyFor(witch.speed),
+      witch.capacity,
+      0, // Stop times are from the trip's departure
+      trip.budget,
+      { departure: trip.departure, windows: windowSettings }
+    );
+    
+    logger.log(`\n--- Trip ${totalTrips + 1} (${witch.name}, leaves at minute ${next.departure.toFixed(0)}) ---`);
+    logger.log(`Cauldrons needing visits: ${unvisited.map(c => c.id).join(', ')}`);
+    logger.log(`Current witch work time: ${((witchWorkTime[witchForThisTrip] || 0) / 60).toFixed(1)} hours`);
+    
+    let { route, visited } = build(next);
+    
+    // Nothing fits what's left of her stretch: take her break first
+    const trips = plan[witchForThisTrip] || [];
+    if (route.stops.length === 0 && trips.length > 0) {
+      const rested = nextTrip(witchForThisTrip, shiftOf(witch, trips).end + rules.breakMinutes);
+      if (rested.departure > next.departure && rested.budget >= MIN_TRIP_MINUTES) {
+        logger.log(`  ☕ Nothing fits before her break - leaving at minute ${rested.departure.toFixed(0)} instead`);
+        next = rested;
+        ({ route, visited } = build(next));
+      }
+    }
+    
+    // No window open yet: wait at the market for the next one to open
+    if (route.stops.length === 0) {
+      const opening = Math.min(...unvisited.map(c => windowOf(c).earliest - shortestPath(marketId, c.id, witch.speed).distance));
+      const later = Number.isFinite(opening) && opening > next.departure ? nextTrip(witchForThisTrip, opening) : null;
+      if (later && later.budget >= MIN_TRIP_MINUTES) {
+        logger.log(`  ⏳ Nothing open yet - waiting until minute ${later.departure.toFixed(0)}`);
+        next = later;
+        ({ route, visited } = build(next));
+      }
+    }
+    
+    if (route.stops.length === 0) {
+      if (trips.length > 0) {
+        logger.log(`  ${witch.name} has no trip she can fit in her shift - she's done`);
+        finished.add(witchForThisTrip);
+        continue;
+      }
+      logger.error('❌ No stops made at all - cannot make progress!');
+      logger.log('Still needing visits:', unvisited.map(c => ({
+        id: c.id,
+        window: windowOf(c),
+        currentLevel: c.currentLevel.toFixed(1),
+        percentFull: ((c.currentLevel / c.maxVolume) * 100).toFixed(1) + '%'
+      })));
+      break; // Cannot make progress
+    }
+    route.notBefore = next.departure;
+    clock = Math.max(clock, next.departure);
+    
+    // Calculate total trip time (travel + wait + drain + unload)
+    const tripDuration = route.totalTime || 0;
+    
+    // Track trip time for informational purposes
+    witchWorkTime[witchForThisTrip] = (witchWorkTime[witchForThisTrip] || 0) + tripDuration;
+    logger.log(`  ⏱️ Trip took ${(tripDuration / 60).toFixed(1)} hours. Witch total: ${(witchWorkTime[witchForThisTrip] / 60).toFixed(1)} hours`);
+    
+    // Count actual cauldron stops (exclude market return)
+    const tripStops = route.stops.filter(s => !s.isMarket);
+    logger.log(`✓ Trip complete: ${tripStops.length} stops, ${route.totalVolume.toFixed(1)}L, ${route.totalTime.toFixed(1)} min`);
+    logger.log(`  Serviced: ${visited.join(', ') || 'none fully serviced'}`);
+    
+    // Increment visit count for all cauldrons in this route
+    tripStops.forEach(stop => {
+      if (stop.cauldronId) {
+        visitCount[stop.cauldronId] = (visitCount[stop.cauldronId] || 0) + 1;
+      }
+    });
+    
+    // Add this trip to the witch's schedule (multiple trips per witch!)
+    plan[witchForThisTrip] = plan[witchForThisTrip] || [];
+    plan[witchForThisTrip].push(route);
+    
+    // Remove cauldrons that were fully serviced
+    visited.forEach(cauldronId => {
+      const idx = unvisited.findIndex(c => c.id === cauldronId);
+      if (idx >= 0) {
+        unvisited.splice(idx, 1);
+        logger.log(`  ✅ Removed ${cauldronId} from unvisited (fully serviced)`);
+      }
+    });
+    
+    // With low drain rates, cauldrons need MANY visits to stay under control
+    // Increase visit threshold from 3 to 10 to ensure adequate coverage
+    const toRemove = [];
+    unvisited.forEach(c => {
+      if (visitCount[c.id] >= 10) {
+        logger.log(`  ✅ ${c.id} visited ${visitCount[c.id]} times - considering it managed`);
+        toRemove.push(c.id);
+      }
+    });
+    
+    toRemove.forEach(cauldronId => {
+      const idx = unvisited.findIndex(c => c.id === cauldronId);
+      if (idx >= 0) {
+        unvisited.splice(idx, 1);
+      }
+    });
+    
+    totalTrips++;
+    
+    // And those whose window won't open in time, or has closed for good
+    settle();
+    
+    // After every few trips, consider adding a new witch if we're not making progress
+    if (totalTrips % 5 === 0 && unvisited.length > 0) {
+      witchIndex++; // Allow one more witch to join
+      logger.log(`📈 Progress check: ${unvisited.length} cauldrons remaining. Now using up to ${witchIndex + 1} witches.`);
+    }
+  }
+  
+  plan = witches.map((_, slot) => plan[slot] || []);
+  let routes = assemble(plan);
+  
+  logger.log(`\n✅ Total witches needed: ${routes.length}`);
+  logger.log(`✅ Total trips across all witches: ${totalTrips}`);
+  logger.log(`✅ Cauldrons covered: ${reachableCauldrons.length - unvisited.length - unserved.length}/${reachableCauldrons.length}`);
+  
+  // Show trips and work hours per witch
+  logger.log(`\n📊 Witch Work Summary:`);
+  witches.forEach((witch, slot) => {
+    if (plan[slot].length === 0) return;
+    const hours = ((witchWorkTime[slot] || 0) / 60).toFixed(1);
+    logger.log(`  ${witch.name}: ${plan[slot].length} trips, ${hours} hours total (shift ${(witch.shiftMinutes / 60).toFixed(1)}h)`);
+  });
+  
+  if (unvisited.length + unserved.length > 0) {
+    logger.error(`❌ ${unvisited.length + unserved.length} cauldrons STILL NOT SERVICED:`, [...unvisited.map(c => c.id), ...unserved]);
+    logger.error('This means the algorithm failed to service all cauldrons!');
+  } else {
+    logger.log('🎉 SUCCESS: All cauldrons will be serviced!');
+  }
+  
+  // IMPROVEMENT: local search on the greedy routes (a fixed number of iterations; the time budget only caps it)
+  let improvement = null;
+  if (timeBudgetMs > 0 && routes.length > 0) {
+    onProgress({ phase: 'improving', percent: 90, message: `Improving the routes (up to ${(timeBudgetMs / 1000).toFixed(1)}s)` });
+    const { plan: improvedPlan, routes: improved, ...summary } = improveRoutes(plan, {
+      buildTrip: tripFor,
+      verify: candidate => ({
+        ...verifyNoOverflows(candidate, cauldronStates, horizonMinutes, silent),
+        windowViolations: checkWindows(candidate, cauldronStates, horizonMinutes, windowSettings)
+      }),
+      assemble,
+      capacityOf: slot => witches[slot].capacity,
+      dayLimit: (slot, trips) => {
+        // Starting late leaves her that much less of her availability
+        const witch = witches[slot];
+        const late = trips.length ? shiftOf(witch, trips).start - witch.startOffset : 0;
+        return Math.min(witch.shiftMinutes, witch.availableMinutes - late);
+      },
+      unstaffed: slot => witches[slot].unstaffed,
+      shiftLength,
+      maxTripMinutes: rules.breakAfterMinutes
+    }, { timeBudgetMs });
+    plan = improvedPlan;
+    routes = improved;
+    improvement = summary;
+    totalTrips = routes.reduce((sum, witch) => sum + witch.trips.length, 0);
+    logger.log(`\n🔧 Local search: ${summary.before.witches} → ${summary.after.witches} witches, ` +
+      `${summary.before.travelMinutes} → ${summary.after.travelMinutes} min travel (${summary.iterations} iterations` +
+      `${summary.timedOut ? ', stopped at the time budget' : ''})`);
+  }
+  
+  // CRITICAL VERIFICATION: Check that no cauldrons will overflow
+  logger.log(`\n🔍 OVERFLOW VERIFICATION:`);
+  onProgress({ phase: 'verifying', percent: 95, message: 'Checking the schedule for overflows' });
+  const verification = verifyNoOverflows(routes, cauldronStates, horizonMinutes);
+  
+  // WINDOWS: each stop's window, and every window the plan doesn't meet
+  visitWindows(routes, cauldronStates, windowSettings).visits.forEach(({ stop, window }) => {
+    stop.window = { earliest: Math.round(window.earliest * 10) / 10, latest: Math.round(window.latest * 10) / 10 };
+  });
+  const windowViolations = checkWindows(routes, cauldronStates, horizonMinutes, windowSettings);
+  if (windowViolations.length > 0) {
+    logger.warn(`⚠️ ${windowViolations.length} service windows not met:`, windowViolations.map(v => `${v.cauldronId}: ${v.message}`));
+  }
+  
+  // SHIFTS: whatever breaks the labor rules despite the scheduler
+  // (a witch who starts late has that much less of her availability left;
+  // one already on shift is checked over her whole shift)
+  const violations = routes.flatMap(route => {
+    const { committedTrips, onShiftSince } = witches.find(w => w.witchId === route.witchId);
+    return shiftViolations(
+      [...committedTrips, ...route.trips.map((trip, idx) => ({ start: route.shift.tripStarts[idx], end: route.shift.tripStarts[idx] + trip.totalTime }))],
+      rules,
+      {
+        availableMinutes: onShiftSince === null
+          ? route.availableMinutes - (route.shift.start - route.startOffset)
+          : route.availableMinutes + route.startOffset - onShiftSince,
+        startTime
+      }
+    ).map(violation => ({ witchId: route.witchId, witchName: route.witchName, ...violation }));
+  });
+  // A shift too short for even the quickest trip to a cauldron leaves it out of the plan
+  const quickest = Math.max(1, ...fleet.witches.map(w => w.speed));
+  unvisited.forEach(c => {
+    const minutes = 2 * shortestPath(marketId, c.id, quickest).distance + UNLOAD_MINUTES;
+    if (minutes <= rules.maxShiftMinutes) return;
+    violations.push({
+      witchId: null,
+      witchName: null,
+      cauldronId: c.id,
+      rule: 'max_shift',
+      message: `The quickest trip to ${c.name || c.id} takes at least ${Math.round(minutes)} min, ` +
+        `longer than the ${rules.maxShiftMinutes / 60}h shift limit`
+    });
+  });
+  if (violations.length > 0) {
+    logger.warn(`⚠️ ${violations.length} shift rule violations:`, violations.map(v => `${v.witchName}: ${v.message}`));
+  }
+  
+  // BOUNDS: the fewest witches that can collect a full cycle's production, for
+  // witches as good as the best courier. That is the repeating schedule's
+  // problem, not the horizon plan's, which starts from the current levels.
+  const bestCapacity = Math.max(standInCapacity, ...fleet.witches.map(w => w.capacity));
+  const bestSpeed = Math.max(1, ...fleet.witches.map(w => w.speed));
+  const travelTime = (from, to) => shortestPath(from, to, bestSpeed).distance;
+  const reachableStates = cauldronStates.filter(c => reachableCauldrons.some(r => r.id === c.id));
+  const dayMinutes = Math.min(horizonMinutes, rules.maxShiftMinutes);
+  const bound = lowerBound(reachableStates, marketId, travelTime, { capacity: bestCapacity, horizonMinutes, dayMinutes });
+  let exact = null;
+  if (solver === 'exact') {
+    onProgress({ phase: 'solving', percent: 96, message: 'Packing a cycle into trips of at most 2 stops' });
+    exact = exactMinimum(reachableStates, {
+      marketId,
+      travelTime,
+      buildTrip: visits => buildTrip(visits, marketId, (from, to) => shortestPath(from, to, bestSpeed)),
+      assemble: days => days.map((trips, idx) => ({
+        witchId: `witch_${idx + 1}`,
+        witchName: `Witch ${witchLetter(idx)}`,
+        capacity: bestCapacity,
+        speedMultiplier: bestSpeed,
+        trips
+      }))
+    }, { capacity: bestCapacity, horizonMinutes, dayMinutes });
+    logger.log(`🧮 ≤${exact.maxStopsPerTrip}-stop packing: ${exact.witches ?? '?'} witches (${exact.status}, ${exact.nodes ?? 0} nodes)`);
+  }
+
+  // PERIODIC: a repeating cycle with visits matched to each cauldron's fill rate
+  onProgress({ phase: 'scheduling', percent: 97, message: 'Building the repeating schedule' });
+  const periodicSchedule = buildPeriodicSchedule(reachableStates, {
+    marketId,
+    travelTime: (from, to) => shortestPath(from, to).distance,
+    witchAt: slot => fleet.witches[slot] ?? standIn(slot - fleet.witches.length + 1),
+    startFrom: shiftStart,
+    minWitches: bound.witches
+  }, {
+    capacity: standInCapacity,
+    cycleMinutes: horizonMinutes,
+    startTime,
+    shiftRules: rules
+  });
+  logger.log(`🔁 Periodic schedule: ${periodicSchedule.witches ?? '?'} witches, ${periodicSchedule.trips} trips ` +
+    `(${periodicSchedule.verification?.sustainable ? 'sustainable' : periodicSchedule.reason || 'NOT sustainable'})`);
+  
+  // Calculate statistics from all trips
+  const totalVolume = routes.reduce((sum, witch) => {
+    return sum + witch.trips.reduce((tripSum, trip) => tripSum + trip.totalVolume, 0);
+  }, 0);
+  
+  const totalStops = routes.reduce((sum, witch) => {
+    return sum + witch.trips.reduce((tripSum, trip) => {
+      return tripSum + trip.stops.filter(s => !s.isMarket).length;
+    }, 0);
+  }, 0);
+  
+  // The exact solver's trips are limited to 2 stops, so its count isn't a bound on every plan
+  const cycleMinimum = bound.witches;
+  const bounds = {
+    lowerBound: bound,
+    cycleMinimum,
+    periodicWitches: periodicSchedule.witches ?? null,
+    gap: periodicSchedule.witches != null ? periodicSchedule.witches - cycleMinimum : null,
+    // Share of a cycle's production the plan collects
+    collectedVolume: Math.round(totalVolume * 10) / 10,
+    coverage: bound.dailyVolume > 0 ? Math.round(totalVolume / bound.dailyVolume * 1000) / 1000 : null,
+    exact
+  };
+  
+  const tripCapacity = plan.reduce((sum, trips, slot) => sum + trips.length * witches[slot].capacity, 0);
+  
+  // An empty plan (rules or settings nothing fits in) has no trips to average over
+  const longestTripTime = Math.max(0, ...routes.flatMap(witch => 
+    witch.trips.map(trip => trip.totalTime)
+  ));
+  
+  return {
+    routes,
+    drainRates, // Include the drain rates used
+    minWitches: routes.length,
+    totalTrips,
+    maxCycleTime,
+    dailySchedule: generateDailySchedule(routes, maxCycleTime, startTime),
+    periodicSchedule,
+    fleet: fleetUtilization(witches, plan, fleet.excluded, startTime),
+    shiftRules: rules,
+    shiftViolations: violations,
+    timeWindows: windowSettings,
+    windowViolations,
+    excludedCauldrons,
+    verification,
+    improvement,
+    bounds,
+    stats: {
+      totalTime: longestTripTime.toFixed(1),
+      totalVolume: totalVolume.toFixed(1),
+      totalStops,
+      totalTrips,
+      avgTripsPerWitch: (routes.length ? totalTrips / routes.length : 0).toFixed(1),
+      avgCapacityUtilization: (tripCapacity ? (totalVolume / tripCapacity) * 100 : 0).toFixed(1),
+      cycleTimeHours: (maxCycleTime / 60).toFixed(1),
+      cauldronsCovered: reachableCauldrons.length - unvisited.length - unserved.length,
+      // Reachable, but the plan doesn't get to them
+      unservedCauldrons: unvisited.length + unserved.length,
+      unreachableCauldrons: excludedCauldrons.filter(c => c.reason !== 'offline').length,
+      missedWindows: windowViolations.length
+    }
+  };
+}
+
+/**
+ * Generate a daily repeating schedule
+ * Now handles witches with multiple trips per day
+ * Trips are laid out back to back per witch from startTime (ms)
+ */
+function generateDailySchedule(routes, maxCycleTime, startTime) {
+  const minutesPerDay = 24 * 60;
+  const schedule = [];
+  const breaks = [];
+  
+  let currentTime = 0; // Start of day
+  
+  // For each witch, schedule all their trips throughout the day
+  routes.forEach((witchData, witchIdx) => {
+    let witchTime = witchData.startOffset ?? 0; // This witch's current time
+    
+    witchData.trips.forEach((trip, tripIdx) => {
+      witchTime = witchData.shift?.tripStarts[tripIdx] ?? witchTime;
+      const tripStart = startTime + witchTime * MINUTE_MS;
+      
+      schedule.push({
+        witchId: witchData.witchId,
+        witchName: witchData.witchName,
+        courierId: witchData.courierId,
+        tripNumber: tripIdx + 1,
+        totalTrips: witchData.trips.length,
+        startTime: new Date(tripStart).toISOString(),
+        startMinute: witchTime,
+        route: trip,
+        estimatedEndTime: new Date(tripStart + trip.totalTime * MINUTE_MS).toISOString()
+      });
+      
+      witchTime += trip.totalTime;
+    });
+
+    (witchData.shift?.breaks || []).forEach(rest => {
+      breaks.push({
+        witchId: witchData.witchId,
+        witchName: witchData.witchName,
+        startTime: new Date(startTime + rest.start * MINUTE_MS).toISOString(),
+        endTime: new Date(startTime + rest.end * MINUTE_MS).toISOString()
+      });
+    });
+  });
+  
+  // Sort by start time
+  schedule.sort((a, b) => a.startMinute - b.startMinute);
+  breaks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+  
+  return {
+    totalShifts: schedule.length,
+    schedule,
+    breaks
+  };
+}
+
+/**
+ * Predict cauldron levels over time with the given routes, every 10 minutes
+ * from the plan start for `hours`. Cauldrons fill at their fill rate and each
+ * visit takes its volumeCollected out over its drain time. Visit times come
+ * from the routes' shift layout, as in the overflow check.
+ * Returns [{ time (minutes), levels: { cauldronId: { level, percentage, status } } }].
+ */
+export function predictCauldronLevels(cauldrons, levels, routes, hours = 48) {
+  const STEP_MINUTES = 10;
+  const visits = planVisits(routes).sort((a, b) => a.time - b.time);
+  
+  // Initialize cauldron states
+  const states = cauldrons.map(cauldron => {
+    const levelData = levels.find(l => l.cauldron_id === cauldron.id);
+    
+    return {
+      id: cauldron.id,
+      level: levelData?.volume ?? 0,
+      maxVolume: cauldron.max_volume,
+      fillRate: cauldron.fill_rate ?? 0,
+      visits: visits.filter(v => v.cauldronId === cauldron.id)
+    };
+  });
+  
+  // Level at minute `to`, from the state's level at minute `from`
+  const advance = (state, from, to) => {
+    let level = state.level + state.fillRate * (to - from);
+    state.visits.forEach(({ time, stop }) => {
+      // The part of each drain that falls in (from, to]
+      const drainEnd = time + Math.max(stop.drainTime, 1e-6);
+      const overlap = Math.min(to, drainEnd) - Math.max(from, time);
+      if (overlap > 0) level -= stop.volumeCollected * overlap / (drainEnd - time);
+    });
+    return Math.max(0, Math.min(state.maxVolume, level));
+  };
+  
+  const predictions = [];
+  for (let step = 0; step <= hours * 60 / STEP_MINUTES; step++) {
+    const timeMinutes = step * STEP_MINUTES;
+    const snapshot = { time: timeMinutes, levels: {} };
+    
+    states.forEach(state => {
+      if (step > 0) state.level = advance(state, timeMinutes - STEP_MINUTES, timeMinutes);
+      
+      snapshot.levels[state.id] = {
+        level: state.level,
+        percentage: (state.level / state.maxVolume) * 100,
+        status: state.level >= state.maxVolume ? 'overflow' : 
+                state.level >= state.maxVolume * 0.9 ? 'critical' :
+                state.level >= state.maxVolume * 0.7 ? 'warning' : 'ok'
+      };
+    });
+    
+    predictions.push(snapshot);
+  }
+  
+  return predictions;
+}
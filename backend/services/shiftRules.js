@@ -0,0 +1,163 @@
+/**
+ * Shift Rules
+ *
+ * Labor rules every witch's shift follows:
+ *   - maxShiftMinutes: first departure to last return, breaks included
+ *   - breaks: breakMinutes at the market once she has worked breakAfterMinutes
+ *     without one, or made maxConsecutiveTrips trips in a row. Waiting at the
+ *     market at least that long counts as a break.
+ *   - start window: her first trip leaves between startEarliest and startLatest
+ *     (UTC HH:MM, every day)
+ *
+ * layoutShift() places a witch's trips from her start and puts in the breaks
+ * the rules call for; the optimizer, the overflow check and the daily schedule
+ * all use its times. shiftViolations() checks finished shifts against the rules
+ * and reports whatever the scheduler couldn't avoid.
+ */
+
+import { availabilityWindow } from './courierFleet.js';
+
+export const SHIFT_DEFAULTS = {
+  maxShiftMinutes: 8 * 60,
+  breakAfterMinutes: 4 * 60,
+  breakMinutes: 30,
+  maxConsecutiveTrips: 4,
+  startEarliest: null, // null: any time
+  startLatest: null
+};
+
+const DAY_MINUTES = 24 * 60;
+const EPSILON = 1e-6;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const hours = (minutes) => `${(minutes / 60).toFixed(1)}h`;
+
+/**
+ * First minute at or after `from` (minutes from startTime) a shift may start
+ */
+export function earliestStart(from, rules, startTime) {
+  const window = availabilityWindow({ available_from: rules.startEarliest, available_to: rules.startLatest }, startTime);
+  if (!window) return from;
+  const day = Math.floor((from - window.open) / DAY_MINUTES);
+  const open = window.open + day * DAY_MINUTES;
+  return from <= open + window.length + EPSILON ? from : open + DAY_MINUTES;
+}
+
+const NO_WORK = { minutes: 0, trips: 0 };
+
+/**
+ * Trip and break times for a witch's trips, in order, from `start`. A trip with
+ * notBefore (minutes from startTime) waits at the market until then; a wait
+ * long enough is taken as her break. `carried` is the work since her last break
+ * when she is already on shift at `start` (see workSinceBreak).
+ * Returns { start, end, workMinutes, tripStarts, breaks: [{ start, end }],
+ * sinceBreak: { minutes, trips } } - start is her first departure.
+ */
+export function layoutShift(trips, start, rules, carried = NO_WORK) {
+  const tripStarts = [];
+  const breaks = [];
+  let time = start;
+  let worked = carried.minutes; // since the last break
+  let inRow = carried.trips;
+
+  trips.forEach((trip, idx) => {
+    const ready = Math.max(time, trip.notBefore ?? time);
+    const onShift = idx > 0 || inRow > 0;
+    // A wait shorter than a break is no break, so it counts towards the stretch
+    const wait = ready - time;
+    if (onShift && (wait >= rules.breakMinutes ||
+        inRow >= rules.maxConsecutiveTrips || worked + wait + trip.totalTime > rules.breakAfterMinutes)) {
+      breaks.push({ start: time, end: time + rules.breakMinutes });
+      time += rules.breakMinutes;
+      worked = 0;
+      inRow = 0;
+    } else if (onShift) {
+      worked += wait;
+    }
+    time = Math.max(time, ready);
+    tripStarts.push(time);
+    time += trip.totalTime;
+    worked += trip.totalTime;
+    inRow++;
+  });
+
+  return {
+    start: tripStarts[0] ?? start,
+    end: time,
+    workMinutes: trips.reduce((sum, trip) => sum + trip.totalTime, 0),
+    tripStarts,
+    breaks,
+    sinceBreak: { minutes: worked, trips: inRow }
+  };
+}
+
+/**
+ * Work since the last break at minute `at`, for trips made so far
+ * ([{ start, end }] in order, ending by `at`)
+ */
+export function workSinceBreak(trips, rules, at) {
+  let sinceBreak = NO_WORK;
+  let previousEnd = null;
+  trips.forEach(trip => {
+    if (previousEnd !== null && trip.start - previousEnd >= rules.breakMinutes - EPSILON) sinceBreak = NO_WORK;
+    sinceBreak = { minutes: sinceBreak.minutes + trip.end - trip.start, trips: sinceBreak.trips + 1 };
+    previousEnd = trip.end;
+  });
+  return previousEnd !== null && at - previousEnd >= rules.breakMinutes - EPSILON ? NO_WORK : sinceBreak;
+}
+
+/**
+ * Rules a shift breaks. trips: [{ start, end }] in minutes from startTime, in order.
+ * availableMinutes is how long the witch herself is available from her start.
+ * Returns [{ rule, message }] - rule is max_shift, availability, start_window,
+ * break or consecutive_trips.
+ */
+export function shiftViolations(trips, rules, { availableMinutes = Infinity, startTime }) {
+  if (trips.length === 0) return [];
+  const violations = [];
+  const first = trips[0].start;
+  const span = trips[trips.length - 1].end - first;
+
+  if (span > rules.maxShiftMinutes + EPSILON) {
+    violations.push({ rule: 'max_shift', message: `Shift runs ${hours(span)}, over the ${hours(rules.maxShiftMinutes)} limit` });
+  }
+  if (span > availableMinutes + EPSILON) {
+    violations.push({ rule: 'availability', message: `Shift runs ${hours(span)}, but she is available for ${hours(availableMinutes)}` });
+  }
+  if (earliestStart(first, rules, startTime) > first + EPSILON) {
+    violations.push({
+      rule: 'start_window',
+      message: `Shift starts outside ${rules.startEarliest}-${rules.startLatest}`
+    });
+  }
+
+  // Blocks of work between breaks
+  let blockStart = first;
+  let inRow = 0;
+  let previousEnd = first;
+  trips.forEach((trip, idx) => {
+    if (idx > 0 && trip.start - previousEnd >= rules.breakMinutes - EPSILON) {
+      blockStart = trip.start;
+      inRow = 0;
+    }
+    inRow++;
+    const worked = trip.end - blockStart;
+    if (worked > rules.breakAfterMinutes + EPSILON) {
+      violations.push({
+        rule: 'break',
+        message: `Trip ${idx + 1} ends ${round1(worked)} min into a stretch without a break (limit ${rules.breakAfterMinutes} min)`
+      });
+      blockStart = trip.end; // Report each stretch once
+      inRow = 0;
+    }
+    if (inRow === rules.maxConsecutiveTrips + 1) {
+      violations.push({
+        rule: 'consecutive_trips',
+        message: `Trip ${idx + 1} is more than ${rules.maxConsecutiveTrips} trips in a row without a break`
+      });
+    }
+    previousEnd = trip.end;
+  });
+
+  return violations;
+}
@@ -0,0 +1,133 @@
+import config from '../config.js';
+import { upstreamSource } from './dataSource.js';
+import * as store from '../database/store.js';
+import {
+  normalizeCauldrons,
+  normalizeCouriers,
+  normalizeNetwork,
+  normalizeMarket,
+  normalizeLevelSnapshots,
+  normalizeTickets
+} from './normalize.js';
+import { publishReadings } from './levelStream.js';
+
+// Background ingestion worker: polls the HackUTD API and copies anything new
+// into SQLite. Level data is pulled incrementally from the last synced
+// timestamp; tickets and network info are small and re-synced every run.
+
+const CURSOR_KEY = 'levels_synced_until';
+
+let timer = null;
+let currentRun = null;
+
+function toUnixSeconds(isoTimestamp) {
+  return Math.floor(new Date(isoTimestamp).getTime() / 1000);
+}
+
+async function doSync() {
+  const runId = store.startSyncRun();
+  try {
+    const cursor = store.getMeta(CURSOR_KEY) || store.getLatestLevelTimestamp();
+    // Upstream filters are inclusive, so resume one second after the cursor
+    const startDate = cursor ? toUnixSeconds(cursor) + 1 : 0;
+
+    const [cauldrons, couriers, network, market, levelData, ticketData] = await Promise.all([
+      upstreamSource.getCauldrons(),
+      upstreamSource.getCouriers(),
+      upstreamSource.getNetwork(),
+      upstreamSource.getMarket(),
+      // Each incremental window is read once, so keep it out of the cache
+      upstreamSource.getLevelData(startDate, undefined, { cache: false }),
+      upstreamSource.getTickets()
+    ]);
+
+    // Only validated records reach the database
+    const readings = normalizeLevelSnapshots(levelData);
+    const tickets = normalizeTickets(ticketData);
+
+    store.upsertCauldrons(normalizeCauldrons(cauldrons));
+    store.replaceCouriers(normalizeCouriers(couriers));
+    store.replaceNetwork(normalizeNetwork(network));
+    store.saveMarket(normalizeMarket(market));
+    const levelsAdded = store.insertLevelReadings(readings);
+    const ticketsSynced = store.upsertTickets(tickets);
+    publishReadings(readings);
+
+    // Readings are sorted by time
+    const newest = readings[readings.length - 1]?.timestamp;
+    const syncedUntil = newest && (!cursor || newest > cursor) ? newest : cursor;
+    if (syncedUntil) store.setMeta(CURSOR_KEY, syncedUntil);
+
+    const result = { status: 'success', levelsAdded, ticketsSynced, syncedUntil };
+    store.finishSyncRun(runId, result);
+    return { id: runId, ...result };
+  } catch (error) {
+    store.finishSyncRun(runId, { status: 'error', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Run one sync pass. Concurrent callers share the pass already in progress.
+ */
+export function runSync() {
+  if (!currentRun) {
+    currentRun = doSync().finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+}
+
+/**
+ * Start polling the upstream every config.syncIntervalMs
+ */
+export function startSyncWorker() {
+  if (timer) return;
+
+  const tick = async () => {
+    try {
+      const result = await runSync();
+      if (result.levelsAdded > 0) {
+        console.log(`🔄 Sync: +${result.levelsAdded} level readings, ${result.ticketsSynced} tickets (until ${result.syncedUntil})`);
+      }
+    } catch (error) {
+      console.error('Sync failed:', error.message);
+    } finally {
+      timer = setTimeout(tick, config.syncIntervalMs);
+    }
+  };
+
+  console.log(`🔄 Upstream sync every ${Math.round(config.syncIntervalMs / 1000)}s`);
+  timer = setTimeout(tick, 0);
+}
+
+export function stopSyncWorker() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Sync health and data freshness, for the API
+ */
+export function getSyncStatus() {
+  const lastSuccess = store.getLastSuccessfulSync();
+  const recentRuns = store.getSyncRuns(10);
+  const lastRun = recentRuns[0] || null;
+  const latestReading = store.getLatestLevelTimestamp();
+
+  return {
+    enabled: config.syncEnabled,
+    intervalMs: config.syncIntervalMs,
+    running: Boolean(currentRun),
+    latestReading,
+    dataAgeSeconds: latestReading
+      ? Math.max(0, Math.round((Date.now() - new Date(latestReading).getTime()) / 1000))
+      : null,
+    lastSuccessAt: lastSuccess?.finished_at || null,
+    lastError: lastRun?.status === 'error'
+      ? { at: lastRun.finished_at, message: lastRun.error }
+      : null,
+    recentRuns
+  };
+}
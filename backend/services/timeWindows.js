@@ -0,0 +1,140 @@
+/**
+ * Service Time Windows
+ *
+ * Every cauldron visit has a hard window, taken from the overflow forecast:
+ *   - earliest: when the level reaches earliestFill of capacity - a visit
+ *     before that collects too little to count as service
+ *   - latest: safetyMarginMinutes before the cauldron would overflow
+ * Windows are in minutes from the plan start and follow the level: after a
+ * visit the next window starts from what the witch left behind. A cauldron
+ * that doesn't fill has no deadline (latest is Infinity).
+ *
+ * The route builder waits up to maxWaitMinutes for a window to open and never
+ * arrives after one closes. visitWindows() replays a plan to find the window
+ * each visit had; checkWindows() reports every visit outside its window, and
+ * every cauldron the plan leaves needing a visit before the horizon.
+ */
+
+export const TIME_WINDOW_DEFAULTS = {
+  safetyMarginMinutes: 30,
+  earliestFill: 0.5,     // Share of capacity a cauldron holds before it is worth a visit
+  maxWaitMinutes: 30     // Longest a witch waits at a cauldron for its window to open
+};
+
+const EPSILON = 1e-6;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Forecast level at minute `to`, from `level` at minute `from`
+ */
+export function levelAt(cauldron, level, from, to) {
+  return Math.min(cauldron.maxVolume, level + cauldron.fillRate * Math.max(0, to - from));
+}
+
+/**
+ * Window for the next visit to a cauldron holding `level` at minute `at`
+ */
+export function serviceWindow(cauldron, level, at, settings = TIME_WINDOW_DEFAULTS) {
+  const threshold = settings.earliestFill * cauldron.maxVolume;
+  if (!(cauldron.fillRate > 0)) {
+    return { earliest: level >= threshold ? at : Infinity, latest: Infinity };
+  }
+  const earliest = at + Math.max(0, (threshold - level) / cauldron.fillRate);
+  const latest = at + (cauldron.maxVolume - level) / cauldron.fillRate - settings.safetyMarginMinutes;
+  // Close to overflowing, the window opens right away (or has already closed)
+  return { earliest: Math.min(earliest, Math.max(at, latest)), latest };
+}
+
+/**
+ * Every cauldron visit in a plan, timed from each route's shift layout (trip
+ * starts) plus the stop arrival.
+ * Returns [{ stop, cauldronId, time, witchName, tripNumber }] in route order.
+ */
+export function planVisits(routes) {
+  const stops = [];
+  routes.forEach(route => {
+    let tripStart = route.startOffset ?? 0;
+    route.trips.forEach((trip, tripIdx) => {
+      tripStart = route.shift?.tripStarts[tripIdx] ?? tripStart;
+      trip.stops.forEach(stop => {
+        if (stop.isMarket) return;
+        stops.push({
+          stop,
+          cauldronId: stop.cauldronId,
+          time: tripStart + stop.arrivalTime,
+          witchName: route.witchName,
+          tripNumber: tripIdx + 1
+        });
+      });
+      tripStart += trip.totalTime;
+    });
+  });
+  return stops;
+}
+
+/**
+ * Every visit in a plan with the window it had to meet, and each cauldron's
+ * window after its last visit.
+ * Returns { visits: [{ stop, cauldronId, time, window, witchName, tripNumber }], next: Map(cauldronId -> window) }.
+ */
+export function visitWindows(routes, cauldronStates, settings = TIME_WINDOW_DEFAULTS) {
+  const stops = planVisits(routes);
+  const visits = [];
+  const next = new Map();
+  cauldronStates.forEach(cauldron => {
+    let level = cauldron.currentLevel;
+    let at = 0;
+    stops
+      .filter(visit => visit.cauldronId === cauldron.id)
+      .sort((a, b) => a.time - b.time)
+      .forEach(visit => {
+        visits.push({ ...visit, window: serviceWindow(cauldron, level, at, settings) });
+        const end = visit.time + visit.stop.drainTime;
+        level = Math.max(0, levelAt(cauldron, level, at, end) - visit.stop.volumeCollected);
+        at = end;
+      });
+    next.set(cauldron.id, serviceWindow(cauldron, level, at, settings));
+  });
+
+  return { visits, next };
+}
+
+/**
+ * Visits outside their window, and cauldrons left needing a visit before horizonMinutes.
+ * Returns [{ cauldronId, type: 'early' | 'late' | 'unserved', earliest, latest, arrival?, witchName?, tripNumber?, message }].
+ */
+export function checkWindows(routes, cauldronStates, horizonMinutes, settings = TIME_WINDOW_DEFAULTS) {
+  const { visits, next } = visitWindows(routes, cauldronStates, settings);
+  const violations = [];
+
+  visits.forEach(({ cauldronId, time, window, witchName, tripNumber }) => {
+    const type = time < window.earliest - EPSILON ? 'early' : time > window.latest + EPSILON ? 'late' : null;
+    if (!type) return;
+    violations.push({
+      cauldronId,
+      type,
+      arrival: round1(time),
+      earliest: round1(window.earliest),
+      latest: round1(window.latest),
+      witchName,
+      tripNumber,
+      message: type === 'early'
+        ? `${witchName} arrives ${round1(window.earliest - time)} min before the window opens`
+        : `${witchName} arrives ${round1(time - window.latest)} min after the window closes`
+    });
+  });
+
+  next.forEach((window, cauldronId) => {
+    if (window.latest >= horizonMinutes) return;
+    violations.push({
+      cauldronId,
+      type: 'unserved',
+      earliest: round1(window.earliest),
+      latest: round1(window.latest),
+      message: `Needs a visit by minute ${round1(Math.max(0, window.latest))} that the plan doesn't make`
+    });
+  });
+
+  return violations.sort((a, b) => (a.arrival ?? a.latest) - (b.arrival ?? b.latest));
+}
@@ -0,0 +1,149 @@
+import config from '../config.js';
+
+// Shared HTTP client for the HackUTD API. Every upstream call goes through
+// here so concurrent dashboard loads cost a single request:
+//   - responses are cached per path for a TTL that depends on the endpoint
+//   - identical requests in flight share one fetch
+//   - expired entries are served stale while a background refresh runs,
+//     and are used as a fallback if the upstream is down
+//   - each attempt has a timeout, and failures are retried with backoff
+
+const cache = new Map();     // path -> { data, fetchedAt, ttlMs }
+const inFlight = new Map();  // path -> { request, store }
+const stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, retries: 0, errors: 0 };
+
+// Cauldrons/network/couriers rarely change; levels and tickets move every minute
+function ttlFor(path) {
+  if (path.startsWith('/api/Information')) return config.upstream.infoTtlMs;
+  return config.upstream.dataTtlMs;
+}
+
+class UpstreamError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+// 4xx (except 429) means the request itself is wrong - retrying won't help
+function isRetryable(error) {
+  return error.status == null || error.status === 429 || error.status >= 500;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fetchOnce(path) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.upstream.timeoutMs);
+  try {
+    const response = await fetch(`${config.upstreamAPI}${path}`, { signal: controller.signal });
+    if (!response.ok) {
+      throw new UpstreamError(`HackUTD API error: ${response.status}`, response.status);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new UpstreamError(`HackUTD API timeout after ${config.upstream.timeoutMs}ms`);
+    }
+    if (error instanceof UpstreamError) throw error;
+    throw new UpstreamError(`HackUTD API unreachable: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchWithRetry(path) {
+  const { retries, retryBaseMs } = config.upstream;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(path);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      stats.retries++;
+      await sleep(retryBaseMs * 2 ** attempt);
+    }
+  }
+}
+
+// Start (or join) the fetch for a path. The result goes into the cache when
+// any of the callers sharing it asked for that.
+function load(path, { store = true } = {}) {
+  const pending = inFlight.get(path);
+  if (pending) {
+    stats.coalesced++;
+    pending.store ||= store;
+    return pending.request;
+  }
+
+  const entry = { request: null, store };
+  entry.request = fetchWithRetry(path)
+    .then(data => {
+      if (entry.store) {
+        cache.delete(path); // re-insert so Map order tracks recency
+        cache.set(path, { data, fetchedAt: Date.now(), ttlMs: ttlFor(path) });
+        while (cache.size > config.upstream.maxEntries) {
+          cache.delete(cache.keys().next().value);
+        }
+      }
+      return data;
+    })
+    .catch(error => {
+      stats.errors++;
+      throw error;
+    })
+    .finally(() => {
+      inFlight.delete(path);
+    });
+
+  inFlight.set(path, entry);
+  return entry.request;
+}
+
+/**
+ * GET a HackUTD API path (e.g. '/api/Tickets') as JSON.
+ * Pass { cache: false } for one-off reads that shouldn't occupy the cache.
+ */
+export async function getUpstream(path, { cache: useCache = true } = {}) {
+  if (!useCache) {
+    return load(path, { store: false });
+  }
+
+  const entry = cache.get(path);
+  if (!entry) {
+    stats.misses++;
+    return load(path);
+  }
+
+  const age = Date.now() - entry.fetchedAt;
+  if (age < entry.ttlMs) {
+    stats.hits++;
+    return entry.data;
+  }
+
+  if (age < entry.ttlMs + config.upstream.staleMs) {
+    // Serve what we have and refresh in the background
+    stats.staleHits++;
+    load(path).catch(error => console.error(`Upstream refresh failed for ${path}:`, error.message));
+    return entry.data;
+  }
+
+  try {
+    stats.misses++;
+    return await load(path);
+  } catch (error) {
+    // Too old to serve normally, but better than nothing while the upstream is down
+    console.error(`Upstream fetch failed for ${path}, serving cached copy:`, error.message);
+    return entry.data;
+  }
+}
+
+export function clearUpstreamCache() {
+  cache.clear();
+}
+
+export function getUpstreamStats() {
+  return { ...stats, cachedPaths: cache.size, inFlight: inFlight.size };
+}
+
+export { UpstreamError };
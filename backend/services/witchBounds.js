@@ -0,0 +1,246 @@
+/**
+ * Witch Count Bounds
+ *
+ * How many witches a repeating schedule needs at the very least. Over one
+ * cycle of horizonMinutes, each cauldron fills fill_rate * horizon litres, and
+ * all of it has to be collected by the end of the cycle:
+ *   - draining takes at least volume / (drain rate - fill rate) minutes
+ *   - a trip carries at most `capacity` litres and ends with an unload at the market
+ *   - a trip through several cauldrons travels at least twice as far as its
+ *     farthest one, so each litre from cauldron i costs at least 2 * d(market, i) / capacity
+ *   - a cauldron can't hold more than max_volume between visits
+ * No witch works longer than one shift (dayMinutes, the cycle unless the shift
+ * rules cap it), so witches >= total work / dayMinutes.
+ *
+ * lowerBound() is the closed form of that argument, for any network.
+ * exactMinimum() solves the same model as an integer program (whole trips,
+ * litres split between them) for networks up to BOUND_DEFAULTS.exactMaxCauldrons,
+ * then packs the trips into witches' days. Trips visit at most maxStopsPerTrip
+ * cauldrons, so it is the fewest witches for a packing of such trips, not a
+ * bound on every plan: longer trips can need fewer witches. It leaves out when
+ * in the cycle each visit happens - that is what the optimizer's overflow check
+ * is for.
+ */
+
+import { solveILP } from './lp.js';
+
+export const BOUND_DEFAULTS = {
+  unloadMinutes: 15,
+  minDrainMinutes: 5,      // Shortest stop the optimizer schedules
+  maxStopsPerTrip: 2,      // Trip shapes the exact model considers
+  exactMaxCauldrons: 12,
+  nodeLimit: 2000,
+  timeLimitMs: 10000
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Minutes to drain one litre while the cauldron keeps filling (0 if it can't be drained)
+const minutesPerLitre = (c) => (c.drainRate > c.fillRate ? 1 / (c.drainRate - c.fillRate) : 0);
+
+// Cauldrons the witches can't get ahead of
+const undrainable = (cauldrons) => cauldrons.filter(c => c.fillRate > 0 && c.drainRate <= c.fillRate).map(c => c.id);
+
+/**
+ * Closed-form lower bound on witches.
+ * cauldrons: optimizer states [{ id, fillRate, drainRate, maxVolume }]
+ * travelTime(from, to): shortest travel in minutes
+ */
+export function lowerBound(cauldrons, marketId, travelTime, { capacity, horizonMinutes, dayMinutes = horizonMinutes, ...options }) {
+  const settings = { ...BOUND_DEFAULTS, ...options };
+  let dailyVolume = 0;
+  let drainMinutes = 0;
+  let travelMinutes = 0;
+
+  cauldrons.forEach(c => {
+    const volume = c.fillRate * horizonMinutes;
+    if (volume <= 0) return;
+    // Every litre leaves in some trip, and each visit is at least minDrainMinutes
+    const visits = Math.max(Math.ceil(volume / capacity), Math.ceil(volume / c.maxVolume));
+    dailyVolume += volume;
+    drainMinutes += Math.max(volume * minutesPerLitre(c), visits * settings.minDrainMinutes);
+    travelMinutes += 2 * travelTime(marketId, c.id) * volume / capacity;
+  });
+
+  const trips = Math.ceil(dailyVolume / capacity - 1e-9);
+  const unloadMinutes = trips * settings.unloadMinutes;
+  const workMinutes = drainMinutes + travelMinutes + unloadMinutes;
+
+  return {
+    witches: Math.ceil(workMinutes / dayMinutes - 1e-9),
+    workMinutes: round1(workMinutes),
+    dailyVolume: round1(dailyVolume),
+    trips,
+    drainMinutes: round1(drainMinutes),
+    travelMinutes: round1(travelMinutes),
+    unloadMinutes,
+    undrainable: undrainable(cauldrons)
+  };
+}
+
+function subsetsUpTo(items, size) {
+  const result = [];
+  const walk = (start, current) => {
+    if (current.length > 0) result.push(current);
+    if (current.length === size) return;
+    for (let i = start; i < items.length; i++) walk(i + 1, [...current, items[i]]);
+  };
+  walk(0, []);
+  return result;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+}
+
+// Shortest market -> cauldrons -> market tour through a small set
+function bestTour(ids, marketId, travelTime) {
+  let best = null;
+  permutations(ids).forEach(order => {
+    let minutes = 0;
+    let node = marketId;
+    order.forEach(id => {
+      minutes += travelTime(node, id);
+      node = id;
+    });
+    minutes += travelTime(node, marketId);
+    if (!best || minutes < best.minutes) best = { order, minutes };
+  });
+  return best;
+}
+
+// First-fit decreasing of trip durations into days of `day` minutes
+function packDays(trips, day) {
+  const days = [];
+  [...trips].sort((a, b) => b.totalTime - a.totalTime).forEach(trip => {
+    const slot = days.find(d => d.minutes + trip.totalTime <= day);
+    if (slot) {
+      slot.trips.push(trip);
+      slot.minutes += trip.totalTime;
+    } else {
+      days.push({ minutes: trip.totalTime, trips: [trip] });
+    }
+  });
+  return days.map(d => d.trips);
+}
+
+/**
+ * Fewest witches for a cycle of trips of at most maxStopsPerTrip stops, for small networks.
+ * context: { marketId, travelTime, buildTrip(visits), assemble(plan) } as in optimizeRoutes
+ * Returns { status, maxStopsPerTrip, witches, lowerBound, trips, workMinutes, routes, nodes, elapsedMs };
+ * status is 'optimal', 'feasible' (trips need more days than the proven minimum),
+ * 'limit' (search stopped early), 'infeasible' or 'too_large'. lowerBound holds
+ * only for trips of that shape.
+ */
+export function exactMinimum(cauldrons, context, { capacity, horizonMinutes, dayMinutes = horizonMinutes, ...options }) {
+  const settings = { ...BOUND_DEFAULTS, ...options };
+  const { marketId, travelTime, buildTrip, assemble } = context;
+  const startedAt = Date.now();
+  const active = cauldrons.filter(c => c.fillRate > 0);
+
+  const blocked = undrainable(active);
+  if (blocked.length > 0) {
+    return { status: 'infeasible', reason: `No drain rate keeps up with ${blocked.join(', ')}`, elapsedMs: 0 };
+  }
+  if (active.length > settings.exactMaxCauldrons) {
+    return {
+      status: 'too_large',
+      reason: `${active.length} cauldrons - the exact model handles up to ${settings.exactMaxCauldrons}`,
+      elapsedMs: 0
+    };
+  }
+
+  // Variables: trips per shape x_S, then litres per (shape, cauldron) y_Si
+  const shapes = subsetsUpTo(active, settings.maxStopsPerTrip).map(members => ({
+    members,
+    tour: bestTour(members.map(c => c.id), marketId, travelTime)
+  }));
+  const litres = [];
+  shapes.forEach((shape, s) => shape.members.forEach(c => litres.push({ shape: s, cauldron: c })));
+  const yIndex = (k) => shapes.length + k;
+
+  // Minimize work: travel + unload per trip, drain time per litre
+  const objective = [
+    ...shapes.map(shape => shape.tour.minutes + settings.unloadMinutes),
+    ...litres.map(({ cauldron }) => minutesPerLitre(cauldron))
+  ];
+  const constraints = [];
+  active.forEach(c => {
+    const volume = c.fillRate * horizonMinutes;
+    const collected = {};
+    const visits = {};
+    litres.forEach((l, k) => { if (l.cauldron === c) collected[yIndex(k)] = 1; });
+    shapes.forEach((shape, s) => {
+      if (shape.members.includes(c)) visits[s] = 1;
+    });
+    constraints.push({ coefficients: collected, type: '>=', rhs: volume });
+    constraints.push({ coefficients: visits, type: '>=', rhs: Math.ceil(volume / c.maxVolume - 1e-9) });
+  });
+  shapes.forEach((shape, s) => {
+    const load = { [s]: -capacity };
+    litres.forEach((l, k) => { if (l.shape === s) load[yIndex(k)] = 1; });
+    constraints.push({ coefficients: load, type: '<=', rhs: 0 });
+  });
+
+  const solution = solveILP({ objective, constraints }, {
+    integers: shapes.map((_, s) => s),
+    rank: value => Math.ceil(value / dayMinutes - 1e-9),
+    nodeLimit: settings.nodeLimit,
+    timeLimitMs: settings.timeLimitMs
+  });
+  if (!solution.x) {
+    return {
+      status: solution.status,
+      maxStopsPerTrip: settings.maxStopsPerTrip,
+      lowerBound: solution.bound,
+      nodes: solution.nodes,
+      elapsedMs: Date.now() - startedAt
+    };
+  }
+
+  // Turn the solution into trips: split each shape's litres over its trips
+  const trips = [];
+  shapes.forEach((shape, s) => {
+    const count = Math.round(solution.x[s]);
+    if (count === 0) return;
+    const remaining = new Map();
+    litres.forEach((l, k) => { if (l.shape === s) remaining.set(l.cauldron.id, solution.x[yIndex(k)]); });
+    for (let t = 0; t < count; t++) {
+      let room = capacity;
+      const visits = [];
+      shape.tour.order.forEach(id => {
+        const take = Math.min(room, remaining.get(id));
+        if (take <= 1e-6) return;
+        const cauldron = shape.members.find(c => c.id === id);
+        remaining.set(id, remaining.get(id) - take);
+        room -= take;
+        visits.push({
+          cauldronId: id,
+          cauldronName: cauldron.name,
+          drainTime: Math.max(settings.minDrainMinutes, take * minutesPerLitre(cauldron)),
+          volumeCollected: take
+        });
+      });
+      if (visits.length > 0) trips.push(buildTrip(visits));
+    }
+  });
+
+  const days = packDays(trips, dayMinutes);
+  const proven = solution.status === 'optimal';
+  let status = 'limit';
+  if (proven) status = days.length === solution.bound ? 'optimal' : 'feasible';
+
+  return {
+    status,
+    maxStopsPerTrip: settings.maxStopsPerTrip,
+    witches: days.length,
+    lowerBound: solution.bound,
+    trips: trips.length,
+    workMinutes: round1(trips.reduce((sum, trip) => sum + trip.totalTime, 0)),
+    routes: assemble(days),
+    nodes: solution.nodes,
+    elapsedMs: Date.now() - startedAt
+  };
+}
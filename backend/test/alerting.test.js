@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completedDays } from '../services/alerting.js';
+
+test('completedDays covers each completed day, ending with yesterday', () => {
+  assert.deepEqual(completedDays('2025-11-05T14:30:00.000Z', 2), ['2025-11-03', '2025-11-04']);
+});
+
+test('completedDays counts days, not minutes, just after midnight', () => {
+  assert.deepEqual(completedDays('2025-11-05T00:10:00.000Z', 3), ['2025-11-02', '2025-11-03', '2025-11-04']);
+});
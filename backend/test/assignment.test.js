@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchOptimally, solveAssignment } from '../services/assignment.js';
+
+const total = (cost, assignment) => assignment.reduce((sum, j, i) => sum + cost[i][j], 0);
+
+test('solveAssignment picks the cheapest columns of a wide matrix', () => {
+  const cost = [
+    [7, 1, 3],
+    [2, 4, 5]
+  ];
+  assert.deepEqual(solveAssignment(cost), [1, 0]);
+});
+
+test('solveAssignment leaves the spare column when it is no cheaper', () => {
+  const cost = [
+    [1, 9, 1],
+    [9, 1, 9]
+  ];
+  const assignment = solveAssignment(cost);
+  assert.equal(assignment[1], 1);
+  assert.equal(total(cost, assignment), 2);
+});
+
+test('solveAssignment returns a full matching at the minimum cost when costs tie', () => {
+  const cost = [
+    [5, 5, 5],
+    [5, 5, 5],
+    [5, 5, 5]
+  ];
+  const assignment = solveAssignment(cost);
+  assert.deepEqual([...assignment].sort(), [0, 1, 2]);
+  assert.equal(total(cost, assignment), 15);
+});
+
+test('solveAssignment never picks a forbidden pair', () => {
+  assert.deepEqual(solveAssignment([[Infinity, 1], [1, Infinity]]), [1, 0]);
+  assert.throws(() => solveAssignment([[Infinity, Infinity], [1, 2]]), /no feasible assignment/);
+});
+
+test('solveAssignment needs at least as many columns as rows', () => {
+  assert.deepEqual(solveAssignment([]), []);
+  assert.throws(() => solveAssignment([[1], [2]]), /at least as many columns/);
+});
+
+test('matchOptimally pairs only what is cheaper than leaving both unmatched', () => {
+  const near = (a, b) => (Math.abs(a - b) <= 5 ? Math.abs(a - b) : Infinity);
+  assert.deepEqual(matchOptimally([0, 10], [1, 50], near, 3), [[0, 0]]);
+  assert.deepEqual(matchOptimally([0], [5], near, 2), []);
+  assert.deepEqual(matchOptimally([], [1], near, 3), []);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lttb } from '../services/levelAggregation.js';
+
+const START = Date.parse('2025-11-01T00:00:00.000Z');
+
+// A minute-by-minute fill with one drain spike
+const readings = Array.from({ length: 1000 }, (_, idx) => ({
+  cauldron_id: 'cauldron_001',
+  timestamp: new Date(START + idx * 60 * 1000).toISOString(),
+  volume: idx === 500 ? 0 : 100 + idx * 0.5
+}));
+
+test('lttb returns threshold points, keeping both ends', () => {
+  for (const threshold of [3, 50, 999]) {
+    const sampled = lttb(readings, threshold);
+    assert.equal(sampled.length, threshold);
+    assert.equal(sampled[0], readings[0]);
+    assert.equal(sampled[sampled.length - 1], readings[readings.length - 1]);
+  }
+});
+
+test('lttb keeps points in time order and keeps a spike', () => {
+  const sampled = lttb(readings, 50);
+  assert.ok(sampled.every((point, idx) => idx === 0 || point.timestamp > sampled[idx - 1].timestamp));
+  assert.ok(sampled.includes(readings[500]));
+});
+
+test('lttb leaves short series and thresholds below 3 alone', () => {
+  assert.equal(lttb(readings, 1000), readings);
+  assert.equal(lttb(readings, 2), readings);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveILP } from '../services/lp.js';
+
+test('solveILP reports an infeasible problem', () => {
+  const result = solveILP({
+    objective: [1],
+    constraints: [
+      { coefficients: { 0: 1 }, type: '>=', rhs: 3 },
+      { coefficients: { 0: 1 }, type: '<=', rhs: 1 }
+    ]
+  }, { integers: [0] });
+  assert.equal(result.status, 'infeasible');
+  assert.equal(result.x, null);
+});
+
+test('solveILP stops at the root when the LP relaxation is integral', () => {
+  const result = solveILP({
+    objective: [2, 3],
+    constraints: [
+      { coefficients: { 0: 1 }, type: '>=', rhs: 2 },
+      { coefficients: { 1: 1 }, type: '>=', rhs: 1 }
+    ]
+  }, { integers: [0, 1] });
+  assert.equal(result.status, 'optimal');
+  assert.equal(result.nodes, 1);
+  assert.equal(result.value, 7);
+  assert.deepEqual(result.x.map(Math.round), [2, 1]);
+});
+
+test('solveILP branches to a whole solution above a fractional relaxation', () => {
+  const problem = { objective: [1], constraints: [{ coefficients: { 0: 2 }, type: '>=', rhs: 3 }] };
+
+  const result = solveILP(problem, { integers: [0] });
+  assert.equal(result.status, 'optimal');
+  assert.equal(Math.round(result.x[0]), 2);
+  assert.equal(result.bound, 2);
+
+  const stopped = solveILP(problem, { integers: [0], nodeLimit: 1 });
+  assert.equal(stopped.status, 'limit');
+  assert.equal(stopped.bound, 1.5);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getQualityReport, normalizeCouriers, normalizeLevelSnapshots, normalizeMarket, normalizeTickets } from '../services/normalize.js';
+
+test('normalizeTickets counts the tickets it accepts and rejects', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const tickets = normalizeTickets({
+    transport_tickets: [
+      { ticket_id: 't2', cauldron_id: 'cauldron_001', amount_collected: 90, courier_id: 'courier_witch_01', date: '2025-11-02' },
+      { ticket_id: 't1', cauldron_id: 'cauldron_002', amount_collected: 40, date: '2025-11-01T08:00:00Z' },
+      { ticket_id: 't3', cauldron_id: 'cauldron_001', amount_collected: -5, date: '2025-11-02' },
+      { cauldron_id: 'cauldron_001', amount_collected: 10, date: 'not a date' }
+    ]
+  });
+
+  assert.deepEqual(tickets.map(ticket => ticket.ticket_id), ['t1', 't2']);
+  const report = getQualityReport().tickets;
+  assert.equal(report.received, 4);
+  assert.equal(report.accepted, 2);
+  assert.equal(report.rejected, 2);
+  assert.deepEqual(report.samples.map(sample => sample.index), [2, 3]);
+  assert.deepEqual(report.samples[1].errors, ['ticket_id must be a non-empty string', 'date must be a valid date']);
+});
+
+test('normalizeLevelSnapshots counts each reading, and a snapshot without levels as one', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const readings = normalizeLevelSnapshots([
+    { timestamp: '2025-11-01T00:01:00Z', cauldron_levels: { cauldron_002: 50, cauldron_001: 'full' } },
+    { timestamp: '2025-11-01T00:00:00Z', cauldron_levels: { cauldron_001: 10 } },
+    { timestamp: '2025-11-01T00:02:00Z' }
+  ]);
+
+  assert.deepEqual(readings.map(r => [r.timestamp, r.cauldron_id]), [
+    ['2025-11-01T00:00:00.000Z', 'cauldron_001'],
+    ['2025-11-01T00:01:00.000Z', 'cauldron_002']
+  ]);
+  const report = getQualityReport().levels;
+  assert.deepEqual([report.received, report.accepted, report.rejected], [4, 2, 2]);
+});
+
+test('a payload that is not a list is reported with an error and no records', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(normalizeCouriers({ couriers: [] }), []);
+  const report = getQualityReport().couriers;
+  assert.deepEqual([report.received, report.accepted, report.rejected], [0, 0, 0]);
+  assert.equal(report.error, 'expected an array, got object');
+});
+
+test('normalizeMarket reports a rejected market before throwing', () => {
+  assert.throws(() => normalizeMarket({ id: 'market_001', latitude: 'north' }), /Invalid market record/);
+  const report = getQualityReport().market;
+  assert.deepEqual([report.received, report.accepted, report.rejected], [1, 0, 1]);
+
+  normalizeMarket({ id: 'market_001', latitude: 33, longitude: -96.7 });
+  assert.equal(getQualityReport().market.accepted, 1);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { optimizeRoutes } from '../services/routeOptimizer.js';
+import { diffPlans } from '../services/planDiff.js';
+
+const input = JSON.parse(readFileSync(new URL('./fixtures/optimizerInput.json', import.meta.url)));
+
+const plan = ({ network = input.network } = {}) =>
+  optimizeRoutes(input.cauldrons, input.levels, input.market, network, input.couriers, input.options);
+
+test('diffPlans finds nothing to change for a scenario without disruptions', () => {
+  // A what-if run gets its own copy of the network, as with an empty disruptions list
+  const diff = diffPlans(plan(), plan({ network: { edges: input.network.edges.map(e => ({ ...e })) } }), input.options.horizonMinutes);
+
+  for (const key of ['witches', 'unstaffedWitches', 'trips', 'travelMinutes', 'coverage', 'overflowIssues', 'windowViolations']) {
+    assert.equal(diff[key].change, 0, key);
+  }
+  assert.deepEqual(diff.affectedStops, []);
+  assert.deepEqual(diff.overflowRisk.relieved, []);
+  assert.equal(diff.overflowRisk.cauldrons.filter(c => c.new).length, 0);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileRange } from '../services/reconciliation.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Fills 1 L/min and is drained for 20 min at noon each day, 200 L net
+function readingsFor(cauldronId, from, to) {
+  const readings = [];
+  let volume = 100;
+  for (let ts = Date.parse(from); ts < Date.parse(to); ts += MINUTE_MS) {
+    const minuteOfDay = (ts / MINUTE_MS) % (24 * 60);
+    volume += minuteOfDay >= 12 * 60 && minuteOfDay < 12 * 60 + 20 ? -10 : 1;
+    readings.push({ cauldron_id: cauldronId, timestamp: new Date(ts).toISOString(), volume });
+  }
+  return readings;
+}
+
+test('a cauldron whose days are off is mismatched even when its totals balance', () => {
+  const cauldron = { id: 'cauldron_001', name: 'Test Cauldron', max_volume: 10000, fill_rate: 1 };
+  const result = reconcileRange({
+    startDate: '2025-11-01',
+    endDate: '2025-11-02',
+    cauldrons: [cauldron],
+    readings: readingsFor(cauldron.id, '2025-10-31T00:00:00Z', '2025-11-04T00:00:00Z'),
+    tickets: [
+      { ticket_id: 'TT_1', cauldron_id: cauldron.id, amount_collected: 150, courier_id: 'courier_1', date: '2025-11-01' },
+      { ticket_id: 'TT_2', cauldron_id: cauldron.id, amount_collected: 290, courier_id: 'courier_1', date: '2025-11-02' }
+    ]
+  });
+
+  const [row] = result.matrix;
+  assert.deepEqual(row.days.map(day => day.status), ['SUSPICIOUS', 'SUSPICIOUS']);
+  assert.equal(row.totals.underTicketedDays, 1);
+  assert.equal(row.totals.overTicketedDays, 1);
+  // Short one day and over the next: within 15% over the range
+  assert.ok(Math.abs(row.totals.discrepancy) < 0.15 * row.totals.totalDrained);
+  assert.equal(row.totals.status, 'SUSPICIOUS');
+  assert.equal(result.summary.cauldronsMismatched, 1);
+});
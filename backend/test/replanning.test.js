@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { optimizeRoutes } from '../services/routeOptimizer.js';
+import { changeLog } from '../services/replanning.js';
+
+const input = JSON.parse(readFileSync(new URL('./fixtures/optimizerInput.json', import.meta.url)));
+const start = input.options.startTime;
+
+// A revision as replan() keeps it, without trips under way
+const revision = (startedAt = start) => ({
+  start: startedAt,
+  underway: [],
+  result: optimizeRoutes(input.cauldrons, input.levels, input.market, input.network, input.couriers, input.options)
+});
+
+test('changeLog is empty when the plan is made again from unchanged readings', () => {
+  assert.deepEqual(changeLog(revision(), revision(), start), []);
+});
+
+test('changeLog retimes every visit of a plan that starts later', () => {
+  const before = revision();
+  const after = revision(start + 30 * 60 * 1000);
+  const changes = changeLog(before, after, start);
+
+  const visits = before.result.routes.reduce((sum, route) =>
+    sum + route.trips.reduce((tripSum, trip) => tripSum + trip.stops.filter(stop => !stop.isMarket).length, 0), 0);
+  assert.equal(changes.length, visits);
+  assert.ok(changes.every(change => change.type === 'retimed'));
+});
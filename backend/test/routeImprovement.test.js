@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { optimizeRoutes } from '../services/routeOptimizer.js';
+
+// A market and six cauldrons on a ring with spokes, two couriers, one reading per cauldron
+const input = JSON.parse(readFileSync(new URL('./fixtures/optimizerInput.json', import.meta.url)));
+
+const plan = () => optimizeRoutes(input.cauldrons, input.levels, input.market, input.network, input.couriers, input.options);
+
+test('optimizeRoutes gives the same routes for the same input', () => {
+  const first = plan();
+  const second = plan();
+  assert.equal(first.improvement.timedOut, false);
+  assert.equal(first.improvement.iterations, second.improvement.iterations);
+  assert.deepEqual(second.routes, first.routes);
+  assert.deepEqual(second.improvement.after, first.improvement.after);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHIFT_DEFAULTS, layoutShift, shiftViolations } from '../services/shiftRules.js';
+
+const START_TIME = Date.parse('2025-11-05T00:00:00.000Z');
+
+// Trips [{ start, end }] from [start, minutes] pairs
+const trips = (...spans) => spans.map(([start, minutes]) => ({ start, end: start + minutes }));
+const rulesBroken = (shift, rules = SHIFT_DEFAULTS, options = {}) =>
+  shiftViolations(shift, rules, { startTime: START_TIME, ...options }).map(violation => violation.rule);
+
+test('shiftViolations passes a shift that keeps to the rules', () => {
+  // 4 trips of 50 min, a 30 min break, then 2 more
+  assert.deepEqual(rulesBroken(trips([0, 50], [50, 50], [100, 50], [150, 50], [230, 50], [280, 50])), []);
+});
+
+test('shiftViolations reports work past the break limit once per stretch', () => {
+  const violations = shiftViolations(trips([0, 90], [90, 90], [180, 90]), SHIFT_DEFAULTS, { startTime: START_TIME });
+  assert.deepEqual(violations, [{
+    rule: 'break',
+    message: 'Trip 3 ends 270 min into a stretch without a break (limit 240 min)'
+  }]);
+});
+
+test('shiftViolations reports too many trips in a row', () => {
+  assert.deepEqual(rulesBroken(trips([0, 20], [20, 20], [40, 20], [60, 20], [80, 20])), ['consecutive_trips']);
+});
+
+test('shiftViolations reports a shift over the maximum length and her availability', () => {
+  // 100 min trips with 30 min breaks: 9h from first departure to last return
+  const long = trips([0, 100], [130, 100], [260, 100], [390, 100], [520, 20]);
+  assert.deepEqual(rulesBroken(long), ['max_shift']);
+  assert.deepEqual(rulesBroken(long, SHIFT_DEFAULTS, { availableMinutes: 300 }), ['max_shift', 'availability']);
+  assert.equal(shiftViolations(long, SHIFT_DEFAULTS, { startTime: START_TIME })[0].message, 'Shift runs 9.0h, over the 8.0h limit');
+});
+
+test('shiftViolations reports a start outside the start window', () => {
+  const rules = { ...SHIFT_DEFAULTS, startEarliest: '06:00', startLatest: '10:00' };
+  assert.deepEqual(rulesBroken(trips([0, 60]), rules), ['start_window']);
+  assert.deepEqual(rulesBroken(trips([7 * 60, 60]), rules), []);
+});
+
+test('layoutShift puts in a break before work would pass the break limit', () => {
+  const shift = layoutShift([{ totalTime: 100 }, { totalTime: 100 }, { totalTime: 100 }], 0, SHIFT_DEFAULTS);
+  assert.deepEqual(shift.tripStarts, [0, 100, 230]);
+  assert.deepEqual(shift.breaks, [{ start: 200, end: 230 }]);
+  assert.equal(shift.end, 330);
+  assert.deepEqual(rulesBroken(shift.tripStarts.map(start => ({ start, end: start + 100 }))), []);
+});
+
+test('layoutShift counts a wait shorter than a break towards the break limit', () => {
+  // 100 min of work, 20 min waiting for the next trip's window, then 130 min: 250 min without a break
+  const shift = layoutShift([{ totalTime: 100 }, { totalTime: 130, notBefore: 120 }], 0, SHIFT_DEFAULTS);
+  assert.deepEqual(shift.breaks, [{ start: 100, end: 130 }]);
+  assert.deepEqual(shift.tripStarts, [0, 130]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWindows, serviceWindow } from '../services/timeWindows.js';
+
+// Fills 1 L/min: its window opens at 500 L (minute 200) and closes 30 min before it overflows (minute 670)
+const cauldron = { id: 'cauldron_001', maxVolume: 1000, fillRate: 1, currentLevel: 300 };
+
+// One witch with one trip per arrival (minutes from the plan start)
+const plan = (...arrivals) => [{
+  witchName: 'Mildred',
+  startOffset: 0,
+  trips: arrivals.map(arrival => ({
+    totalTime: 60,
+    stops: [
+      { isMarket: true, arrivalTime: 0 },
+      { cauldronId: cauldron.id, arrivalTime: 20, drainTime: 10, volumeCollected: 450 },
+      { isMarket: true, arrivalTime: 50 }
+    ]
+  })),
+  shift: { tripStarts: arrivals.map(arrival => arrival - 20) }
+}];
+
+test('serviceWindow opens at the fill threshold and closes a safety margin before overflow', () => {
+  assert.deepEqual(serviceWindow(cauldron, 300, 0), { earliest: 200, latest: 670 });
+  // Past the margin already: the window is open now and already closed
+  assert.deepEqual(serviceWindow(cauldron, 980, 0), { earliest: 0, latest: -10 });
+  assert.deepEqual(serviceWindow({ ...cauldron, fillRate: 0 }, 100, 0), { earliest: Infinity, latest: Infinity });
+});
+
+test('checkWindows passes a visit inside its window', () => {
+  // After collecting 450 L at minute 310 it holds 160 L; the next window closes at minute 1120
+  assert.deepEqual(checkWindows(plan(300), [cauldron], 1000), []);
+});
+
+test('checkWindows reports early and late visits', () => {
+  const [early] = checkWindows(plan(100), [cauldron], 100);
+  assert.equal(early.type, 'early');
+  assert.equal(early.message, 'Mildred arrives 100 min before the window opens');
+
+  const [late] = checkWindows(plan(700), [cauldron], 700);
+  assert.equal(late.type, 'late');
+  assert.deepEqual([late.arrival, late.earliest, late.latest, late.tripNumber], [700, 200, 670, 1]);
+  assert.equal(late.message, 'Mildred arrives 30 min after the window closes');
+});
+
+test('checkWindows reports a cauldron the plan leaves to overflow before the horizon', () => {
+  assert.deepEqual(checkWindows(plan(300), [cauldron], 24 * 60).map(v => [v.type, v.latest]), [['unserved', 1120]]);
+  assert.deepEqual(checkWindows(plan(), [cauldron], 24 * 60).map(v => [v.type, v.message]), [
+    ['unserved', 'Needs a visit by minute 670 that the plan doesn\'t make']
+  ]);
+});
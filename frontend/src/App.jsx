@@ -1,16 +1,32 @@
 
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import CauldronTable from './components/CauldronTable';
 import TicketTable from './components/TicketTable';
 import LevelChart from './components/LevelChart';
 import ReconciliationPanel from './components/ReconciliationPanel';
+import CourierSuspicion from './components/CourierSuspicion';
 import MapView from './components/MapView';
 import CauldronDetail from './components/CauldronDetail';
 import RouteVisualization from './components/RouteVisualization';
 import RouteSchedule from './components/RouteSchedule';
-import { computePerCauldronSeries, aggregateDrainsPerCauldron } from './utils/reconciliation';
-import { optimizeRoutes } from './utils/routeOptimizer';
+import PeriodicSchedule from './components/PeriodicSchedule';
+import FleetUtilization from './components/FleetUtilization';
+import AlertCenter from './components/AlertCenter';
+import PlanRevisions from './components/PlanRevisions';
+import { requestOptimization } from './utils/optimization';
+import { usePlanRevisions, fetchRevision } from './utils/replanning';
+import { useLevelStream, useStreamStatus } from './utils/levelStream';
+import { reconcileTicketDates } from './utils/reconciliation';
+import {
+  useAlerts,
+  alertsByCauldron,
+  isSnoozed,
+  syncDashboardAlerts,
+  deriveLevelAlerts,
+  deriveRouteAlerts,
+  deriveTicketAlerts
+} from './utils/alerts';
 
 function Dashboard() {
   const [cauldrons, setCauldrons] = useState([]);
@@ -18,6 +34,9 @@ function Dashboard() {
   const [levels, setLevels] = useState([]);
   // full historical level records (used for time slider)
   const [allLevels, setAllLevels] = useState([]);
+  // readings pushed by the live stream since the page loaded
+  const [liveReadings, setLiveReadings] = useState([]);
+  // null = follow the latest minute
   const [timeIndex, setTimeIndex] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -26,11 +45,46 @@ function Dashboard() {
   const [couriers, setCouriers] = useState([]);
   const [market, setMarket] = useState(null);
   const [network, setNetwork] = useState({ edges: [], description: '' });
+  // ticket_id -> reconciled ticket with flags; null until reconciliation finishes
+  const [reconciledTickets, setReconciledTickets] = useState(null);
+  const [ticketsComplete, setTicketsComplete] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(true);
+  // Route plan from the backend optimizer and how far along it is
+  const [optimizationResult, setOptimizationResult] = useState(null);
+  const [optimizationProgress, setOptimizationProgress] = useState(null);
+  const [optimizationError, setOptimizationError] = useState(null);
 
   useEffect(() => {
     fetchData();
   }, []);
 
+  // Reconcile every date we have tickets for
+  useEffect(() => {
+    if (tickets.length === 0) return;
+    let cancelled = false;
+    reconcileTicketDates(tickets).then(({ byId, complete }) => {
+      if (cancelled) return;
+      setReconciledTickets(byId);
+      setTicketsComplete(complete);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tickets]);
+
+  const streamStatus = useStreamStatus();
+
+  // Snapshots repeat what we already have; only append genuinely new readings
+  useLevelStream((readings, type) => {
+    if (type !== 'readings') return;
+    setLiveReadings(prev => prev.concat(readings));
+  });
+
+  const timeline = useMemo(
+    () => (liveReadings.length ? allLevels.concat(liveReadings) : allLevels),
+    [allLevels, liveReadings]
+  );
+
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -51,12 +105,6 @@ function Dashboard() {
         const r = await fetch('/api/tickets');
         if (!r.ok) throw new Error(`status ${r.status}`);
         ticketData = await r.json();
-        // debug: log what we received from the tickets endpoint
-        try {
-          console.debug('fetch /api/tickets ->', Array.isArray(ticketData) ? `array(${ticketData.length})` : typeof ticketData, ticketData);
-        } catch (e) {
-          console.debug('fetch /api/tickets -> (failed to stringify)', e);
-        }
       } catch (e) {
         errors.push(`tickets: ${e.message}`);
       }
@@ -109,26 +157,28 @@ function Dashboard() {
         errors.push(`network: ${e.message}`);
       }
 
-      // compute fill rates from historical level data and merge into cauldron objects
-      let enrichedCauldrons = cauldronData || [];
+      // Fill/drain rates fitted on the backend, shared with reconciliation
+      let modelData = [];
       try {
-        const byId = computePerCauldronSeries(historyLevels || []);
-        const perCauldronAgg = aggregateDrainsPerCauldron(byId);
-        enrichedCauldrons = (cauldronData || []).map(c => ({
-          ...c,
-          fillRate: perCauldronAgg[c.id || c.cauldronId || c.cauldron_id]?.fillRate ?? c.fillRate ?? c.fill_rate ?? 0
-        }));
+        const r = await fetch('/api/cauldrons/models');
+        if (!r.ok) throw new Error(`status ${r.status}`);
+        modelData = await r.json();
       } catch (e) {
-        console.warn('Failed to compute per-cauldron fill rates:', e);
+        errors.push(`cauldron models: ${e.message}`);
       }
 
-  setCauldrons(enrichedCauldrons);
-  // handle wrapper shapes from backend (some endpoints return { value: [...] } or { transport_tickets: [...] })
-  setTickets(
-    Array.isArray(ticketData)
-      ? ticketData
-      : (ticketData?.tickets || ticketData?.value || ticketData?.transport_tickets || [])
-  );
+      const modelsById = new Map(modelData.map(m => [m.cauldron_id, m]));
+      const enrichedCauldrons = (cauldronData || []).map(c => {
+        const model = modelsById.get(c.id);
+        return {
+          ...c,
+          fill_rate: model?.fill_rate ?? c.fill_rate ?? 0,
+          drain_rate: model?.drain_rate ?? c.drain_rate
+        };
+      });
+
+      setCauldrons(enrichedCauldrons);
+      setTickets(ticketData || []);
       setLevels(latestLevels || []);
       setAllLevels(historyLevels || []);
       setCouriers(courierData || []);
@@ -147,52 +197,105 @@ function Dashboard() {
     }
   };
 
-  // derive sorted unique minute timestamps from allLevels
+  // derive sorted unique minute timestamps from the loaded history plus live readings
   const timestamps = useMemo(() => {
-    if (!allLevels || allLevels.length === 0) return [];
+    if (timeline.length === 0) return [];
     const mins = new Set();
-    allLevels.forEach(r => {
-      const raw = r.timestamp || r.date || r.time;
-      const ts = raw ? new Date(raw).getTime() : NaN;
-      if (!isNaN(ts)) {
-        const minute = Math.floor(ts / 60000) * 60000;
-        mins.add(minute);
-      }
+    timeline.forEach(r => {
+      mins.add(Math.floor(new Date(r.timestamp).getTime() / 60000) * 60000);
     });
     return Array.from(mins).sort((a, b) => a - b);
-  }, [allLevels]);
+  }, [timeline]);
 
-  // default timeIndex to latest minute
-  useEffect(() => {
-    if (timestamps.length > 0 && timeIndex === null) {
-      setTimeIndex(timestamps.length - 1);
-    }
-  }, [timestamps, timeIndex]);
+  const selectedIndex = timeIndex ?? timestamps.length - 1;
 
   // compute snapshot of levels for the selected minute
   const levelsAtSelectedTime = useMemo(() => {
-    if (!timestamps || timestamps.length === 0 || timeIndex === null) return levels;
-    const selectedMinute = timestamps[timeIndex];
-    return allLevels.filter(r => {
-      const raw = r.timestamp || r.date || r.time;
-      const ts = raw ? new Date(raw).getTime() : NaN;
-      return !isNaN(ts) && Math.floor(ts / 60000) * 60000 === selectedMinute;
+    if (timestamps.length === 0) return levels;
+    const selectedMinute = timestamps[selectedIndex];
+    return timeline.filter(r => Math.floor(new Date(r.timestamp).getTime() / 60000) * 60000 === selectedMinute);
+  }, [timeline, timestamps, selectedIndex, levels]);
+
+  // Optimize routes for minimum witches needed (re-run whenever the data is reloaded)
+  useEffect(() => {
+    if (loading || cauldrons.length === 0) return;
+    const controller = new AbortController();
+    setOptimizationError(null);
+    requestOptimization({}, { onProgress: setOptimizationProgress, signal: controller.signal })
+      .then(result => {
+        // Once there is a live plan revision, it is the plan to show
+        if (!liveRevision.current) setOptimizationResult(result);
+        setOptimizationProgress(null);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        console.error('Route optimization failed:', err);
+        setOptimizationError(err.message);
+        setOptimizationProgress(null);
+      });
+    return () => controller.abort();
+  }, [loading, cauldrons]);
+
+  // Follow the backend's rolling re-planning: show the newest revision's plan
+  const planRevisions = usePlanRevisions();
+  const liveRevision = useRef(null);
+  const newestRevision = planRevisions[0]?.revision;
+  useEffect(() => {
+    if (!newestRevision) return;
+    const controller = new AbortController();
+    fetchRevision(newestRevision, { signal: controller.signal })
+      .then(revision => {
+        liveRevision.current = revision.revision;
+        setOptimizationResult(revision.result);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) console.error('Failed to load the plan revision:', err);
+      });
+    return () => controller.abort();
+  }, [newestRevision]);
+
+  // Newest reading per cauldron, following the live stream
+  const currentLevels = useMemo(() => {
+    const byId = new Map(levels.map(l => [l.cauldron_id, l]));
+    liveReadings.forEach(r => {
+      const current = byId.get(r.cauldron_id);
+      if (!current || r.timestamp >= current.timestamp) byId.set(r.cauldron_id, r);
     });
-  }, [allLevels, timestamps, timeIndex, levels]);
+    return Array.from(byId.values());
+  }, [levels, liveReadings]);
+
+  const alerts = useAlerts();
+  const cauldronAlerts = useMemo(() => alertsByCauldron(alerts), [alerts]);
+  const activeAlertCount = alerts.filter(a => !isSnoozed(a)).length;
 
-  // Optimize routes for minimum witches needed
-  const optimizationResult = useMemo(() => {
-    if (cauldrons.length === 0 || levels.length === 0 || couriers.length === 0 || !market) {
-      return null;
+  // Share the alerts derived from what this page has loaded. A rule is only
+  // synced once its inputs are in, so missing data doesn't resolve its alerts.
+  const lastSync = useRef(null);
+  useEffect(() => {
+    if (loading || cauldrons.length === 0 || currentLevels.length === 0) return;
+
+    const rules = ['dashboard_level'];
+    const derived = deriveLevelAlerts(cauldrons, currentLevels);
+    if (optimizationResult) {
+      rules.push('route_overflow');
+      derived.push(...deriveRouteAlerts(optimizationResult.verification, cauldrons));
     }
-    
-    try {
-      return optimizeRoutes(cauldrons, levels, market, network, couriers, allLevels);
-    } catch (err) {
-      console.error('Route optimization failed:', err);
-      return null;
+    // Tickets of dates that failed to reconcile would look resolved
+    if (reconciledTickets && ticketsComplete) {
+      rules.push('ticket_flag');
+      derived.push(...deriveTicketAlerts(reconciledTickets));
     }
-  }, [cauldrons, levels, market, network, couriers, allLevels]);
+
+    const payload = JSON.stringify({ rules, derived });
+    if (payload === lastSync.current) return;
+    lastSync.current = payload;
+
+    const asOf = currentLevels.reduce((latest, l) => (l.timestamp > latest ? l.timestamp : latest), '');
+    syncDashboardAlerts(rules, derived, asOf || undefined).catch(err => {
+      lastSync.current = null;
+      console.warn('Failed to sync dashboard alerts:', err);
+    });
+  }, [loading, cauldrons, currentLevels, optimizationResult, reconciledTickets, ticketsComplete]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-purple-800 to-indigo-900 p-6">
@@ -245,14 +348,27 @@ function Dashboard() {
               </div>
               <div className="bg-white/10 backdrop-blur-md p-6 rounded-lg shadow-lg border border-white/20">
                 <div className="text-purple-200 text-sm font-semibold">Status</div>
-                <div className="text-2xl font-bold text-green-400 mt-2">✓ Online</div>
+                {streamStatus.status === 'open' && (
+                  <div className="text-2xl font-bold text-green-400 mt-2">● Live</div>
+                )}
+                {streamStatus.status === 'connecting' && (
+                  <div className="text-2xl font-bold text-yellow-400 mt-2">◌ Connecting...</div>
+                )}
+                {streamStatus.status === 'closed' && (
+                  <div className="text-2xl font-bold text-red-400 mt-2">✕ Offline</div>
+                )}
+                <div className="text-xs text-purple-300 mt-1">
+                  {streamStatus.lastMessageAt
+                    ? `Last update ${new Date(streamStatus.lastMessageAt).toLocaleTimeString()}`
+                    : 'Waiting for live data'}
+                </div>
               </div>
             </div>
 
-            {/* Tabs */}
-            <div className="mb-6">
-              <div className="flex gap-2 bg-white/10 backdrop-blur-md p-2 rounded-lg border border-white/20">
-                {['overview', 'cauldrons', 'tickets', 'reconcile'].map((tab) => (
+            {/* Tabs, with the alert center toggle next to them */}
+            <div className="mb-6 flex gap-2">
+              <div className="flex-1 flex gap-2 bg-white/10 backdrop-blur-md p-2 rounded-lg border border-white/20">
+                {['overview', 'cauldrons', 'tickets', 'reconcile', 'couriers'].map((tab) => (
                   <button
                     key={tab}
                     onClick={() => setActiveTab(tab)}
@@ -266,194 +382,157 @@ function Dashboard() {
                   </button>
                 ))}
               </div>
+              <button
+                onClick={() => setShowAlerts(show => !show)}
+                className={`px-4 rounded-lg border font-semibold transition ${
+                  showAlerts
+                    ? 'bg-purple-600 text-white border-purple-400'
+                    : 'bg-white/10 text-purple-200 border-white/20 hover:bg-white/20'
+                }`}
+                title={showAlerts ? 'Hide alerts' : 'Show alerts'}
+              >
+                🔔 {activeAlertCount}
+              </button>
             </div>
 
-            {/* Tab Content */}
-            <div className="space-y-6">
-              {activeTab === 'overview' && (
-                <div className="space-y-6">
-                  {/* Sub-tabs for Overview */}
-                  <div className="flex gap-2 bg-white/10 backdrop-blur-md p-2 rounded-lg border border-white/20">
-                    {['map', 'routes'].map((subTab) => (
-                      <button
-                        key={subTab}
-                        onClick={() => setOverviewSubTab(subTab)}
-                        className={`flex-1 py-2 px-4 rounded transition font-semibold ${
-                          overviewSubTab === subTab
-                            ? 'bg-purple-500 text-white shadow-lg'
-                            : 'text-purple-200 hover:bg-white/10'
-                        }`}
-                      >
-                        {subTab.charAt(0).toUpperCase() + subTab.slice(1)}
-                      </button>
-                    ))}
-                  </div>
-
-                  {/* Map View */}
-                  {overviewSubTab === 'map' && (
-                    <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-2xl border border-white/20 p-3">
-                      <MapView />
+            <div className={showAlerts ? 'grid grid-cols-1 xl:grid-cols-[minmax(0,1fr)_22rem] gap-6 items-start' : ''}>
+              {/* Tab Content */}
+              <div className="space-y-6 min-w-0">
+                {activeTab === 'overview' && (
+                  <div className="space-y-6">
+                    {/* Sub-tabs for Overview */}
+                    <div className="flex gap-2 bg-white/10 backdrop-blur-md p-2 rounded-lg border border-white/20">
+                      {['map', 'routes'].map((subTab) => (
+                        <button
+                          key={subTab}
+                          onClick={() => setOverviewSubTab(subTab)}
+                          className={`flex-1 py-2 px-4 rounded transition font-semibold ${
+                            overviewSubTab === subTab
+                              ? 'bg-purple-500 text-white shadow-lg'
+                              : 'text-purple-200 hover:bg-white/10'
+                          }`}
+                        >
+                          {subTab.charAt(0).toUpperCase() + subTab.slice(1)}
+                        </button>
+                      ))}
                     </div>
-                  )}
 
-                  {/* Routes View */}
-                  {overviewSubTab === 'routes' && (
-                    <div className="space-y-6">
-                      {/* Route Visualization */}
+                    {/* Map View */}
+                    {overviewSubTab === 'map' && (
                       <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-2xl border border-white/20 p-3">
-                        <div className="mb-4">
-                          <h2 className="text-2xl font-bold text-white">🗺️ Optimized Courier Routes</h2>
-                          <p className="text-purple-200 text-sm mt-1">
-                            Visual representation of optimal witch routes to prevent cauldron overflow
-                          </p>
+                        <MapView />
+                      </div>
+                    )}
+
+                    {/* Routes View */}
+                    {overviewSubTab === 'routes' && (
+                      <div className="space-y-6">
+                        {/* Route Visualization */}
+                        <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-2xl border border-white/20 p-3">
+                          <div className="mb-4">
+                            <h2 className="text-2xl font-bold text-white">🗺️ Optimized Courier Routes</h2>
+                            <p className="text-purple-200 text-sm mt-1">
+                              Visual representation of optimal witch routes to prevent cauldron overflow
+                            </p>
+                          </div>
+                          {optimizationResult ? (
+                            <RouteVisualization 
+                              routes={optimizationResult.routes}
+                              cauldrons={cauldrons}
+                              market={market}
+                              network={network}
+                              isAnimating={false}
+                              animationTime={0}
+                            />
+                          ) : (
+                            <div className="text-center py-12 text-purple-200">
+                              {optimizationError ? (
+                                <p className="text-red-300">Route optimization failed: {optimizationError}</p>
+                              ) : (
+                                <>
+                                  <p>Route optimization in progress...</p>
+                                  <p className="text-sm mt-2">
+                                    {optimizationProgress
+                                      ? `${optimizationProgress.message} (${optimizationProgress.percent}%)`
+                                      : 'Ensure couriers, market, and network data are loaded'}
+                                  </p>
+                                </>
+                              )}
+                            </div>
+                          )}
                         </div>
-                        {optimizationResult ? (
-                          <RouteVisualization 
-                            routes={optimizationResult.routes}
+
+                        {/* Live Plan Revisions */}
+                        <PlanRevisions revisions={planRevisions} cauldrons={cauldrons} />
+
+                        {/* Route Schedule */}
+                        <div>
+                          <RouteSchedule 
+                            optimizationResult={optimizationResult}
                             cauldrons={cauldrons}
-                            market={market}
-                            network={network}
-                            isAnimating={false}
-                            animationTime={0}
                           />
-                        ) : (
-                          <div className="text-center py-12 text-purple-200">
-                            <p>Route optimization in progress...</p>
-                            <p className="text-sm mt-2">Ensure couriers, market, and network data are loaded</p>
-                          </div>
-                        )}
-                      </div>
+                        </div>
 
-                      {/* Route Schedule */}
-                      <div>
-                        <RouteSchedule 
-                          optimizationResult={optimizationResult}
-                          cauldrons={cauldrons}
-                        />
+                        {/* Courier Utilization */}
+                        <FleetUtilization fleet={optimizationResult?.fleet} />
+
+                        {/* Repeating Schedule */}
+                        <PeriodicSchedule schedule={optimizationResult?.periodicSchedule} />
                       </div>
-                    </div>
-                  )}
-                </div>
-              )}
-              
-              {activeTab === 'cauldrons' && (
-                <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 overflow-hidden">
-                  {/* Cauldron Status Header */}
-                  <div className="p-4 bg-white/5 border-b border-white/20">
-                    <h2 className="text-xl font-bold text-white">🔮 Cauldrons Status</h2>
+                    )}
                   </div>
-                  
-                  {/* Time Slider */}
-                  {timestamps.length > 0 && (
-                    <div className="p-4 bg-black/30 border-b border-white/20">
-                      <div className="flex items-center gap-4">
-                        <span className="text-white font-semibold text-sm whitespace-nowrap">Time:</span>
-                        <input
-                          type="range"
-                          min="0"
-                          max={timestamps.length - 1}
-                          value={timeIndex ?? timestamps.length - 1}
-                          onChange={(e) => setTimeIndex(parseInt(e.target.value, 10))}
-                          className="flex-1 h-2 bg-purple-600 rounded-lg appearance-none cursor-pointer accent-purple-500"
-                        />
-                        <span className="text-purple-200 font-mono text-sm whitespace-nowrap">
-                          {timeIndex !== null && timestamps[timeIndex]
-                            ? new Date(timestamps[timeIndex]).toLocaleString()
-                            : 'Latest'}
-                        </span>
+                )}
+              
+                {activeTab === 'cauldrons' && (
+                  <CauldronTable
+                    cauldrons={cauldrons}
+                    levels={levelsAtSelectedTime}
+                    detailed
+                    drainRates={optimizationResult?.drainRates}
+                    alerts={cauldronAlerts}
+                  >
+                    {/* Time Slider */}
+                    {timestamps.length > 0 && (
+                      <div className="p-4 bg-black/30 border-b border-white/20">
+                        <div className="flex items-center gap-4">
+                          <span className="text-white font-semibold text-sm whitespace-nowrap">Time:</span>
+                          <input
+                            type="range"
+                            min="0"
+                            max={timestamps.length - 1}
+                            value={selectedIndex}
+                            onChange={(e) => {
+                              const idx = parseInt(e.target.value, 10);
+                              // dragging back to the end resumes following live data
+                              setTimeIndex(idx === timestamps.length - 1 ? null : idx);
+                            }}
+                            className="flex-1 h-2 bg-purple-600 rounded-lg appearance-none cursor-pointer accent-purple-500"
+                          />
+                          <span className="text-purple-200 font-mono text-sm whitespace-nowrap">
+                            {new Date(timestamps[selectedIndex]).toLocaleString()}
+                            {timeIndex === null && ' (live)'}
+                          </span>
+                        </div>
                       </div>
-                    </div>
-                  )}
-                  
-                  {/* Table */}
-                  <div className="overflow-x-auto">
-                    <table className="w-full">
-                      <thead className="bg-white/5 border-b border-white/20">
-                        <tr>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">ID</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Name</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Volume</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Fill %</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Max Vol</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Fill Rate</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Drain Rate</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Location</th>
-                          <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Status</th>
-                        </tr>
-                      </thead>
-                      <tbody className="divide-y divide-white/10">
-                        {cauldrons.map(cauldron => {
-                          const cauldronId = cauldron.id || cauldron.cauldronId || cauldron.cauldron_id;
-                          const levelData = levelsAtSelectedTime.find(l => 
-                            (l.cauldron_id === cauldronId || l.cauldronId === cauldronId || l.id === cauldronId)
-                          );
-                          const currentVolume = levelData?.level || levelData?.volume || 0;
-                          const maxVolume = cauldron.maxVolume || cauldron.max_volume || 1000;
-                          const fillPercentage = (currentVolume / maxVolume * 100);
-                          
-                          // Get drain rate from optimization result
-                          const drainRate = optimizationResult?.drainRates?.[cauldronId] || null;
-                          
-                          // Status logic: Low/OK/Warning/Critical
-                          let status, statusColor;
-                          if (fillPercentage < 20) {
-                            status = 'Low';
-                            statusColor = 'text-blue-400 bg-blue-500/20';
-                          } else if (fillPercentage < 70) {
-                            status = 'OK';
-                            statusColor = 'text-green-400 bg-green-500/20';
-                          } else if (fillPercentage < 90) {
-                            status = 'Warning';
-                            statusColor = 'text-yellow-400 bg-yellow-500/20';
-                          } else {
-                            status = 'Critical';
-                            statusColor = 'text-red-400 bg-red-500/20';
-                          }
-                          
-                          return (
-                            <tr key={cauldronId} className="hover:bg-white/5 transition">
-                              <td className="px-4 py-3 text-sm font-mono text-purple-200">{cauldronId}</td>
-                              <td className="px-4 py-3 text-sm font-medium text-white">{cauldron.name || cauldronId}</td>
-                              <td className="px-4 py-3 text-sm text-purple-200">{currentVolume.toFixed(1)} L</td>
-                              <td className="px-4 py-3">
-                                <div className="flex items-center gap-2">
-                                  <div className="flex-1 bg-white/10 rounded-full h-2 overflow-hidden">
-                                    <div 
-                                      className="bg-gradient-to-r from-purple-500 to-pink-500 h-full transition-all"
-                                      style={{ width: `${Math.min(fillPercentage, 100)}%` }}
-                                    />
-                                  </div>
-                                  <span className="text-xs text-purple-200 w-12">{fillPercentage.toFixed(0)}%</span>
-                                </div>
-                              </td>
-                              <td className="px-4 py-3 text-sm text-purple-200">{maxVolume} L</td>
-                              <td className="px-4 py-3 text-sm text-purple-200">{(cauldron.fillRate || cauldron.fill_rate || 0).toFixed(2)} L/min</td>
-                              <td className="px-4 py-3 text-sm text-purple-200">
-                                {drainRate !== null ? `${drainRate.toFixed(2)} L/min` : 'Calculating...'}
-                              </td>
-                              <td className="px-4 py-3 text-sm text-purple-200">
-                                {(cauldron.latitude || cauldron.lat || 0).toFixed(4)}, {(cauldron.longitude || cauldron.lon || cauldron.long || 0).toFixed(4)}
-                              </td>
-                              <td className="px-4 py-3">
-                                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColor}`}>
-                                  {status}
-                                </span>
-                              </td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
-              )}
+                    )}
+                  </CauldronTable>
+                )}
 
-              {activeTab === 'tickets' && (
-                <TicketTable tickets={tickets} />
-              )}
+                {activeTab === 'tickets' && (
+                  <TicketTable tickets={tickets} reconciled={reconciledTickets || {}} />
+                )}
               
-              {activeTab === 'reconcile' && (
-                <ReconciliationPanel />
+                {activeTab === 'reconcile' && (
+                  <ReconciliationPanel />
+                )}
+
+                {activeTab === 'couriers' && (
+                  <CourierSuspicion />
+                )}
+              </div>
+
+              {showAlerts && (
+                <AlertCenter alerts={alerts} cauldrons={cauldrons} couriers={couriers} />
               )}
             </div>
           </>
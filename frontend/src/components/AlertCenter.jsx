@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  acknowledgeAlert,
+  snoozeAlert,
+  assignAlert,
+  resolveAlert,
+  isSnoozed,
+  bySeverity
+} from '../utils/alerts';
+
+const SEVERITY_STYLES = {
+  critical: { icon: '🔴', border: 'border-red-500/60', text: 'text-red-300' },
+  warning: { icon: '🟠', border: 'border-yellow-500/60', text: 'text-yellow-300' },
+  info: { icon: '🔵', border: 'border-blue-500/60', text: 'text-blue-300' }
+};
+
+const FILTERS = [
+  ['active', 'Active'],
+  ['open', 'New'],
+  ['acknowledged', 'Acked'],
+  ['snoozed', 'Snoozed']
+];
+
+const SNOOZE_OPTIONS = [[15, '15m'], [60, '1h'], [240, '4h']];
+
+const RULE_LABELS = {
+  high_level: 'Level',
+  overflow_soon: 'Overflow forecast',
+  daily_discrepancy: 'Discrepancy',
+  rate_drift: 'Rate drift',
+  dashboard_level: 'Level',
+  route_overflow: 'Route plan',
+  ticket_flag: 'Ticket'
+};
+
+function matchesFilter(alert, filter, now) {
+  const snoozed = isSnoozed(alert, now);
+  if (filter === 'snoozed') return snoozed;
+  if (snoozed) return false;
+  return filter === 'active' || alert.status === filter;
+}
+
+function AlertCard({ alert, names, couriers, now }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [assigning, setAssigning] = useState(false);
+  const [assignee, setAssignee] = useState('');
+  const style = SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.info;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitAssignee = (e) => {
+    e.preventDefault();
+    run(() => assignAlert(alert.id, assignee.trim()));
+    setAssigning(false);
+  };
+
+  const buttonClass = 'px-2 py-0.5 rounded text-xs font-semibold bg-white/5 text-purple-200 hover:bg-white/15 disabled:opacity-50 transition';
+
+  return (
+    <div className={`bg-black/20 rounded-lg border-l-4 ${style.border} p-3`}>
+      <div className="flex items-start gap-2">
+        <span className="text-sm">{style.icon}</span>
+        <div className="flex-1 min-w-0">
+          <div className={`text-sm font-semibold ${style.text}`}>{alert.title}</div>
+          <div className="text-xs text-purple-200 mt-0.5 break-words">{alert.message}</div>
+          <div className="flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-purple-300 mt-1">
+            <span>{RULE_LABELS[alert.rule] || alert.rule}</span>
+            {alert.cauldron_id && (
+              <Link to={`/cauldron/${alert.cauldron_id}`} className="underline hover:text-white">
+                {names[alert.cauldron_id] || alert.cauldron_id}
+              </Link>
+            )}
+            {alert.occurrences > 1 && <span>seen {alert.occurrences}×</span>}
+            {alert.status === 'acknowledged' && <span className="text-green-300">✓ acknowledged</span>}
+            {alert.assignee && <span className="text-white">👤 {alert.assignee}</span>}
+            {isSnoozed(alert, now) && (
+              <span>💤 until {new Date(alert.snoozed_until).toLocaleTimeString()}</span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {assigning ? (
+        <form onSubmit={submitAssignee} className="flex gap-2 mt-2">
+          <input
+            list={`alert-assignees-${alert.id}`}
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            placeholder="Name (empty to unassign)"
+            autoFocus
+            className="flex-1 min-w-0 bg-purple-800 border border-purple-600 text-white text-xs rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+          />
+          <datalist id={`alert-assignees-${alert.id}`}>
+            {couriers.map(c => <option key={c.courier_id} value={c.name} />)}
+          </datalist>
+          <button type="submit" disabled={busy} className={buttonClass}>Save</button>
+          <button type="button" onClick={() => setAssigning(false)} className={buttonClass}>Cancel</button>
+        </form>
+      ) : (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {alert.status === 'open' && (
+            <button disabled={busy} onClick={() => run(() => acknowledgeAlert(alert.id))} className={buttonClass}>
+              Acknowledge
+            </button>
+          )}
+          {isSnoozed(alert, now) ? (
+            <button disabled={busy} onClick={() => run(() => snoozeAlert(alert.id, 0))} className={buttonClass}>
+              Wake
+            </button>
+          ) : (
+            SNOOZE_OPTIONS.map(([minutes, label]) => (
+              <button
+                key={minutes}
+                disabled={busy}
+                onClick={() => run(() => snoozeAlert(alert.id, minutes))}
+                className={buttonClass}
+                title={`Snooze for ${label}`}
+              >
+                💤 {label}
+              </button>
+            ))
+          )}
+          <button
+            disabled={busy}
+            onClick={() => {
+              setAssignee(alert.assignee || '');
+              setAssigning(true);
+            }}
+            className={buttonClass}
+          >
+            Assign
+          </button>
+          <button
+            disabled={busy}
+            onClick={() => run(() => resolveAlert(alert.id))}
+            className="px-2 py-0.5 rounded text-xs font-semibold bg-green-600/40 text-green-100 hover:bg-green-600/60 disabled:opacity-50 transition"
+          >
+            Resolve
+          </button>
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-300 mt-1">{error}</div>}
+    </div>
+  );
+}
+
+function AlertCenter({ alerts, cauldrons = [], couriers = [] }) {
+  const [filter, setFilter] = useState('active');
+  const [now, setNow] = useState(Date.now());
+
+  // Snoozes run out on their own
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const names = Object.fromEntries(cauldrons.map(c => [c.id, c.name]));
+  const counts = Object.fromEntries(FILTERS.map(([value]) => [value, alerts.filter(a => matchesFilter(a, value, now)).length]));
+  const visible = alerts.filter(a => matchesFilter(a, filter, now)).sort(bySeverity);
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 overflow-hidden">
+      <div className="p-4 bg-white/5 border-b border-white/20">
+        <h2 className="text-xl font-bold text-white">🔔 Alerts</h2>
+        <div className="flex gap-1 mt-3">
+          {FILTERS.map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              className={`flex-1 px-2 py-1 rounded text-xs font-semibold transition ${
+                filter === value ? 'bg-purple-600 text-white' : 'bg-white/5 text-purple-200 hover:bg-white/10'
+              }`}
+            >
+              {label} ({counts[value]})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="p-3 space-y-2 max-h-[70vh] overflow-y-auto">
+        {visible.length === 0 ? (
+          <div className="text-center py-8 text-purple-300 text-sm">
+            {filter === 'active' ? '✨ All clear' : 'Nothing here'}
+          </div>
+        ) : (
+          visible.map(alert => (
+            <AlertCard key={alert.id} alert={alert} names={names} couriers={couriers} now={now} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AlertCenter;
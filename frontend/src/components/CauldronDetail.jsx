@@ -1,50 +1,85 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { LineChart, ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
 import { format } from 'date-fns';
+import { useLevelStream } from '../utils/levelStream';
+
+const RANGE_SECONDS = {
+  '6h': 6 * 60 * 60,
+  '12h': 12 * 60 * 60,
+  '24h': 24 * 60 * 60,
+  '48h': 48 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60
+};
+
+// Enough detail for a full-width chart whatever the range
+const CHART_POINTS = 720;
+
+const FORECAST_HOURS = [0, 6, 12, 24, 48];
+
+function formatDuration(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = Math.floor(totalMinutes % 60);
+  if (hours > 48) return `${Math.floor(hours / 24)} days`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes} minutes`;
+}
 
 function CauldronDetail() {
   const { id } = useParams();
   const [cauldron, setCauldron] = useState(null);
   const [levels, setLevels] = useState([]);
+  const [model, setModel] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeRange, setTimeRange] = useState('24h');
+  const [forecast, setForecast] = useState(null);
+  const [forecastHours, setForecastHours] = useState(12);
 
   useEffect(() => {
     fetchCauldronData();
   }, [id, timeRange]);
 
+  useEffect(() => {
+    if (!forecastHours) {
+      setForecast(null);
+      return;
+    }
+    fetch(`/api/cauldrons/${id}/forecast?hours=${forecastHours}`)
+      .then(r => (r.ok ? r.json() : null))
+      .then(setForecast)
+      .catch(err => {
+        console.error('Error fetching forecast:', err);
+        setForecast(null);
+      });
+  }, [id, forecastHours]);
+
+  // Append live readings and drop the ones that slid out of the selected range
+  useLevelStream((readings) => {
+    setLevels(prev => {
+      const lastTs = prev.length ? prev[prev.length - 1].timestamp : '';
+      const fresh = readings.filter(r => r.timestamp > lastTs);
+      if (!fresh.length) return prev;
+      const next = prev.concat(fresh);
+      const newestMs = new Date(next[next.length - 1].timestamp).getTime();
+      const cutoff = new Date(newestMs - (RANGE_SECONDS[timeRange] || RANGE_SECONDS['24h']) * 1000).toISOString();
+      return next.filter(r => r.timestamp >= cutoff);
+    });
+  }, id);
+
   const fetchCauldronData = async () => {
     try {
       setLoading(true);
       
       // Calculate time range
       const now = Math.floor(Date.now() / 1000);
-      let from;
-      switch (timeRange) {
-        case '6h':
-          from = now - 6 * 60 * 60;
-          break;
-        case '12h':
-          from = now - 12 * 60 * 60;
-          break;
-        case '24h':
-          from = now - 24 * 60 * 60;
-          break;
-        case '48h':
-          from = now - 48 * 60 * 60;
-          break;
-        case '7d':
-          from = now - 7 * 24 * 60 * 60;
-          break;
-        default:
-          from = now - 24 * 60 * 60;
-      }
+      const from = now - (RANGE_SECONDS[timeRange] || RANGE_SECONDS['24h']);
 
-      const [cauldronRes, levelsRes] = await Promise.all([
+      const [cauldronRes, levelsRes, modelRes] = await Promise.all([
         fetch('/api/cauldrons'),
-        fetch(`/api/level/${id}?from=${from}&to=${now}`)
+        // LTTB-downsampled on the server so long ranges stay fast to render
+        fetch(`/api/levels/downsample?cauldron_id=${id}&start_date=${from}&end_date=${now}&points=${CHART_POINTS}`),
+        fetch(`/api/cauldrons/${id}/model`)
       ]);
 
       if (!cauldronRes.ok || !levelsRes.ok) {
@@ -54,16 +89,18 @@ function CauldronDetail() {
       const allCauldrons = await cauldronRes.json();
       const levelsData = await levelsRes.json();
 
-      const cauldronData = allCauldrons.find(c => 
-        (c.id || c.cauldronId || c.cauldron_id) === id
-      );
+      const cauldronData = allCauldrons.find(c => c.id === id);
 
       if (!cauldronData) {
         throw new Error('Cauldron not found');
       }
 
+      // The detail page still works without a fitted model
+      const modelData = modelRes.ok ? await modelRes.json() : null;
+
       setCauldron(cauldronData);
       setLevels(levelsData);
+      setModel(modelData);
       setError(null);
     } catch (err) {
       setError(err.message);
@@ -73,34 +110,40 @@ function CauldronDetail() {
     }
   };
 
-  // Calculate ETA to overflow
+  // Calculate ETA to overflow - from the backend forecast when there is one
   const calculateOverflowETA = () => {
+    if (forecast) {
+      const { expected } = forecast.overflow.minutes;
+      if (expected === 0) return 'OVERFLOW!';
+      return expected == null ? 'Not filling' : formatDuration(expected);
+    }
     if (!cauldron || levels.length < 2) return null;
 
-    const maxVolume = cauldron.maxVolume || cauldron.max_volume || 1000;
-    const fillRate = cauldron.fillRate || cauldron.fill_rate || 2;
-    const currentVolume = levels[levels.length - 1]?.volume || 0;
+    const maxVolume = cauldron.max_volume;
+    const fillRate = model?.fill_rate ?? cauldron.fill_rate ?? 2;
+    const currentVolume = levels[levels.length - 1].volume;
     const remainingVolume = maxVolume - currentVolume;
 
     if (remainingVolume <= 0) return 'OVERFLOW!';
     if (fillRate <= 0) return 'Not filling';
 
-    const minutesToOverflow = remainingVolume / fillRate;
-    const hours = Math.floor(minutesToOverflow / 60);
-    const minutes = Math.floor(minutesToOverflow % 60);
-
-    if (hours > 48) return `${Math.floor(hours / 24)} days`;
-    if (hours > 0) return `${hours}h ${minutes}m`;
-    return `${minutes} minutes`;
+    return formatDuration(remainingVolume / fillRate);
   };
 
-  // Format chart data
+  // Format chart data: readings, then the forecast with its confidence band
   const getChartData = () => {
-    return levels.map(level => ({
+    const history = levels.map(level => ({
       timestamp: level.timestamp,
-      volume: level.volume || 0,
+      volume: level.volume,
       time: new Date(level.timestamp).getTime()
-    })).sort((a, b) => a.time - b.time);
+    }));
+    const projected = (forecast?.points || []).map(point => ({
+      timestamp: point.timestamp,
+      forecast: point.level,
+      band: [point.lower, point.upper],
+      time: new Date(point.timestamp).getTime()
+    }));
+    return history.concat(projected);
   };
 
   // Custom tooltip for chart
@@ -112,9 +155,20 @@ function CauldronDetail() {
           <p className="text-sm font-semibold text-purple-900">
             {format(new Date(data.timestamp), 'MMM d, yyyy HH:mm')}
           </p>
-          <p className="text-lg font-bold text-purple-700 mt-1">
-            {data.volume.toFixed(2)} L
-          </p>
+          {data.volume != null ? (
+            <p className="text-lg font-bold text-purple-700 mt-1">
+              {data.volume.toFixed(2)} L
+            </p>
+          ) : (
+            <>
+              <p className="text-lg font-bold text-amber-600 mt-1">
+                {data.forecast.toFixed(2)} L <span className="text-xs font-normal">forecast</span>
+              </p>
+              <p className="text-xs text-purple-900">
+                {Math.round(forecast.confidence * 100)}% band: {data.band[0].toFixed(1)} – {data.band[1].toFixed(1)} L
+              </p>
+            </>
+          )}
         </div>
       );
     }
@@ -162,8 +216,8 @@ function CauldronDetail() {
   if (!cauldron) return null;
 
   const chartData = getChartData();
-  const currentVolume = levels.length > 0 ? levels[levels.length - 1]?.volume || 0 : 0;
-  const maxVolume = cauldron.maxVolume || cauldron.max_volume || 1000;
+  const currentVolume = levels.length > 0 ? levels[levels.length - 1].volume : 0;
+  const maxVolume = cauldron.max_volume;
   const fillPercentage = (currentVolume / maxVolume) * 100;
   const overflowETA = calculateOverflowETA();
 
@@ -175,7 +229,7 @@ function CauldronDetail() {
           <div className="flex justify-between items-start">
             <div>
               <h1 className="text-3xl font-bold text-white flex items-center gap-3">
-                🔮 {cauldron.name || cauldron.cauldronName || id}
+                🔮 {cauldron.name}
               </h1>
               <p className="text-purple-200 text-sm mt-1 font-mono">{id}</p>
             </div>
@@ -206,23 +260,76 @@ function CauldronDetail() {
               <div className={`text-2xl font-bold mt-1 ${fillPercentage > 90 ? 'text-red-400' : 'text-white'}`}>
                 {overflowETA || 'N/A'}
               </div>
+              {forecast?.overflow.earliest_at && (
+                <div className="text-xs text-purple-200 mt-1">
+                  {format(new Date(forecast.overflow.earliest_at), 'MMM d HH:mm')} – {forecast.overflow.latest_at ? format(new Date(forecast.overflow.latest_at), 'MMM d HH:mm') : 'never'}
+                  {' '}({Math.round(forecast.confidence * 100)}%)
+                </div>
+              )}
             </div>
           </div>
 
           {/* Additional Info */}
           <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mt-4 text-sm">
             <div className="text-purple-200">
-              <span className="font-semibold">Fill Rate:</span> {(cauldron.fillRate || cauldron.fill_rate || 0).toFixed(2)} L/min
+              <span className="font-semibold">Fill Rate:</span> {(model?.fill_rate ?? cauldron.fill_rate ?? 0).toFixed(3)} L/min
             </div>
             <div className="text-purple-200">
-              <span className="font-semibold">Drain Rate:</span> {(cauldron.drainRate || cauldron.drain_rate || 0).toFixed(2)} L/min
+              <span className="font-semibold">Drain Rate:</span> {(model?.drain_rate ?? cauldron.drain_rate ?? 0).toFixed(2)} L/min
             </div>
             <div className="text-purple-200">
-              <span className="font-semibold">Location:</span> {(cauldron.latitude || cauldron.lat || 0).toFixed(4)}, {(cauldron.longitude || cauldron.lon || cauldron.long || 0).toFixed(4)}
+              <span className="font-semibold">Location:</span> {cauldron.latitude.toFixed(4)}, {cauldron.longitude.toFixed(4)}
             </div>
           </div>
         </div>
 
+        {/* Rate Model */}
+        {model?.window && (
+          <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 p-6">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl font-bold text-white">📐 Rate Model</h2>
+                <p className="text-sm text-purple-200 mt-1">
+                  Fitted over {format(new Date(model.window.start), 'MMM d')} – {format(new Date(model.window.end), 'MMM d')} from {model.drains_observed} drains
+                </p>
+              </div>
+              <span className={`px-3 py-1 rounded text-sm font-semibold ${model.drift.drifting ? 'bg-yellow-500/20 text-yellow-300 border border-yellow-500/50' : 'bg-green-500/20 text-green-300 border border-green-500/50'}`}>
+                {model.drift.drifting ? '⚠️ Rates drifting' : '✓ Rates stable'}
+              </span>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm mb-4">
+              {[['Fill rate', model.drift.fill_rate], ['Drain rate', model.drift.drain_rate]].map(([label, drift]) => (
+                <div key={label} className="text-purple-200">
+                  <span className="font-semibold">{label} vs earlier days:</span>{' '}
+                  {drift
+                    ? <span className={Math.abs(drift.change_pct) > 20 ? 'text-yellow-300' : 'text-white'}>{drift.baseline} → {drift.current} L/min ({drift.change_pct > 0 ? '+' : ''}{drift.change_pct}%)</span>
+                    : 'not enough history'}
+                </div>
+              ))}
+            </div>
+            <ResponsiveContainer width="100%" height={180}>
+              <LineChart data={model.history}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#9333EA40" />
+                <XAxis
+                  dataKey="window_start"
+                  tickFormatter={(timestamp) => format(new Date(timestamp), 'MMM d')}
+                  stroke="#E9D5FF"
+                  style={{ fontSize: '12px' }}
+                />
+                <YAxis yAxisId="fill" stroke="#34D399" style={{ fontSize: '12px' }} />
+                <YAxis yAxisId="drain" orientation="right" stroke="#F472B6" style={{ fontSize: '12px' }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: 'rgba(30, 10, 50, 0.9)', border: '1px solid rgba(168, 85, 247, 0.5)', fontSize: 12 }}
+                  labelFormatter={(timestamp) => format(new Date(timestamp), 'MMM d, yyyy')}
+                />
+                <Legend wrapperStyle={{ color: '#E9D5FF' }} />
+                <Line yAxisId="fill" type="monotone" dataKey="fill_rate" stroke="#34D399" strokeWidth={2} name="Fill rate (L/min)" connectNulls />
+                <Line yAxisId="drain" type="monotone" dataKey="drain_rate" stroke="#F472B6" strokeWidth={2} name="Drain rate (L/min)" connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
         {/* Time Range Selector */}
         <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 p-4">
           <div className="flex items-center gap-3">
@@ -240,6 +347,20 @@ function CauldronDetail() {
                 {range}
               </button>
             ))}
+            <span className="text-white font-semibold ml-6">Forecast:</span>
+            {FORECAST_HOURS.map(hours => (
+              <button
+                key={hours}
+                onClick={() => setForecastHours(hours)}
+                className={`px-4 py-2 rounded font-semibold transition ${
+                  forecastHours === hours
+                    ? 'bg-amber-500 text-white'
+                    : 'bg-white/10 text-purple-200 hover:bg-white/20'
+                }`}
+              >
+                {hours ? `${hours}h` : 'Off'}
+              </button>
+            ))}
           </div>
         </div>
 
@@ -252,11 +373,14 @@ function CauldronDetail() {
             </div>
           ) : (
             <ResponsiveContainer width="100%" height={400}>
-              <LineChart data={chartData}>
+              <ComposedChart data={chartData}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#9333EA40" />
                 <XAxis
-                  dataKey="timestamp"
-                  tickFormatter={(timestamp) => format(new Date(timestamp), 'HH:mm')}
+                  dataKey="time"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(time) => format(new Date(time), 'HH:mm')}
                   stroke="#E9D5FF"
                   style={{ fontSize: '12px' }}
                 />
@@ -267,6 +391,17 @@ function CauldronDetail() {
                 />
                 <Tooltip content={<CustomTooltip />} />
                 <Legend wrapperStyle={{ color: '#E9D5FF' }} />
+                <ReferenceLine y={maxVolume} stroke="#F87171" strokeDasharray="6 4" label={{ value: 'Capacity', fill: '#F87171', fontSize: 12, position: 'insideTopLeft' }} />
+                {forecast && (
+                  <Area
+                    type="monotone"
+                    dataKey="band"
+                    stroke="none"
+                    fill="#F59E0B"
+                    fillOpacity={0.2}
+                    name={`${Math.round(forecast.confidence * 100)}% band`}
+                  />
+                )}
                 <Line
                   type="monotone"
                   dataKey="volume"
@@ -276,7 +411,18 @@ function CauldronDetail() {
                   activeDot={{ r: 6 }}
                   name="Potion Volume (L)"
                 />
-              </LineChart>
+                {forecast && (
+                  <Line
+                    type="monotone"
+                    dataKey="forecast"
+                    stroke="#F59E0B"
+                    strokeWidth={2}
+                    strokeDasharray="6 4"
+                    dot={false}
+                    name="Forecast (L)"
+                  />
+                )}
+              </ComposedChart>
             </ResponsiveContainer>
           )}
         </div>
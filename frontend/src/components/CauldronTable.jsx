@@ -1,50 +1,49 @@
 import { useMemo } from 'react';
 
-function CauldronTable({ cauldrons, levels, detailed = false }) {
+const ALERT_BADGE_COLORS = {
+  critical: 'bg-red-500 text-white',
+  warning: 'bg-yellow-500 text-black',
+  info: 'bg-blue-500 text-white'
+};
+
+// drainRates: cauldron_id -> L/min used by the route optimizer (detailed view)
+// alerts: cauldron_id -> { count, severity } of open alerts, shown as a badge
+// children: rendered between the header and the table (e.g. a time slider)
+function CauldronTable({ cauldrons, levels, detailed = false, drainRates = null, alerts = {}, children }) {
   const cauldronData = useMemo(() => {
-    // Extract cauldron_levels from the API response if it's nested
-    let levelData = {};
-    if (levels && levels.length > 0 && levels[0].cauldron_levels) {
-      levelData = levels[0].cauldron_levels;
-    } else if (Array.isArray(levels)) {
-      // Convert array format to object format
-      levels.forEach(l => {
-        const id = l.cauldronId || l.cauldron_id || l.tankId;
-        if (id) {
-          levelData[id] = l.volume || l.level || 0;
-        }
-      });
-    }
-    
+    // Latest volume per cauldron
+    const levelData = {};
+    (levels || []).forEach(l => {
+      levelData[l.cauldron_id] = l.volume;
+    });
+
     return cauldrons.map(cauldron => {
-      const cauldronId = cauldron.id || cauldron.cauldronId || cauldron.cauldron_id;
-      
-      // Get volume from the levelData object
-      const currentVolume = levelData[cauldronId] || 0;
-      
-      const maxVolume = cauldron.maxVolume || cauldron.max_volume || 1000;
+      const currentVolume = levelData[cauldron.id] ?? 0;
+      const maxVolume = cauldron.max_volume;
       const fillPercentage = (currentVolume / maxVolume * 100);
-      
+
+      let status = 'Critical';
+      if (fillPercentage < 20) status = 'Low';
+      else if (fillPercentage < 70) status = 'OK';
+      else if (fillPercentage < 90) status = 'Warning';
+
       return {
         ...cauldron,
-        id: cauldronId,
-        name: cauldron.name || cauldron.cauldronName || cauldronId,
-        latitude: cauldron.latitude || cauldron.lat || 0,
-        longitude: cauldron.longitude || cauldron.lon || cauldron.long || 0,
         maxVolume: maxVolume,
-        fillRate: cauldron.fillRate || cauldron.fill_rate || 0,
-        drainRate: cauldron.drainRate || cauldron.drain_rate || 0,
+        fillRate: cauldron.fill_rate ?? 0,
+        drainRate: drainRates?.[cauldron.id] ?? null,
         currentVolume,
         fillPercentage,
-        status: fillPercentage > 90 ? 'Critical' : fillPercentage > 70 ? 'Warning' : 'OK'
+        status
       };
     });
-  }, [cauldrons, levels]);
+  }, [cauldrons, levels, drainRates]);
 
   const getStatusColor = (status) => {
     switch (status) {
       case 'Critical': return 'text-red-400 bg-red-500/20';
       case 'Warning': return 'text-yellow-400 bg-yellow-500/20';
+      case 'Low': return 'text-blue-400 bg-blue-500/20';
       default: return 'text-green-400 bg-green-500/20';
     }
   };
@@ -54,6 +53,7 @@ function CauldronTable({ cauldrons, levels, detailed = false }) {
       <div className="p-4 bg-white/5 border-b border-white/20">
         <h2 className="text-xl font-bold text-white">🔮 Cauldrons Status</h2>
       </div>
+      {children}
       <div className="overflow-x-auto">
         <table className="w-full">
           <thead className="bg-white/5 border-b border-white/20">
@@ -66,6 +66,7 @@ function CauldronTable({ cauldrons, levels, detailed = false }) {
                 <>
                   <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Max Vol</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Fill Rate</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Drain Rate</th>
                   <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Location</th>
                 </>
               )}
@@ -76,14 +77,26 @@ function CauldronTable({ cauldrons, levels, detailed = false }) {
             {cauldronData.map((cauldron) => (
               <tr key={cauldron.id} className="hover:bg-white/5 transition">
                 <td className="px-4 py-3 text-sm font-mono text-purple-200">{cauldron.id}</td>
-                <td className="px-4 py-3 text-sm font-medium text-white">{cauldron.name}</td>
+                <td className="px-4 py-3 text-sm font-medium text-white">
+                  <div className="flex items-center gap-2">
+                    {cauldron.name}
+                    {alerts[cauldron.id] && (
+                      <span
+                        className={`inline-flex px-1.5 text-xs font-bold rounded-full ${ALERT_BADGE_COLORS[alerts[cauldron.id].severity]}`}
+                        title={`${alerts[cauldron.id].count} open alert${alerts[cauldron.id].count === 1 ? '' : 's'}`}
+                      >
+                        🔔 {alerts[cauldron.id].count}
+                      </span>
+                    )}
+                  </div>
+                </td>
                 <td className="px-4 py-3 text-sm text-purple-200">
                   {cauldron.currentVolume.toFixed(1)} L
                 </td>
                 <td className="px-4 py-3">
                   <div className="flex items-center gap-2">
                     <div className="flex-1 bg-white/10 rounded-full h-2 overflow-hidden">
-                      <div 
+                      <div
                         className="bg-gradient-to-r from-purple-500 to-pink-500 h-full transition-all"
                         style={{ width: `${Math.min(cauldron.fillPercentage, 100)}%` }}
                       />
@@ -97,6 +110,9 @@ function CauldronTable({ cauldrons, levels, detailed = false }) {
                   <>
                     <td className="px-4 py-3 text-sm text-purple-200">{cauldron.maxVolume} L</td>
                     <td className="px-4 py-3 text-sm text-purple-200">{cauldron.fillRate.toFixed(2)} L/min</td>
+                    <td className="px-4 py-3 text-sm text-purple-200">
+                      {cauldron.drainRate !== null ? `${cauldron.drainRate.toFixed(2)} L/min` : 'Calculating...'}
+                    </td>
                     <td className="px-4 py-3 text-sm text-purple-200">
                       {cauldron.latitude.toFixed(4)}, {cauldron.longitude.toFixed(4)}
                     </td>
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import { LineChart, Line, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { loadCourierSuspicion } from '../utils/reconciliation';
+
+const INCIDENT_LABELS = {
+  under_reported: 'Under-reported',
+  over_reported: 'Over-reported',
+  phantom_ticket: 'Ticket without drain',
+  unticketed_drain: 'Drain without ticket (on duty)'
+};
+
+function scoreClass(score) {
+  if (score >= 10) return 'text-red-400';
+  if (score >= 5) return 'text-yellow-400';
+  return 'text-green-400';
+}
+
+function CourierSuspicion() {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    loadCourierSuspicion()
+      .then(setReport)
+      .catch(err => {
+        console.error('Courier attribution error:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const couriers = report?.couriers || [];
+  const maxScore = Math.max(1, ...couriers.map(c => c.score));
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 overflow-hidden">
+      <div className="p-4 bg-white/5 border-b border-white/20">
+        <h2 className="text-xl font-bold text-white">🧙 Courier Suspicion</h2>
+        <p className="text-sm text-purple-200 mt-1">
+          Unexplained potion attributed to the witch who filed the ticket, or shared by the witches on duty when nobody did.
+          {report?.start_date && ` ${report.start_date} – ${report.end_date}.`}
+        </p>
+      </div>
+
+      <div className="p-6">
+        {loading && <div className="text-center py-12 text-purple-300">Analyzing couriers...</div>}
+
+        {error && (
+          <div className="bg-red-500/20 border border-red-500 text-red-200 p-4 rounded mb-6">
+            Error: {error}
+          </div>
+        )}
+
+        {!loading && !error && couriers.length === 0 && (
+          <div className="text-center py-12 text-purple-300">No tickets to analyze</div>
+        )}
+
+        {couriers.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-white/5 border-b border-white/20">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase w-12">#</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Witch</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Suspicion</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Trend</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Tickets</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Ticketed (L)</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold text-purple-200 uppercase">Unexplained (L)</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/10">
+                {couriers.map((courier, rank) => (
+                  <>
+                    <tr
+                      key={courier.courier_id}
+                      onClick={() => setExpanded(expanded === courier.courier_id ? null : courier.courier_id)}
+                      className={`cursor-pointer hover:bg-white/5 ${rank === 0 && courier.score >= 10 ? 'bg-red-500/10' : ''}`}
+                    >
+                      <td className="px-4 py-3 text-sm text-purple-300">{rank + 1}</td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm font-medium text-white">{courier.name}</div>
+                        <div className="text-xs text-purple-300">{courier.courier_id}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-center gap-2">
+                          <div className="w-24 h-2 bg-white/10 rounded">
+                            <div
+                              className="h-2 rounded bg-gradient-to-r from-yellow-400 to-red-500"
+                              style={{ width: `${(courier.score / maxScore) * 100}%` }}
+                            />
+                          </div>
+                          <span className={`text-sm font-bold ${scoreClass(courier.score)}`}>{courier.score.toFixed(1)}</span>
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 w-32">
+                        <ResponsiveContainer width="100%" height={32}>
+                          <LineChart data={courier.daily}>
+                            <YAxis hide domain={[0, maxScore]} />
+                            <Tooltip
+                              contentStyle={{ backgroundColor: 'rgba(30, 10, 50, 0.9)', border: '1px solid rgba(168, 85, 247, 0.5)', fontSize: 12 }}
+                              labelFormatter={(_, payload) => payload?.[0]?.payload.date}
+                              formatter={(value) => [value.toFixed(1), 'Score']}
+                            />
+                            <Line type="monotone" dataKey="score" stroke="#f472b6" strokeWidth={2} dot={false} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-purple-200">{courier.ticketsFiled}</td>
+                      <td className="px-4 py-3 text-sm text-purple-200">{courier.litresTicketed.toFixed(2)}</td>
+                      <td className={`px-4 py-3 text-sm font-semibold ${scoreClass(courier.score)}`}>{courier.unexplainedLitres.toFixed(2)}</td>
+                    </tr>
+                    {expanded === courier.courier_id && (
+                      <tr key={`${courier.courier_id}-incidents`}>
+                        <td colSpan="7" className="px-4 py-3 bg-white/5">
+                          <div className="pl-8 space-y-3">
+                            <div className="flex flex-wrap gap-3 text-sm">
+                              {Object.entries(courier.incidentCounts).map(([type, count]) => (
+                                <span key={type} className="px-2 py-1 rounded bg-white/5 border border-white/10 text-purple-200">
+                                  {INCIDENT_LABELS[type]}: <span className="font-semibold text-white">{count}</span>
+                                </span>
+                              ))}
+                            </div>
+                            {courier.incidents.length === 0 ? (
+                              <div className="text-sm text-green-300">No unexplained volume attributed to this witch.</div>
+                            ) : (
+                              <table className="w-full text-sm">
+                                <thead>
+                                  <tr className="text-xs text-purple-300">
+                                    <th className="text-left py-1">Date</th>
+                                    <th className="text-left py-1">Cauldron</th>
+                                    <th className="text-left py-1">Incident</th>
+                                    <th className="text-left py-1">Ticket / Drain</th>
+                                    <th className="text-right py-1">Litres</th>
+                                    <th className="text-right py-1">Share</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {courier.incidents.map((incident, idx) => (
+                                    <tr key={idx} className="text-purple-100">
+                                      <td className="py-1">{incident.date}</td>
+                                      <td className="py-1">{incident.cauldron_id}</td>
+                                      <td className="py-1">{INCIDENT_LABELS[incident.type]}</td>
+                                      <td className="py-1 font-mono text-xs">
+                                        {incident.ticket_id || new Date(incident.drain_start).toLocaleTimeString()}
+                                      </td>
+                                      <td className={`py-1 text-right ${incident.litres > 0 ? 'text-red-300' : 'text-yellow-300'}`}>
+                                        {incident.litres.toFixed(2)}
+                                      </td>
+                                      <td className="py-1 text-right">{Math.round(incident.share * 100)}%</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-purple-300 mt-3">
+              Daily score = unexplained litres as a share of the witch's ticketed plus unexplained litres; the suspicion score is its running average (recent days weigh more).
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CourierSuspicion;
@@ -0,0 +1,83 @@
+const clockTime = (iso) => new Date(iso).toISOString().slice(11, 16);
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+function FleetUtilization({ fleet }) {
+  if (!fleet) return null;
+
+  const { couriers, excluded, staffed, unstaffedWitches } = fleet;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">👜 Courier Utilization</h2>
+          <p className="text-purple-200 text-sm mt-1">
+            How much of each courier's shift and carrying capacity the route plan uses
+          </p>
+        </div>
+        <div className="text-right">
+          <div className="text-3xl font-bold text-white">{staffed}</div>
+          <div className="text-xs text-purple-200">couriers working</div>
+        </div>
+      </div>
+
+      {unstaffedWitches > 0 && (
+        <div className="text-sm text-red-300">
+          ⚠️ The fleet is short by {unstaffedWitches} witch{unstaffedWitches === 1 ? '' : 'es'} - their trips have no courier yet
+        </div>
+      )}
+      {excluded.map(courier => (
+        <div key={courier.courierId} className="text-xs text-yellow-300">
+          {courier.name} can't work this plan: {courier.reason}
+        </div>
+      ))}
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Courier</th>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Capacity</th>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Speed</th>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Available</th>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Trips</th>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Shift Used</th>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Load Used</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-white/10">
+            {couriers.filter(c => c.assigned || !c.unstaffed).map(courier => (
+              <tr key={courier.witchId} className={`hover:bg-white/5 ${courier.assigned ? '' : 'opacity-60'}`}>
+                <td className="px-4 py-2 text-sm font-medium text-white">
+                  {courier.unstaffed ? '❔' : '🧙‍♀️'} {courier.name}
+                  {courier.homeBase && (
+                    <div className="text-xs text-purple-300">
+                      from {courier.homeBase} ({courier.commuteMinutes.toFixed(0)} min)
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-sm text-purple-200">{courier.capacity}L</td>
+                <td className="px-4 py-2 text-sm text-purple-200">{courier.speedMultiplier}x</td>
+                <td className="px-4 py-2 text-sm font-mono text-purple-200">
+                  {courier.availableFrom ? `${courier.availableFrom}-${courier.availableTo}` : 'any time'}
+                  <div className="text-xs text-purple-300">first trip {clockTime(courier.firstDeparture)}</div>
+                </td>
+                <td className="px-4 py-2 text-sm text-purple-200">
+                  {courier.trips} ({(courier.workMinutes / 60).toFixed(1)}h)
+                </td>
+                <td className="px-4 py-2 text-sm font-semibold text-white">{percent(courier.timeUtilization)}</td>
+                <td className="px-4 py-2 text-sm font-semibold text-white">
+                  {courier.assigned ? percent(courier.capacityUtilization) : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-purple-300">Clock times are UTC.</div>
+    </div>
+  );
+}
+
+export default FleetUtilization;
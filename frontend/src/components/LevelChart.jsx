@@ -2,26 +2,13 @@ import { useMemo } from 'react';
 
 function LevelChart({ levels }) {
   const chartData = useMemo(() => {
-    // Handle nested cauldron_levels format
-    if (levels && levels.length > 0 && levels[0].cauldron_levels) {
-      const cauldronLevels = levels[0].cauldron_levels;
-      return Object.entries(cauldronLevels).map(([id, volume]) => ({
-        id,
-        volume
-      }));
-    }
-    
-    // Handle array format
+    // First reading per cauldron
     const grouped = {};
-    if (Array.isArray(levels)) {
-      levels.forEach(level => {
-        const id = level.cauldronId || level.cauldron_id || level.tankId;
-        const volume = level.volume || level.level || 0;
-        if (!grouped[id]) {
-          grouped[id] = volume;
-        }
-      });
-    }
+    (levels || []).forEach(level => {
+      if (!(level.cauldron_id in grouped)) {
+        grouped[level.cauldron_id] = level.volume;
+      }
+    });
     return Object.entries(grouped).map(([id, volume]) => ({
       id,
       volume
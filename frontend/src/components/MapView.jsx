@@ -1,4 +1,8 @@
 import { useState, useEffect, useRef, useMemo } from 'react';
+import { useLevelStream } from '../utils/levelStream';
+import { useAlerts, alertsByCauldron } from '../utils/alerts';
+
+const ALERT_BADGE_FILLS = { critical: '#ef4444', warning: '#f59e0b', info: '#3b82f6' };
 
 function MapView() {
   const [cauldrons, setCauldrons] = useState([]);
@@ -10,9 +14,12 @@ function MapView() {
   const [error, setError] = useState(null);
   const svgRef = useRef(null);
   const containerRef = useRef(null);
+  const alerts = useAlerts();
+  const cauldronAlerts = useMemo(() => alertsByCauldron(alerts), [alerts]);
   
   // Time slider state
   const [allLevels, setAllLevels] = useState([]);
+  // null = follow the latest minute
   const [timeIndex, setTimeIndex] = useState(null);
 
   // Map dimensions and projection
@@ -24,6 +31,21 @@ function MapView() {
     fetchMapData();
   }, []);
 
+  // Live readings: replace the latest level per cauldron and extend the slider history
+  useLevelStream((readings, type) => {
+    setLevels(prev => {
+      const byId = new Map(prev.map(l => [l.cauldron_id, l]));
+      readings.forEach(r => {
+        const current = byId.get(r.cauldron_id);
+        if (!current || r.timestamp >= current.timestamp) byId.set(r.cauldron_id, r);
+      });
+      return Array.from(byId.values());
+    });
+    if (type === 'readings') {
+      setAllLevels(prev => prev.concat(readings));
+    }
+  });
+
   const fetchMapData = async () => {
     try {
       setLoading(true);
@@ -103,31 +125,19 @@ function MapView() {
     if (!allLevels || allLevels.length === 0) return [];
     const uniqueMs = new Set();
     allLevels.forEach(r => {
-      const ts = r.timestamp || r.time;
-      if (ts) {
-        const d = new Date(ts);
-        d.setSeconds(0, 0);
-        uniqueMs.add(d.getTime());
-      }
+      const d = new Date(r.timestamp);
+      d.setSeconds(0, 0);
+      uniqueMs.add(d.getTime());
     });
     return Array.from(uniqueMs).sort((a, b) => a - b);
   }, [allLevels]);
 
-  // Default timeIndex to latest minute
-  useEffect(() => {
-    if (timestamps.length > 0 && timeIndex === null) {
-      setTimeIndex(timestamps.length - 1);
-    }
-  }, [timestamps, timeIndex]);
-
   // Compute snapshot of levels for the selected minute
   const levelsAtSelectedTime = useMemo(() => {
     if (timeIndex === null || timestamps.length === 0) return levels;
     const selectedMs = timestamps[timeIndex];
     const snapshot = allLevels.filter(r => {
-      const ts = r.timestamp || r.time;
-      if (!ts) return false;
-      const d = new Date(ts);
+      const d = new Date(r.timestamp);
       d.setSeconds(0, 0);
       return d.getTime() === selectedMs;
     });
@@ -184,19 +194,14 @@ function MapView() {
 
   // Get level for a cauldron
   const getLevelForCauldron = (cauldronId) => {
-    const level = levelsAtSelectedTime.find(l => 
-      l.cauldron_id === cauldronId || 
-      l.cauldronId === cauldronId || 
-      l.id === cauldronId
-    );
-    return level?.level ?? level?.volume ?? 0;
+    const level = levelsAtSelectedTime.find(l => l.cauldron_id === cauldronId);
+    return level?.volume ?? 0;
   };
 
   // Calculate fill percentage
   const getFillPercentage = (cauldron) => {
     const currentLevel = getLevelForCauldron(cauldron.id);
-    const maxVolume = cauldron.max_volume || cauldron.maxVolume || 100;
-    return (currentLevel / maxVolume) * 100;
+    return (currentLevel / cauldron.max_volume) * 100;
   };
 
   // Get color based on fill percentage
@@ -208,7 +213,7 @@ function MapView() {
   };
 
   // Draw cauldron shape
-  const CauldronIcon = ({ cauldron, x, y, size, fillPercentage, isHovered }) => {
+  const CauldronIcon = ({ cauldron, x, y, size, fillPercentage, isHovered, alert }) => {
     const scale = isHovered ? 1.2 : 1;
     const adjustedSize = size * 3.8; // Significantly bigger cauldrons
     const fillColor = getFillColor(fillPercentage);
@@ -296,6 +301,15 @@ function MapView() {
         >
           {cauldronNumber}
         </text>
+        {/* Open alerts badge */}
+        {alert && (
+          <g transform={`translate(${adjustedSize * 0.95}, ${-adjustedSize * 1.05})`}>
+            <circle r="30" fill={ALERT_BADGE_FILLS[alert.severity]} stroke="#1f2937" strokeWidth="4" />
+            <text y="12" textAnchor="middle" fill="#fff" fontSize="34" fontWeight="bold">
+              {alert.count}
+            </text>
+          </g>
+        )}
       </g>
     );
   };
@@ -483,9 +497,9 @@ function MapView() {
     const fillPercentage = getFillPercentage(cauldron);
     const currentLevel = getLevelForCauldron(cauldron.id);
     const cauldronNumber = getCauldronNumber(cauldron.id);
-    const maxVolume = cauldron.max_volume || cauldron.maxVolume || 0;
+    const maxVolume = cauldron.max_volume;
     // Remove "Cauldron" prefix from name if it exists
-    let cauldronName = cauldron.name || `Cauldron ${cauldronNumber}`;
+    let cauldronName = cauldron.name;
     cauldronName = cauldronName.replace(/^Cauldron\s*/i, '');
     
     // Calculate position for label (to the side of the cauldron)
@@ -624,13 +638,17 @@ function MapView() {
                     min="0"
                     max={timestamps.length - 1}
                     value={timeIndex ?? timestamps.length - 1}
-                    onChange={(e) => setTimeIndex(parseInt(e.target.value, 10))}
+                    onChange={(e) => {
+                      const idx = parseInt(e.target.value, 10);
+                      // dragging back to the end resumes following live data
+                      setTimeIndex(idx === timestamps.length - 1 ? null : idx);
+                    }}
                     className="flex-1 h-2 bg-purple-600 rounded-lg appearance-none cursor-pointer accent-purple-500"
                   />
                   <span className="text-purple-200 font-mono text-sm whitespace-nowrap">
                     {timeIndex !== null && timestamps[timeIndex]
                       ? new Date(timestamps[timeIndex]).toLocaleString()
-                      : 'Latest'}
+                      : 'Latest (live)'}
                   </span>
                 </div>
               </div>
@@ -677,6 +695,7 @@ function MapView() {
                           size={20}
                           fillPercentage={fillPercentage}
                           isHovered={hoveredNode?.id === cauldron.id && !hoveredNode?.isEdge}
+                          alert={cauldronAlerts[cauldron.id]}
                         />
                       </g>
                     );
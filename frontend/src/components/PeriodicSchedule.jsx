@@ -0,0 +1,170 @@
+import { useState } from 'react';
+
+const WITCH_COLORS = ['#ec4899', '#8b5cf6', '#06b6d4', '#10b981', '#f59e0b', '#ef4444'];
+
+function PeriodicSchedule({ schedule }) {
+  const [expandedWitch, setExpandedWitch] = useState(null);
+  const [showFrequencies, setShowFrequencies] = useState(false);
+
+  if (!schedule) return null;
+
+  const { status, reason, cycleMinutes, witches, trips, frequencies, shifts, verification } = schedule;
+  const cycleHours = cycleMinutes / 60;
+  const peaks = new Map((verification?.cauldrons || []).map(c => [c.cauldronId, c]));
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">🔁 Repeating {cycleHours}h Schedule</h2>
+          <p className="text-purple-200 text-sm mt-1">
+            Every cauldron is visited often enough for its fill rate; the same clock times repeat each cycle
+          </p>
+        </div>
+        {status === 'ok' && (
+          <div className="text-right">
+            <div className="text-3xl font-bold text-white">{witches}</div>
+            <div className="text-xs text-purple-200">witches • {trips} trips</div>
+          </div>
+        )}
+      </div>
+
+      {status !== 'ok' ? (
+        <div className="text-red-300 text-sm">No repeating schedule: {reason}</div>
+      ) : (
+        <>
+          <div className={`text-sm ${verification.sustainable ? 'text-green-300' : 'text-red-300'}`}>
+            {verification.sustainable
+              ? `✅ Sustainable - no overflows over ${verification.cycles} simulated cycles`
+              : `❌ ${verification.overflowIssues.length} overflows over ${verification.cycles} simulated cycles${verification.steady ? '' : ', levels still rising'}`}
+          </div>
+          {verification.overflowIssues.slice(0, 5).map((issue, idx) => (
+            <div key={idx} className="text-xs text-red-300">
+              {issue.cauldronId}: {issue.message} (day {issue.day}, {issue.clock})
+            </div>
+          ))}
+          {(verification.shiftViolations || []).map((violation, idx) => (
+            <div key={`shift-${idx}`} className="text-xs text-red-300">
+              ❌ {violation.witchName}: {violation.message}
+            </div>
+          ))}
+
+          <button
+            onClick={() => setShowFrequencies(!showFrequencies)}
+            className="px-3 py-1 rounded text-xs font-semibold bg-white/10 text-purple-100 hover:bg-white/20 transition"
+          >
+            {showFrequencies ? 'Hide' : 'Show'} visit frequencies
+          </button>
+          {showFrequencies && (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-white/5">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Cauldron</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Visits</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Every</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Per Visit</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Production</th>
+                    <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Peak (last cycle)</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/10">
+                  {frequencies.map(f => (
+                    <tr key={f.cauldronId} className="hover:bg-white/5">
+                      <td className="px-4 py-2 text-sm font-medium text-white">🔮 {f.cauldronName}</td>
+                      <td className="px-4 py-2 text-sm text-purple-200">{f.visitsPerCycle}</td>
+                      <td className="px-4 py-2 text-sm text-purple-200">
+                        {(f.intervalMinutes / 60).toFixed(1)}h (max {(f.maxGapMinutes / 60).toFixed(1)}h)
+                      </td>
+                      <td className="px-4 py-2 text-sm text-purple-200">≤ {f.allowance.toFixed(0)}L</td>
+                      <td className="px-4 py-2 text-sm text-purple-200">{f.productionPerCycle.toFixed(0)}L</td>
+                      <td className="px-4 py-2 text-sm font-semibold text-white">
+                        {peaks.has(f.cauldronId) ? `${peaks.get(f.cauldronId).peakPercent}%` : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {shifts.map((shift, witchIdx) => {
+              const isExpanded = expandedWitch === witchIdx;
+              const witchColor = WITCH_COLORS[witchIdx % WITCH_COLORS.length];
+              return (
+                <div key={shift.witchId} className="bg-white/5 rounded-lg overflow-hidden">
+                  <div
+                    className="p-3 cursor-pointer hover:bg-white/5 transition flex items-center justify-between"
+                    onClick={() => setExpandedWitch(isExpanded ? null : witchIdx)}
+                    style={{ borderLeft: `4px solid ${witchColor}` }}
+                  >
+                    <div className="text-white font-semibold">
+                      {shift.courierId ? '🧙‍♀️' : '❔'} {shift.witchName}
+                      <span className="ml-2 text-xs font-normal text-purple-300">{shift.capacity}L • {shift.speedMultiplier}x</span>
+                    </div>
+                    <div className="text-sm text-purple-200">
+                      {shift.start.clock} → {shift.end.clock} • {shift.trips.length} trips • {(shift.workMinutes / 60).toFixed(1)}h work
+                      {shift.breaks?.length > 0 && ` • breaks ${shift.breaks.map(rest => `${rest.start.clock}-${rest.end.clock}`).join(', ')}`}
+                    </div>
+                  </div>
+                  {isExpanded && (
+                    <div className="overflow-x-auto border-t border-white/10">
+                      <table className="w-full">
+                        <thead className="bg-white/5">
+                          <tr>
+                            <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Trip</th>
+                            <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Stop</th>
+                            <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Arrive</th>
+                            <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Leave</th>
+                            <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Window</th>
+                            <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Up To</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-white/10">
+                          {shift.trips.flatMap(trip => [
+                            <tr key={`${trip.tripNumber}-out`} className="bg-pink-500/10">
+                              <td className="px-4 py-2 text-sm font-mono text-purple-200">{trip.tripNumber}</td>
+                              <td className="px-4 py-2 text-sm text-white">🏪 Market</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                              <td className="px-4 py-2 text-sm font-mono text-white">{trip.depart.clock}</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                            </tr>,
+                            ...trip.stops.map(stop => (
+                              <tr key={`${trip.tripNumber}-${stop.cauldronId}`} className="hover:bg-white/5">
+                                <td className="px-4 py-2 text-sm font-mono text-purple-200" />
+                                <td className="px-4 py-2 text-sm font-medium text-white">🔮 {stop.cauldronName}</td>
+                                <td className="px-4 py-2 text-sm font-mono text-white">{stop.arrival.clock}</td>
+                                <td className="px-4 py-2 text-sm font-mono text-purple-200">{stop.departure.clock}</td>
+                                <td className="px-4 py-2 text-sm font-mono text-purple-200">
+                                  {stop.window.earliest}-{stop.window.latest}
+                                </td>
+                                <td className="px-4 py-2 text-sm text-white">{stop.allowance.toFixed(0)}L</td>
+                              </tr>
+                            )),
+                            <tr key={`${trip.tripNumber}-back`} className="bg-pink-500/10">
+                              <td className="px-4 py-2 text-sm font-mono text-purple-200" />
+                              <td className="px-4 py-2 text-sm text-white">🏪 Market (Unload)</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                              <td className="px-4 py-2 text-sm font-mono text-white">{trip.return.clock}</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                            </tr>
+                          ])}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <div className="text-xs text-purple-300">Clock times are UTC.</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PeriodicSchedule;
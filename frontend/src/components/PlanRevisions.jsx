@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { requestReplan } from '../utils/replanning';
+
+const REASONS = {
+  initial: '🆕 First plan',
+  deviation: '📈 Readings off the forecast',
+  horizon: '⏭️ Plan horizon reached',
+  manual: '🖐️ Re-planned by hand'
+};
+
+const CHANGE_ICONS = { added: '➕', removed: '➖', retimed: '🕒', reassigned: '🔀' };
+
+const clockTime = (iso) => new Date(iso).toISOString().slice(11, 16);
+
+function PlanRevisions({ revisions, cauldrons }) {
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (revisions.length === 0) return null;
+
+  const names = new Map(cauldrons.map(c => [c.id, c.name]));
+  const nameOf = (id) => names.get(id) || id;
+  const current = revisions[0];
+  const open = expanded ?? current.revision;
+
+  const replan = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await requestReplan();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-lg shadow-lg border border-white/20 p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">🔄 Live Plan Revisions</h2>
+          <p className="text-purple-200 text-sm mt-1">
+            The plan is made again when readings stray from its forecast; trips under way are kept
+          </p>
+        </div>
+        <div className="text-right space-y-1">
+          <div className="text-3xl font-bold text-white">#{current.revision}</div>
+          <button
+            onClick={replan}
+            disabled={busy}
+            className="px-3 py-1 rounded text-xs font-semibold bg-purple-600 text-white hover:bg-purple-500 disabled:opacity-50 transition"
+          >
+            {busy ? 'Re-planning...' : '🔄 Re-plan now'}
+          </button>
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-300">Re-planning failed: {error}</div>}
+
+      <div className="space-y-2">
+        {revisions.map(revision => (
+          <div key={revision.revision} className="bg-white/5 rounded-lg border border-white/10">
+            <button
+              onClick={() => setExpanded(open === revision.revision ? 0 : revision.revision)}
+              className="w-full flex items-center justify-between gap-4 px-4 py-2 text-left hover:bg-white/5"
+            >
+              <span className="text-sm text-white">
+                <span className="font-semibold">#{revision.revision}</span>
+                {' '}• as of {clockTime(revision.as_of)} • {REASONS[revision.reason] || revision.reason}
+              </span>
+              <span className="text-xs text-purple-200">
+                {revision.summary.witches} witches • {revision.summary.trips} trips • {revision.changes.length} changes
+              </span>
+            </button>
+
+            {open === revision.revision && (
+              <div className="px-4 pb-3 space-y-3 text-xs">
+                {revision.deviations.length > 0 && (
+                  <div className="space-y-1">
+                    <div className="font-semibold text-purple-200 uppercase">Deviations</div>
+                    {revision.deviations.map(d => (
+                      <div key={d.cauldron_id} className="text-yellow-300">
+                        {nameOf(d.cauldron_id)}: {d.observed.toFixed(0)}L read at {clockTime(d.timestamp)},
+                        {' '}{d.predicted.toFixed(0)}L forecast ({d.difference > 0 ? '+' : ''}{d.difference.toFixed(0)}L)
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {revision.in_progress.length > 0 && (
+                  <div className="space-y-1">
+                    <div className="font-semibold text-purple-200 uppercase">Kept trips</div>
+                    {revision.in_progress.map(trip => (
+                      <div key={`${trip.witch_id}-${trip.start}`} className="text-purple-100">
+                        🧹 {trip.witch_name} {clockTime(trip.start)}-{clockTime(trip.end)}:
+                        {' '}{trip.stops.map(stop => `${stop.done ? '✅' : '⏳'} ${nameOf(stop.cauldron_id)}`).join(', ')}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {revision.completed_stops.length > 0 && (
+                  <div className="text-green-300">
+                    ✅ {revision.completed_stops.length} stop{revision.completed_stops.length === 1 ? '' : 's'} made
+                    since the previous revision
+                  </div>
+                )}
+
+                {revision.changes.length > 0 ? (
+                  <div className="space-y-1">
+                    <div className="font-semibold text-purple-200 uppercase">Changes</div>
+                    {revision.changes.map((change, idx) => (
+                      <div key={idx} className="text-purple-100">
+                        {CHANGE_ICONS[change.type]} {nameOf(change.cauldron_id)}: {change.message}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  revision.reason !== 'initial' && <div className="text-purple-300">No changes to upcoming visits</div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PlanRevisions;
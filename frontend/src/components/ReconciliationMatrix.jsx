@@ -0,0 +1,98 @@
+function cellClass(cell) {
+  if (cell.status === 'NO_DATA') return 'text-purple-400';
+  if (cell.status !== 'SUSPICIOUS') return 'text-green-300';
+  return cell.discrepancy > 0 ? 'bg-red-500/30 text-red-200' : 'bg-yellow-500/20 text-yellow-200';
+}
+
+// Cauldron x day discrepancy matrix from POST /api/reconcile/range
+function ReconciliationMatrix({ report, getCauldronName }) {
+  const { summary, dates, daily, matrix } = report;
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="bg-white/5 rounded-lg p-4 border border-white/20">
+        <h3 className="text-lg font-semibold text-white mb-3">
+          Summary for {report.start_date} – {report.end_date} ({summary.days} days)
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <div className="text-xs text-purple-200">Total Drained (est)</div>
+            <div className="text-2xl font-bold text-white">{summary.totalDrained.toFixed(2)} L</div>
+          </div>
+          <div>
+            <div className="text-xs text-purple-200">Total Tickets</div>
+            <div className="text-2xl font-bold text-white">{summary.totalTicketed.toFixed(2)} L</div>
+          </div>
+          <div>
+            <div className="text-xs text-purple-200">Unaccounted</div>
+            <div className={`text-2xl font-bold ${summary.discrepancy > 0 ? 'text-red-400' : 'text-green-400'}`}>{summary.discrepancy.toFixed(2)} L</div>
+          </div>
+          <div>
+            <div className="text-xs text-purple-200">Cauldrons Off Overall</div>
+            <div className={`text-2xl font-bold ${summary.cauldronsMismatched ? 'text-red-400' : 'text-green-400'}`}>{summary.cauldronsMismatched}</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Matrix */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-white/5 border-b border-white/20">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Cauldron</th>
+              {dates.map(date => (
+                <th key={date} className="px-3 py-2 text-right text-xs font-semibold text-purple-200">{date.slice(5)}</th>
+              ))}
+              <th className="px-3 py-2 text-right text-xs font-semibold text-purple-200 uppercase">Cumulative (L)</th>
+              <th className="px-3 py-2 text-right text-xs font-semibold text-purple-200 uppercase">Short Days</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-white/10">
+            {matrix.map(row => (
+              <tr key={row.cauldron_id} className="hover:bg-white/5">
+                <td className="px-3 py-2">
+                  <div className="font-medium text-white">{getCauldronName(row.cauldron_id)}</div>
+                  <div className="text-xs text-purple-300">{row.cauldron_id}</div>
+                </td>
+                {row.days.map(cell => (
+                  <td
+                    key={cell.date}
+                    className={`px-3 py-2 text-right font-mono ${cellClass(cell)}`}
+                    title={`Drained ${cell.totalDrained.toFixed(2)} L, ticketed ${cell.totalTicketed.toFixed(2)} L`}
+                  >
+                    {cell.status === 'NO_DATA' ? '–' : cell.discrepancy.toFixed(1)}
+                  </td>
+                ))}
+                <td className={`px-3 py-2 text-right font-mono font-semibold ${row.totals.status === 'SUSPICIOUS' ? 'text-red-400' : 'text-white'}`}>
+                  {row.totals.discrepancy.toFixed(2)}
+                </td>
+                <td className="px-3 py-2 text-right text-purple-200">
+                  {row.totals.underTicketedDays}/{row.totals.daysReconciled}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="border-t border-white/20">
+            <tr>
+              <td className="px-3 py-2 text-xs font-semibold text-purple-200 uppercase">All cauldrons</td>
+              {daily.map(day => (
+                <td key={day.date} className={`px-3 py-2 text-right font-mono ${day.cauldronsMismatched ? 'text-red-300' : 'text-green-300'}`}>
+                  {day.discrepancy.toFixed(1)}
+                </td>
+              ))}
+              <td className="px-3 py-2 text-right font-mono font-semibold text-white">{summary.discrepancy.toFixed(2)}</td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <div className="text-xs text-purple-300">
+        Cells show drained minus ticketed litres per day. Red: drained but not ticketed; yellow: ticketed but not drained.
+        Cauldrons are ordered by cumulative shortfall.
+      </div>
+    </div>
+  );
+}
+
+export default ReconciliationMatrix;
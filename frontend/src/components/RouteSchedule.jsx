@@ -1,8 +1,51 @@
-import { useState } from 'react';
+import { useState, Fragment } from 'react';
+import { requestOptimization } from '../utils/optimization';
+
+const EXACT_STATUS = {
+  optimal: 'fewest witches with trips of at most 2 stops',
+  feasible: 'minimum for trips of at most 2 stops found, its trips need more days',
+  limit: 'search stopped early',
+  infeasible: 'no plan keeps up',
+  too_large: 'network too large'
+};
+
+// Before/after rows of the optimizer's local search: [key, label, unit]
+const IMPROVEMENT_STATS = [
+  ['witches', 'Witches', ''],
+  ['unstaffedWitches', 'Unstaffed witches', ''],
+  ['trips', 'Trips', ''],
+  ['travelMinutes', 'Travel', ' min'],
+  ['longestShiftMinutes', 'Longest shift', ' min'],
+  ['overflowIssues', 'Overflow issues', ''],
+  ['windowViolations', 'Missed windows', '']
+];
+
+// Minutes as HH:MM
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = Math.floor(minutes % 60);
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
 
 function RouteSchedule({ optimizationResult, cauldrons }) {
   const [selectedCycle, setSelectedCycle] = useState(0);
   const [expandedWitch, setExpandedWitch] = useState(null);
+  const [exact, setExact] = useState(null);
+  const [solving, setSolving] = useState(null);
+  const [exactError, setExactError] = useState(null);
+
+  const solveExact = async () => {
+    setExactError(null);
+    setSolving({ message: 'Starting', percent: 0 });
+    try {
+      const result = await requestOptimization({ solver: 'exact' }, { onProgress: setSolving });
+      setExact(result.bounds.exact);
+    } catch (err) {
+      setExactError(err.message);
+    } finally {
+      setSolving(null);
+    }
+  };
 
   if (!optimizationResult) {
     return (
@@ -12,13 +55,11 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
     );
   }
 
-  const { routes, stats, dailySchedule, maxCycleTime } = optimizationResult;
+  const { routes, stats, dailySchedule, maxCycleTime, improvement, bounds, shiftRules, shiftViolations, timeWindows, windowViolations } = optimizationResult;
 
   // Get cauldron name helper
   const getCauldronName = (id) => {
-    const cauldron = cauldrons.find(c => 
-      (c.id === id || c.cauldronId === id || c.cauldron_id === id)
-    );
+    const cauldron = cauldrons.find(c => c.id === id);
     return cauldron?.name || id;
   };
 
@@ -28,6 +69,87 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
       <div className="bg-gradient-to-r from-purple-900/50 to-pink-900/50 backdrop-blur-md rounded-lg shadow-lg border border-white/20 p-6">
         <div className="text-purple-200 text-sm mb-1">Minimum Witches Needed</div>
         <div className="text-5xl font-bold text-white">{stats.minWitches || routes.length}</div>
+        {bounds && (
+          <div className="mt-3 text-sm text-purple-200 space-y-1">
+            <div>
+              A full cycle needs at least <span className="font-semibold text-white">{bounds.cycleMinimum}</span> witches
+              {' '}({Math.round(bounds.lowerBound.workMinutes / 60)}h of work for {bounds.lowerBound.dailyVolume.toFixed(0)}L per cycle)
+            </div>
+            {bounds.coverage !== null && bounds.coverage < 1 && (
+              <div className="text-yellow-300">
+                ⚠️ This plan collects {(bounds.coverage * 100).toFixed(0)}% of a cycle's production
+              </div>
+            )}
+            <div className="flex items-center gap-3">
+              <button
+                onClick={solveExact}
+                disabled={Boolean(solving)}
+                className="px-3 py-1 rounded text-xs font-semibold bg-white/10 text-purple-100 hover:bg-white/20 disabled:opacity-50 transition"
+              >
+                🧮 Solve ≤2-stop packing
+              </button>
+              {solving && <span className="text-xs">{solving.message} ({solving.percent}%)</span>}
+              {exactError && <span className="text-xs text-red-300">{exactError}</span>}
+              {exact && !solving && (
+                <span className="text-xs">
+                  {exact.witches != null && <span className="font-semibold text-white">{exact.witches} witches - </span>}
+                  {EXACT_STATUS[exact.status] || exact.status}
+                  {exact.reason && ` (${exact.reason})`}
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+        {shiftRules && (
+          <div className="mt-3 text-sm text-purple-200">
+            Shifts: up to {shiftRules.maxShiftMinutes / 60}h, a {shiftRules.breakMinutes} min break after{' '}
+            {shiftRules.breakAfterMinutes / 60}h or {shiftRules.maxConsecutiveTrips} trips
+            {shiftRules.startEarliest && `, starting ${shiftRules.startEarliest}-${shiftRules.startLatest} UTC`}
+          </div>
+        )}
+        {shiftViolations?.length > 0 && (
+          <div className="mt-2 space-y-1">
+            {shiftViolations.map((violation, idx) => (
+              <div key={idx} className="text-xs text-red-300">
+                ❌ {violation.witchName || getCauldronName(violation.cauldronId)}: {violation.message}
+              </div>
+            ))}
+          </div>
+        )}
+        {timeWindows && (
+          <div className="mt-1 text-sm text-purple-200">
+            Windows: from {(timeWindows.earliestFill * 100).toFixed(0)}% full until {timeWindows.safetyMarginMinutes} min
+            before overflow, waiting up to {timeWindows.maxWaitMinutes} min
+          </div>
+        )}
+        {windowViolations?.length > 0 && (
+          <div className="mt-2 space-y-1">
+            {windowViolations.map((violation, idx) => (
+              <div key={idx} className="text-xs text-red-300">
+                ⏰ {getCauldronName(violation.cauldronId)}: {violation.message}
+              </div>
+            ))}
+          </div>
+        )}
+        {improvement && (
+          <div className="mt-4 grid grid-cols-3 gap-2 text-sm">
+            <div className="text-purple-300" />
+            <div className="text-purple-300">Greedy</div>
+            <div className="text-purple-300">After local search</div>
+            {IMPROVEMENT_STATS.map(([key, label, unit]) => (
+              <Fragment key={key}>
+                <div className="text-purple-200">{label}</div>
+                <div className="text-white">{improvement.before[key]}{unit}</div>
+                <div className={`font-semibold ${improvement.after[key] < improvement.before[key] ? 'text-green-300' : 'text-white'}`}>
+                  {improvement.after[key]}{unit}
+                </div>
+              </Fragment>
+            ))}
+            <div className="col-span-3 text-xs text-purple-300 mt-1">
+              {improvement.iterations} moves tried, {improvement.accepted} accepted in {(improvement.elapsedMs / 1000).toFixed(1)}s
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Daily Schedule Selector */}
@@ -85,9 +207,23 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
                       🧙‍♀️
                     </div>
                     <div>
-                      <h3 className="text-xl font-bold text-white">{witchRoute.witchName}</h3>
+                      <h3 className="text-xl font-bold text-white">
+                        {witchRoute.witchName}
+                        {witchRoute.unstaffed && (
+                          <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-red-500/30 text-red-200 align-middle">
+                            no courier
+                          </span>
+                        )}
+                      </h3>
                       <div className="text-sm text-purple-200">
-                        {witchRoute.trips.length} trips • {totalStops} stops • {totalVolume.toFixed(0)}L • {(totalTime / 60).toFixed(1)}h cycle
+                        {witchRoute.capacity}L • {witchRoute.speedMultiplier ?? 1}x speed •{' '}
+                        {witchRoute.trips.length} trips • {totalStops} stops • {totalVolume.toFixed(0)}L • {(totalTime / 60).toFixed(1)}h work
+                        {witchRoute.shift && (
+                          <>
+                            {' '}• {((witchRoute.shift.end - witchRoute.shift.start) / 60).toFixed(1)}h shift
+                            {witchRoute.shift.breaks.length > 0 && ` with ${witchRoute.shift.breaks.length} break${witchRoute.shift.breaks.length === 1 ? '' : 's'}`}
+                          </>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -129,6 +265,7 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
                               <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Stop #</th>
                               <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Location</th>
                               <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Time</th>
+                              <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Window</th>
                               <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Duration</th>
                               <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Volume</th>
                               <th className="px-4 py-2 text-left text-xs font-semibold text-purple-200 uppercase">Cumulative</th>
@@ -142,6 +279,7 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
                               <td className="px-4 py-2 text-sm text-purple-200">00:00</td>
                               <td className="px-4 py-2 text-sm text-purple-200">-</td>
                               <td className="px-4 py-2 text-sm text-purple-200">-</td>
+                              <td className="px-4 py-2 text-sm text-purple-200">-</td>
                               <td className="px-4 py-2 text-sm font-semibold text-white">0L</td>
                             </tr>
 
@@ -150,13 +288,12 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
                                 .slice(0, stopIdx + 1)
                                 .reduce((sum, s) => sum + (s.volumeCollected || 0), 0);
 
-                              const arrivalMinutes = stop.arrivalTime;
-                              const hours = Math.floor(arrivalMinutes / 60);
-                              const mins = Math.floor(arrivalMinutes % 60);
-                              const arrivalTime = `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+                              const arrivalTime = formatMinutes(stop.arrivalTime);
+                              // Windows are in plan minutes; show them on the trip's clock like the arrival
+                              const tripStart = witchRoute.shift?.tripStarts[tripIdx] ?? 0;
 
-                              // Calculate total duration at this stop (travel + drain/unload)
-                              const totalDuration = (stop.travelTime || 0) + (stop.drainTime || 0);
+                              // Calculate total duration at this stop (travel + wait + drain/unload)
+                              const totalDuration = (stop.travelTime || 0) + (stop.waitTime || 0) + (stop.drainTime || 0);
 
                               return (
                                 <tr
@@ -170,10 +307,15 @@ function RouteSchedule({ optimizationResult, cauldrons }) {
                                     {stop.isMarket ? '🏪 Market (Unload)' : `🔮 ${getCauldronName(stop.cauldronId)}`}
                                   </td>
                                   <td className="px-4 py-2 text-sm text-purple-200">{arrivalTime}</td>
+                                  <td className="px-4 py-2 text-sm text-purple-200">
+                                    {stop.window
+                                      ? `${formatMinutes(Math.max(0, stop.window.earliest - tripStart))}-${stop.window.latest === null ? 'open' : formatMinutes(stop.window.latest - tripStart)}`
+                                      : '-'}
+                                  </td>
                                   <td className="px-4 py-2 text-sm text-purple-200">
                                     {stop.isMarket 
                                       ? `${stop.drainTime.toFixed(1)} min (unload)` 
-                                      : `${totalDuration.toFixed(1)} min (${stop.travelTime.toFixed(1)} travel + ${stop.drainTime.toFixed(1)} drain)`
+                                      : `${totalDuration.toFixed(1)} min (${stop.travelTime.toFixed(1)} travel${stop.waitTime > 0 ? ` + ${stop.waitTime.toFixed(1)} wait` : ''} + ${stop.drainTime.toFixed(1)} drain)`
                                     }
                                   </td>
                                   <td className="px-4 py-2 text-sm font-semibold text-white">
@@ -1,10 +1,108 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, Fragment } from 'react';
+import { requestWhatIf } from '../utils/optimization';
+
+// What-if diff rows: [key, label, unit]
+const DIFF_STATS = [
+  ['witches', 'Witches', ''],
+  ['unstaffedWitches', 'Unstaffed witches', ''],
+  ['trips', 'Trips', ''],
+  ['travelMinutes', 'Travel', ' min'],
+  ['overflowIssues', 'Overflow issues', ''],
+  ['windowViolations', 'Missed windows', '']
+];
+
+const RISK_LABELS = {
+  offline: 'offline',
+  unreachable: 'unreachable',
+  not_in_network: 'not in network',
+  overflow: 'overflows',
+  window_early: 'visited too early',
+  window_late: 'visited too late',
+  window_unserved: 'no visit in time'
+};
+
+const edgeKey = (edge) => [edge.from, edge.to].sort().join('|');
 
 function RouteVisualization({ routes, cauldrons, market, network, isAnimating, animationTime }) {
   const [selectedWitch, setSelectedWitch] = useState(null);
   const [hoveredStop, setHoveredStop] = useState(null);
   const svgRef = useRef(null);
 
+  // What-if mode: disruptions to try, and the plan and diff they produce
+  const [disruptionEdge, setDisruptionEdge] = useState('');
+  const [slowPercent, setSlowPercent] = useState(50);
+  const [offlineChoice, setOfflineChoice] = useState('');
+  const [closedEdges, setClosedEdges] = useState([]);
+  const [slowedEdges, setSlowedEdges] = useState([]);
+  const [offlineCauldrons, setOfflineCauldrons] = useState([]);
+  const [whatIf, setWhatIf] = useState(null);
+  const [whatIfRunning, setWhatIfRunning] = useState(false);
+  const [whatIfError, setWhatIfError] = useState(null);
+  const [showWhatIf, setShowWhatIf] = useState(false);
+
+  const edges = network?.edges || [];
+  const hasDisruptions = closedEdges.length + slowedEdges.length + offlineCauldrons.length > 0;
+  // A what-if is compared with the plan for the same data without disruptions,
+  // which needn't be the live plan in `routes` - show that one next to it
+  let shownRoutes = routes;
+  if (whatIf) shownRoutes = showWhatIf ? whatIf.result.routes : whatIf.baseline?.routes ?? routes;
+  const affected = new Set((whatIf?.diff.affectedStops || []).map(stop => stop.cauldronId));
+
+  const nodeName = (id) => {
+    if (id === market?.id) return market?.name || 'Market';
+    return cauldrons.find(c => c.id === id)?.name || id;
+  };
+
+  const selectedEdge = edges.find(edge => edgeKey(edge) === disruptionEdge);
+
+  // Changing the disruptions makes the last what-if plan stale
+  const updateDisruptions = (update) => {
+    update();
+    setWhatIf(null);
+    setShowWhatIf(false);
+  };
+
+  const closeEdge = () => updateDisruptions(() => {
+    setSlowedEdges(list => list.filter(edge => edgeKey(edge) !== disruptionEdge));
+    setClosedEdges(list => [...list.filter(edge => edgeKey(edge) !== disruptionEdge), { from: selectedEdge.from, to: selectedEdge.to }]);
+  });
+
+  const slowEdge = () => updateDisruptions(() => {
+    setClosedEdges(list => list.filter(edge => edgeKey(edge) !== disruptionEdge));
+    setSlowedEdges(list => [
+      ...list.filter(edge => edgeKey(edge) !== disruptionEdge),
+      { from: selectedEdge.from, to: selectedEdge.to, percent: Number(slowPercent) }
+    ]);
+  });
+
+  const takeOffline = () => updateDisruptions(() => {
+    setOfflineCauldrons(list => (list.includes(offlineChoice) ? list : [...list, offlineChoice]));
+  });
+
+  const clearDisruptions = () => updateDisruptions(() => {
+    setClosedEdges([]);
+    setSlowedEdges([]);
+    setOfflineCauldrons([]);
+  });
+
+  const runWhatIf = async () => {
+    setWhatIfError(null);
+    setWhatIfRunning(true);
+    try {
+      setWhatIf(await requestWhatIf({
+        closed_edges: closedEdges,
+        slowed_edges: slowedEdges,
+        offline_cauldrons: offlineCauldrons
+      }));
+      setShowWhatIf(true);
+      setSelectedWitch(null);
+    } catch (err) {
+      setWhatIfError(err.message);
+    } finally {
+      setWhatIfRunning(false);
+    }
+  };
+
   // Map dimensions
   const mapWidth = 3200;
   const mapHeight = 1200;
@@ -41,16 +139,12 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
     }
 
     // Find cauldron
-    const cauldron = cauldrons.find(c => 
-      (c.id === node.id || c.cauldronId === node.id || c.cauldron_id === node.id)
-    );
+    const cauldron = cauldrons.find(c => c.id === node.id);
     
     if (!cauldron) return { x: mapWidth / 2, y: mapHeight / 2 };
 
     // Use same elliptical layout as MapView
-    const index = cauldrons.findIndex(c => 
-      (c.id === node.id || c.cauldronId === node.id || c.cauldron_id === node.id)
-    );
+    const index = cauldrons.findIndex(c => c.id === node.id);
     const totalCauldrons = cauldrons.length;
     const angleStep = (2 * Math.PI) / totalCauldrons;
     const angle = index * angleStep - Math.PI / 2;
@@ -106,7 +200,7 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
     );
   }
 
-  return (
+  const mapView = (
     <div className="bg-slate-900/50 rounded-lg overflow-auto" style={{ height: '750px' }}>
       <svg
         ref={svgRef}
@@ -124,7 +218,7 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
           </pattern>
           
           {/* Arrow marker definitions for each witch */}
-          {routes.map((witchRoute, idx) => (
+          {shownRoutes.map((witchRoute, idx) => (
             <marker
               key={`arrow-${idx}`}
               id={`arrowhead-${idx}`}
@@ -145,8 +239,41 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
 
         <rect width={mapWidth} height={mapHeight} fill="url(#grid-route)" />
 
+        {/* What-if disruptions: closed edges in red, slowed ones in orange */}
+        {[...closedEdges.map(edge => ({ ...edge, color: '#ef4444', label: '✕' })),
+          ...slowedEdges.map(edge => ({ ...edge, color: '#f97316', label: `+${edge.percent}%` }))].map(edge => {
+          const from = getNodePosition({ id: edge.from });
+          const to = getNodePosition({ id: edge.to });
+          return (
+            <g key={`disruption-${edgeKey(edge)}`}>
+              <line
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                stroke={edge.color}
+                strokeWidth="10"
+                strokeDasharray="24,12"
+                opacity="0.8"
+              />
+              <text
+                x={(from.x + to.x) / 2}
+                y={(from.y + to.y) / 2 - 14}
+                textAnchor="middle"
+                fontSize="36"
+                fontWeight="bold"
+                fill={edge.color}
+                stroke="#1f2937"
+                strokeWidth="1.5"
+              >
+                {edge.label}
+              </text>
+            </g>
+          );
+        })}
+
         {/* Draw routes */}
-        {routes.map((witchRoute, witchIdx) => {
+        {shownRoutes.map((witchRoute, witchIdx) => {
           const color = witchColors[witchIdx % witchColors.length];
           const isSelected = selectedWitch === null || selectedWitch === witchIdx;
           const opacity = isSelected ? 1 : 0.2;
@@ -264,7 +391,7 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
 
         {/* Draw cauldrons - Exact same shape as MapView */}
         {cauldrons.map((cauldron, idx) => {
-          const cauldronId = cauldron.id || cauldron.cauldronId || cauldron.cauldron_id;
+          const cauldronId = cauldron.id;
           const pos = getNodePosition({ id: cauldronId });
           const cauldronNumber = idx + 1;
           const size = 32;
@@ -274,7 +401,7 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
           let stopData = []; // Array of {number, color} for this cauldron
           let isInRoute = false;
           
-          routes.forEach((witchRoute, witchIdx) => {
+          shownRoutes.forEach((witchRoute, witchIdx) => {
             if (selectedWitch !== null && selectedWitch !== witchIdx) return;
             
             const witchColor = witchColors[witchIdx % witchColors.length];
@@ -300,7 +427,8 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
 
           const isHovered = hoveredStop === cauldronId;
           const scale = isHovered ? 1.15 : 1;
-          const fillColor = isInRoute ? '#6366f1' : '#374151';
+          const isOffline = offlineCauldrons.includes(cauldronId);
+          const fillColor = isOffline ? '#7f1d1d' : isInRoute ? '#6366f1' : '#374151';
 
           return (
             <g
@@ -353,6 +481,11 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
                 strokeWidth="6"
               />
               
+              {/* Stops the what-if plan changes */}
+              {affected.has(cauldronId) && (
+                <circle r={adjustedSize * 1.6} fill="none" stroke="#facc15" strokeWidth="6" strokeDasharray="16,10" />
+              )}
+
               {/* Cauldron number */}
               <text
                 x="0"
@@ -471,7 +604,7 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
           >
             All
           </button>
-          {routes.map((witchRoute, idx) => (
+          {shownRoutes.map((witchRoute, idx) => (
             <button
               key={idx}
               onClick={() => setSelectedWitch(idx)}
@@ -502,10 +635,183 @@ function RouteVisualization({ routes, cauldrons, market, network, isAnimating, a
             <div className="w-4 h-4 rounded-full bg-purple-500 flex items-center justify-center text-white font-bold text-xs">1</div>
             <span>Stop order</span>
           </div>
+          {hasDisruptions && (
+            <>
+              <div className="flex items-center gap-2">
+                <div className="w-8 h-0.5 bg-red-500"></div>
+                <span>Closed</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-8 h-0.5 bg-orange-500"></div>
+                <span>Slowed</span>
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
   );
+
+  return (
+    <div className="space-y-3">
+      {mapView}
+
+      {/* What-if mode */}
+      <div className="bg-white/5 rounded-lg p-4 space-y-3 text-sm">
+        <div className="text-white font-semibold">🌩️ What if...</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={disruptionEdge}
+            onChange={(e) => setDisruptionEdge(e.target.value)}
+            className="bg-gray-900 text-purple-100 rounded px-2 py-1"
+          >
+            <option value="">Pick a path</option>
+            {edges.map(edge => (
+              <option key={edgeKey(edge)} value={edgeKey(edge)}>
+                {nodeName(edge.from)} ↔ {nodeName(edge.to)} ({edge.travel_time_minutes} min)
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={closeEdge}
+            disabled={!selectedEdge}
+            className="px-3 py-1 rounded text-xs font-semibold bg-red-500/30 text-red-100 hover:bg-red-500/50 disabled:opacity-50 transition"
+          >
+            🚧 Close
+          </button>
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={slowPercent}
+            onChange={(e) => setSlowPercent(e.target.value)}
+            className="w-20 bg-gray-900 text-purple-100 rounded px-2 py-1"
+          />
+          <button
+            onClick={slowEdge}
+            disabled={!selectedEdge || !(Number(slowPercent) > 0 && Number(slowPercent) <= 1000)}
+            className="px-3 py-1 rounded text-xs font-semibold bg-orange-500/30 text-orange-100 hover:bg-orange-500/50 disabled:opacity-50 transition"
+          >
+            🐌 Slow by %
+          </button>
+          <select
+            value={offlineChoice}
+            onChange={(e) => setOfflineChoice(e.target.value)}
+            className="bg-gray-900 text-purple-100 rounded px-2 py-1"
+          >
+            <option value="">Pick a cauldron</option>
+            {cauldrons.map(cauldron => (
+              <option key={cauldron.id} value={cauldron.id}>{cauldron.name || cauldron.id}</option>
+            ))}
+          </select>
+          <button
+            onClick={takeOffline}
+            disabled={!offlineChoice}
+            className="px-3 py-1 rounded text-xs font-semibold bg-white/10 text-purple-100 hover:bg-white/20 disabled:opacity-50 transition"
+          >
+            ⛔ Take offline
+          </button>
+        </div>
+
+        {hasDisruptions && (
+          <div className="flex flex-wrap items-center gap-2">
+            {closedEdges.map(edge => (
+              <span key={`closed-${edgeKey(edge)}`} className="px-2 py-0.5 rounded bg-red-500/20 text-red-200 text-xs">
+                🚧 {nodeName(edge.from)} ↔ {nodeName(edge.to)}
+              </span>
+            ))}
+            {slowedEdges.map(edge => (
+              <span key={`slowed-${edgeKey(edge)}`} className="px-2 py-0.5 rounded bg-orange-500/20 text-orange-200 text-xs">
+                🐌 {nodeName(edge.from)} ↔ {nodeName(edge.to)} +{edge.percent}%
+              </span>
+            ))}
+            {offlineCauldrons.map(id => (
+              <span key={`offline-${id}`} className="px-2 py-0.5 rounded bg-white/10 text-purple-200 text-xs">
+                ⛔ {nodeName(id)}
+              </span>
+            ))}
+            <button
+              onClick={runWhatIf}
+              disabled={whatIfRunning}
+              className="px-3 py-1 rounded text-xs font-semibold bg-purple-600 text-white hover:bg-purple-500 disabled:opacity-50 transition"
+            >
+              {whatIfRunning ? 'Planning...' : '▶️ Re-plan'}
+            </button>
+            <button
+              onClick={clearDisruptions}
+              disabled={whatIfRunning}
+              className="px-3 py-1 rounded text-xs font-semibold bg-white/10 text-purple-100 hover:bg-white/20 disabled:opacity-50 transition"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+        {whatIfError && <div className="text-red-300 text-xs">{whatIfError}</div>}
+
+        {whatIf && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 text-xs">
+              <span className="text-purple-200">Map shows:</span>
+              {[[false, 'Baseline plan'], [true, 'What-if plan']].map(([value, label]) => (
+                <button
+                  key={label}
+                  onClick={() => { setShowWhatIf(value); setSelectedWitch(null); }}
+                  className={`px-3 py-1 rounded font-medium transition ${
+                    showWhatIf === value ? 'bg-purple-600 text-white' : 'bg-white/10 text-purple-200 hover:bg-white/20'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {whatIf.diff ? (
+              <>
+                <div className="grid grid-cols-4 gap-x-4 gap-y-1 max-w-xl">
+                  <div className="text-purple-300" />
+                  <div className="text-purple-300">Baseline</div>
+                  <div className="text-purple-300">What-if</div>
+                  <div className="text-purple-300">Change</div>
+                  {DIFF_STATS.map(([key, label, unit]) => {
+                    const { before, after, change } = whatIf.diff[key];
+                    return (
+                      <Fragment key={key}>
+                        <div className="text-purple-200">{label}</div>
+                        <div className="text-white">{before}{unit}</div>
+                        <div className="text-white">{after}{unit}</div>
+                        <div className={`font-semibold ${change > 0 ? 'text-red-300' : change < 0 ? 'text-green-300' : 'text-white'}`}>
+                          {change > 0 ? '+' : ''}{change}{unit}
+                        </div>
+                      </Fragment>
+                    );
+                  })}
+                </div>
+                <div className="text-purple-200">
+                  Overflow risk: {whatIf.diff.overflowRisk.before} → {whatIf.diff.overflowRisk.after} cauldrons
+                  {whatIf.diff.overflowRisk.cauldrons.map(risk => (
+                    <div key={risk.cauldronId} className={`text-xs ${risk.new ? 'text-red-300' : 'text-yellow-300'}`}>
+                      {risk.new ? '❌' : '⚠️'} {nodeName(risk.cauldronId)}: {risk.reasons.map(reason => RISK_LABELS[reason] || reason).join(', ')}
+                    </div>
+                  ))}
+                </div>
+                <div className="text-purple-200">
+                  {whatIf.diff.affectedStops.length} cauldrons visited differently
+                  {whatIf.diff.affectedStops.map(stop => (
+                    <div key={stop.cauldronId} className="text-xs text-yellow-200">
+                      {nodeName(stop.cauldronId)}: {stop.before.visits} → {stop.after.visits} visits
+                      {stop.changes.includes('witches') && `, ${stop.before.witches.join(', ') || 'nobody'} → ${stop.after.witches.join(', ') || 'nobody'}`}
+                      {stop.changes.includes('times') && ', at different times'}
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <div className="text-red-300 text-xs">The baseline plan failed, so there is nothing to compare with</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
 }
 
 export default RouteVisualization;
@@ -1,248 +1,35 @@
-import { useState, useEffect } from 'react';
-import {
-  fetchLevelsForDay,
-  computePerCauldronSeries,
-  aggregateDrainsPerCauldron
-} from '../utils/reconciliation';
+import { useState } from 'react';
 
-function TicketTable({ tickets }) {
+// reconciled: ticket_id -> reconciled ticket (estimatedCollectionTime, flags) from /api/reconcile
+function TicketTable({ tickets, reconciled = {} }) {
   const [filterCauldron, setFilterCauldron] = useState('');
-  const [cauldrons, setCauldrons] = useState([]);
-  const [network, setNetwork] = useState({ edges: [] });
-  const [levelsCache, setLevelsCache] = useState({}); // Cache levels by date
-
-  // Fetch cauldron and network data for validation
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const [cauldronRes, networkRes] = await Promise.all([
-          fetch('/api/cauldrons'),
-          fetch('/api/information/network')
-        ]);
-        
-        if (cauldronRes.ok) {
-          const cauldronData = await cauldronRes.json();
-          setCauldrons(cauldronData || []);
-        }
-        
-        if (networkRes.ok) {
-          const networkData = await networkRes.json();
-          setNetwork(networkData || { edges: [] });
-        }
-      } catch (err) {
-        console.error('Error fetching validation data:', err);
-      }
-    };
-    
-    fetchData();
-  }, []);
-
-  // Fetch and cache level data for dates we have tickets for
-  useEffect(() => {
-    const fetchLevelsForTickets = async () => {
-      const allTickets = Array.isArray(tickets) ? tickets : [];
-      const uniqueDates = [...new Set(allTickets.map(t => {
-        const dateSource = t.dateStr || t.date || t.timestamp || t.createdAt || '';
-        try {
-          if (dateSource) {
-            const d = new Date(dateSource);
-            if (!isNaN(d)) return d.toISOString().split('T')[0];
-          }
-        } catch (e) {}
-        return null;
-      }).filter(Boolean))];
-
-      const newCache = {};
-      for (const date of uniqueDates) {
-        try {
-          const levels = await fetchLevelsForDay(date);
-          const byId = computePerCauldronSeries(levels || []);
-          const perCauldron = aggregateDrainsPerCauldron(byId);
-          newCache[date] = perCauldron;
-        } catch (err) {
-          console.warn(`Failed to fetch levels for ${date}:`, err);
-        }
-      }
-      setLevelsCache(newCache);
-    };
-
-    if (tickets && tickets.length > 0) {
-      fetchLevelsForTickets();
-    }
-  }, [tickets]);
 
   const allTickets = Array.isArray(tickets) ? tickets : [];
 
-  const filteredTickets = allTickets.filter(ticket => {
-    const cauldronId = ticket.cauldronId || ticket.cauldron_id || ticket.cauldron;
-    return filterCauldron === '' || cauldronId === filterCauldron;
-  });
+  const filteredTickets = allTickets.filter(ticket => filterCauldron === '' || ticket.cauldron_id === filterCauldron);
 
-  const uniqueCauldrons = [...new Set(allTickets.map(t => t.cauldronId || t.cauldron_id || t.cauldron).filter(Boolean))];
+  const uniqueCauldrons = [...new Set(allTickets.map(t => t.cauldron_id))];
 
-  // Helper function to estimate collection time by matching ticket to drain events
-  const estimateCollectionTime = (ticket, dateKey) => {
-    const cauldronId = ticket.cauldronId || ticket.cauldron_id || ticket.cauldron;
-    const ticketAmount = Number(ticket.volume ?? ticket.volumeCollected ?? ticket.volume_collected ?? ticket.amount_collected ?? ticket.amount ?? 0);
-    
-    // Get drain events for this cauldron on this date
-    const perCauldron = levelsCache[dateKey];
-    if (!perCauldron || !perCauldron[cauldronId]) {
-      return null;
-    }
-    
-    const info = perCauldron[cauldronId];
-    const drainEvents = info.events || [];
-    
-    if (drainEvents.length === 0) {
-      return null;
-    }
-    
-    // Filter drains to only those on the ticket's date
-    const ticketDayStart = new Date(dateKey + 'T00:00:00').getTime();
-    const ticketDayEnd = new Date(dateKey + 'T23:59:59').getTime();
-    const relevantDrains = drainEvents.filter(e => 
-      e.startTs >= ticketDayStart && e.startTs <= ticketDayEnd
-    );
-    
-    if (relevantDrains.length === 0) {
-      return null;
-    }
-    
-    // Find best matching drain event by volume
-    let bestEvent = null;
-    let bestDiff = Infinity;
-    
-    relevantDrains.forEach(event => {
-      const correctedDrain = event.drop + (info.fillRate || 0) * ((event.endTs - event.startTs) / 60000);
-      const volumeDiff = Math.abs(correctedDrain - ticketAmount);
-      
-      if (volumeDiff < bestDiff) {
-        bestDiff = volumeDiff;
-        bestEvent = event;
-      }
-    });
-    
-    if (bestEvent) {
-      // Return midpoint of drain event
-      return bestEvent.startTs + (bestEvent.endTs - bestEvent.startTs) / 2;
-    }
-    
-    return null;
+  // Midpoint of the drain the reconciliation engine matched this ticket to
+  const estimateCollectionTime = (ticket) => {
+    const time = reconciled[ticket.ticket_id]?.estimatedCollectionTime;
+    return time ? new Date(time).getTime() : null;
   };
 
-  // Helper function to detect flags/issues with a ticket (enhanced with reconciliation logic)
-  const detectTicketFlags = (ticket, dateKey) => {
-    const flags = [];
-    const cauldronId = ticket.cauldronId || ticket.cauldron_id || ticket.cauldron;
-    const volume = Number(ticket.volume ?? ticket.volumeCollected ?? ticket.volume_collected ?? ticket.amount_collected ?? ticket.amount ?? 0);
-    
-    // Find corresponding cauldron
-    const cauldron = cauldrons.find(c => 
-      c.id === cauldronId || c.cauldronId === cauldronId || c.cauldron_id === cauldronId
-    );
-    
-    if (!cauldron) {
-      flags.push({ type: 'error', message: 'Cauldron not found in system' });
-      return flags;
-    }
-    
-    const maxVolume = cauldron.maxVolume || cauldron.max_volume || 1000;
-    const fillRate = cauldron.fillRate || cauldron.fill_rate || 0;
-    
-    // Flag 1: Volume exceeds 100L (witch capacity)
-    if (volume > 100) {
-      flags.push({ type: 'warning', message: `Exceeds witch capacity (${volume.toFixed(1)}L > 100L)` });
-    }
-    
-    // Flag 2: Volume exceeds cauldron max capacity
-    if (volume > maxVolume) {
-      flags.push({ type: 'error', message: `Exceeds cauldron capacity (${volume.toFixed(1)}L > ${maxVolume}L)` });
-    }
-    
-    // Flag 3: Volume is suspiciously low (< 5L)
-    if (volume > 0 && volume < 5) {
-      flags.push({ type: 'info', message: `Low volume (${volume.toFixed(1)}L)` });
-    }
-    
-    // Flag 4: Volume is zero or negative
-    if (volume <= 0) {
-      flags.push({ type: 'error', message: 'Invalid volume (≤0)' });
-    }
-    
-    // Flag 5: Near-overflow collection
-    if (volume > maxVolume * 0.8) {
-      flags.push({ type: 'warning', message: 'Near-overflow collection (>80%)' });
-    }
-    
-    // Flag 6: Check discrepancy with actual drain events
-    const perCauldron = levelsCache[dateKey];
-    if (perCauldron && perCauldron[cauldronId]) {
-      const info = perCauldron[cauldronId];
-      const drainEvents = info.events || [];
-      
-      // Filter to drains on this date
-      const ticketDayStart = new Date(dateKey + 'T00:00:00').getTime();
-      const ticketDayEnd = new Date(dateKey + 'T23:59:59').getTime();
-      const relevantDrains = drainEvents.filter(e => 
-        e.startTs >= ticketDayStart && e.startTs <= ticketDayEnd
-      );
-      
-      if (relevantDrains.length > 0) {
-        // Find closest matching drain
-        let closestDrain = null;
-        let minDiff = Infinity;
-        
-        relevantDrains.forEach(event => {
-          const correctedDrain = event.drop + (info.fillRate || 0) * ((event.endTs - event.startTs) / 60000);
-          const diff = Math.abs(correctedDrain - volume);
-          if (diff < minDiff) {
-            minDiff = diff;
-            closestDrain = correctedDrain;
-          }
-        });
-        
-        // Flag if discrepancy is > 15%
-        if (closestDrain !== null) {
-          const threshold = Math.max(1, 0.15 * Math.max(volume, closestDrain));
-          if (minDiff > threshold) {
-            const diffPercent = ((minDiff / Math.max(volume, closestDrain)) * 100).toFixed(0);
-            flags.push({ 
-              type: 'warning', 
-              message: `Volume mismatch: ticket ${volume.toFixed(1)}L vs drain ${closestDrain.toFixed(1)}L (${diffPercent}% diff)` 
-            });
-          }
-        }
-      } else {
-        // Ticket exists but no drain detected
-        flags.push({ type: 'error', message: 'No matching drain event detected' });
-      }
-    }
-    
-    return flags;
-  };
+  const detectTicketFlags = (ticket) => reconciled[ticket.ticket_id]?.flags || [];
 
-  // normalize and group tickets by date (YYYY-MM-DD)
+  // group tickets by date (YYYY-MM-DD)
   const ticketsByDate = {};
   allTickets.forEach((ticket) => {
-    const ticketId = ticket.id || ticket.ticketId || ticket.ticket_id || ticket.ticketId || JSON.stringify(ticket);
-    const cauldronId = ticket.cauldronId || ticket.cauldron_id || ticket.cauldron || '';
-    const volumeCollected = Number(ticket.volume ?? ticket.volumeCollected ?? ticket.volume_collected ?? ticket.amount_collected ?? 0) || 0;
-    // derive dateStr: prefer ticket.date, ticket.dateStr, ticket.timestamp
-    const dateSource = ticket.dateStr || ticket.date || ticket.timestamp || ticket.createdAt || '';
-    let dateKey = '';
-    try {
-      if (dateSource) {
-        const d = new Date(dateSource);
-        if (!isNaN(d)) dateKey = d.toISOString().split('T')[0];
-      }
-    } catch (e) {
-      dateKey = '';
-    }
-    const row = { ticketId, cauldronId, volumeCollected, original: ticket, dateKey };
-    const key = dateKey || 'unknown';
-    ticketsByDate[key] = ticketsByDate[key] || [];
-    ticketsByDate[key].push(row);
+    const row = {
+      ticketId: ticket.ticket_id,
+      cauldronId: ticket.cauldron_id,
+      volumeCollected: ticket.amount_collected,
+      original: ticket,
+      dateKey: ticket.date
+    };
+    ticketsByDate[ticket.date] = ticketsByDate[ticket.date] || [];
+    ticketsByDate[ticket.date].push(row);
   });
 
   // sort tickets within each day by cauldron id (string compare)
@@ -265,7 +52,7 @@ function TicketTable({ tickets }) {
     Object.entries(ticketsByDate).forEach(([dateKey, rows]) => {
       rows.forEach(r => {
         if (filterCauldron === '' || r.cauldronId === filterCauldron) {
-          const flags = detectTicketFlags(r.original, dateKey);
+          const flags = detectTicketFlags(r.original);
           total += flags.length;
           errors += flags.filter(f => f.type === 'error').length;
           warnings += flags.filter(f => f.type === 'warning').length;
@@ -340,7 +127,7 @@ function TicketTable({ tickets }) {
             let errorCount = 0;
             let warningCount = 0;
             visibleRows.forEach(r => {
-              const flags = detectTicketFlags(r.original, dateKey);
+              const flags = detectTicketFlags(r.original);
               totalFlags += flags.length;
               errorCount += flags.filter(f => f.type === 'error').length;
               warningCount += flags.filter(f => f.type === 'warning').length;
@@ -386,8 +173,8 @@ function TicketTable({ tickets }) {
                 {expanded && (
                   <div className="space-y-2">
                     {visibleRows.map(r => {
-                      const estimatedTime = estimateCollectionTime(r.original, dateKey);
-                      const flags = detectTicketFlags(r.original, dateKey);
+                      const estimatedTime = estimateCollectionTime(r.original);
+                      const flags = detectTicketFlags(r.original);
                       const hasFlags = flags.length > 0;
                       
                       return (
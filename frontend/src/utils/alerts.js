@@ -0,0 +1,196 @@
+import { useEffect, useState } from 'react';
+
+// Alert queue shared by every view. Active alerts are loaded once from
+// /api/alerts and kept current from /api/alerts/stream (Server-Sent Events);
+// the stream opens with the first subscriber and closes after the last.
+// Acknowledge, snooze, assign and resolve go to the backend, so every
+// operator sees the same queue.
+
+const STREAM_URL = '/api/alerts/stream';
+
+// Rules the dashboard evaluates itself and syncs to the backend
+export const DASHBOARD_RULES = ['dashboard_level', 'route_overflow', 'ticket_flag'];
+
+const HIGH_LEVEL_PCT = 90;
+const CRITICAL_LEVEL_PCT = 98;
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+let source = null;
+let alerts = [];
+const listeners = new Set();
+
+function setAlerts(next) {
+  alerts = next;
+  listeners.forEach(fn => fn(alerts));
+}
+
+// Put an alert's latest state into the queue; resolved ones leave it
+function upsert(alert) {
+  const rest = alerts.filter(a => a.id !== alert.id);
+  setAlerts(alert.status === 'resolved' ? rest : [alert, ...rest]);
+}
+
+export async function loadAlerts() {
+  try {
+    const res = await fetch('/api/alerts?status=active');
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    setAlerts(await res.json());
+  } catch (err) {
+    console.warn('Failed to load alerts:', err);
+  }
+}
+
+function open() {
+  if (source) return;
+  source = new EventSource(STREAM_URL);
+  // Reload on (re)connect so nothing missed while disconnected is lost
+  source.onopen = loadAlerts;
+  source.addEventListener('alert', e => {
+    try {
+      upsert(JSON.parse(e.data).alert);
+    } catch (err) {
+      console.warn('Bad alert stream message:', err);
+    }
+  });
+}
+
+/**
+ * Active (not resolved) alerts, kept up to date
+ */
+export function useAlerts() {
+  const [state, setState] = useState(alerts);
+
+  useEffect(() => {
+    listeners.add(setState);
+    open();
+    setState(alerts);
+    return () => {
+      listeners.delete(setState);
+      if (listeners.size === 0 && source) {
+        source.close();
+        source = null;
+      }
+    };
+  }, []);
+
+  return state;
+}
+
+async function postAlert(path, body = {}) {
+  const res = await fetch(`/api/alerts${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Alert request failed');
+  }
+  return res.json();
+}
+
+// Apply a workflow action and show the result right away
+const act = async (id, action, body) => {
+  const alert = await postAlert(`/${id}/${action}`, body);
+  upsert(alert);
+  return alert;
+};
+
+export const acknowledgeAlert = (id) => act(id, 'acknowledge');
+export const snoozeAlert = (id, minutes) => act(id, 'snooze', { minutes });
+export const assignAlert = (id, assignee) => act(id, 'assign', { assignee: assignee || null });
+export const resolveAlert = (id) => act(id, 'resolve');
+
+/**
+ * Replace the backend's alerts for the given dashboard rules with `list`
+ */
+export async function syncDashboardAlerts(rules, list, asOf) {
+  const result = await postAlert('/sync', { rules, alerts: list, as_of: asOf });
+  if (result.opened || result.escalated || result.resolved) {
+    await loadAlerts();
+  }
+  return result;
+}
+
+export const isSnoozed = (alert, now = Date.now()) =>
+  Boolean(alert.snoozed_until) && new Date(alert.snoozed_until).getTime() > now;
+
+export const bySeverity = (a, b) =>
+  SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.last_seen.localeCompare(a.last_seen);
+
+/**
+ * cauldron_id -> { count, severity } of the alerts that aren't snoozed,
+ * severity being the worst of them
+ */
+export function alertsByCauldron(list) {
+  const byId = {};
+  list
+    .filter(a => a.cauldron_id && !isSnoozed(a))
+    .forEach(a => {
+      const entry = byId[a.cauldron_id] || { count: 0, severity: a.severity };
+      entry.count += 1;
+      if (SEVERITY_ORDER[a.severity] < SEVERITY_ORDER[entry.severity]) entry.severity = a.severity;
+      byId[a.cauldron_id] = entry;
+    });
+  return byId;
+}
+
+// ---------- Alerts derived from dashboard data ----------
+
+/**
+ * Cauldrons at or above 90% of capacity
+ */
+export function deriveLevelAlerts(cauldrons, levels) {
+  const volumeById = new Map(levels.map(l => [l.cauldron_id, l.volume]));
+  return cauldrons
+    .filter(c => volumeById.has(c.id) && c.max_volume > 0)
+    .map(c => ({ cauldron: c, volume: volumeById.get(c.id), pct: volumeById.get(c.id) / c.max_volume * 100 }))
+    .filter(({ pct }) => pct >= HIGH_LEVEL_PCT)
+    .map(({ cauldron, volume, pct }) => ({
+      key: `dashboard_level:${cauldron.id}`,
+      rule: 'dashboard_level',
+      cauldron_id: cauldron.id,
+      severity: pct >= CRITICAL_LEVEL_PCT ? 'critical' : 'warning',
+      title: `${cauldron.name} is ${pct.toFixed(0)}% full`,
+      message: `${volume.toFixed(1)} of ${cauldron.max_volume} L`,
+      details: { volume, max_volume: cauldron.max_volume }
+    }));
+}
+
+/**
+ * Overflows the route verification found in the optimized schedule, one per cauldron
+ */
+export function deriveRouteAlerts(verification, cauldrons) {
+  const names = new Map(cauldrons.map(c => [c.id, c.name]));
+  const first = new Map();
+  (verification?.overflowIssues || []).forEach(issue => {
+    if (!first.has(issue.cauldronId)) first.set(issue.cauldronId, issue);
+  });
+  return Array.from(first.values()).map(issue => ({
+    key: `route_overflow:${issue.cauldronId}`,
+    rule: 'route_overflow',
+    cauldron_id: issue.cauldronId,
+    severity: 'critical',
+    title: `Route plan lets ${names.get(issue.cauldronId) || issue.cauldronId} overflow`,
+    message: issue.message,
+    details: { minutes: Math.round(issue.time), overflow: Math.round(issue.overflow * 10) / 10 }
+  }));
+}
+
+/**
+ * Tickets the reconciliation flagged with errors or warnings
+ */
+export function deriveTicketAlerts(reconciled) {
+  return Object.values(reconciled)
+    .map(ticket => ({ ticket, flags: (ticket.flags || []).filter(f => f.type !== 'info') }))
+    .filter(({ flags }) => flags.length > 0)
+    .map(({ ticket, flags }) => ({
+      key: `ticket_flag:${ticket.ticket_id}`,
+      rule: 'ticket_flag',
+      cauldron_id: ticket.cauldron_id,
+      severity: flags.some(f => f.type === 'error') ? 'critical' : 'warning',
+      title: `Ticket ${ticket.ticket_id} flagged`,
+      message: flags.map(f => f.message).join('; '),
+      details: { date: ticket.date, courier_id: ticket.courier_id, codes: flags.map(f => f.code) }
+    }));
+}
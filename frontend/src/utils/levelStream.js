@@ -0,0 +1,90 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Live level readings from /api/stream/levels (Server-Sent Events).
+// All components share one EventSource; it opens with the first subscriber
+// and closes when the last one unsubscribes.
+
+const STREAM_URL = '/api/stream/levels';
+
+let source = null;
+const listeners = new Set();
+const statusListeners = new Set();
+let connection = { status: 'connecting', lastMessageAt: null };
+
+function setConnection(patch) {
+  connection = { ...connection, ...patch };
+  statusListeners.forEach(fn => fn(connection));
+}
+
+function dispatch(type, event) {
+  setConnection({ status: 'open', lastMessageAt: Date.now() });
+  try {
+    const readings = JSON.parse(event.data);
+    listeners.forEach(fn => fn(readings, type));
+  } catch (err) {
+    console.warn('Bad level stream message:', err);
+  }
+}
+
+function open() {
+  if (source) return;
+  source = new EventSource(STREAM_URL);
+  setConnection({ status: 'connecting' });
+  source.onopen = () => setConnection({ status: 'open', lastMessageAt: Date.now() });
+  // EventSource reconnects by itself; CLOSED means it gave up
+  source.onerror = () => setConnection({
+    status: source?.readyState === EventSource.CLOSED ? 'closed' : 'connecting'
+  });
+  source.addEventListener('snapshot', e => dispatch('snapshot', e));
+  source.addEventListener('readings', e => dispatch('readings', e));
+}
+
+function closeIfUnused() {
+  if (listeners.size === 0 && statusListeners.size === 0 && source) {
+    source.close();
+    source = null;
+    setConnection({ status: 'closed' });
+  }
+}
+
+/**
+ * Call onReadings(readings, type) for every batch of readings.
+ * type is 'snapshot' (latest per cauldron, on (re)connect) or 'readings'.
+ * cauldronId optionally limits the callback to one cauldron.
+ */
+export function useLevelStream(onReadings, cauldronId = null) {
+  const callbackRef = useRef(onReadings);
+  callbackRef.current = onReadings;
+
+  useEffect(() => {
+    const listener = (readings, type) => {
+      const matching = cauldronId ? readings.filter(r => r.cauldron_id === cauldronId) : readings;
+      if (matching.length) callbackRef.current(matching, type);
+    };
+    listeners.add(listener);
+    open();
+    return () => {
+      listeners.delete(listener);
+      closeIfUnused();
+    };
+  }, [cauldronId]);
+}
+
+/**
+ * Connection state of the shared stream: { status: 'connecting' | 'open' | 'closed', lastMessageAt }
+ */
+export function useStreamStatus() {
+  const [state, setState] = useState(connection);
+
+  useEffect(() => {
+    statusListeners.add(setState);
+    open();
+    setState(connection);
+    return () => {
+      statusListeners.delete(setState);
+      closeIfUnused();
+    };
+  }, []);
+
+  return state;
+}
@@ -0,0 +1,53 @@
+// Route plans come from the backend optimizer (POST /api/optimize). It caches
+// results by input and shares running jobs, so every open tab gets the same
+// plan from a single run instead of optimizing in the browser.
+
+const POLL_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readJob(res) {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `status ${res.status}`);
+  return data;
+}
+
+/**
+ * Optimize routes for the current data and resolve to the result.
+ * overrides: { couriers, capacity, horizon_hours, start_time } (see the backend route)
+ * onProgress({ phase, percent, message }) is called while the job runs.
+ */
+export async function requestOptimization(overrides = {}, { onProgress = () => {}, signal } = {}) {
+  let job = await readJob(await fetch('/api/optimize', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(overrides),
+    signal
+  }));
+
+  while (job.status === 'queued' || job.status === 'running') {
+    onProgress(job.progress);
+    await sleep(POLL_MS);
+    job = await readJob(await fetch(`/api/optimize/${job.id}`, { signal }));
+  }
+
+  if (job.status === 'failed') throw new Error(job.error);
+  return job.result;
+}
+
+/**
+ * Plan for a disrupted network and compare it with the current plan.
+ * disruptions: { closed_edges: [{ from, to }], slowed_edges: [{ from, to, percent }], offline_cauldrons }
+ * Resolves to { result, diff } once both plans are done; diff is null when the current plan failed.
+ */
+export async function requestWhatIf(disruptions, overrides = {}, { signal } = {}) {
+  const data = await readJob(await fetch('/api/optimize/what-if', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...overrides, disruptions }),
+    signal
+  }));
+
+  if (data.scenario.status === 'failed') throw new Error(data.scenario.error);
+  return { result: data.scenario.result, baseline: data.baseline.result, diff: data.diff };
+}
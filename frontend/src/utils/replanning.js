@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+
+// Live plan revisions from the backend's rolling re-planning. The list is
+// loaded once from /api/replanning/revisions and kept current from
+// /api/replanning/stream (Server-Sent Events); the stream opens with the first
+// subscriber and closes after the last. Revisions come without their plans -
+// fetchRevision() gets one with its optimization result.
+
+const STREAM_URL = '/api/replanning/stream';
+
+let source = null;
+let revisions = [];
+const listeners = new Set();
+
+function setRevisions(next) {
+  revisions = next;
+  listeners.forEach(fn => fn(revisions));
+}
+
+export async function loadRevisions() {
+  try {
+    const res = await fetch('/api/replanning/revisions');
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    setRevisions(await res.json());
+  } catch (err) {
+    console.warn('Failed to load plan revisions:', err);
+  }
+}
+
+function open() {
+  if (source) return;
+  source = new EventSource(STREAM_URL);
+  // Reload on (re)connect so nothing missed while disconnected is lost
+  source.onopen = loadRevisions;
+  source.addEventListener('revision', e => {
+    try {
+      const revision = JSON.parse(e.data);
+      setRevisions([revision, ...revisions.filter(r => r.revision !== revision.revision)]);
+    } catch (err) {
+      console.warn('Bad revision stream message:', err);
+    }
+  });
+}
+
+/**
+ * Plan revisions, newest first, kept up to date
+ */
+export function usePlanRevisions() {
+  const [state, setState] = useState(revisions);
+
+  useEffect(() => {
+    listeners.add(setState);
+    open();
+    setState(revisions);
+    return () => {
+      listeners.delete(setState);
+      if (listeners.size === 0 && source) {
+        source.close();
+        source = null;
+      }
+    };
+  }, []);
+
+  return state;
+}
+
+/**
+ * One revision with its optimization result
+ */
+export async function fetchRevision(number, { signal } = {}) {
+  const res = await fetch(`/api/replanning/revisions/${number}`, { signal });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to load the plan revision');
+  return data;
+}
+
+/**
+ * Plan again now, keeping the trips under way
+ */
+export async function requestReplan() {
+  const res = await fetch('/api/replanning/replan', { method: 'POST' });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Re-planning failed');
+  return data;
+}